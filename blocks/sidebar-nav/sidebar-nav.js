@@ -28,6 +28,46 @@ function formatRelativeTime(timestamp) {
   return date.toLocaleDateString();
 }
 
+/**
+ * Group history into threads: follow-up refinements go under the page they refined
+ * @param {Array} history - History items, newest first
+ * @returns {Array<{root: object, followUps: Array}>} Threads, most recently active first,
+ *   follow-ups oldest first
+ */
+function groupThreads(history) {
+  const byPageId = new Map();
+  history.forEach((item) => {
+    if (item.page_id && !byPageId.has(item.page_id)) {
+      byPageId.set(item.page_id, item);
+    }
+  });
+
+  // Follow the parent chain as far as the loaded history goes
+  const findRoot = (item) => {
+    let root = item;
+    const seen = new Set([item]);
+    while (root.parent_page_id && byPageId.has(root.parent_page_id)) {
+      const parent = byPageId.get(root.parent_page_id);
+      if (seen.has(parent)) break;
+      seen.add(parent);
+      root = parent;
+    }
+    return root;
+  };
+
+  const threads = new Map();
+  history.forEach((item) => {
+    const root = findRoot(item);
+    if (!threads.has(root)) {
+      threads.set(root, { root, followUps: [] });
+    }
+    if (item !== root) {
+      threads.get(root).followUps.unshift(item);
+    }
+  });
+  return [...threads.values()];
+}
+
 /**
  * Decorate the sidebar nav block
  * @param {Element} block - The block element
@@ -141,19 +181,29 @@ export default async function decorate(block) {
     const list = document.createElement('ul');
     list.className = 'history-list';
 
-    history.forEach((item) => {
+    const createItem = (item, isFollowUp = false) => {
       const li = document.createElement('li');
       li.className = 'history-item';
+      if (isFollowUp) {
+        li.classList.add('follow-up');
+      }
       if (item.page_id === activeId) {
         li.classList.add('active');
       }
 
-      li.innerHTML = `
-        <div class="history-item-icon">
-          <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+      const icon = isFollowUp
+        ? `<svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+            <polyline points="15 10 20 15 15 20"></polyline>
+            <path d="M4 4v7a4 4 0 0 0 4 4h12"></path>
+          </svg>`
+        : `<svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
             <circle cx="11" cy="11" r="8"></circle>
             <path d="m21 21-4.35-4.35"></path>
-          </svg>
+          </svg>`;
+
+      li.innerHTML = `
+        <div class="history-item-icon">
+          ${icon}
         </div>
         <div class="history-item-content">
           <div class="history-item-query">${item.query}</div>
@@ -167,7 +217,13 @@ export default async function decorate(block) {
         }
       });
 
-      list.appendChild(li);
+      return li;
+    };
+
+    // Each thread: the original query, then its refinements in the order they were made
+    groupThreads(history).forEach(({ root, followUps }) => {
+      list.appendChild(createItem(root));
+      followUps.forEach((item) => list.appendChild(createItem(item, true)));
     });
 
     historyContainer.innerHTML = '';
@@ -53,14 +53,15 @@ async function apiRequest(endpoint, options = {}) {
  * Generate a new page from a query with streaming progress
  * @param {string} query - User's search query
  * @param {function} onProgress - Optional callback for progress updates
+ * @param {string} parentPageId - Optional page this query refines (follow-up)
  * @returns {Promise<object>} Generated page data with ID
  */
-export async function generatePage(query, onProgress = null) {
+export async function generatePage(query, onProgress = null, parentPageId = null) {
   const sessionId = getSessionId();
 
   // Use streaming endpoint if onProgress callback is provided
   if (onProgress) {
-    return generatePageWithStream(query, sessionId, onProgress);
+    return generatePageWithStream(query, sessionId, onProgress, parentPageId);
   }
 
   // Fallback to non-streaming endpoint
@@ -69,10 +70,11 @@ export async function generatePage(query, onProgress = null) {
     body: JSON.stringify({
       query,
       session_id: sessionId,
+      parent_page_id: parentPageId,
     }),
   });
 
-  await addToHistory(query, data.id);
+  await addToHistory(query, data.id, parentPageId);
   return data;
 }
 
@@ -81,15 +83,16 @@ export async function generatePage(query, onProgress = null) {
  * @param {string} query - User's search query
  * @param {string} sessionId - Session ID
  * @param {function} onProgress - Callback for progress updates
+ * @param {string} parentPageId - Optional page this query refines (follow-up)
  * @returns {Promise<object>} Generated page data
  */
-async function generatePageWithStream(query, sessionId, onProgress) {
+async function generatePageWithStream(query, sessionId, onProgress, parentPageId = null) {
   const url = `${API_BASE_URL}/api/generate-page-stream`;
 
   const response = await fetch(url, {
     method: 'POST',
     headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({ query, session_id: sessionId }),
+    body: JSON.stringify({ query, session_id: sessionId, parent_page_id: parentPageId }),
   });
 
   if (!response.ok) {
@@ -148,6 +151,10 @@ async function generatePageWithStream(query, sessionId, onProgress) {
               status: 'classification',
               type: data.type,
               confidence: data.confidence,
+              labels: data.labels,
+              entities: data.entities,
+              rewrite: data.rewrite,
+              experiment: data.experiment,
               sourcesFound: data.sourcesFound,
             });
             break;
@@ -211,7 +218,7 @@ async function generatePageWithStream(query, sessionId, onProgress) {
   }
 
   // Add to history
-  await addToHistory(query, pageData.id);
+  await addToHistory(query, pageData.id, parentPageId);
 
   return pageData;
 }
@@ -255,6 +262,67 @@ export async function generateImages(pageId, prompts) {
   });
 }
 
+/**
+ * Admin API key of an operator, set in the browser with
+ * localStorage.setItem('adaptive-web-admin-key', '<ADMIN_API_KEY>')
+ * @returns {string|null} Admin key, null for readers
+ */
+export function getAdminKey() {
+  return localStorage.getItem('adaptive-web-admin-key');
+}
+
+/**
+ * Regenerate the content of one block of an existing page (operators only, see getAdminKey)
+ * @param {string} pageId - UUID of the page
+ * @param {number} blockIndex - Index of the block in layout_blocks
+ * @param {string} instruction - Optional instruction (e.g. "make the FAQ about cleaning")
+ * @returns {Promise<object>} Updated page and its new revision number
+ */
+export async function regenerateBlock(pageId, blockIndex, instruction = '') {
+  return apiRequest('/api/regenerate-block', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      Authorization: `Bearer ${getAdminKey()}`,
+    },
+    body: JSON.stringify({
+      page_id: pageId,
+      block_index: blockIndex,
+      instruction,
+    }),
+  });
+}
+
+/**
+ * Send reader feedback on a page or one of its blocks
+ * @param {string} pageId - UUID of the page
+ * @param {object} feedback - { block_index (omitted for the whole page), rating ('up' | 'down'),
+ *   comment (free-text report) }
+ * @returns {Promise<object>} Stored feedback
+ */
+export async function sendFeedback(pageId, feedback) {
+  return apiRequest('/api/feedback', {
+    method: 'POST',
+    body: JSON.stringify({
+      page_id: pageId,
+      session_id: getSessionId(),
+      ...feedback,
+    }),
+  });
+}
+
+/**
+ * Report a batch of engagement events of rendered pages (see engagement.js)
+ * Sent with sendBeacon when available, so the last events survive the page being left
+ * @param {Array<object>} events - Events: { page_id, type, value, detail, block_type, block_index }
+ */
+export function sendEvents(events) {
+  const url = `${API_BASE_URL}/api/events`;
+  const body = JSON.stringify({ session_id: getSessionId(), events });
+  if (navigator.sendBeacon?.(url, new Blob([body], { type: 'text/plain' }))) return;
+  fetch(url, { method: 'POST', body, keepalive: true }).catch(() => {});
+}
+
 /**
  * Get search history for sidebar
  * @param {number} limit - Maximum number of results
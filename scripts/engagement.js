@@ -0,0 +1,171 @@
+/**
+ * Engagement tracking for AdaptiveWeb
+ * First-party event collection of rendered flexible pages, sent to the worker in batches
+ * (/api/events) for the layout experiments and the block usage report:
+ * - page events: a view when the page is shown, link clicks in its blocks (CTA clicks), and the
+ *   deepest scroll position when the page is hidden or replaced by the next one
+ * - block events: RUM checkpoints "adaptive:<type>" with source "<block type>:<block index>",
+ *   emitted with sampleRUM for block impressions (here) and interactions (by the page renderer:
+ *   FAQ expands, comparison selections, guide tab switches, queries generated from buttons), so
+ *   sampled RUM sessions report them too
+ */
+
+import { sampleRUM } from './aem.js';
+import { sendEvents } from './api-client.js';
+
+// Prefix of the RUM checkpoints of block events
+const CHECKPOINT_PREFIX = 'adaptive:';
+
+// Events queued before a batch is sent, and the longest a queued event waits (ms)
+const BATCH_SIZE = 20;
+const BATCH_DELAY = 5000;
+
+// Share of a block in view that counts as an impression (or of the viewport, for tall blocks)
+const IMPRESSION_THRESHOLD = 0.5;
+
+// Tracker of the page being shown
+let current = null;
+
+// Events waiting to be sent, and the timer sending them
+let queue = [];
+let flushTimer = null;
+
+/**
+ * Send the queued events
+ */
+function flushEvents() {
+  clearTimeout(flushTimer);
+  flushTimer = null;
+  if (queue.length === 0) return;
+  sendEvents(queue);
+  queue = [];
+}
+
+/**
+ * Queue an event of the current page (dropped when no page is tracked)
+ * @param {object} event - Event: { type, value, detail, block_type, block_index }
+ */
+function queueEvent(event) {
+  if (!current) return;
+  queue.push({ page_id: current.pageId, ...event });
+  if (queue.length >= BATCH_SIZE) {
+    flushEvents();
+  } else if (!flushTimer) {
+    flushTimer = setTimeout(flushEvents, BATCH_DELAY);
+  }
+}
+
+/**
+ * Share of a container scrolled into view (0-1)
+ * @param {Element} container - Page container
+ * @returns {number} Scroll depth
+ */
+function getScrollDepth(container) {
+  const rect = container.getBoundingClientRect();
+  if (rect.height <= 0) return 0;
+  return Math.min(1, Math.max(0, (window.innerHeight - rect.top) / rect.height));
+}
+
+/**
+ * Queue the scroll depth of the current page when it grew since the last report
+ */
+function queueScrollDepth() {
+  if (!current || current.maxDepth <= current.sentDepth) return;
+  current.sentDepth = current.maxDepth;
+  queueEvent({ type: 'scroll_depth', value: Math.round(current.maxDepth * 100) / 100 });
+}
+
+/**
+ * Report an event of a flexible block as a RUM checkpoint
+ * @param {string} type - Event type (block_impression, faq_expand, comparison_select, guide_tab,
+ *   generated_query)
+ * @param {Element} element - Block section or an element inside it
+ * @param {string} target - What the event is about (question, product, tab, query)
+ */
+export function emitBlockEvent(type, element, target = null) {
+  const section = element.closest('[data-block-index]');
+  if (!section) return;
+  sampleRUM(`${CHECKPOINT_PREFIX}${type}`, {
+    source: `${section.dataset.blockType}:${section.dataset.blockIndex}`,
+    target,
+  });
+}
+
+// Block events of the current page, from the RUM checkpoints
+document.addEventListener('rum', (e) => {
+  const { checkpoint, data } = e.detail || {};
+  if (!checkpoint?.startsWith(CHECKPOINT_PREFIX)) return;
+  const [blockType, blockIndex] = (data?.source || '').split(':');
+  queueEvent({
+    type: checkpoint.slice(CHECKPOINT_PREFIX.length),
+    detail: data?.target ?? null,
+    block_type: blockType || null,
+    block_index: blockIndex ? Number(blockIndex) : null,
+  });
+});
+
+/**
+ * Track the engagement of a rendered flexible page (replaces the tracking of the previous page)
+ * @param {object} pageData - Page data (id and layout_blocks)
+ * @param {Element} container - Container the page was rendered into
+ */
+export function trackEngagement(pageData, container) {
+  queueScrollDepth();
+  flushEvents();
+  current?.controller.abort();
+  current = null;
+  if (!pageData?.id) return;
+
+  const controller = new AbortController();
+  const { signal } = controller;
+  const tracker = {
+    pageId: pageData.id,
+    maxDepth: getScrollDepth(container),
+    sentDepth: 0,
+    controller,
+  };
+  current = tracker;
+
+  queueEvent({ type: 'view' });
+
+  window.addEventListener('scroll', () => {
+    tracker.maxDepth = Math.max(tracker.maxDepth, getScrollDepth(container));
+  }, { passive: true, signal });
+
+  container.addEventListener('click', (e) => {
+    const link = e.target.closest('a[href]');
+    const section = link?.closest('[data-block-index]');
+    if (!section) return;
+    const block = (pageData.layout_blocks || [])[Number(section.dataset.blockIndex)];
+    queueEvent({
+      type: 'cta_click',
+      detail: link.getAttribute('href'),
+      block_type: block?.block_type || null,
+      block_index: Number(section.dataset.blockIndex),
+    });
+  }, { signal });
+
+  // One impression per block, when it first comes into view
+  if ('IntersectionObserver' in window) {
+    const observer = new IntersectionObserver((entries) => {
+      entries.filter((entry) => entry.intersectionRatio >= IMPRESSION_THRESHOLD
+        || entry.intersectionRect.height >= window.innerHeight * IMPRESSION_THRESHOLD)
+        .forEach((entry) => {
+          observer.unobserve(entry.target);
+          emitBlockEvent('block_impression', entry.target);
+        });
+    }, { threshold: [0.1, 0.25, IMPRESSION_THRESHOLD] });
+    container.querySelectorAll('[data-block-index]').forEach((section) => {
+      observer.observe(section);
+    });
+    signal.addEventListener('abort', () => observer.disconnect());
+  }
+
+  // Tab hidden, closed or navigated away
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'hidden') {
+      queueScrollDepth();
+      flushEvents();
+    }
+  }, { signal });
+}
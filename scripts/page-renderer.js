@@ -3,6 +3,21 @@
  * Dynamically builds page structure from AI-generated content
  */
 
+import { emitBlockEvent } from './engagement.js';
+import { getAdminKey } from './api-client.js';
+
+/**
+ * Navigate to a query generated by a button of a flexible block, reporting it as a block event
+ * @param {Element} element - Button clicked
+ * @param {string} query - Query to generate
+ */
+function navigateFromBlock(element, query) {
+  emitBlockEvent('generated_query', element, query);
+  import('./router.js').then(({ navigateToQuery }) => {
+    navigateToQuery(query);
+  });
+}
+
 /**
  * Create a section wrapper
  * @param {string} className - Optional class name
@@ -685,6 +700,56 @@ function getAtoms(atoms, type) {
   return atoms.filter((a) => a.type === type);
 }
 
+/**
+ * Collect the sources cited by a page's atoms, in order of first citation
+ * Footnote numbers are positions in this list (1-based)
+ * @param {Array} atoms - Content atoms with resolved sources
+ * @returns {Array<{source_id: string, title: string, url: string|null}>} Cited sources
+ */
+function collectCitations(atoms) {
+  const cited = [];
+  const add = (sources) => (sources || []).forEach((source) => {
+    if (source?.source_id && !cited.some((c) => c.source_id === source.source_id)) {
+      cited.push(source);
+    }
+  });
+  atoms.forEach((atom) => {
+    add(atom.sources);
+    (atom.items || []).forEach((item) => add(item?.sources));
+    (atom.row_sources || []).forEach(add);
+  });
+  return cited;
+}
+
+/**
+ * Render inline footnote markers for a list of sources
+ * @param {Array} sources - Resolved sources of a paragraph, FAQ answer or table row
+ * @param {Array} citations - Cited sources of the page (see collectCitations)
+ * @returns {string} Marker HTML (empty if nothing is cited)
+ */
+function renderCitationMarkers(sources, citations) {
+  return (sources || [])
+    .map((source) => citations.findIndex((c) => c.source_id === source?.source_id) + 1)
+    .filter((n) => n > 0)
+    .map((n) => `<sup class="citation-marker"><a class="citation-link" href="#citation-${n}" aria-label="Source ${n}">${n}</a></sup>`)
+    .join('');
+}
+
+/**
+ * Render the marker of generated facts the sources did not confirm (see grounding.js)
+ * @param {boolean|Array<string>} unverified - Flag of an FAQ answer or table row, or the
+ *   unconfirmed fields of a product ("price", "specs.motor")
+ * @returns {string} Marker HTML (empty if everything was confirmed)
+ */
+function renderUnverifiedMarker(unverified) {
+  const fields = Array.isArray(unverified) ? unverified : [];
+  if (!unverified || (Array.isArray(unverified) && fields.length === 0)) return '';
+  const title = fields.length > 0
+    ? `Not confirmed by our sources: ${fields.map((field) => field.replace(/^specs\./, '')).join(', ')}`
+    : 'Not confirmed by our sources';
+  return `<sup class="unverified-marker" title="${escapeHtml(title)}" aria-label="${escapeHtml(title)}">?</sup>`;
+}
+
 /**
  * Render hero-banner block from content atoms
  */
@@ -705,7 +770,7 @@ function renderHeroBannerBlock(atoms, metadata) {
         </div>
         <div class="ai-hero-text">
           ${heading ? `<h1>${heading.text}</h1>` : ''}
-          ${paragraph ? `<p>${paragraph.text}</p>` : ''}
+          ${paragraph ? `<p>${paragraph.text}${renderCitationMarkers(paragraph.sources, collectCitations(atoms))}</p>` : ''}
         </div>
       </div>
     </div>
@@ -723,12 +788,13 @@ function renderTextSectionBlock(atoms) {
 
   const paragraphs = getAtoms(atoms, 'paragraph');
   if (paragraphs.length === 0) return null;
+  const citations = collectCitations(atoms);
 
   wrapper.innerHTML = `
     <div class="text-section block" data-block-name="text-section">
       <div class="text-section-container">
         <div class="text-section-content">
-          ${paragraphs.map((p) => `<p>${p.text}</p>`).join('')}
+          ${paragraphs.map((p) => `<p>${p.text}${renderCitationMarkers(p.sources, citations)}</p>`).join('')}
         </div>
       </div>
     </div>
@@ -830,7 +896,7 @@ function renderComparisonTableBlock(atoms) {
             <div class="comparison-model-image">
               ${product.image_url ? `<img src="${product.image_url}" alt="${product.name}">` : ''}
             </div>
-            <span class="comparison-model-name">${product.name}</span>
+            <span class="comparison-model-name">${product.name}${renderUnverifiedMarker(product.unverified_fields)}</span>
           </div>
         `;
       case 'warranty':
@@ -960,7 +1026,7 @@ function renderComparisonCardsBlock(atoms) {
           ${product.image_url ? `<img src="${product.image_url}" alt="${product.name}">` : ''}
         </div>
         <div class="card-info">
-          <h3 class="card-name">${product.name}</h3>
+          <h3 class="card-name">${product.name}${renderUnverifiedMarker(product.unverified_fields)}</h3>
           ${rating ? `<div class="card-rating">${starIcon} ${rating}</div>` : ''}
         </div>
         ${series ? `<p class="card-series">${series}</p>` : ''}
@@ -1108,6 +1174,7 @@ function initComparisonCards(container, products) {
       selected.push(index);
       cards[index].classList.add('selected');
       checkboxes[index].checked = true;
+      emitBlockEvent('comparison_select', cards[index], products[index].name);
     }
     updateCompareBar();
   };
@@ -1226,11 +1293,12 @@ function renderSpecsTableBlock(atoms) {
 
   const table = getAtom(atoms, 'table');
   if (!table?.rows?.length) return null;
+  const citations = collectCitations(atoms);
 
   const rowsHtml = table.rows.map((row, idx) => `
     <tr class="${idx % 2 === 0 ? 'even' : 'odd'}">
       <th scope="row">${row[0]}</th>
-      <td>${row[1]}</td>
+      <td>${row[1]}${renderCitationMarkers(table.row_sources?.[idx], citations)}${renderUnverifiedMarker(table.unverified_rows?.[idx])}</td>
     </tr>
   `).join('');
 
@@ -1334,6 +1402,7 @@ function renderFaqAccordionBlock(atoms) {
 
   const faqSet = getAtom(atoms, 'faq_set');
   if (!faqSet?.items?.length) return null;
+  const citations = collectCitations(atoms);
 
   const faqsHtml = faqSet.items.map((faq, index) => `
     <div class="faq-item">
@@ -1345,7 +1414,7 @@ function renderFaqAccordionBlock(atoms) {
       </button>
       <div class="faq-answer" id="faq-answer-${index}" aria-hidden="true">
         <div class="faq-answer-content">
-          <p>${faq.answer}</p>
+          <p>${faq.answer}${renderCitationMarkers(faq.sources, citations)}${renderUnverifiedMarker(faq.unverified)}</p>
         </div>
       </div>
     </div>
@@ -1376,6 +1445,7 @@ function renderFaqAccordionBlock(atoms) {
         item.classList.add('open');
         btn.setAttribute('aria-expanded', 'true');
         item.querySelector('.faq-answer').setAttribute('aria-hidden', 'false');
+        emitBlockEvent('faq_expand', btn, btn.textContent.trim());
       }
     });
   });
@@ -1449,10 +1519,7 @@ function renderRelatedTopicsBlock(atoms) {
   // Add click handlers
   wrapper.querySelectorAll('.related-topic-card').forEach((card) => {
     card.addEventListener('click', () => {
-      const query = card.dataset.query;
-      import('./router.js').then(({ navigateToQuery }) => {
-        navigateToQuery(query);
-      });
+      navigateFromBlock(card, card.dataset.query);
     });
   });
 
@@ -1718,6 +1785,7 @@ function initInteractiveGuide(container) {
       // Update active tab
       tabs.forEach((t) => t.classList.remove('active'));
       tab.classList.add('active');
+      emitBlockEvent('guide_tab', tab, tab.textContent.trim());
 
       // Update active card
       cards.forEach((c) => c.classList.remove('active'));
@@ -1750,9 +1818,7 @@ function initInteractiveGuide(container) {
       const card = btn.closest('.guide-product-card');
       const productName = card.querySelector('.guide-product-name')?.textContent;
       if (productName) {
-        import('./router.js').then(({ navigateToQuery }) => {
-          navigateToQuery(productName);
-        });
+        navigateFromBlock(btn, productName);
       }
     });
   });
@@ -1770,6 +1836,7 @@ function renderProductDetailBlock(atoms) {
   if (!productAtom) return null;
 
   const data = productAtom;
+  const unverified = data.unverified_fields || [];
 
   // Check if image URL is valid (generated) or needs generation
   const imageUrl = data.image_url || '';
@@ -1804,7 +1871,7 @@ function renderProductDetailBlock(atoms) {
           ${data.tagline ? `<p class="product-tagline">${data.tagline}</p>` : ''}
 
           <div class="product-price-section">
-            <span class="product-price">${formatPrice(data.price)}</span>
+            <span class="product-price">${formatPrice(data.price)}</span>${renderUnverifiedMarker(unverified.includes('price'))}
             ${data.original_price && data.original_price > data.price ? `
               <span class="product-original-price">${formatPrice(data.original_price)}</span>
             ` : ''}
@@ -1828,7 +1895,7 @@ function renderProductDetailBlock(atoms) {
             <svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
               <path d="M12 22s8-4 8-10V5l-8-3-8 3v7c0 6 8 10 8 10z"></path>
             </svg>
-            <span>${data.warranty || '10-Year Full Warranty'}</span>
+            <span>${data.warranty || '10-Year Full Warranty'}${renderUnverifiedMarker(unverified.includes('warranty'))}</span>
           </div>
         </div>
       </div>
@@ -1871,7 +1938,7 @@ function renderProductDetailBlock(atoms) {
                   ${Object.entries(data.specs).map(([key, value]) => `
                     <tr>
                       <th>${formatSpecKey(key)}</th>
-                      <td>${value}</td>
+                      <td>${value}${renderUnverifiedMarker(unverified.includes(`specs.${key}`))}</td>
                     </tr>
                   `).join('')}
                 </tbody>
@@ -1953,9 +2020,7 @@ function renderProductDetailBlock(atoms) {
     card.addEventListener('click', () => {
       const query = card.dataset.query;
       if (query) {
-        import('./router.js').then(({ navigateToQuery }) => {
-          navigateToQuery(query);
-        });
+        navigateFromBlock(card, query);
       }
     });
   });
@@ -2166,9 +2231,7 @@ function renderRecipeDetailBlock(atoms) {
     card.addEventListener('click', () => {
       const query = card.dataset.query;
       if (query) {
-        import('./router.js').then(({ navigateToQuery }) => {
-          navigateToQuery(query);
-        });
+        navigateFromBlock(card, query);
       }
     });
   });
@@ -2205,6 +2268,259 @@ const BLOCK_RENDERERS = {
   'recipe-detail': renderRecipeDetailBlock,
 };
 
+/**
+ * Add a regenerate control to a rendered block (shown to operators with an admin key)
+ * Regenerates the block's content (with an optional instruction) and swaps the section in place
+ * @param {Element} section - Rendered block section
+ * @param {object} pageData - Page data (content_atoms are updated after regeneration)
+ * @param {number} blockIndex - Index of the block in layout_blocks
+ */
+function addRegenerateControl(section, pageData, blockIndex) {
+  const control = document.createElement('form');
+  control.className = 'block-regenerate';
+  control.innerHTML = `
+    <button type="button" class="block-regenerate-control block-regenerate-toggle" aria-expanded="false">Regenerate</button>
+    <div class="block-regenerate-form" hidden>
+      <input type="text" name="instruction" class="block-regenerate-control"
+        aria-label="How should this section change?" placeholder="Optional: e.g. make the FAQ about cleaning">
+      <button type="submit" class="block-regenerate-control">Regenerate</button>
+    </div>
+  `;
+
+  const toggle = control.querySelector('.block-regenerate-toggle');
+  const form = control.querySelector('.block-regenerate-form');
+  const input = control.querySelector('input');
+
+  toggle.addEventListener('click', () => {
+    form.hidden = !form.hidden;
+    toggle.setAttribute('aria-expanded', String(!form.hidden));
+    if (!form.hidden) input.focus();
+  });
+
+  control.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    section.classList.add('regenerating');
+    control.querySelectorAll('button, input').forEach((el) => { el.disabled = true; });
+
+    try {
+      const { regenerateBlock } = await import('./api-client.js');
+      const result = await regenerateBlock(pageData.id, blockIndex, input.value.trim());
+      pageData.content_atoms = result.page.content_atoms;
+      pageData.revision = result.revision;
+
+      // Footnote numbers run across the page: re-render it all when it cites sources
+      const container = section.parentElement;
+      if (container && collectCitations(pageData.content_atoms).length > 0) {
+        const { scrollY } = window;
+        // eslint-disable-next-line no-use-before-define
+        renderFlexiblePage(pageData, container);
+        window.scrollTo(0, scrollY);
+        return;
+      }
+
+      // eslint-disable-next-line no-use-before-define
+      const newSection = renderBlock(pageData.layout_blocks[blockIndex], pageData, blockIndex);
+      if (newSection) {
+        section.replaceWith(newSection);
+        return;
+      }
+    } catch (error) {
+      console.error('[AdaptiveWeb] Block regeneration failed:', error);
+    }
+
+    section.classList.remove('regenerating');
+    control.querySelectorAll('button, input').forEach((el) => { el.disabled = false; });
+  });
+
+  section.appendChild(control);
+}
+
+/**
+ * Create the feedback control of a page or one of its blocks: helpful / not helpful, and a
+ * free-text report ("this price is wrong") for the review queue
+ * @param {object} pageData - Page data (id)
+ * @param {number|null} blockIndex - Index of the block in layout_blocks, null for the whole page
+ * @returns {Element} Form element
+ */
+function createFeedbackForm(pageData, blockIndex = null) {
+  const subject = blockIndex === null ? 'this page' : 'this section';
+  const form = document.createElement('form');
+  form.className = 'feedback';
+  form.innerHTML = `
+    <button type="button" class="feedback-control" data-rating="up" aria-pressed="false"
+      aria-label="${subject} is helpful">Helpful</button>
+    <button type="button" class="feedback-control" data-rating="down" aria-pressed="false"
+      aria-label="${subject} is not helpful">Not helpful</button>
+    <button type="button" class="feedback-control feedback-report-toggle" aria-expanded="false">Report a problem</button>
+    <div class="feedback-report" hidden>
+      <input type="text" name="comment" class="feedback-control" maxlength="1000" required
+        aria-label="What is wrong with ${subject}?" placeholder="e.g. this price is wrong">
+      <button type="submit" class="feedback-control">Send</button>
+    </div>
+    <span class="feedback-status" role="status"></span>
+  `;
+
+  const ratings = form.querySelectorAll('[data-rating]');
+  const toggle = form.querySelector('.feedback-report-toggle');
+  const report = form.querySelector('.feedback-report');
+  const input = form.querySelector('input');
+  const status = form.querySelector('.feedback-status');
+
+  const send = async (feedback) => {
+    try {
+      const { sendFeedback } = await import('./api-client.js');
+      await sendFeedback(pageData.id, {
+        ...(blockIndex !== null && { block_index: blockIndex }),
+        ...feedback,
+      });
+      status.textContent = 'Thanks for your feedback';
+      return true;
+    } catch (error) {
+      console.error('[AdaptiveWeb] Feedback failed:', error);
+      status.textContent = 'Feedback could not be sent';
+      return false;
+    }
+  };
+
+  ratings.forEach((button) => {
+    button.addEventListener('click', () => {
+      ratings.forEach((other) => other.setAttribute('aria-pressed', String(other === button)));
+      send({ rating: button.dataset.rating });
+    });
+  });
+
+  toggle.addEventListener('click', () => {
+    report.hidden = !report.hidden;
+    toggle.setAttribute('aria-expanded', String(!report.hidden));
+    if (!report.hidden) input.focus();
+  });
+
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const comment = input.value.trim();
+    if (!comment) return;
+    form.querySelectorAll('button, input').forEach((el) => { el.disabled = true; });
+    if (await send({ comment })) {
+      input.value = '';
+      report.hidden = true;
+      toggle.setAttribute('aria-expanded', 'false');
+    }
+    form.querySelectorAll('button, input').forEach((el) => { el.disabled = false; });
+  });
+
+  return form;
+}
+
+/**
+ * Render a single layout block
+ * @param {object} block - Layout block
+ * @param {object} pageData - Page data from flexible pipeline
+ * @param {number} blockIndex - Index of the block in layout_blocks
+ * @returns {Element|null} Section element
+ */
+function renderBlock(block, pageData, blockIndex) {
+  const renderer = BLOCK_RENDERERS[block.block_type];
+  if (!renderer) {
+    console.warn(`No renderer for block type: ${block.block_type}`);
+    return null;
+  }
+
+  const sectionEl = renderer(pageData.content_atoms || [], pageData.metadata || {});
+  if (sectionEl && pageData.id) {
+    sectionEl.dataset.blockIndex = blockIndex;
+    sectionEl.dataset.blockType = block.block_type;
+    // Regeneration rewrites the page for every visitor: operators only
+    if (getAdminKey()) {
+      addRegenerateControl(sectionEl, pageData, blockIndex);
+    }
+    const feedback = createFeedbackForm(pageData, blockIndex);
+    feedback.classList.add('block-feedback');
+    sectionEl.appendChild(feedback);
+  }
+  return sectionEl;
+}
+
+/**
+ * Render the Sources block listing the sources cited by the page's footnote markers
+ * @param {object} pageData - Page data from flexible pipeline
+ * @returns {Element|null} Section element, or null if nothing is cited
+ */
+function renderSourcesBlock(pageData) {
+  const citations = collectCitations(pageData.content_atoms || []);
+  if (citations.length === 0) return null;
+
+  const section = createSection('sources-section');
+  const wrapper = section.querySelector('div');
+
+  const itemsHtml = citations.map((source, idx) => {
+    const title = escapeHtml(source.title || 'Source');
+    const link = source.url
+      ? `<a href="${escapeHtml(source.url)}" target="_blank" rel="noopener">${title}</a>`
+      : title;
+    return `<li id="citation-${idx + 1}">${link}</li>`;
+  }).join('');
+
+  wrapper.innerHTML = `
+    <div class="sources block" data-block-name="sources">
+      <h2>Sources</h2>
+      <ol class="sources-list">${itemsHtml}</ol>
+    </div>
+  `;
+
+  return section;
+}
+
+/**
+ * Render the follow-up bar for refining the current page
+ * Submitting generates a child page linked to this one (e.g. "same page but vegan")
+ * @param {object} pageData - Page being viewed
+ * @returns {Element} Section element
+ */
+function renderFollowUpBar(pageData) {
+  const section = createSection('follow-up-section');
+  const wrapper = section.querySelector('div');
+
+  wrapper.innerHTML = `
+    <form class="follow-up-bar">
+      <label for="follow-up-input">Refine this page</label>
+      <div class="follow-up-row">
+        <input type="text" id="follow-up-input" name="follow-up" autocomplete="off" required
+          placeholder="e.g. same page but vegan, or now compare only Ascent models">
+        <button type="submit" class="follow-up-submit">Refine</button>
+      </div>
+    </form>
+  `;
+
+  wrapper.querySelector('form').addEventListener('submit', (e) => {
+    e.preventDefault();
+    const query = wrapper.querySelector('input').value.trim();
+    if (query) {
+      import('./router.js').then(({ navigateToQuery }) => {
+        navigateToQuery(query, pageData.id);
+      });
+    }
+  });
+
+  return section;
+}
+
+/**
+ * Render the feedback section of a page ("Was this page helpful?")
+ * @param {object} pageData - Page being viewed
+ * @returns {Element} Section element
+ */
+function renderPageFeedback(pageData) {
+  const section = createSection('page-feedback-section');
+  const wrapper = section.querySelector('div');
+  wrapper.innerHTML = `
+    <div class="page-feedback">
+      <p class="page-feedback-label">Was this page helpful?</p>
+    </div>
+  `;
+  wrapper.querySelector('.page-feedback').appendChild(createFeedbackForm(pageData));
+  return section;
+}
+
 /**
  * Render a page using the flexible pipeline (content atoms + layout blocks)
  * @param {object} pageData - Page data from flexible pipeline
@@ -2213,21 +2529,25 @@ const BLOCK_RENDERERS = {
 export async function renderFlexiblePage(pageData, container) {
   container.innerHTML = '';
 
-  const atoms = pageData.content_atoms || [];
   const blocks = pageData.layout_blocks || [];
-  const metadata = pageData.metadata || {};
 
   // Render each block in order
-  for (const block of blocks) {
-    const renderer = BLOCK_RENDERERS[block.block_type];
-    if (renderer) {
-      const sectionEl = renderer(atoms, metadata);
-      if (sectionEl) {
-        container.appendChild(sectionEl);
-      }
-    } else {
-      console.warn(`No renderer for block type: ${block.block_type}`);
+  blocks.forEach((block, index) => {
+    const sectionEl = renderBlock(block, pageData, index);
+    if (sectionEl) {
+      container.appendChild(sectionEl);
     }
+  });
+
+  const sourcesEl = renderSourcesBlock(pageData);
+  if (sourcesEl) {
+    container.appendChild(sourcesEl);
+  }
+
+  // Feedback and follow-up refinements need a saved page to refer to
+  if (pageData.id) {
+    container.appendChild(renderPageFeedback(pageData));
+    container.appendChild(renderFollowUpBar(pageData));
   }
 }
 
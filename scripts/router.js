@@ -13,6 +13,7 @@ export function getUrlParams() {
     id: params.get('id'),
     q: params.get('q'),
     h: params.get('h'), // history/session context
+    parent: params.get('parent'), // page a follow-up query refines
   };
 }
 
@@ -51,11 +52,12 @@ export function updateUrl(params) {
 /**
  * Navigate to a new query (triggers generation)
  * @param {string} query - Search query
+ * @param {string} parentPageId - Optional page the query refines (follow-up)
  */
-export function navigateToQuery(query) {
-  updateUrl({ q: query });
+export function navigateToQuery(query, parentPageId = null) {
+  updateUrl({ q: query, parent: parentPageId });
   window.dispatchEvent(new CustomEvent('adaptive-navigate', {
-    detail: { mode: 'generate', query },
+    detail: { mode: 'generate', query, parentPageId },
   }));
 }
 
@@ -25,6 +25,7 @@ import {
   updatePageImages,
 } from './page-renderer.js';
 import { getSuggestedTopics } from './supabase-client.js';
+import { trackEngagement } from './engagement.js';
 
 /**
  * Check if page data uses the flexible pipeline (has layout_blocks)
@@ -43,6 +44,7 @@ function isFlexiblePipeline(pageData) {
 async function renderPage(pageData, main) {
   if (isFlexiblePipeline(pageData)) {
     await renderFlexiblePage(pageData, main);
+    if (!isDemoMode()) trackEngagement(pageData, main);
   } else {
     await renderGeneratedPage(pageData, main);
   }
@@ -335,7 +337,7 @@ async function handleAdaptivePage(main) {
           pageData = getMockPageData(params.q);
         } else {
           // Pass progress callback for real-time updates
-          pageData = await generatePage(params.q, updateProgress);
+          pageData = await generatePage(params.q, updateProgress, params.parent);
         }
 
         // Render the generated content (auto-detects flexible vs legacy pipeline)
@@ -542,7 +544,9 @@ function setupNavigation(main) {
 
   // Handle custom navigation events
   window.addEventListener('adaptive-navigate', async (e) => {
-    const { mode, query, pageId } = e.detail;
+    const {
+      mode, query, pageId, parentPageId,
+    } = e.detail;
 
     try {
       switch (mode) {
@@ -553,7 +557,7 @@ function setupNavigation(main) {
             await new Promise((resolve) => { setTimeout(resolve, 1500); });
             newPage = getMockPageData(query);
           } else {
-            newPage = await generatePage(query, updateProgress);
+            newPage = await generatePage(query, updateProgress, parentPageId);
           }
           await renderPage(newPage, main);
           // Trigger image generation if needed
@@ -603,7 +607,9 @@ function setupNavigation(main) {
   });
 
   // Handle browser back/forward
-  onPopState(async ({ mode, id, q }) => {
+  onPopState(async ({
+    mode, id, q, parent,
+  }) => {
     try {
       if (mode === 'generate' && q) {
         const updateProgress = renderProgressLoading(main);
@@ -612,7 +618,7 @@ function setupNavigation(main) {
           await new Promise((resolve) => { setTimeout(resolve, 1500); });
           pageData = getMockPageData(q);
         } else {
-          pageData = await generatePage(q, updateProgress);
+          pageData = await generatePage(q, updateProgress, parent);
         }
         await renderPage(pageData, main);
         // Trigger image generation if needed
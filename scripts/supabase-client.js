@@ -81,6 +81,7 @@ export async function getHistory(limit = 20) {
       id,
       query,
       page_id,
+      parent_page_id,
       created_at,
       generated_pages (
         id,
@@ -102,8 +103,9 @@ export async function getHistory(limit = 20) {
  * Add entry to search history
  * @param {string} query - Search query
  * @param {string} pageId - Generated page ID
+ * @param {string} parentPageId - Page a follow-up query refined (null for a new thread)
  */
-export async function addToHistory(query, pageId) {
+export async function addToHistory(query, pageId, parentPageId = null) {
   const client = await getClient();
   const sessionId = getSessionId();
 
@@ -113,6 +115,7 @@ export async function addToHistory(query, pageId) {
       session_id: sessionId,
       query,
       page_id: pageId,
+      parent_page_id: parentPageId,
     });
 
   if (error) {
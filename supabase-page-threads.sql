@@ -0,0 +1,6 @@
+-- Add follow-up threads to search history (parent_page_id, read and written by
+-- scripts/supabase-client.js) on databases created before it was in supabase-schema.sql
+-- Run this in Supabase SQL Editor
+
+ALTER TABLE search_history
+  ADD COLUMN IF NOT EXISTS parent_page_id UUID REFERENCES generated_pages(id) ON DELETE SET NULL;
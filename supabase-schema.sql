@@ -35,10 +35,15 @@ CREATE TABLE IF NOT EXISTS search_history (
   id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
   session_id UUID NOT NULL,
   page_id UUID REFERENCES generated_pages(id) ON DELETE CASCADE,
+  parent_page_id UUID REFERENCES generated_pages(id) ON DELETE SET NULL, -- set for follow-up refinements
   query TEXT NOT NULL,
   created_at TIMESTAMPTZ DEFAULT now()
 );
 
+-- Databases created before follow-up threads (see supabase-page-threads.sql)
+ALTER TABLE search_history
+  ADD COLUMN IF NOT EXISTS parent_page_id UUID REFERENCES generated_pages(id) ON DELETE SET NULL;
+
 -- Index for faster session lookups
 CREATE INDEX IF NOT EXISTS idx_history_session ON search_history(session_id, created_at DESC);
 
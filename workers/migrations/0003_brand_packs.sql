@@ -0,0 +1,21 @@
+-- Brand packs: catalog, voice, product URL map, classifier vocabulary and image style per brand
+-- The built-in Vitamix pack (src/lib/vitamix-brand-pack.js) is used when no row matches.
+-- config holds the pack JSON in the same shape as the built-in pack; missing sections fall back
+-- to brand-neutral defaults. Add a pack with:
+--   wrangler d1 execute adaptive-web-db --remote --command \
+--     "INSERT INTO brand_packs (id, name, hostnames, config, created_at, updated_at) VALUES (...)"
+
+CREATE TABLE IF NOT EXISTS brand_packs (
+  id TEXT PRIMARY KEY,               -- Brand id, selected with "brand" in request bodies
+  name TEXT NOT NULL,
+  hostnames TEXT,                    -- JSON array of site hostnames that select this pack
+  config TEXT NOT NULL,              -- JSON brand pack
+  active INTEGER DEFAULT 1,
+  created_at TEXT,
+  updated_at TEXT
+);
+
+-- Pages are cached per brand
+ALTER TABLE generated_pages ADD COLUMN brand_id TEXT DEFAULT 'vitamix';
+
+CREATE INDEX IF NOT EXISTS idx_pages_brand_query ON generated_pages(brand_id, query);
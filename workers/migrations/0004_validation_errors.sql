@@ -0,0 +1,4 @@
+-- Record content atom schema errors per page (see src/lib/atom-validation.js)
+-- JSON array of { index, type, errors, resolution: 'coerced' | 'repaired' | 'dropped' }, NULL when all atoms were valid
+
+ALTER TABLE generated_pages ADD COLUMN validation_errors TEXT;
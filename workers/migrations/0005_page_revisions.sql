@@ -0,0 +1,20 @@
+-- Page revisions: content changes to a generated page (e.g. block regeneration) are kept as
+-- numbered snapshots
+-- generated_pages.revision is the current revision number; page_revisions holds the history.
+-- Pages created before this migration get their revision 1 snapshot on their first change.
+
+CREATE TABLE IF NOT EXISTS page_revisions (
+  id TEXT PRIMARY KEY,
+  page_id TEXT NOT NULL,
+  revision INTEGER NOT NULL,
+  reason TEXT NOT NULL,              -- 'initial_generation' | 'block_regeneration'
+  details TEXT,                      -- JSON, e.g. { block_index, block_type, instruction }
+  content_atoms TEXT,                -- JSON snapshot
+  layout_blocks TEXT,                -- JSON snapshot
+  metadata TEXT,                     -- JSON snapshot
+  created_at TEXT,
+  UNIQUE (page_id, revision),
+  FOREIGN KEY (page_id) REFERENCES generated_pages(id)
+);
+
+ALTER TABLE generated_pages ADD COLUMN revision INTEGER DEFAULT 1;
@@ -0,0 +1,8 @@
+-- Follow-up refinements ("same page but vegan"): a page generated from another page links to it
+-- Pages and history entries with the same parent form a thread; NULL for standalone queries.
+-- Refined pages never serve as the query cache for a standalone query.
+
+ALTER TABLE generated_pages ADD COLUMN parent_page_id TEXT;
+ALTER TABLE search_history ADD COLUMN parent_page_id TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_pages_parent ON generated_pages(parent_page_id);
@@ -0,0 +1,7 @@
+-- Full revision history for generated pages (see 0005_page_revisions.sql)
+-- Every insert and update of a page now appends a revision; reasons:
+-- 'initial_generation' | 'image_fill' | 'block_regeneration' | 'admin_edit' | 'rollback'
+-- Legacy-pipeline pages keep their content in hero/features, so snapshot those too.
+
+ALTER TABLE page_revisions ADD COLUMN hero TEXT;      -- JSON snapshot
+ALTER TABLE page_revisions ADD COLUMN features TEXT;  -- JSON snapshot
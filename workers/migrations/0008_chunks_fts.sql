@@ -0,0 +1,28 @@
+-- Keyword index over RAG chunks for hybrid (lexical + vector) retrieval
+-- External-content FTS5 table: text lives in vitamix_chunks, triggers keep the index in sync
+-- porter stemming matches plurals ("blenders"); model numbers like "A2300" stay single tokens
+
+CREATE VIRTUAL TABLE IF NOT EXISTS vitamix_chunks_fts USING fts5(
+  content,
+  content = 'vitamix_chunks',
+  content_rowid = 'rowid',
+  tokenize = 'porter unicode61'
+);
+
+CREATE TRIGGER IF NOT EXISTS vitamix_chunks_fts_insert AFTER INSERT ON vitamix_chunks BEGIN
+  INSERT INTO vitamix_chunks_fts(rowid, content) VALUES (new.rowid, new.content);
+END;
+
+CREATE TRIGGER IF NOT EXISTS vitamix_chunks_fts_delete AFTER DELETE ON vitamix_chunks BEGIN
+  INSERT INTO vitamix_chunks_fts(vitamix_chunks_fts, rowid, content)
+  VALUES ('delete', old.rowid, old.content);
+END;
+
+CREATE TRIGGER IF NOT EXISTS vitamix_chunks_fts_update AFTER UPDATE OF content ON vitamix_chunks BEGIN
+  INSERT INTO vitamix_chunks_fts(vitamix_chunks_fts, rowid, content)
+  VALUES ('delete', old.rowid, old.content);
+  INSERT INTO vitamix_chunks_fts(rowid, content) VALUES (new.rowid, new.content);
+END;
+
+-- Index the chunks crawled before this migration
+INSERT INTO vitamix_chunks_fts(vitamix_chunks_fts) VALUES ('rebuild');
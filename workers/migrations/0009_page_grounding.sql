@@ -0,0 +1,7 @@
+-- Record the grounding check of generated pages (see src/lib/grounding.js)
+-- grounding: JSON { score, checked, supported, corrected, removed, marked, claims }, where claims
+-- lists every claim the reference data did not support; NULL when the page had no claims to check
+-- grounding_score: share of checked claims that were supported (0-1), for reporting queries
+
+ALTER TABLE generated_pages ADD COLUMN grounding TEXT;
+ALTER TABLE generated_pages ADD COLUMN grounding_score REAL;
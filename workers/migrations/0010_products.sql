@@ -0,0 +1,24 @@
+-- Structured product catalog, one row per model (see src/lib/product-catalog.js)
+-- Filled by scripts/crawl-vitamix.js from product pages and their JSON-LD; comparison,
+-- specs-table and product-detail atoms take prices and specs from here
+
+CREATE TABLE IF NOT EXISTS products (
+  brand_id TEXT NOT NULL DEFAULT 'vitamix',
+  model TEXT NOT NULL,                -- Model number, e.g. "A3500"
+  name TEXT,                          -- Product name from JSON-LD or the page title
+  series TEXT,                        -- e.g. "Ascent"
+  sku TEXT,
+  price REAL,
+  currency TEXT,
+  motor TEXT,                         -- e.g. "2.2 HP"
+  container_sizes TEXT,               -- JSON array, largest first, e.g. ["64 oz", "48 oz"]
+  warranty TEXT,                      -- e.g. "10 years"
+  programs TEXT,                      -- JSON array of built-in program names
+  image_ids TEXT,                     -- JSON array of vitamix_images ids
+  url TEXT,                           -- Canonical product URL
+  source_id TEXT,                     -- vitamix_sources row the facts were crawled from
+  updated_at TEXT,
+  PRIMARY KEY (brand_id, model)
+);
+
+CREATE INDEX IF NOT EXISTS idx_products_series ON products(brand_id, series);
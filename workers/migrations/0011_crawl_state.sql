@@ -0,0 +1,10 @@
+-- Crawl state for incremental crawling (scripts/crawl-vitamix.js --incremental)
+-- Sources keep their HTTP validators, sitemap date and content hash so unchanged pages are
+-- skipped; chunks keep a content hash so only changed chunks are re-embedded
+
+ALTER TABLE vitamix_sources ADD COLUMN etag TEXT;            -- ETag response header
+ALTER TABLE vitamix_sources ADD COLUMN last_modified TEXT;   -- Last-Modified response header
+ALTER TABLE vitamix_sources ADD COLUMN sitemap_lastmod TEXT; -- Sitemap <lastmod> (ISO date)
+ALTER TABLE vitamix_sources ADD COLUMN content_hash TEXT;    -- SHA-256 of the extracted page
+
+ALTER TABLE vitamix_chunks ADD COLUMN content_hash TEXT;     -- SHA-256 of the chunk text
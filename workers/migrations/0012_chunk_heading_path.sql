@@ -0,0 +1,5 @@
+-- Section of a RAG chunk within its page (see src/lib/chunking.js)
+-- heading_path: JSON array of the headings above the chunk, outermost first,
+-- e.g. ["Vitamix A3500", "Specifications"]; NULL for chunks crawled before section chunking
+
+ALTER TABLE vitamix_chunks ADD COLUMN heading_path TEXT;
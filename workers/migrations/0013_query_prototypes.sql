@@ -0,0 +1,60 @@
+-- Labelled prototype queries for the embedding query classifier (see src/lib/query-classifier.js)
+-- A query is scored per label by its similarity to the label's prototypes; embeddings are
+-- computed by the worker the first time a brand's prototypes are loaded, and again whenever a
+-- row's embedding is reset to NULL. Add prototypes with:
+--   wrangler d1 execute adaptive-web-db --remote --command \
+--     "INSERT INTO query_prototypes (id, brand_id, query, labels) VALUES (...)"
+
+CREATE TABLE IF NOT EXISTS query_prototypes (
+  id TEXT PRIMARY KEY,
+  brand_id TEXT NOT NULL DEFAULT 'vitamix',
+  query TEXT NOT NULL,
+  labels TEXT NOT NULL,              -- JSON array of query types, e.g. ["product", "recipe"]
+  embedding TEXT,                    -- JSON array (768 floats), NULL until embedded
+  created_at TEXT DEFAULT (datetime('now'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_query_prototypes_brand ON query_prototypes(brand_id);
+
+INSERT OR IGNORE INTO query_prototypes (id, brand_id, query, labels) VALUES
+  ('vitamix-product-01', 'vitamix', 'which vitamix should I buy', '["product"]'),
+  ('vitamix-product-02', 'vitamix', 'compare all vitamix blender models', '["product"]'),
+  ('vitamix-product-03', 'vitamix', 'ascent series vs explorian series', '["product"]'),
+  ('vitamix-product-04', 'vitamix', 'best blender for a large family', '["product"]'),
+  ('vitamix-product-05', 'vitamix', 'vitamix blenders on sale under 400 dollars', '["product"]'),
+  ('vitamix-product-06', 'vitamix', 'what is the best blender for smoothies', '["product", "recipe"]'),
+  ('vitamix-product-07', 'vitamix', 'which container size do I need', '["product"]'),
+  ('vitamix-single-product-01', 'vitamix', 'tell me about the A3500', '["single_product"]'),
+  ('vitamix-single-product-02', 'vitamix', 'E310 specs and price', '["single_product"]'),
+  ('vitamix-single-product-03', 'vitamix', 'is the A2500 worth it', '["single_product"]'),
+  ('vitamix-single-product-04', 'vitamix', 'Professional Series 750 review', '["single_product"]'),
+  ('vitamix-single-product-05', 'vitamix', 'A3500 vs A2500', '["product", "single_product"]'),
+  ('vitamix-recipe-01', 'vitamix', 'healthy smoothie recipes', '["recipe"]'),
+  ('vitamix-recipe-02', 'vitamix', 'vegan soup ideas for winter', '["recipe"]'),
+  ('vitamix-recipe-03', 'vitamix', 'what can I make with frozen fruit', '["recipe"]'),
+  ('vitamix-recipe-04', 'vitamix', 'high protein breakfast blends', '["recipe"]'),
+  ('vitamix-recipe-05', 'vitamix', 'nut butter and dip recipes', '["recipe"]'),
+  ('vitamix-recipe-06', 'vitamix', 'kid friendly frozen desserts', '["recipe"]'),
+  ('vitamix-single-recipe-01', 'vitamix', 'green smoothie recipe with spinach and banana', '["single_recipe"]'),
+  ('vitamix-single-recipe-02', 'vitamix', 'how to make tomato soup in a vitamix', '["single_recipe"]'),
+  ('vitamix-single-recipe-03', 'vitamix', 'homemade almond milk', '["single_recipe"]'),
+  ('vitamix-single-recipe-04', 'vitamix', 'classic hummus recipe', '["single_recipe"]'),
+  ('vitamix-single-recipe-05', 'vitamix', 'banana nice cream', '["single_recipe"]'),
+  ('vitamix-blog-01', 'vitamix', 'tips for reducing food waste in the kitchen', '["blog"]'),
+  ('vitamix-blog-02', 'vitamix', 'benefits of whole food nutrition', '["blog"]'),
+  ('vitamix-blog-03', 'vitamix', 'meal prep ideas for a busy week', '["blog", "recipe"]'),
+  ('vitamix-blog-04', 'vitamix', 'how to eat more vegetables', '["blog"]'),
+  ('vitamix-blog-05', 'vitamix', 'guide to plant based eating', '["blog"]'),
+  ('vitamix-support-01', 'vitamix', 'my blender smells like burning', '["support"]'),
+  ('vitamix-support-02', 'vitamix', 'how do I clean the container', '["support"]'),
+  ('vitamix-support-03', 'vitamix', 'vitamix warranty claim', '["support"]'),
+  ('vitamix-support-04', 'vitamix', 'blade assembly is leaking', '["support"]'),
+  ('vitamix-support-05', 'vitamix', 'where is the user manual for my model', '["support"]'),
+  ('vitamix-support-06', 'vitamix', 'container will not detect on the base', '["support", "single_product"]'),
+  ('vitamix-commercial-01', 'vitamix', 'blenders for a restaurant kitchen', '["commercial"]'),
+  ('vitamix-commercial-02', 'vitamix', 'quiet blender for a coffee shop', '["commercial"]'),
+  ('vitamix-commercial-03', 'vitamix', 'high volume smoothie bar equipment', '["commercial"]'),
+  ('vitamix-commercial-04', 'vitamix', 'nsf certified blending station', '["commercial"]'),
+  ('vitamix-general-01', 'vitamix', 'what is vitamix', '["general"]'),
+  ('vitamix-general-02', 'vitamix', 'where are vitamix blenders made', '["general"]'),
+  ('vitamix-general-03', 'vitamix', 'vitamix company history', '["general"]');
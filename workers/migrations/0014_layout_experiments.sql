@@ -0,0 +1,48 @@
+-- Layout A/B experiments (see src/lib/experiments.js)
+-- An experiment tests layout variants for one query classification bucket ("product", "recipe",
+-- ...); a session gets one variant per experiment and the assignment is stored on the page.
+-- Start or stop an experiment with:
+--   wrangler d1 execute adaptive-web-db --remote --command \
+--     "UPDATE layout_experiments SET status = 'stopped' WHERE id = '...'"
+
+CREATE TABLE IF NOT EXISTS layout_experiments (
+  id TEXT PRIMARY KEY,
+  brand_id TEXT NOT NULL DEFAULT 'vitamix',
+  bucket TEXT NOT NULL,              -- Query classification type the experiment applies to
+  description TEXT,
+  variants TEXT NOT NULL,            -- JSON array of { id, weight, prefer: [block types], avoid: [block types] }
+  status TEXT NOT NULL DEFAULT 'running', -- 'running' | 'stopped'
+  created_at TEXT DEFAULT (datetime('now'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_layout_experiments_bucket ON layout_experiments(brand_id, bucket, status);
+
+-- experiment: JSON { experiment_id, bucket, variant, prefer, avoid, atoms }, NULL outside experiments
+-- experiment_id / experiment_variant: copies for reporting queries
+ALTER TABLE generated_pages ADD COLUMN experiment TEXT;
+ALTER TABLE generated_pages ADD COLUMN experiment_id TEXT;
+ALTER TABLE generated_pages ADD COLUMN experiment_variant TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_pages_experiment ON generated_pages(experiment_id, experiment_variant);
+
+-- Engagement events of rendered pages: view, scroll_depth (value: 0-1), cta_click (detail: block
+-- type), follow_up (a refinement of the page was requested)
+CREATE TABLE IF NOT EXISTS page_events (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  page_id TEXT NOT NULL,
+  session_id TEXT NOT NULL,
+  type TEXT NOT NULL,
+  value REAL,
+  detail TEXT,
+  experiment_id TEXT,                -- Copied from the page, NULL outside experiments
+  variant TEXT,
+  created_at TEXT DEFAULT (datetime('now'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_page_events_page ON page_events(page_id, session_id);
+CREATE INDEX IF NOT EXISTS idx_page_events_experiment ON page_events(experiment_id, variant);
+
+INSERT OR IGNORE INTO layout_experiments (id, brand_id, bucket, description, variants) VALUES
+  ('vitamix-product-chooser', 'vitamix', 'product',
+   'Which blender should I buy: interactive guide vs comparison cards',
+   '[{"id": "interactive-guide", "weight": 1, "prefer": ["interactive-guide"], "avoid": ["comparison-cards"]}, {"id": "comparison-cards", "weight": 1, "prefer": ["comparison-cards"], "avoid": ["interactive-guide"]}]');
@@ -0,0 +1,8 @@
+-- Block-level engagement events (see src/lib/page-events.js): the renderer reports block
+-- impressions and interactions (FAQ expands, comparison selections, guide tab switches, queries
+-- generated from buttons) with the block they happened in
+
+ALTER TABLE page_events ADD COLUMN block_type TEXT;
+ALTER TABLE page_events ADD COLUMN block_index INTEGER;
+
+CREATE INDEX IF NOT EXISTS idx_page_events_block ON page_events(block_type, type, created_at);
@@ -0,0 +1,22 @@
+-- Reader feedback on generated pages (see src/page-feedback.js): thumbs up/down and free-text
+-- reports on a page or one of its blocks, reviewed by an operator in the review queue
+
+CREATE TABLE IF NOT EXISTS page_feedback (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  page_id TEXT NOT NULL,
+  block_index INTEGER,               -- Index in layout_blocks, NULL for the whole page
+  block_type TEXT,
+  session_id TEXT NOT NULL,
+  rating INTEGER,                    -- 1 (thumbs up), -1 (thumbs down), NULL for a report only
+  comment TEXT,                      -- Free-text report, NULL for a rating only
+  status TEXT NOT NULL DEFAULT 'open', -- 'open' | 'resolved'
+  resolution TEXT,                   -- 'invalidated' | 'regenerated' | 'dismissed'
+  resolved_at TEXT,
+  created_at TEXT DEFAULT (datetime('now'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_page_feedback_page ON page_feedback(page_id, block_index);
+CREATE INDEX IF NOT EXISTS idx_page_feedback_status ON page_feedback(status, created_at);
+
+-- Set when an operator takes a page out of the query cache; the page itself stays readable
+ALTER TABLE generated_pages ADD COLUMN cache_invalidated_at TEXT;
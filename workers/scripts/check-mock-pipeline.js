@@ -0,0 +1,65 @@
+#!/usr/bin/env node
+/**
+ * Mock pipeline check
+ * Run with: npm test (node scripts/check-mock-pipeline.js)
+ *
+ * Runs the flexible page pipeline offline against the mock LLM provider:
+ * - generateContentAtoms for a guide query and a comparison query
+ * - selectLayout on the generated atoms, with the layout chosen by the provider
+ *
+ * Needs no bindings, secrets or network: retrieval is skipped without a database,
+ * and every completion is served from src/lib/mock-fixtures.js.
+ * Exits non-zero on the first failed check.
+ */
+
+import assert from 'assert/strict';
+import { generateContentAtoms } from '../src/lib/claude.js';
+import { selectLayout } from '../src/lib/layout-rules.js';
+import { getLLMProvider } from '../src/lib/llm-provider.js';
+
+const env = { LLM_PROVIDER: 'mock', LAYOUT_SELECTOR: 'gemini' };
+
+const CASES = [
+  { query: 'green smoothie tips', contentType: 'guide' },
+  { query: 'compare A3500 vs E310', contentType: 'comparison' },
+];
+
+async function checkQuery({ query, contentType: expectedType }) {
+  const provider = getLLMProvider(env);
+  assert.equal(provider.name, 'mock', 'LLM_PROVIDER=mock should select the mock provider');
+
+  const content = await generateContentAtoms(query, provider, { env });
+  const {
+    contentAtoms, contentType, metadata, layoutBlocks, experiment, validationErrors,
+  } = content;
+
+  assert.equal(contentType, expectedType, 'content type');
+  assert.ok(contentAtoms.length > 0, 'content atoms should not be empty');
+  assert.deepEqual(validationErrors, [], 'fixture atoms should validate');
+  assert.ok(metadata.title, 'metadata should have a title');
+  if (expectedType === 'comparison') {
+    assert.ok(contentAtoms.some((a) => a.type === 'comparison'), 'comparison atom missing');
+  }
+
+  const layout = await selectLayout({
+    contentAtoms, contentType, metadata, query, layoutBlocks, experiment, env,
+  });
+
+  assert.equal(layout.source, 'mock', 'layout should come from the mock provider');
+  assert.ok(layout.blocks.length > 0, 'layout should have blocks');
+  layout.blocks.forEach((block) => {
+    assert.ok(block.block_type, 'every block needs a block_type');
+  });
+
+  console.log(`ok - "${query}": ${contentAtoms.length} atoms, ${layout.blocks.length} blocks`);
+}
+
+async function main() {
+  await CASES.reduce((prev, testCase) => prev.then(() => checkQuery(testCase)), Promise.resolve());
+  console.log(`\nMock pipeline check passed (${CASES.length} queries)`);
+}
+
+main().catch((error) => {
+  console.error('Mock pipeline check failed:', error);
+  process.exit(1);
+});
@@ -1,141 +1,380 @@
 #!/usr/bin/env node
 /**
- * Vitamix Website Crawler
+ * Website Crawler
  *
- * Crawls vitamix.com to build a comprehensive RAG database:
+ * Crawls a brand site (vitamix.com by default) to build a comprehensive RAG database:
  * 1. Fetches URLs from sitemaps
  * 2. Extracts content and images from each page
  * 3. Uploads images to R2
- * 4. Stores page content in D1
+ * 4. Stores page content (and product facts, see src/lib/product-catalog.js) in D1
  * 5. Generates embeddings via Workers AI and stores in Vectorize
  *
+ * Incremental mode (--incremental) only re-processes pages that changed since the last crawl:
+ * - pages whose sitemap <lastmod> is not newer than the stored one are not fetched
+ * - pages are fetched with If-None-Match / If-Modified-Since (304 = unchanged)
+ * - pages whose content hash is unchanged are not re-chunked
+ * - only chunks whose text changed are re-embedded; vectors of removed chunks and pages are deleted
+ *
+ * Progress is checkpointed after every page; --resume continues an interrupted run
+ *
+ * Boilerplate blocks and duplicate chunks are dropped before embedding (src/lib/dedup.js);
+ * the run ends with stats on what was removed
+ *
+ * Every host is crawled politely: robots.txt rules and Crawl-delay are obeyed, requests are
+ * spaced and capped per host, and 429/503 responses slow the host down (see politeFetch)
+ *
+ * Sites are described by config files in scripts/sites/ (see vitamix.json), selected with
+ * --site <name> (or a path to a JSON file):
+ * - id, name, brandPack: site id, display name and the brand pack used for product facts
+ * - sitemaps; urlPatterns.include / .exclude: regular expressions (case-insensitive) on URLs
+ * - contentTypes: URL path fragments by content type (default: src/lib/chunk-metadata.js)
+ * - selectors: remove, main, recipeIngredients, recipeInstructions, price, sku
+ * - images.hosts: hosts images may come from; images.r2Prefix: R2 key prefix
+ * - targets: accountId, workerUrl, d1 { database, databaseId }, r2 { bucket, publicUrl }; a D1
+ *   database other than the Worker's must be declared in wrangler.toml for wrangler to reach it
+ *
+ * Sites crawled through the same Worker share its retrieval data: vectors go to its one
+ * Vectorize index (VECTORIZE) and pages to its D1 tables, neither of which records the site,
+ * so retrieval searches every site crawled into it. Give a site its own workerUrl (a Worker
+ * deployed with its own index and database) to keep it apart
+ *
  * Usage:
- *   node scripts/crawl-vitamix.js [--dry-run] [--limit N] [--skip-images] [--start-from N]
+ *   node scripts/crawl-vitamix.js [--site vitamix] [--dry-run] [--limit N] [--skip-images]
+ *     [--start-from N] [--incremental] [--resume]
  */
 
 import { JSDOM } from 'jsdom';
 import { v4 as uuidv4 } from 'uuid';
 import { execSync } from 'child_process';
+import { createHash } from 'crypto';
 import fs from 'fs';
 import path from 'path';
-
-// Configuration
+import { fileURLToPath } from 'url';
+import {
+  buildChunkMetadata, getContentType, getPageType, DEFAULT_CONTENT_TYPE_PATTERNS,
+} from '../src/lib/chunk-metadata.js';
+import { chunkBlocks, extractBlocks } from '../src/lib/chunking.js';
+import { extractProductFacts } from '../src/lib/product-catalog.js';
+import { extractStructuredData } from '../src/lib/structured-data.js';
+import { getRobotsRules, isAllowed, parseRobots } from '../src/lib/robots.js';
+import { createDeduplicator } from '../src/lib/dedup.js';
+import { DEFAULT_BRAND_PACK, normalizeBrandPack } from '../src/lib/brand-pack.js';
+
+const SCRIPTS_DIR = path.dirname(fileURLToPath(import.meta.url));
+const WORKERS_DIR = path.dirname(SCRIPTS_DIR);
+
+// Configuration (site-specific settings come from the site config, see loadSiteConfig)
 const CONFIG = {
-  sitemaps: [
-    'https://www.vitamix.com/us/en_us.sitemap.xml',
-    'https://www.vitamix.com/media/en_us.magento_sitemap.xml',
-    'https://www.vitamix.com/us/en_us/products/sitemap.xml'
-  ],
-  // Only crawl US English pages
-  urlPatterns: {
-    include: [/\/us\/en_us\//],
-    exclude: [
-      /\.(pdf|zip|xml)$/i,
-      /\/checkout\//,
-      /\/cart\//,
-      /\/account\//,
-      /\/search/,
-      /\/wishlist\//,
-      /\/compare\//,
-      /\/review\//,
-      /login/,
-      /register/,
-      /forgot-password/
-    ]
-  },
-  // Rate limiting
-  requestDelay: 100, // ms between requests (reduced for speed)
-  batchSize: 20,     // pages per batch
+  // Politeness, per host (robots.txt Crawl-delay raises requestDelay)
+  userAgent: 'Mozilla/5.0 (compatible; VitamixCrawler/1.0; +https://adaptive-web.paolo-moz.workers.dev)',
+  robotsAgent: 'VitamixCrawler', // Product token matched against robots.txt user-agent lines
+  requestDelay: 100, // Min ms between request starts
+  maxConcurrencyPerHost: 2, // Requests in flight
+  backoff: { initial: 2000, max: 60000, retries: 4 }, // On 429/503 (ms; honours Retry-After)
+  batchSize: 20, // pages per batch
   // Image settings
   imageMinSize: 5000, // Skip tiny images (< 5KB)
   imageMaxSize: 10 * 1024 * 1024, // Skip huge images (> 10MB)
-  // Chunking
-  chunkSize: 800,    // Characters per chunk
-  chunkOverlap: 150, // Overlap between chunks
+  // Chunking (along page sections, see src/lib/chunking.js)
+  chunkSize: 800, // Max characters per chunk
+  chunkOverlap: 150, // Overlap between the pieces of an oversized paragraph
+  // Removed-page cleanup is skipped if the sitemaps miss more than this share of known pages
+  maxRemovedShare: 0.2,
+  // Ingest deduplication (see src/lib/dedup.js)
+  dedup: {
+    boilerplateMinPages: 3, // Pages a block must appear on to be dropped as boilerplate
+    nearDuplicateThreshold: 0.85, // Estimated shingle similarity of near-duplicate chunks
+  },
 };
 
-// Cloudflare configuration
-const CF_ACCOUNT_ID = '2760892a9c26d2a6fd962120dfda1496';
-const CF_DATABASE_ID = '407328db-b252-428f-b412-0f902bfd8fdb';
-const R2_BUCKET = 'adaptive-web-images';
-const R2_PUBLIC_URL = 'https://pub-c0f8ca67ffd34c6d9a09360b16e75261.r2.dev';
-const WORKER_URL = 'https://adaptive-web-api.paolo-moz.workers.dev';
-
 // Parse command line arguments
 const args = process.argv.slice(2);
 const DRY_RUN = args.includes('--dry-run');
 const SKIP_IMAGES = args.includes('--skip-images');
 const LIMIT = args.includes('--limit')
-  ? parseInt(args[args.indexOf('--limit') + 1])
+  ? parseInt(args[args.indexOf('--limit') + 1], 10)
   : null;
 const START_FROM = args.includes('--start-from')
-  ? parseInt(args[args.indexOf('--start-from') + 1])
+  ? parseInt(args[args.indexOf('--start-from') + 1], 10)
   : 0;
+const INCREMENTAL = args.includes('--incremental');
+const RESUME = args.includes('--resume');
+const SITE_NAME = args.includes('--site')
+  ? args[args.indexOf('--site') + 1]
+  : 'vitamix';
+
+/**
+ * Load and check a site config
+ * @param {string} name - Config name in scripts/sites/, or a path to a JSON file
+ * @returns {object} Site config with compiled URL patterns and defaults filled in
+ */
+function loadSiteConfig(name) {
+  const file = name.endsWith('.json')
+    ? path.resolve(name)
+    : path.join(SCRIPTS_DIR, 'sites', `${name}.json`);
+  const site = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+  const required = ['id', 'targets.workerUrl', 'targets.d1.database', 'targets.r2.bucket', 'targets.r2.publicUrl'];
+  const missing = required.filter((key) => !key.split('.').reduce((value, part) => value?.[part], site));
+  if (!site.sitemaps?.length) missing.push('sitemaps');
+  if (missing.length > 0) {
+    throw new Error(`Site config ${file} is missing ${missing.join(', ')}`);
+  }
+
+  const toRegExps = (patterns = []) => patterns.map((pattern) => new RegExp(pattern, 'i'));
+  return {
+    ...site,
+    urlPatterns: {
+      include: toRegExps(site.urlPatterns?.include || ['.']),
+      exclude: toRegExps(site.urlPatterns?.exclude),
+    },
+    contentTypes: site.contentTypes || DEFAULT_CONTENT_TYPE_PATTERNS,
+    selectors: {
+      remove: 'nav, footer, header, script, style, noscript, iframe',
+      main: 'main, article, [role="main"]',
+      ...site.selectors,
+    },
+    images: {
+      hosts: [new URL(site.sitemaps[0]).hostname],
+      r2Prefix: site.id,
+      ...site.images,
+    },
+  };
+}
+
+const SITE = loadSiteConfig(SITE_NAME);
+const WORKER_URL = SITE.targets.workerUrl;
+
+// Crawl progress, for --resume (one checkpoint per site)
+const CHECKPOINT_FILE = path.join(SCRIPTS_DIR, `.crawl-checkpoint-${SITE.id}.json`);
 
-console.log('=== Vitamix Crawler Configuration ===');
+// Brand pack for product facts, loaded at the start of the crawl (null: no product catalog)
+let brandPack = null;
+
+// Boilerplate and duplicate detection across the pages of this run
+const deduplicator = createDeduplicator(CONFIG.dedup);
+
+// wrangler runs from the workers directory, against the site's Cloudflare account
+const WRANGLER_OPTIONS = {
+  cwd: WORKERS_DIR,
+  stdio: 'pipe',
+  env: SITE.targets.accountId
+    ? { ...process.env, CLOUDFLARE_ACCOUNT_ID: SITE.targets.accountId }
+    : process.env,
+};
+
+console.log('=== Crawler Configuration ===');
+console.log(`Site: ${SITE.name || SITE.id}`);
 console.log(`Dry run: ${DRY_RUN}`);
 console.log(`Skip images: ${SKIP_IMAGES}`);
 console.log(`Limit: ${LIMIT || 'none'}`);
 console.log(`Start from: ${START_FROM}`);
+console.log(`Incremental: ${INCREMENTAL}`);
+console.log(`Resume: ${RESUME}`);
 console.log('');
 
+/**
+ * Per-host politeness: robots.txt rules, request spacing (Crawl-delay), a concurrency cap and
+ * adaptive backoff on 429/503
+ * Every request to a crawled site goes through politeFetch; requests to our Worker do not
+ */
+const hosts = new Map();
+
+const sleep = (ms) => new Promise((resolve) => {
+  setTimeout(resolve, ms);
+});
+
+function getHostState(url) {
+  const { origin } = new URL(url);
+  if (!hosts.has(origin)) {
+    hosts.set(origin, {
+      origin,
+      robots: null, // Promise of { rules, crawlDelay }
+      nextAt: 0, // Earliest start of the next request
+      active: 0, // Requests in flight
+      waiting: [], // Requests waiting for a free slot
+      backoff: 0, // Extra delay after 429/503 responses, halved on every success
+    });
+  }
+  return hosts.get(origin);
+}
+
+/**
+ * Load the robots.txt rules of a host (once per run)
+ * A missing robots.txt allows everything; an unreachable one (5xx, network error) disallows
+ * everything, as RFC 9309 asks
+ */
+function loadRobots(state) {
+  if (!state.robots) {
+    state.robots = (async () => {
+      try {
+        const response = await fetch(`${state.origin}/robots.txt`, {
+          headers: { 'User-Agent': CONFIG.userAgent },
+        });
+        if (response.status >= 500) {
+          console.log(`robots.txt of ${state.origin} returned ${response.status}, not crawling this host`);
+          return { rules: [{ allow: false, path: '/' }], crawlDelay: null };
+        }
+        if (!response.ok) return { rules: [], crawlDelay: null };
+        const rules = getRobotsRules(parseRobots(await response.text()), CONFIG.robotsAgent);
+        console.log(`robots.txt of ${state.origin}: ${rules.rules.length} rules${rules.crawlDelay !== null ? `, crawl-delay ${rules.crawlDelay}s` : ''}`);
+        return rules;
+      } catch (e) {
+        console.log(`robots.txt of ${state.origin} unreachable (${e.message}), not crawling this host`);
+        return { rules: [{ allow: false, path: '/' }], crawlDelay: null };
+      }
+    })();
+  }
+  return state.robots;
+}
+
+/**
+ * Wait for a request slot on a host: below the concurrency cap and past the request spacing
+ */
+async function acquireSlot(state, delay) {
+  if (state.active >= CONFIG.maxConcurrencyPerHost) {
+    await new Promise((resolve) => {
+      state.waiting.push(resolve);
+    });
+  } else {
+    state.active += 1;
+  }
+  // Reserve the start time before waiting, so concurrent requests stay spaced
+  const startAt = Math.max(Date.now(), state.nextAt);
+  state.nextAt = startAt + delay + state.backoff;
+  await sleep(startAt - Date.now());
+}
+
+function releaseSlot(state) {
+  const next = state.waiting.shift();
+  if (next) {
+    next(); // The slot passes to the next waiting request
+  } else {
+    state.active -= 1;
+  }
+}
+
+/**
+ * Delay requested by a Retry-After header (seconds or HTTP date), in ms
+ */
+function parseRetryAfter(value) {
+  if (!value) return 0;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return seconds * 1000;
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? 0 : Math.max(0, date - Date.now());
+}
+
+/**
+ * Fetch a URL of a crawled site politely
+ * @param {string} url - URL to fetch
+ * @param {object} options - fetch options (the crawler's User-Agent is added)
+ * @returns {Promise<Response|null>} Response (the last one if retries ran out), or null when
+ *   robots.txt disallows the URL
+ */
+async function politeFetch(url, options = {}) {
+  const state = getHostState(url);
+  const robots = await loadRobots(state);
+  if (!isAllowed(robots.rules, url)) {
+    return null;
+  }
+  const delay = Math.max(CONFIG.requestDelay, (robots.crawlDelay || 0) * 1000);
+
+  for (let attempt = 0; ; attempt += 1) {
+    await acquireSlot(state, delay);
+    let response;
+    try {
+      response = await fetch(url, {
+        ...options,
+        headers: { 'User-Agent': CONFIG.userAgent, ...options.headers },
+      });
+    } finally {
+      releaseSlot(state);
+    }
+
+    if (response.status !== 429 && response.status !== 503) {
+      state.backoff = state.backoff / 2 < CONFIG.backoff.initial ? 0 : state.backoff / 2;
+      return response;
+    }
+
+    // Slow down the whole host, at least as much as the server asks
+    state.backoff = Math.min(
+      CONFIG.backoff.max,
+      Math.max(state.backoff * 2, CONFIG.backoff.initial, parseRetryAfter(response.headers.get('retry-after'))),
+    );
+    state.nextAt = Math.max(state.nextAt, Date.now() + state.backoff);
+    if (attempt >= CONFIG.backoff.retries) {
+      return response;
+    }
+    console.log(`    ${response.status} from ${state.origin}, backing off ${Math.round(state.backoff / 1000)}s`);
+  }
+}
+
 /**
  * Fetch and parse sitemap XML
+ * @returns {Promise<Array<{url: string, lastmod: string|null}>>} Entries (lastmod as ISO date)
  */
 async function fetchSitemap(url) {
   console.log(`Fetching sitemap: ${url}`);
-  const response = await fetch(url);
+  const response = await politeFetch(url);
+  if (!response?.ok) {
+    throw new Error(`Sitemap ${url} ${response ? `returned ${response.status}` : 'is disallowed by robots.txt'}`);
+  }
   const xml = await response.text();
 
-  // Parse URLs from sitemap
-  const urlMatches = xml.matchAll(/<loc>([^<]+)<\/loc>/g);
-  const urls = [];
-  for (const match of urlMatches) {
-    urls.push(match[1]);
+  // Parse URLs (and their last modification date) from sitemap
+  const entries = [];
+  for (const match of xml.matchAll(/<url>([\s\S]*?)<\/url>/g)) {
+    const loc = match[1].match(/<loc>([^<]+)<\/loc>/)?.[1]?.trim();
+    const lastmod = match[1].match(/<lastmod>([^<]+)<\/lastmod>/)?.[1]?.trim();
+    if (loc) {
+      const date = lastmod ? new Date(lastmod) : null;
+      const valid = date && !Number.isNaN(date.getTime());
+      entries.push({ url: loc, lastmod: valid ? date.toISOString() : null });
+    }
   }
 
-  console.log(`  Found ${urls.length} URLs`);
-  return urls;
+  console.log(`  Found ${entries.length} URLs`);
+  return entries;
 }
 
 /**
- * Filter URLs based on patterns
+ * Filter sitemap entries based on URL patterns
  */
-function filterUrls(urls) {
-  return urls.filter(url => {
+function filterUrls(entries) {
+  return entries.filter(({ url }) => {
     // Must match include pattern
-    const included = CONFIG.urlPatterns.include.some(p => p.test(url));
+    const included = SITE.urlPatterns.include.some((p) => p.test(url));
     if (!included) return false;
 
     // Must not match exclude pattern
-    const excluded = CONFIG.urlPatterns.exclude.some(p => p.test(url));
+    const excluded = SITE.urlPatterns.exclude.some((p) => p.test(url));
     return !excluded;
   });
 }
 
-/**
- * Determine page type from URL
- */
-function getPageType(url) {
-  if (url.includes('/recipes/')) return 'recipe';
-  if (url.includes('/products/')) return 'product';
-  if (url.includes('/shop/')) return 'shop';
-  if (url.includes('/blog/') || url.includes('/articles/')) return 'blog';
-  if (url.includes('/support/') || url.includes('/faq/')) return 'support';
-  if (url.includes('/commercial/')) return 'commercial';
-  return 'page';
-}
-
 /**
  * Extract content and images from a page
+ * @param {string} url - Page URL
+ * @param {object} previous - Stored crawl state of the page, for a conditional request
+ * @returns {Promise<object|null>} Page, { url, notModified: true } on 304,
+ *   { url, disallowed: true } when robots.txt disallows it, or null
  */
-async function crawlPage(url) {
+async function crawlPage(url, previous = null) {
   try {
-    const response = await fetch(url, {
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (compatible; VitamixCrawler/1.0; +https://adaptive-web.paolo-moz.workers.dev)'
-      }
-    });
+    const headers = {};
+    if (previous?.etag) headers['If-None-Match'] = previous.etag;
+    if (previous?.last_modified) headers['If-Modified-Since'] = previous.last_modified;
+
+    const response = await politeFetch(url, { headers });
+
+    if (!response) {
+      return { url, disallowed: true };
+    }
+
+    if (response.status === 304) {
+      return { url, notModified: true };
+    }
 
     if (!response.ok) {
       return null;
@@ -149,19 +388,30 @@ async function crawlPage(url) {
     const title = doc.querySelector('title')?.textContent?.trim() || '';
     const description = doc.querySelector('meta[name="description"]')?.content || '';
     const ogImage = doc.querySelector('meta[property="og:image"]')?.content || '';
+    const canonicalUrl = doc.querySelector('link[rel="canonical"]')?.href || url;
+
+    // Structured data (read before scripts are stripped below)
+    const jsonLd = [];
+    for (const script of doc.querySelectorAll('script[type="application/ld+json"]')) {
+      try {
+        jsonLd.push(JSON.parse(script.textContent));
+      } catch {
+        // Malformed structured data is skipped
+      }
+    }
 
     // Extract main content (remove nav, footer, scripts, etc.)
-    const unwanted = doc.querySelectorAll('nav, footer, header, script, style, noscript, iframe, .cookie-banner, .popup, .modal, #onetrust-banner-sdk');
-    unwanted.forEach(el => el.remove());
+    const unwanted = doc.querySelectorAll(SITE.selectors.remove);
+    unwanted.forEach((el) => el.remove());
 
     // Get main content area
-    const main = doc.querySelector('main, article, .main-content, #main-content, [role="main"]')
-      || doc.body;
+    const mainEl = doc.querySelector(SITE.selectors.main) || doc.body;
 
-    // Extract text content
-    const textContent = main?.textContent
+    // Extract text content, and its headings, paragraphs, lists and tables for chunking
+    const textContent = mainEl?.textContent
       ?.replace(/\s+/g, ' ')
       ?.trim() || '';
+    const blocks = mainEl ? extractBlocks(mainEl) : [];
 
     // Extract images
     const images = [];
@@ -172,8 +422,8 @@ async function crawlPage(url) {
       if (!src) continue;
 
       // Skip tiny/icon images
-      const width = parseInt(img.width) || parseInt(img.getAttribute('width')) || 0;
-      const height = parseInt(img.height) || parseInt(img.getAttribute('height')) || 0;
+      const width = parseInt(img.width, 10) || parseInt(img.getAttribute('width'), 10) || 0;
+      const height = parseInt(img.height, 10) || parseInt(img.getAttribute('height'), 10) || 0;
       if (width > 0 && width < 80) continue;
       if (height > 0 && height < 80) continue;
 
@@ -189,8 +439,9 @@ async function crawlPage(url) {
         continue;
       }
 
-      // Only include vitamix.com images
-      if (!fullUrl.includes('vitamix.com')) continue;
+      // Only include images from the site's hosts
+      const imageHost = new URL(fullUrl).hostname;
+      if (!SITE.images.hosts.some((host) => imageHost === host || imageHost.endsWith(`.${host}`))) continue;
 
       // Get context (surrounding text)
       const parent = img.closest('figure, .product-image, .recipe-image, .card, .hero, section, .product-info');
@@ -201,56 +452,67 @@ async function crawlPage(url) {
         alt: img.alt || '',
         context,
         width,
-        height
+        height,
       });
     }
 
     // Extract structured data if available
-    let metadata = { description };
-    const jsonLd = doc.querySelector('script[type="application/ld+json"]');
-    if (jsonLd) {
-      try {
-        const ld = JSON.parse(jsonLd.textContent);
-        if (ld['@type']) metadata.schemaType = ld['@type'];
-        if (ld.name) metadata.name = ld.name;
-        if (ld.image) metadata.schemaImage = ld.image;
-      } catch {}
+    // Recipe and Product objects are normalized into metadata.recipe / metadata.product
+    const metadata = { description, ...extractStructuredData(jsonLd) };
+    const ld = jsonLd[0];
+    if (ld && !Array.isArray(ld)) {
+      if (ld['@type']) metadata.schemaType = ld['@type'];
+      if (ld.name) metadata.name = ld.name;
+      if (ld.image) metadata.schemaImage = ld.image;
     }
 
-    // Extract recipe-specific data
-    if (url.includes('/recipes/')) {
-      const ingredients = Array.from(doc.querySelectorAll('.recipe-ingredients li, .ingredients li, [itemprop="recipeIngredient"]'))
-        .map(li => li.textContent.trim())
-        .filter(t => t.length > 0);
-      const instructions = Array.from(doc.querySelectorAll('.recipe-instructions li, .instructions li, .directions li, [itemprop="recipeInstructions"]'))
-        .map(li => li.textContent.trim())
-        .filter(t => t.length > 0);
+    const pageType = getContentType(url, SITE.contentTypes);
+
+    // Extract recipe-specific data (markup fallback for pages without Recipe JSON-LD)
+    if (pageType === 'recipe' && !metadata.recipe) {
+      const selectText = (selector) => (selector ? Array.from(doc.querySelectorAll(selector)) : [])
+        .map((li) => li.textContent.trim())
+        .filter((t) => t.length > 0);
+      const ingredients = selectText(SITE.selectors.recipeIngredients);
+      const instructions = selectText(SITE.selectors.recipeInstructions);
 
       if (ingredients.length) metadata.ingredients = ingredients;
       if (instructions.length) metadata.instructions = instructions;
     }
 
     // Extract product-specific data
-    if (url.includes('/products/') || url.includes('/shop/')) {
-      const price = doc.querySelector('.price, .product-price, [data-price], .price-box .price')?.textContent?.trim();
-      const sku = doc.querySelector('[data-sku], .product-sku, [itemprop="sku"]')?.textContent?.trim()
+    const isProductPage = pageType === 'product' || pageType === 'shop';
+    if (isProductPage) {
+      const price = SITE.selectors.price
+        && doc.querySelector(SITE.selectors.price)?.textContent?.trim();
+      const sku = (SITE.selectors.sku && doc.querySelector(SITE.selectors.sku)?.textContent?.trim())
         || doc.querySelector('[data-product-sku]')?.dataset?.productSku;
 
       if (price) metadata.price = price;
       if (sku) metadata.sku = sku;
     }
 
+    // Product facts for the catalog (null unless the page is about a known model)
+    const product = isProductPage && brandPack
+      ? extractProductFacts({
+        url: canonicalUrl, title, content: textContent, jsonLd,
+      }, brandPack)
+      : null;
+
     return {
       url,
-      pageType: getPageType(url),
+      etag: response.headers.get('etag'),
+      lastModified: response.headers.get('last-modified'),
+      pageType,
       title,
       description,
       content: textContent,
+      blocks,
       ogImage,
-      images: [...new Map(images.map(img => [img.sourceUrl, img])).values()], // Dedupe
-      metadata
+      images: [...new Map(images.map((img) => [img.sourceUrl, img])).values()], // Dedupe
+      metadata,
+      product,
     };
-
   } catch (error) {
     console.log(`    Error: ${error.message}`);
     return null;
@@ -265,16 +527,12 @@ async function uploadImageToR2(imageUrl, sourceId) {
 
   try {
     // Fetch image
-    const response = await fetch(imageUrl, {
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (compatible; VitamixCrawler/1.0)'
-      }
-    });
+    const response = await politeFetch(imageUrl);
 
-    if (!response.ok) return null;
+    if (!response?.ok) return null;
 
     const contentType = response.headers.get('content-type') || 'image/jpeg';
-    const contentLength = parseInt(response.headers.get('content-length') || '0');
+    const contentLength = parseInt(response.headers.get('content-length') || '0', 10);
 
     // Skip if too small or too large
     if (contentLength > 0 && contentLength < CONFIG.imageMinSize) return null;
@@ -284,7 +542,7 @@ async function uploadImageToR2(imageUrl, sourceId) {
     const urlPath = new URL(imageUrl).pathname;
     const ext = urlPath.split('.').pop()?.toLowerCase() || 'jpg';
     const imageId = uuidv4();
-    const r2Key = `vitamix/${sourceId}/${imageId}.${ext}`;
+    const r2Key = `${SITE.images.r2Prefix}/${sourceId}/${imageId}.${ext}`;
 
     // Save to temp file
     const tempPath = `/tmp/${imageId}.${ext}`;
@@ -293,10 +551,7 @@ async function uploadImageToR2(imageUrl, sourceId) {
 
     // Upload to R2 via wrangler
     try {
-      execSync(`npx wrangler r2 object put ${R2_BUCKET}/${r2Key} --file="${tempPath}" --content-type="${contentType}" 2>/dev/null`, {
-        cwd: '/Users/paolo/excat/adaptive-web/workers',
-        stdio: 'pipe'
-      });
+      execSync(`npx wrangler r2 object put ${SITE.targets.r2.bucket}/${r2Key} --file="${tempPath}" --content-type="${contentType}" 2>/dev/null`, WRANGLER_OPTIONS);
     } catch (e) {
       fs.unlinkSync(tempPath);
       return null;
@@ -306,50 +561,26 @@ async function uploadImageToR2(imageUrl, sourceId) {
 
     return {
       r2Key,
-      r2Url: `${R2_PUBLIC_URL}/${r2Key}`,
+      r2Url: `${SITE.targets.r2.publicUrl}/${r2Key}`,
       contentType,
-      fileSize: buffer.length
+      fileSize: buffer.length,
     };
-
   } catch (error) {
     return null;
   }
 }
 
 /**
- * Split content into chunks for embedding
+ * Split a page into chunks for embedding, along its sections
+ * @returns {Array<{text: string, index: number, heading_path: string[]}>} Chunks
  */
-function chunkContent(content, title = '', description = '') {
-  // Prepend title and description to improve context
-  const prefix = [title, description].filter(Boolean).join('. ');
-  const fullContent = prefix ? `${prefix}. ${content}` : content;
-
-  const chunks = [];
-  const words = fullContent.split(/\s+/);
-
-  let currentChunk = [];
-  let currentLength = 0;
-
-  for (const word of words) {
-    currentChunk.push(word);
-    currentLength += word.length + 1;
-
-    if (currentLength >= CONFIG.chunkSize) {
-      chunks.push(currentChunk.join(' '));
-
-      // Keep overlap
-      const overlapWords = Math.ceil(CONFIG.chunkOverlap / 5);
-      currentChunk = currentChunk.slice(-overlapWords);
-      currentLength = currentChunk.join(' ').length;
-    }
-  }
-
-  // Add remaining
-  if (currentChunk.length > 10) { // Skip tiny final chunks
-    chunks.push(currentChunk.join(' '));
-  }
-
-  return chunks;
+function chunkContent(page) {
+  return chunkBlocks(page.blocks, {
+    title: page.title,
+    description: page.description,
+    chunkSize: CONFIG.chunkSize,
+    overlap: CONFIG.chunkOverlap,
+  });
 }
 
 /**
@@ -362,7 +593,7 @@ async function generateEmbeddings(texts) {
     const response = await fetch(`${WORKER_URL}/api/embed`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ texts })
+      body: JSON.stringify({ texts }),
     });
 
     if (!response.ok) {
@@ -378,57 +609,175 @@ async function generateEmbeddings(texts) {
   }
 }
 
+// Escape SQL strings
+const esc = (s) => (s ? s.replace(/'/g, "''") : '');
+
+/**
+ * Hash text for change detection
+ */
+function hashContent(text) {
+  return createHash('sha256').update(text).digest('hex');
+}
+
+/**
+ * Run SQL statements against D1 using wrangler
+ */
+function executeD1(sqlStatements) {
+  const sqlFile = `/tmp/vitamix_batch_${Date.now()}.sql`;
+  fs.writeFileSync(sqlFile, sqlStatements.join('\n'));
+
+  try {
+    execSync(`npx wrangler d1 execute ${SITE.targets.d1.database} --remote --file="${sqlFile}"`, WRANGLER_OPTIONS);
+  } catch (e) {
+    // Try to get more info from stderr
+    const stderr = e.stderr?.toString() || '';
+    if (stderr.includes('SQLITE_CONSTRAINT') || stderr.includes('UNIQUE')) {
+      // Ignore duplicate key errors
+    } else if (e.message.includes('Command failed')) {
+      console.log(`    D1: ${stderr.slice(0, 100) || 'error (suppressed)'}`);
+    } else {
+      console.log(`    D1 error: ${e.message}`);
+    }
+  }
+
+  try {
+    fs.unlinkSync(sqlFile);
+  } catch {
+    // Already removed
+  }
+}
+
+/**
+ * Run a read query against D1 using wrangler
+ * @returns {Array} Result rows
+ */
+function queryD1(sql) {
+  const output = execSync(`npx wrangler d1 execute ${SITE.targets.d1.database} --remote --json --command="${sql}"`, {
+    ...WRANGLER_OPTIONS,
+    maxBuffer: 64 * 1024 * 1024,
+  });
+  return JSON.parse(output.toString())[0]?.results || [];
+}
+
+/**
+ * Load the crawl state of every stored source, keyed by URL
+ * Re-crawled pages keep their source id, so their chunks and vectors are updated in place
+ */
+function loadSourceState() {
+  try {
+    const rows = queryD1('SELECT id, url, etag, last_modified, sitemap_lastmod, content_hash FROM vitamix_sources');
+    return new Map(rows.map((row) => [row.url, row]));
+  } catch (e) {
+    console.log(`Could not load crawl state from D1 (${e.message.slice(0, 100)}), treating all pages as new`);
+    return new Map();
+  }
+}
+
+/**
+ * Load the chunk hashes of a stored source, by chunk index
+ */
+function loadChunkHashes(sourceId) {
+  try {
+    const rows = queryD1(`SELECT chunk_index, content_hash FROM vitamix_chunks WHERE source_id = '${esc(sourceId)}'`);
+    const hashes = [];
+    for (const row of rows) {
+      hashes[row.chunk_index] = row.content_hash || null;
+    }
+    return Array.from(hashes, (hash) => hash || null);
+  } catch (e) {
+    console.log(`    Could not load chunk hashes: ${e.message.slice(0, 100)}`);
+    return [];
+  }
+}
+
+/**
+ * Record that a stored page is unchanged (new validators and sitemap date, same content)
+ */
+function touchSource(sourceId, { etag, lastModified, sitemapLastmod }) {
+  if (DRY_RUN) return;
+  executeD1([`UPDATE vitamix_sources SET
+    etag = COALESCE(${etag ? `'${esc(etag)}'` : 'NULL'}, etag),
+    last_modified = COALESCE(${lastModified ? `'${esc(lastModified)}'` : 'NULL'}, last_modified),
+    sitemap_lastmod = COALESCE(${sitemapLastmod ? `'${sitemapLastmod}'` : 'NULL'}, sitemap_lastmod)
+    WHERE id = '${esc(sourceId)}';`]);
+}
+
 /**
  * Store data in D1 using wrangler
+ * @param {object} source - Crawled page with id, contentHash, sitemapLastmod and chunkCount
+ * @param {Array<{index: number, text: string, heading_path: string[], hash: string}>} chunks -
+ *   New or changed chunks
+ * @param {Array} images - Uploaded images
  */
 async function storeInD1(source, chunks, images) {
   if (DRY_RUN) {
-    console.log(`    [DRY RUN] Would store: source + ${chunks.length} chunks + ${images.length} images`);
+    console.log(`    [DRY RUN] Would store: source + ${chunks.length} chunks + ${images.length} images${source.product ? ` + product ${source.product.model}` : ''}`);
     return;
   }
 
   // Create SQL file for batch insert
   const sqlStatements = [];
+  const now = new Date().toISOString();
+  const text = (value) => (value ? `'${esc(String(value))}'` : 'NULL');
 
-  // Escape SQL strings
-  const esc = (s) => s ? s.replace(/'/g, "''") : '';
-
-  // Insert source
-  sqlStatements.push(`INSERT OR REPLACE INTO vitamix_sources
-    (id, url, title, content_type, page_type, metadata, source_image_urls, r2_image_urls, scraped_at, created_at)
+  // Upsert source (image URLs are kept when this crawl uploaded none)
+  sqlStatements.push(`INSERT INTO vitamix_sources
+    (id, url, title, content_type, page_type, metadata, source_image_urls, r2_image_urls,
+     etag, last_modified, sitemap_lastmod, content_hash, scraped_at, created_at)
     VALUES (
       '${source.id}',
       '${esc(source.url)}',
       '${esc(source.title)}',
       '${source.pageType}',
-      '${source.pageType}',
+      '${getPageType(source.url, source.pageType)}',
       '${esc(JSON.stringify(source.metadata))}',
-      '${esc(JSON.stringify(source.images.map(i => i.sourceUrl)))}',
-      '${esc(JSON.stringify(images.filter(i => i?.r2Url).map(i => i.r2Url)))}',
-      '${new Date().toISOString()}',
-      '${new Date().toISOString()}'
-    );`);
-
-  // Insert chunks
-  for (let i = 0; i < chunks.length; i++) {
-    sqlStatements.push(`INSERT OR REPLACE INTO vitamix_chunks
-      (id, source_id, content, chunk_index, created_at)
+      '${esc(JSON.stringify(source.images.map((i) => i.sourceUrl)))}',
+      '${esc(JSON.stringify(images.filter((i) => i?.r2Url).map((i) => i.r2Url)))}',
+      ${text(source.etag)},
+      ${text(source.lastModified)},
+      ${text(source.sitemapLastmod)},
+      '${source.contentHash}',
+      '${now}',
+      '${now}'
+    )
+    ON CONFLICT (id) DO UPDATE SET
+      url = excluded.url, title = excluded.title, content_type = excluded.content_type,
+      page_type = excluded.page_type, metadata = excluded.metadata,
+      source_image_urls = excluded.source_image_urls,
+      r2_image_urls = CASE WHEN excluded.r2_image_urls = '[]' THEN vitamix_sources.r2_image_urls ELSE excluded.r2_image_urls END,
+      etag = excluded.etag, last_modified = excluded.last_modified,
+      sitemap_lastmod = excluded.sitemap_lastmod, content_hash = excluded.content_hash,
+      scraped_at = excluded.scraped_at;`);
+
+  // Upsert new and changed chunks (an UPDATE keeps the FTS index in sync via its trigger)
+  for (const chunk of chunks) {
+    sqlStatements.push(`INSERT INTO vitamix_chunks
+      (id, source_id, content, chunk_index, heading_path, content_hash, created_at)
       VALUES (
-        '${source.id}-${i}',
+        '${source.id}-${chunk.index}',
         '${source.id}',
-        '${esc(chunks[i])}',
-        ${i},
-        '${new Date().toISOString()}'
-      );`);
+        '${esc(chunk.text)}',
+        ${chunk.index},
+        '${esc(JSON.stringify(chunk.heading_path))}',
+        '${chunk.hash}',
+        '${now}'
+      )
+      ON CONFLICT (id) DO UPDATE SET
+        content = excluded.content, heading_path = excluded.heading_path,
+        content_hash = excluded.content_hash;`);
   }
 
+  // Drop chunks beyond the page's new length
+  sqlStatements.push(`DELETE FROM vitamix_chunks
+    WHERE source_id = '${source.id}' AND chunk_index >= ${source.chunkCount};`);
+
   // Insert images
-  for (const img of images) {
-    if (!img) continue;
+  const storedImages = images.filter(Boolean).map((img) => ({ ...img, id: uuidv4() }));
+  for (const img of storedImages) {
     sqlStatements.push(`INSERT OR REPLACE INTO vitamix_images
       (id, source_id, source_url, r2_url, r2_key, alt_text, image_type, context, content_type, file_size, created_at)
       VALUES (
-        '${uuidv4()}',
+        '${img.id}',
         '${source.id}',
         '${esc(img.sourceUrl)}',
         '${esc(img.r2Url || '')}',
@@ -442,53 +791,73 @@ async function storeInD1(source, chunks, images) {
       );`);
   }
 
-  // Write to temp file and execute
-  const sqlFile = `/tmp/vitamix_batch_${Date.now()}.sql`;
-  fs.writeFileSync(sqlFile, sqlStatements.join('\n'));
-
-  try {
-    execSync(`npx wrangler d1 execute adaptive-web-db --remote --file="${sqlFile}"`, {
-      cwd: '/Users/paolo/excat/adaptive-web/workers',
-      stdio: 'pipe'
-    });
-  } catch (e) {
-    // Try to get more info from stderr
-    const stderr = e.stderr?.toString() || '';
-    if (stderr.includes('SQLITE_CONSTRAINT') || stderr.includes('UNIQUE')) {
-      // Ignore duplicate key errors
-    } else if (e.message.includes('Command failed')) {
-      console.log(`    D1: ${stderr.slice(0, 100) || 'error (suppressed)'}`);
-    } else {
-      console.log(`    D1 error: ${e.message}`);
-    }
+  // Upsert the product catalog row (a model's latest crawled page wins)
+  if (source.product) {
+    const p = source.product;
+    sqlStatements.push(`INSERT INTO products
+      (brand_id, model, name, series, sku, price, currency, motor, container_sizes, warranty, programs, image_ids, url, source_id, updated_at)
+      VALUES (
+        '${brandPack.id}',
+        '${esc(p.model)}',
+        ${text(p.name)},
+        ${text(p.series)},
+        ${text(p.sku)},
+        ${typeof p.price === 'number' ? p.price : 'NULL'},
+        ${text(p.currency)},
+        ${text(p.motor)},
+        '${esc(JSON.stringify(p.container_sizes))}',
+        ${text(p.warranty)},
+        '${esc(JSON.stringify(p.programs))}',
+        '${esc(JSON.stringify(storedImages.map((i) => i.id)))}',
+        ${text(p.url)},
+        '${source.id}',
+        '${new Date().toISOString()}'
+      )
+      ON CONFLICT (brand_id, model) DO UPDATE SET
+        name = excluded.name, series = excluded.series, sku = COALESCE(excluded.sku, products.sku),
+        price = COALESCE(excluded.price, products.price), currency = COALESCE(excluded.currency, products.currency),
+        motor = COALESCE(excluded.motor, products.motor), container_sizes = excluded.container_sizes,
+        warranty = COALESCE(excluded.warranty, products.warranty), programs = excluded.programs,
+        image_ids = CASE WHEN excluded.image_ids = '[]' THEN products.image_ids ELSE excluded.image_ids END,
+        url = excluded.url, source_id = excluded.source_id,
+        updated_at = excluded.updated_at;`);
   }
 
-  try { fs.unlinkSync(sqlFile); } catch {}
+  executeD1(sqlStatements);
 }
 
 /**
  * Store embeddings in Vectorize via deployed Worker
+ * @param {object} source - Crawled page with id
+ * @param {Array<{index: number, text: string, heading_path: string[]}>} chunks - Chunks the
+ *   embeddings belong to
+ * @param {Array} embeddings - One embedding per chunk
  */
-async function storeInVectorize(sourceId, chunks, embeddings) {
+async function storeInVectorize(source, chunks, embeddings) {
   if (DRY_RUN || embeddings.length === 0) {
     return;
   }
 
+  // Same metadata as /api/reindex-vectors, so RAG can filter by content/page type, series and model
   const vectors = chunks.map((chunk, i) => ({
-    id: `${sourceId}-${i}`,
+    id: `${source.id}-${chunk.index}`,
     values: embeddings[i],
-    metadata: {
-      source_id: sourceId,
-      chunk_index: i,
-      text: chunk.slice(0, 500)
-    }
+    metadata: buildChunkMetadata({
+      sourceId: source.id,
+      content: chunk.text,
+      chunkIndex: chunk.index,
+      headingPath: chunk.heading_path,
+      contentType: source.pageType,
+      pageType: getPageType(source.url, source.pageType),
+      title: source.title,
+    }, brandPack || undefined),
   }));
 
   try {
     const response = await fetch(`${WORKER_URL}/api/upsert-vectors`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ vectors })
+      body: JSON.stringify({ vectors }),
     });
 
     if (!response.ok) {
@@ -500,113 +869,350 @@ async function storeInVectorize(sourceId, chunks, embeddings) {
 }
 
 /**
- * Main crawl function
+ * Delete vectors (of removed chunks and pages) via deployed Worker
  */
-async function main() {
-  console.log('=== Starting Vitamix Crawl ===\n');
+async function deleteVectors(ids) {
+  if (DRY_RUN || ids.length === 0) {
+    return;
+  }
+
+  // Vectorize deletes at most 1000 ids per call
+  for (let i = 0; i < ids.length; i += 1000) {
+    try {
+      const response = await fetch(`${WORKER_URL}/api/delete-vectors`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ids: ids.slice(i, i + 1000) }),
+      });
+
+      if (!response.ok) {
+        console.log(`    Vectorize delete error: ${response.status}`);
+      }
+    } catch (error) {
+      console.log(`    Vectorize delete error: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Remove stored pages that are no longer in the sitemaps (rows, chunks, images, products, vectors)
+ */
+async function removeSources(sources) {
+  if (DRY_RUN) {
+    console.log(`[DRY RUN] Would remove ${sources.length} pages`);
+    return;
+  }
+
+  for (const source of sources) {
+    const id = esc(source.id);
+    let chunkIds = [];
+    try {
+      chunkIds = queryD1(`SELECT id FROM vitamix_chunks WHERE source_id = '${id}'`).map((row) => row.id);
+    } catch (e) {
+      console.log(`  Could not list chunks of ${source.url}: ${e.message.slice(0, 100)}`);
+      continue;
+    }
+    await deleteVectors(chunkIds);
+    executeD1([
+      `DELETE FROM vitamix_chunks WHERE source_id = '${id}';`,
+      `DELETE FROM vitamix_images WHERE source_id = '${id}';`,
+      `DELETE FROM products WHERE source_id = '${id}';`,
+      `DELETE FROM vitamix_sources WHERE id = '${id}';`,
+    ]);
+    console.log(`  Removed ${source.url} (${chunkIds.length} chunks)`);
+  }
+}
+
+/**
+ * Load the site's brand pack: the built-in one, or a pack stored in the D1 brand_packs table
+ * @returns {object|null} Brand pack, or null when the site has none (no product catalog rows)
+ */
+function loadBrandPack() {
+  const id = SITE.brandPack || SITE.id;
+  if (id === DEFAULT_BRAND_PACK.id) return DEFAULT_BRAND_PACK;
+  try {
+    const [row] = queryD1(`SELECT id, name, config FROM brand_packs WHERE id = '${esc(id)}' AND active = 1`);
+    if (row) {
+      return normalizeBrandPack({ ...JSON.parse(row.config || '{}'), id: row.id, name: row.name });
+    }
+    console.log(`Brand pack ${id} not found, product facts are not extracted`);
+  } catch (e) {
+    console.log(`Could not load brand pack ${id} (${e.message.slice(0, 100)}), product facts are not extracted`);
+  }
+  return null;
+}
 
-  // Step 1: Collect all URLs from sitemaps
+/**
+ * Load the checkpoint of an interrupted crawl
+ */
+function loadCheckpoint() {
+  try {
+    return JSON.parse(fs.readFileSync(CHECKPOINT_FILE, 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+function saveCheckpoint(checkpoint) {
+  if (DRY_RUN) return;
+  fs.writeFileSync(CHECKPOINT_FILE, JSON.stringify(checkpoint));
+}
+
+/**
+ * Collect the sitemap entries to crawl
+ * @returns {Promise<{entries: Array, complete: boolean}>} Filtered entries; complete is false
+ *   when a sitemap could not be read (removed pages then cannot be told apart)
+ */
+async function collectUrls() {
   console.log('Step 1: Fetching sitemaps...');
-  let allUrls = [];
-  for (const sitemap of CONFIG.sitemaps) {
-    const urls = await fetchSitemap(sitemap);
-    allUrls = allUrls.concat(urls);
+  const byUrl = new Map();
+  let complete = true;
+  for (const sitemap of SITE.sitemaps) {
+    try {
+      for (const entry of await fetchSitemap(sitemap)) {
+        byUrl.set(entry.url, entry);
+      }
+    } catch (e) {
+      console.log(`  ${e.message}`);
+      complete = false;
+    }
   }
 
   // Deduplicate
-  allUrls = [...new Set(allUrls)];
-  console.log(`Total unique URLs: ${allUrls.length}\n`);
+  const allEntries = [...byUrl.values()];
+  console.log(`Total unique URLs: ${allEntries.length}\n`);
 
   // Step 2: Filter URLs
   console.log('Step 2: Filtering URLs...');
-  const filteredUrls = filterUrls(allUrls);
-  console.log(`Filtered to ${filteredUrls.length} URLs\n`);
+  const entries = filterUrls(allEntries);
+  console.log(`Filtered to ${entries.length} URLs\n`);
+
+  return { entries, complete: complete && entries.length > 0 };
+}
 
-  // Apply start and limit
-  let urlsToProcess = filteredUrls.slice(START_FROM);
-  if (LIMIT) {
-    urlsToProcess = urlsToProcess.slice(0, LIMIT);
+/**
+ * Crawl a page and store whatever changed
+ * Without incremental mode every page is re-fetched, re-chunked and re-embedded
+ * @param {object} entry - Sitemap entry { url, lastmod }
+ * @param {object} previous - Stored crawl state of the page, if it was crawled before
+ * @param {boolean} incremental - Skip unchanged pages and chunks
+ * @returns {Promise<object>} { status: 'ok' | 'unchanged' | 'skipped' | 'disallowed' | 'error',
+ *   ... }
+ */
+async function processPage(entry, previous, incremental) {
+  const { url, lastmod } = entry;
+  const known = incremental ? previous : null;
+
+  // Sitemap says the page did not change since the last crawl
+  if (known && lastmod && known.sitemap_lastmod && lastmod <= known.sitemap_lastmod) {
+    return { status: 'skipped' };
   }
-  console.log(`Processing ${urlsToProcess.length} URLs (starting from ${START_FROM})\n`);
 
-  // Step 3: Crawl pages
-  console.log('Step 3: Crawling pages...');
-  let processed = 0;
-  let errors = 0;
-  let totalImages = 0;
-  let totalChunks = 0;
+  const page = await crawlPage(url, known);
 
-  for (let i = 0; i < urlsToProcess.length; i += CONFIG.batchSize) {
-    const batch = urlsToProcess.slice(i, i + CONFIG.batchSize);
-    const batchNum = Math.floor(i / CONFIG.batchSize) + 1;
-    const totalBatches = Math.ceil(urlsToProcess.length / CONFIG.batchSize);
-    console.log(`\n--- Batch ${batchNum}/${totalBatches} (${processed} processed, ${errors} errors) ---`);
+  if (page?.disallowed) {
+    return { status: 'disallowed' };
+  }
 
-    for (const url of batch) {
-      process.stdout.write(`  ${url.slice(0, 70)}... `);
+  if (page?.notModified) {
+    touchSource(known.id, { sitemapLastmod: lastmod });
+    return { status: 'unchanged' };
+  }
 
-      const page = await crawlPage(url);
+  if (!page || !page.content || page.content.length < 50) {
+    return { status: 'error' };
+  }
 
-      if (!page || !page.content || page.content.length < 50) {
-        console.log('SKIP (no content)');
-        errors++;
-        continue;
-      }
+  const contentHash = hashContent([
+    page.title, page.description, JSON.stringify(page.blocks), JSON.stringify(page.metadata),
+  ].join('\n'));
 
-      // Generate source ID
-      const sourceId = uuidv4();
+  if (known && known.content_hash === contentHash) {
+    touchSource(known.id, {
+      etag: page.etag, lastModified: page.lastModified, sitemapLastmod: lastmod,
+    });
+    return { status: 'unchanged' };
+  }
 
-      // Chunk content
-      const chunks = chunkContent(page.content, page.title, page.description);
-      totalChunks += chunks.length;
+  // Re-crawled pages keep their source ID
+  const sourceId = previous?.id || uuidv4();
+  const source = {
+    id: sourceId, ...page, contentHash, sitemapLastmod: lastmod,
+  };
+
+  // Chunk content without boilerplate and duplicates, keeping only the chunks that changed
+  // since the last crawl
+  const chunkTexts = deduplicator.filterChunks(
+    chunkContent({ ...page, blocks: deduplicator.filterBlocks(page.blocks, url) }),
+    sourceId,
+  );
+  const previousHashes = previous ? loadChunkHashes(sourceId) : [];
+  const chunks = chunkTexts
+    .map((chunk) => ({ ...chunk, hash: hashContent(chunk.text) }))
+    .filter((chunk) => !known || previousHashes[chunk.index] !== chunk.hash);
+  source.chunkCount = chunkTexts.length;
+
+  // Upload images to R2 (parallel); incremental crawls only upload them for new pages
+  const uploadedImages = [];
+  if (!SKIP_IMAGES && !known && page.images.length > 0) {
+    const imagePromises = page.images.slice(0, 8).map(async (img) => {
+      const uploaded = await uploadImageToR2(img.sourceUrl, sourceId);
+      return uploaded ? { ...img, ...uploaded } : null;
+    });
+    const results = await Promise.all(imagePromises);
+    for (const r of results) {
+      if (r) uploadedImages.push(r);
+    }
+  }
 
-      // Upload images to R2 (parallel)
-      const uploadedImages = [];
-      if (!SKIP_IMAGES && page.images.length > 0) {
-        const imagePromises = page.images.slice(0, 8).map(async (img) => {
-          const uploaded = await uploadImageToR2(img.sourceUrl, sourceId);
-          return uploaded ? { ...img, ...uploaded } : null;
-        });
-        const results = await Promise.all(imagePromises);
-        for (const r of results) {
-          if (r) {
-            uploadedImages.push(r);
-            totalImages++;
-          }
-        }
-      }
+  // Generate embeddings
+  let embeddings = [];
+  if (!DRY_RUN && chunks.length > 0) {
+    embeddings = await generateEmbeddings(chunks.map((chunk) => chunk.text));
+  }
 
-      // Generate embeddings
-      let embeddings = [];
-      if (!DRY_RUN && chunks.length > 0) {
-        embeddings = await generateEmbeddings(chunks);
-      }
+  // Store in D1
+  await storeInD1(source, chunks, uploadedImages);
 
-      // Store in D1
-      await storeInD1(
-        { id: sourceId, ...page },
-        chunks,
-        uploadedImages
-      );
+  // Store in Vectorize, dropping the vectors of chunks the page no longer has
+  if (embeddings.length > 0) {
+    await storeInVectorize(source, chunks, embeddings);
+  }
+  const staleIds = previousHashes
+    .slice(chunkTexts.length)
+    .map((hash, i) => `${sourceId}-${chunkTexts.length + i}`);
+  await deleteVectors(staleIds);
+
+  return {
+    status: 'ok',
+    page,
+    chunks: chunks.length,
+    chunkCount: chunkTexts.length,
+    images: uploadedImages.length,
+  };
+}
 
-      // Store in Vectorize
-      if (embeddings.length > 0) {
-        await storeInVectorize(sourceId, chunks, embeddings);
-      }
+/**
+ * Main crawl function
+ */
+async function main() {
+  console.log(`=== Starting ${SITE.name || SITE.id} Crawl ===\n`);
+
+  brandPack = loadBrandPack();
+
+  // Steps 1-2: Collect URLs, or pick up the checkpoint of an interrupted run
+  let checkpoint = RESUME ? loadCheckpoint() : null;
+  if (RESUME && !checkpoint) {
+    console.log('No checkpoint found, starting a new crawl\n');
+  }
+
+  if (checkpoint) {
+    console.log(`Resuming crawl from checkpoint (${checkpoint.next}/${checkpoint.entries.length} URLs done)\n`);
+  } else {
+    const { entries, complete } = await collectUrls();
+
+    // Apply start and limit
+    let entriesToProcess = entries.slice(START_FROM);
+    if (LIMIT) {
+      entriesToProcess = entriesToProcess.slice(0, LIMIT);
+    }
+
+    checkpoint = {
+      startedAt: new Date().toISOString(),
+      incremental: INCREMENTAL,
+      entries: entriesToProcess,
+      // Pages missing from the sitemaps are only removed after a full, complete sitemap read
+      sitemapUrls: INCREMENTAL && complete && !LIMIT && !START_FROM
+        ? entries.map((entry) => entry.url)
+        : null,
+      next: 0,
+      stats: {
+        processed: 0, unchanged: 0, skipped: 0, errors: 0, chunks: 0, embedded: 0, images: 0,
+      },
+    };
+    saveCheckpoint(checkpoint);
+  }
+
+  const { entries, stats } = checkpoint;
+  console.log(`Processing ${entries.length - checkpoint.next} URLs (starting from ${START_FROM + checkpoint.next})\n`);
+
+  // Stored crawl state: re-crawled pages keep their source ID; incremental runs detect changes
+  const sourceState = loadSourceState();
+  console.log(`Loaded crawl state of ${sourceState.size} stored pages\n`);
 
-      processed++;
-      console.log(`OK (${page.pageType}, ${chunks.length}c, ${uploadedImages.length}i)`);
+  // Step 3: Crawl pages
+  console.log('Step 3: Crawling pages...');
 
-      // Rate limiting
-      await new Promise(resolve => setTimeout(resolve, CONFIG.requestDelay));
+  for (let i = checkpoint.next; i < entries.length; i += 1) {
+    if (i % CONFIG.batchSize === 0 || i === checkpoint.next) {
+      const batchNum = Math.floor(i / CONFIG.batchSize) + 1;
+      const totalBatches = Math.ceil(entries.length / CONFIG.batchSize);
+      console.log(`\n--- Batch ${batchNum}/${totalBatches} (${stats.processed} processed, ${stats.errors} errors) ---`);
     }
+
+    const entry = entries[i];
+    process.stdout.write(`  ${entry.url.slice(0, 70)}... `);
+
+    const result = await processPage(entry, sourceState.get(entry.url), checkpoint.incremental);
+
+    if (result.status === 'skipped') {
+      stats.skipped += 1;
+      console.log('SKIP (sitemap unchanged)');
+    } else if (result.status === 'unchanged') {
+      stats.unchanged += 1;
+      console.log('UNCHANGED');
+    } else if (result.status === 'disallowed') {
+      stats.disallowed = (stats.disallowed || 0) + 1;
+      console.log('SKIP (robots.txt)');
+    } else if (result.status === 'error') {
+      stats.errors += 1;
+      console.log('SKIP (no content)');
+    } else {
+      const { page } = result;
+      stats.processed += 1;
+      stats.chunks += result.chunkCount;
+      stats.embedded += result.chunks;
+      stats.images += result.images;
+      console.log(`OK (${page.pageType}, ${result.chunks}/${result.chunkCount}c, ${result.images}i${page.product ? `, product ${page.product.model}` : ''})`);
+    }
+
+    checkpoint.next = i + 1;
+    saveCheckpoint(checkpoint);
+  }
+
+  // Step 4: Remove pages that are no longer in the sitemaps
+  if (checkpoint.sitemapUrls) {
+    console.log('\nStep 4: Removing pages missing from the sitemaps...');
+    const current = new Set(checkpoint.sitemapUrls);
+    const removed = [...sourceState.values()].filter((source) => !current.has(source.url));
+    if (removed.length > sourceState.size * CONFIG.maxRemovedShare) {
+      console.log(`  ${removed.length} of ${sourceState.size} stored pages are missing, not removing (check the sitemaps)`);
+    } else {
+      await removeSources(removed);
+      stats.removed = removed.length;
+    }
+  }
+
+  try {
+    fs.unlinkSync(CHECKPOINT_FILE);
+  } catch {
+    // No checkpoint was written
   }
 
   console.log('\n=== Crawl Complete ===');
-  console.log(`Processed: ${processed} pages`);
-  console.log(`Errors: ${errors}`);
-  console.log(`Total chunks: ${totalChunks}`);
-  console.log(`Total images uploaded: ${totalImages}`);
+  console.log(`Processed: ${stats.processed} pages`);
+  if (checkpoint.incremental) {
+    console.log(`Unchanged: ${stats.unchanged} pages (${stats.skipped} skipped on sitemap date)`);
+    console.log(`Removed: ${stats.removed || 0} pages`);
+  }
+  console.log(`Disallowed by robots.txt: ${stats.disallowed || 0} pages`);
+  console.log(`Errors: ${stats.errors}`);
+  console.log(`Total chunks: ${stats.chunks} (${stats.embedded} embedded)`);
+  console.log(`Total images uploaded: ${stats.images}`);
+
+  const dedup = deduplicator.getStats();
+  console.log(`Deduplication${RESUME ? ' (since resuming)' : ''}: ${dedup.boilerplateBlocks} boilerplate blocks (${dedup.boilerplateTexts} distinct), ${dedup.exactDuplicates} exact and ${dedup.nearDuplicates} near-duplicate chunks removed (${dedup.removedCharacters} characters)`);
+  dedup.samples.forEach((sample) => console.log(`  ${sample.pages} pages: "${sample.text}"`));
 }
 
 main().catch(console.error);
@@ -1,14 +1,15 @@
 /**
  * Caption Images Endpoint
  * Uses Claude Vision to generate rich captions for product images
+ * Requests go through the LLM provider layer (see lib/llm-provider.js)
  */
 
-const CLAUDE_API_URL = 'https://api.anthropic.com/v1/messages';
+import { getLLMProvider, generateJSON } from './lib/llm-provider.js';
 
 /**
- * Caption a single image with Claude Vision
+ * Caption a single image with the vision-capable LLM provider
  */
-async function captionImage(imageUrl, currentAltText, apiKey) {
+async function captionImage(imageUrl, currentAltText, provider) {
   const prompt = `Analyze this Vitamix product image and provide:
 
 1. A detailed caption (2-3 sentences) describing:
@@ -70,64 +71,13 @@ Respond with ONLY valid JSON in this format:
       }
     }
 
-    // Call Claude Vision API
-    const response = await fetch(CLAUDE_API_URL, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'x-api-key': apiKey,
-        'anthropic-version': '2023-06-01',
-      },
-      body: JSON.stringify({
-        model: 'claude-haiku-4-5-20251001',
-        max_tokens: 1024,
-        messages: [
-          {
-            role: 'user',
-            content: [
-              {
-                type: 'image',
-                source: {
-                  type: 'base64',
-                  media_type: mediaType,
-                  data: base64Image,
-                },
-              },
-              {
-                type: 'text',
-                text: prompt,
-              },
-            ],
-          },
-        ],
-      }),
+    // Call vision model through the provider
+    return await generateJSON(provider, {
+      task: 'image_caption',
+      prompt,
+      images: [{ mediaType, data: base64Image }],
+      maxTokens: 1024,
     });
-
-    if (!response.ok) {
-      const error = await response.text();
-      throw new Error(`Claude API error: ${response.status} - ${error}`);
-    }
-
-    const data = await response.json();
-    const textContent = data.content.find(block => block.type === 'text');
-
-    if (!textContent) {
-      throw new Error('No text content in Claude response');
-    }
-
-    // Parse JSON response
-    let jsonText = textContent.text.trim();
-    if (jsonText.startsWith('```json')) {
-      jsonText = jsonText.slice(7);
-    }
-    if (jsonText.startsWith('```')) {
-      jsonText = jsonText.slice(3);
-    }
-    if (jsonText.endsWith('```')) {
-      jsonText = jsonText.slice(0, -3);
-    }
-
-    return JSON.parse(jsonText.trim());
   } catch (error) {
     console.error(`Error captioning ${imageUrl}:`, error.message);
     return null;
@@ -142,9 +92,15 @@ Respond with ONLY valid JSON in this format:
 export async function captionImages(body, env) {
   const { limit = 10, offset = 0, dry_run = false } = body;
   const db = env.DB;
-  const apiKey = env.ANTHROPIC_API_KEY;
 
-  if (!apiKey) {
+  let provider;
+  try {
+    provider = getLLMProvider(env);
+  } catch (error) {
+    return { error: true, message: error.message };
+  }
+
+  if (provider.name === 'anthropic' && !env.ANTHROPIC_API_KEY) {
     return { error: true, message: 'ANTHROPIC_API_KEY not configured' };
   }
 
@@ -177,7 +133,7 @@ export async function captionImages(body, env) {
   for (const img of images) {
     console.log(`  Processing: ${img.alt_text.slice(0, 50)}...`);
 
-    const caption = await captionImage(img.r2_url, img.alt_text, apiKey);
+    const caption = await captionImage(img.r2_url, img.alt_text, provider);
 
     if (caption) {
       successCount++;
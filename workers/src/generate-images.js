@@ -5,6 +5,7 @@
 
 import { generateImages as generateImagenImages } from './lib/imagen.js';
 import { createClient as createCloudflareClient } from './lib/cloudflare-db.js';
+import { resolveBrandPack } from './lib/brand-pack.js';
 
 /**
  * Generate images handler
@@ -31,6 +32,20 @@ export async function generateImages(body, env) {
     throw new Error('No valid prompts provided');
   }
 
+  // Get current page data
+  const db = createCloudflareClient(env);
+  const page = await db.getPage(pageId);
+
+  if (!page) {
+    throw new Error('Page not found');
+  }
+
+  // Images follow the style rules of the brand the page was generated for
+  const brandPack = await resolveBrandPack(env, { brand: page.brand_id });
+  if (!brandPack) {
+    throw new Error(`Unknown brand: ${page.brand_id}`);
+  }
+
   // Generate images with Imagen 3 (via Vertex AI)
   const images = await generateImagenImages(
     validPrompts,
@@ -38,16 +53,9 @@ export async function generateImages(body, env) {
     env.GOOGLE_CLOUD_PROJECT,
     env.IMAGES,
     pageId,
+    brandPack,
   );
 
-  // Get current page data
-  const db = createCloudflareClient(env);
-  const page = await db.getPage(pageId);
-
-  if (!page) {
-    throw new Error('Page not found');
-  }
-
   // Build update object
   const updates = { images_ready: true };
 
@@ -210,7 +218,7 @@ export async function generateImages(body, env) {
   }
 
   // Update page in database
-  await db.updatePage(pageId, updates);
+  await db.updatePage(pageId, updates, { reason: 'image_fill' });
 
   return {
     success: true,
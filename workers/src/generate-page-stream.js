@@ -4,7 +4,12 @@
  */
 
 import { generateContentAtoms } from './lib/claude.js';
-import { getFallbackLayout } from './lib/gemini.js';
+import { selectLayout } from './lib/layout-rules.js';
+import { getLLMProvider } from './lib/llm-provider.js';
+import { DEFAULT_BRAND_PACK } from './lib/brand-pack.js';
+import { getCachedPage, indexCachedPage } from './lib/page-cache.js';
+import { getExperimentAssignment, isPageForSession } from './lib/experiments.js';
+import { recordEvents } from './lib/page-events.js';
 import { createClient as createCloudflareClient } from './lib/cloudflare-db.js';
 import { determineImageStrategy, findMatchingImages, applyMatchedImages } from './lib/hybrid-images.js';
 
@@ -52,12 +57,28 @@ function sseMessage(event, data) {
   return `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
 }
 
+/**
+ * Describe why a cached page was served, for the cache_hit progress event
+ */
+function describeCacheHit(cache) {
+  if (cache.match === 'semantic') {
+    const similarity = Math.round(cache.similarity * 100);
+    return `Loading from cache (similar to "${cache.matched_query}", ${similarity}% match)...`;
+  }
+  return 'Loading from cache...';
+}
+
 /**
  * Generate page with streaming progress updates
  * Returns a ReadableStream of SSE events
+ * @param {object} body - Request body with query, session_id and optional parent_page_id
+ *   (follow-up refinement of that page)
+ * @param {object} env - Worker environment
+ * @param {object} ctx - Execution context
+ * @param {object} brandPack - Brand pack resolved for this request
  */
-export function generatePageStream(body, env, ctx) {
-  const { query, session_id: sessionId } = body;
+export function generatePageStream(body, env, ctx, brandPack = DEFAULT_BRAND_PACK) {
+  const { query, session_id: sessionId, parent_page_id: parentPageId } = body;
 
   if (!query) {
     return new Response(
@@ -88,9 +109,27 @@ export function generatePageStream(body, env, ctx) {
         timing.startPhase('cache_check');
         const supabase = createCloudflareClient(env);
 
-        // Check cache first - return existing page immediately if found
-        const normalizedQuery = query.toLowerCase().trim();
-        const existingPage = await supabase.getPageByQuery(normalizedQuery);
+        // Follow-up refinement of an earlier page: its content is context, so skip the query cache
+        let parentPage = null;
+        if (parentPageId) {
+          parentPage = await supabase.getPage(parentPageId);
+          if (!parentPage) {
+            throw new Error('Parent page not found');
+          }
+          // A follow-up stays with the brand of its thread
+          if ((parentPage.brand_id || DEFAULT_BRAND_PACK.id) !== brandPack.id) {
+            throw new Error(`Parent page belongs to brand ${parentPage.brand_id}`);
+          }
+        }
+
+        // Check cache first (same or semantically similar query) - return existing page if found
+        const cached = parentPage
+          ? null
+          : await getCachedPage(query, supabase, env, brandPack);
+        // Pages of a layout experiment are only served to sessions assigned to their variant
+        const existingPage = cached && await isPageForSession(cached.page, sessionId, supabase)
+          ? cached.page
+          : null;
 
         if (existingPage) {
           // Check if images need to be refreshed
@@ -103,7 +142,7 @@ export function generatePageStream(body, env, ctx) {
               const classification = { type: existingPage.content_type, confidence: 0.8 };
 
               const imageStrategy = determineImageStrategy(classification, contentAtoms, metadata);
-              const matchedImages = await findMatchingImages(contentAtoms, metadata, classification, env);
+              const matchedImages = await findMatchingImages(contentAtoms, metadata, classification, env, brandPack);
 
               const result = applyMatchedImages(existingPage, matchedImages, imageStrategy);
               const updatedPage = result.pageData;
@@ -119,15 +158,17 @@ export function generatePageStream(body, env, ctx) {
                   content_atoms: updatedPage.content_atoms,
                   metadata: updatedPage.metadata,
                   images_ready: true,
-                });
+                }, { reason: 'image_fill' });
               }
 
               send('progress', {
                 step: 'cache_hit',
-                message: 'Loading from cache...',
-                percent: 90
+                message: describeCacheHit(cached.cache),
+                percent: 90,
+                cache: cached.cache,
               });
 
+              updatedPage.cache = cached.cache;
               updatedPage.timings = timing.getTimings({ cache_hit: true, images_refreshed: true });
               send('complete', updatedPage);
               controller.close();
@@ -141,10 +182,12 @@ export function generatePageStream(body, env, ctx) {
           // Fast path: return cached page
           send('progress', {
             step: 'cache_hit',
-            message: 'Loading from cache...',
-            percent: 90
+            message: describeCacheHit(cached.cache),
+            percent: 90,
+            cache: cached.cache,
           });
 
+          existingPage.cache = cached.cache;
           existingPage.timings = timing.getTimings({ cache_hit: true });
           send('complete', existingPage);
           controller.close();
@@ -159,9 +202,23 @@ export function generatePageStream(body, env, ctx) {
           percent: 10
         });
 
+        // A refinement is a follow-up query on the parent page (engagement of its layout)
+        if (parentPage) {
+          const followUp = { page_id: parentPage.id, type: 'follow_up' };
+          ctx.waitUntil(recordEvents(supabase, sessionId, [followUp])
+            .catch((error) => console.error('Failed to record follow-up:', error)));
+        }
+
+        const assignExperiment = (classification) => getExperimentAssignment(supabase, {
+          brandId: brandPack.id, bucket: classification.type, sessionId,
+        });
         const ragOptions = env.AI
-          ? { supabase, ai: env.AI, env }
-          : { env };
+          ? {
+            supabase, ai: env.AI, env, brandPack, parentPage, assignExperiment,
+          }
+          : {
+            env, brandPack, parentPage, assignExperiment,
+          };
 
         // Step 2: Generate content with Claude
         send('progress', {
@@ -170,13 +227,19 @@ export function generatePageStream(body, env, ctx) {
           percent: 25
         });
 
-        const claudeResult = await generateContentAtoms(query, env.ANTHROPIC_API_KEY, ragOptions);
-        const { contentAtoms, contentType, metadata, keywords, layoutBlocks, sourceIds, sourceImages, classification, timings: ragTimings } = claudeResult;
+        const claudeResult = await generateContentAtoms(query, getLLMProvider(env), ragOptions);
+        const { contentAtoms, contentType, metadata, keywords, layoutBlocks, sourceIds, sourceImages, classification, validationErrors, grounding, experiment, timings: ragTimings } = claudeResult;
 
         // Send classification info
         send('classification', {
           type: classification?.type || 'general',
           confidence: classification?.confidence || 0,
+          labels: classification?.labels || [],
+          entities: classification?.entities || null,
+          rewrite: classification?.rewrite || null,
+          experiment: experiment
+            ? { id: experiment.experiment_id, variant: experiment.variant }
+            : null,
           sourcesFound: sourceIds.length,
         });
 
@@ -203,35 +266,10 @@ export function generatePageStream(body, env, ctx) {
           percent: 40
         });
 
-        // Step 3: Layout selection
-        let layoutResult;
-        const isValidLayout = layoutBlocks && Array.isArray(layoutBlocks) && layoutBlocks.length > 0;
-
-        if (isValidLayout) {
-          layoutResult = { blocks: layoutBlocks };
-        } else {
-          layoutResult = getFallbackLayout(contentType, contentAtoms);
-        }
-
-        // Post-process for table requests
-        const lowerQuery = query.toLowerCase();
-        const wantsTable = lowerQuery.includes('table') || lowerQuery.includes('chart') || lowerQuery.includes('specs');
-        const hasComparison = contentAtoms.some((a) => a.type === 'comparison');
-        const hasTableBlock = layoutResult.blocks.some((b) => b.block_type === 'comparison-table' || b.block_type === 'specs-table');
-
-        if (wantsTable && hasComparison && !hasTableBlock) {
-          const cardsIndex = layoutResult.blocks.findIndex((b) => b.block_type === 'comparison-cards');
-          const tableBlock = {
-            block_type: 'comparison-table',
-            atom_mappings: { items: 'comparison.items' },
-          };
-          if (cardsIndex >= 0) {
-            layoutResult.blocks[cardsIndex] = tableBlock;
-          } else {
-            const heroIndex = layoutResult.blocks.findIndex((b) => b.block_type === 'hero-banner');
-            layoutResult.blocks.splice(heroIndex + 1, 0, tableBlock);
-          }
-        }
+        // Step 3: Layout stage (Claude, Gemini or fallback, repaired by the layout rules)
+        const layoutResult = await selectLayout({
+          contentAtoms, contentType, metadata, query, layoutBlocks, experiment, env,
+        });
 
         // Prepare page data
         let pageData = {
@@ -245,6 +283,11 @@ export function generatePageStream(body, env, ctx) {
           images_ready: false,
           rag_enabled: sourceIds.length > 0,
           rag_source_ids: sourceIds.length > 0 ? sourceIds : null,
+          brand_id: brandPack.id,
+          validation_errors: validationErrors.length > 0 ? validationErrors : null,
+          grounding,
+          experiment,
+          parent_page_id: parentPage?.id || null,
         };
 
         timing.startPhase('image_search');
@@ -260,7 +303,7 @@ export function generatePageStream(body, env, ctx) {
 
         if (env.IMAGE_VECTORS && classification) {
           const imageStrategy = determineImageStrategy(classification, contentAtoms, metadata);
-          const matchedImages = await findMatchingImages(contentAtoms, metadata, classification, env);
+          const matchedImages = await findMatchingImages(contentAtoms, metadata, classification, env, brandPack);
 
           ragImageCount = [
             matchedImages.hero,
@@ -339,6 +382,7 @@ export function generatePageStream(body, env, ctx) {
         pageData.session_id = sessionId;
 
         await supabase.insertPage(pageData);
+        ctx.waitUntil(indexCachedPage(pageData, env));
 
         send('progress', {
           step: 'complete',
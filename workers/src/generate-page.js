@@ -4,7 +4,8 @@
  *
  * Supports two pipelines:
  * 1. Legacy (default): Claude generates fixed-layout content
- * 2. Flexible: Claude → Imagen (Claude generates content + layout, Imagen for images)
+ * 2. Flexible: Claude → Gemini → Imagen (Claude generates content, Gemini or Claude selects the
+ *    layout, repaired by the layout rules, Imagen for images)
  */
 
 import { generateContent, generateContentAtoms } from './lib/claude.js';
@@ -45,12 +46,20 @@ class TimingTracker {
     };
   }
 }
-import { getFallbackLayout } from './lib/gemini.js';
+import { selectLayout } from './lib/layout-rules.js';
+import { getLLMProvider } from './lib/llm-provider.js';
+import { DEFAULT_BRAND_PACK } from './lib/brand-pack.js';
+import { getCachedPage, indexCachedPage } from './lib/page-cache.js';
+import { getExperimentAssignment, isPageForSession } from './lib/experiments.js';
+import { recordEvents } from './lib/page-events.js';
 import { createClient as createSupabaseClient } from './lib/supabase.js';
 import { createClient as createCloudflareClient } from './lib/cloudflare-db.js';
 import { generateImages as generateImagenImages } from './lib/imagen.js';
 import { determineImageStrategy, findMatchingImages, applyMatchedImages } from './lib/hybrid-images.js';
 
+// Image fills attempted when the page changes between reading and writing it
+const MAX_IMAGE_FILL_ATTEMPTS = 3;
+
 /**
  * Get the appropriate database client based on feature flag
  * @param {object} env - Worker environment
@@ -383,7 +392,7 @@ async function updatePageWithSourceImages(pageId, sourceImages, env) {
       }));
     }
 
-    await supabase.updatePage(pageId, updates);
+    await supabase.updatePage(pageId, updates, { reason: 'image_fill' });
     console.log(`Source images updated in database for page ${pageId}`);
   } catch (error) {
     console.error('Failed to update page with source images:', error);
@@ -393,7 +402,7 @@ async function updatePageWithSourceImages(pageId, sourceImages, env) {
 /**
  * Background image generation task
  */
-async function generateImagesBackground(pageId, prompts, env) {
+async function generateImagesBackground(pageId, prompts, env, brandPack) {
   try {
     const supabase = getDbClient(env);
 
@@ -404,6 +413,7 @@ async function generateImagesBackground(pageId, prompts, env) {
       env.GOOGLE_CLOUD_PROJECT,
       env.IMAGES,
       pageId,
+      brandPack,
     );
 
     // Build update object
@@ -439,7 +449,7 @@ async function generateImagesBackground(pageId, prompts, env) {
     }
 
     // Update page in database
-    await supabase.updatePage(pageId, updates);
+    await supabase.updatePage(pageId, updates, { reason: 'image_fill' });
     console.log(`Images generated for page ${pageId}`);
   } catch (error) {
     console.error('Background image generation failed:', error);
@@ -449,7 +459,7 @@ async function generateImagesBackground(pageId, prompts, env) {
 /**
  * Background image generation for flexible layout pages
  */
-async function generateImagesBackgroundFlexible(pageId, prompts, env) {
+async function generateImagesBackgroundFlexible(pageId, prompts, env, brandPack) {
   try {
     const supabase = getDbClient(env);
 
@@ -460,185 +470,173 @@ async function generateImagesBackgroundFlexible(pageId, prompts, env) {
       env.GOOGLE_CLOUD_PROJECT,
       env.IMAGES,
       pageId,
+      brandPack,
     );
 
-    const page = await supabase.getPage(pageId);
-    if (!page) return;
+    // Images go into the page as it is when saved: a block regeneration may land meanwhile
+    const fill = async (attempt) => {
+      const page = await supabase.getPage(pageId);
+      if (!page) return null;
 
-    const updates = { images_ready: true };
+      const updates = { images_ready: true };
 
-    // Find hero image and apply to metadata
-    const heroImage = images.find((img) => img.type === 'hero');
-    if (heroImage && page.metadata) {
-      updates.metadata = { ...page.metadata, image_url: heroImage.url };
-    }
+      // Find hero image and apply to metadata
+      const heroImage = images.find((img) => img.type === 'hero');
+      if (heroImage && page.metadata) {
+        updates.metadata = { ...page.metadata, image_url: heroImage.url };
+      }
 
-    // Find feature images, comparison images, recipe images, and product images
-    const featureImages = images.filter((img) => img.type === 'feature');
-    const comparisonImages = images.filter((img) => img.type === 'comparison');
-    const recipeImage = images.find((img) => img.type === 'recipe');
-    const productImage = images.find((img) => img.type === 'product');
-    const relatedRecipeImages = images.filter((img) => img.type === 'related_recipe');
-    const relatedProductImages = images.filter((img) => img.type === 'related_product');
-    const guideProductImages = images.filter((img) => img.type === 'guide_product');
-
-    if ((featureImages.length > 0 || comparisonImages.length > 0 || recipeImage || productImage || relatedRecipeImages.length > 0 || relatedProductImages.length > 0 || guideProductImages.length > 0) && page.content_atoms) {
-      updates.content_atoms = page.content_atoms.map((atom) => {
-        // Apply feature images to feature_set atoms
-        if (atom.type === 'feature_set' && atom.items) {
-          return {
-            ...atom,
-            items: atom.items.map((item, i) => {
-              const featureImg = featureImages.find((img) => img.index === i);
-              return featureImg ? { ...item, image_url: featureImg.url } : item;
-            }),
-          };
-        }
-        // Apply comparison images to comparison atoms
-        if (atom.type === 'comparison' && atom.items) {
-          return {
-            ...atom,
-            items: atom.items.map((item, i) => {
-              const comparisonImg = comparisonImages.find((img) => img.index === i);
-              return comparisonImg ? { ...item, image_url: comparisonImg.url } : item;
-            }),
-          };
-        }
-        // Apply recipe image and related recipe images to recipe_detail atoms
-        if (atom.type === 'recipe_detail') {
-          let updatedAtom = { ...atom };
-          if (recipeImage) {
-            updatedAtom.image_url = recipeImage.url;
+      // Find feature images, comparison images, recipe images, and product images
+      const featureImages = images.filter((img) => img.type === 'feature');
+      const comparisonImages = images.filter((img) => img.type === 'comparison');
+      const recipeImage = images.find((img) => img.type === 'recipe');
+      const productImage = images.find((img) => img.type === 'product');
+      const relatedRecipeImages = images.filter((img) => img.type === 'related_recipe');
+      const relatedProductImages = images.filter((img) => img.type === 'related_product');
+      const guideProductImages = images.filter((img) => img.type === 'guide_product');
+
+      if ((featureImages.length > 0 || comparisonImages.length > 0 || recipeImage || productImage || relatedRecipeImages.length > 0 || relatedProductImages.length > 0 || guideProductImages.length > 0) && page.content_atoms) {
+        updates.content_atoms = page.content_atoms.map((atom) => {
+          // Apply feature images to feature_set atoms
+          if (atom.type === 'feature_set' && atom.items) {
+            return {
+              ...atom,
+              items: atom.items.map((item, i) => {
+                const featureImg = featureImages.find((img) => img.index === i);
+                return featureImg ? { ...item, image_url: featureImg.url } : item;
+              }),
+            };
           }
-          if (atom.related_recipes && relatedRecipeImages.length > 0) {
-            updatedAtom.related_recipes = atom.related_recipes.map((recipe, i) => {
-              const relatedImg = relatedRecipeImages.find((img) => img.index === i);
-              return relatedImg ? { ...recipe, image_url: relatedImg.url } : recipe;
-            });
+          // Apply comparison images to comparison atoms
+          if (atom.type === 'comparison' && atom.items) {
+            return {
+              ...atom,
+              items: atom.items.map((item, i) => {
+                const comparisonImg = comparisonImages.find((img) => img.index === i);
+                return comparisonImg ? { ...item, image_url: comparisonImg.url } : item;
+              }),
+            };
           }
-          return updatedAtom;
-        }
-        // Apply product image and related product images to product_detail atoms
-        if (atom.type === 'product_detail') {
-          let updatedAtom = { ...atom };
-          if (productImage) {
-            updatedAtom.image_url = productImage.url;
+          // Apply recipe image and related recipe images to recipe_detail atoms
+          if (atom.type === 'recipe_detail') {
+            let updatedAtom = { ...atom };
+            if (recipeImage) {
+              updatedAtom.image_url = recipeImage.url;
+            }
+            if (atom.related_recipes && relatedRecipeImages.length > 0) {
+              updatedAtom.related_recipes = atom.related_recipes.map((recipe, i) => {
+                const relatedImg = relatedRecipeImages.find((img) => img.index === i);
+                return relatedImg ? { ...recipe, image_url: relatedImg.url } : recipe;
+              });
+            }
+            return updatedAtom;
           }
-          if (atom.related_products && relatedProductImages.length > 0) {
-            updatedAtom.related_products = atom.related_products.map((product, i) => {
-              const relatedImg = relatedProductImages.find((img) => img.index === i);
-              return relatedImg ? { ...product, image_url: relatedImg.url } : product;
-            });
+          // Apply product image and related product images to product_detail atoms
+          if (atom.type === 'product_detail') {
+            let updatedAtom = { ...atom };
+            if (productImage) {
+              updatedAtom.image_url = productImage.url;
+            }
+            if (atom.related_products && relatedProductImages.length > 0) {
+              updatedAtom.related_products = atom.related_products.map((product, i) => {
+                const relatedImg = relatedProductImages.find((img) => img.index === i);
+                return relatedImg ? { ...product, image_url: relatedImg.url } : product;
+              });
+            }
+            return updatedAtom;
+          }
+          // Apply guide product images to interactive_guide atoms
+          if (atom.type === 'interactive_guide' && atom.picks && guideProductImages.length > 0) {
+            return {
+              ...atom,
+              picks: atom.picks.map((pick, i) => {
+                const guideImg = guideProductImages.find((img) => img.index === i);
+                if (guideImg && pick.product) {
+                  return {
+                    ...pick,
+                    product: { ...pick.product, image_url: guideImg.url },
+                  };
+                }
+                return pick;
+              }),
+            };
           }
-          return updatedAtom;
-        }
-        // Apply guide product images to interactive_guide atoms
-        if (atom.type === 'interactive_guide' && atom.picks && guideProductImages.length > 0) {
-          return {
-            ...atom,
-            picks: atom.picks.map((pick, i) => {
-              const guideImg = guideProductImages.find((img) => img.index === i);
-              if (guideImg && pick.product) {
-                return {
-                  ...pick,
-                  product: { ...pick.product, image_url: guideImg.url },
-                };
-              }
-              return pick;
-            }),
-          };
-        }
-        return atom;
+          return atom;
+        });
+      }
+
+      const updated = await supabase.updatePage(pageId, updates, {
+        reason: 'image_fill', revision: page.revision,
       });
-    }
+      return updated || attempt >= MAX_IMAGE_FILL_ATTEMPTS ? updated : fill(attempt + 1);
+    };
 
-    await supabase.updatePage(pageId, updates);
+    if (!await fill(1)) {
+      console.warn(`Images of flexible page ${pageId} not saved (page missing or kept changing)`);
+      return;
+    }
     console.log(`Images generated for flexible page ${pageId}`);
   } catch (error) {
     console.error('Background image generation failed (flexible):', error);
   }
 }
 
-/**
- * Normalize query for cache lookup
- * @param {string} query - User query
- * @returns {string} Normalized query
- */
-function normalizeQuery(query) {
-  return query.toLowerCase().trim().replace(/\s+/g, ' ');
-}
-
-/**
- * Check for cached page with same query (24-hour TTL)
- * @param {string} query - Normalized query
- * @param {object} supabase - Supabase client
- * @returns {object|null} Cached page or null
- */
-async function getCachedPage(query, supabase) {
-  const twentyFourHoursAgo = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString();
-  return supabase.findPageByQuery(query, twentyFourHoursAgo);
-}
-
 /**
  * Generate page using flexible multi-model pipeline
  * Claude → Gemini → Imagen
+ * @param {object} parentPage - Page a follow-up query refines (null for a new query)
  */
-async function generatePageFlexible(query, sessionId, supabase, env, ctx) {
-  console.log('Using flexible multi-model pipeline');
+async function generatePageFlexible(
+  query,
+  sessionId,
+  supabase,
+  env,
+  ctx,
+  brandPack,
+  parentPage = null,
+) {
+  console.log(`Using flexible multi-model pipeline (brand: ${brandPack.id})`);
+  if (parentPage) {
+    console.log(`Follow-up refinement of page ${parentPage.id} ("${parentPage.query}")`);
+  }
   const timing = new TimingTracker();
 
+  // A refinement is a follow-up query on the parent page (engagement of its layout)
+  if (parentPage) {
+    const followUp = { page_id: parentPage.id, type: 'follow_up' };
+    ctx.waitUntil(recordEvents(supabase, sessionId, [followUp])
+      .catch((error) => console.error('Failed to record follow-up:', error)));
+  }
+
   // Step 1: Claude generates content atoms with RAG (using Workers AI for embeddings)
   timing.startPhase('content_generation');
+  const assignExperiment = (classification) => getExperimentAssignment(supabase, {
+    brandId: brandPack.id, bucket: classification.type, sessionId,
+  });
   const ragOptions = env.AI
-    ? { supabase, ai: env.AI, env }
-    : { env };
+    ? {
+      supabase, ai: env.AI, env, brandPack, parentPage, assignExperiment,
+    }
+    : {
+      env, brandPack, parentPage, assignExperiment,
+    };
 
-  const claudeResult = await generateContentAtoms(query, env.ANTHROPIC_API_KEY, ragOptions);
-  const { contentAtoms, contentType, metadata, keywords, layoutBlocks, sourceIds, sourceImages, classification, timings: ragTimings } = claudeResult;
+  const claudeResult = await generateContentAtoms(query, getLLMProvider(env), ragOptions);
+  const { contentAtoms, contentType, metadata, keywords, layoutBlocks, sourceIds, sourceImages, classification, validationErrors, grounding, experiment, timings: ragTimings } = claudeResult;
 
   console.log(`Claude generated ${contentAtoms.length} content atoms (type: ${contentType})`);
   if (classification) {
     console.log(`Query classification: ${classification.type} (confidence: ${(classification.confidence * 100).toFixed(0)}%)`);
   }
 
-  // Step 2: Use Claude's layout selection (or fallback if invalid)
+  // Step 2: Layout stage - select a layout (Claude, Gemini or fallback) and repair it
   timing.startPhase('layout_selection');
-  let layoutResult;
-  const isValidLayout = layoutBlocks && Array.isArray(layoutBlocks) && layoutBlocks.length > 0;
-
-  if (isValidLayout) {
-    layoutResult = { blocks: layoutBlocks };
-    console.log(`Claude selected layout: ${layoutBlocks.map((b) => b.block_type).join(', ')}`);
-  } else {
-    console.log('Claude layout missing or invalid, using fallback');
-    layoutResult = getFallbackLayout(contentType, contentAtoms);
-    console.log(`Fallback layout: ${layoutResult.blocks.map((b) => b.block_type).join(', ')}`);
-  }
-
-  // Post-process: If query contains "table" and we have comparison data, ensure table block is included
-  const lowerQuery = query.toLowerCase();
-  const wantsTable = lowerQuery.includes('table') || lowerQuery.includes('chart') || lowerQuery.includes('specs');
-  const hasComparison = contentAtoms.some((a) => a.type === 'comparison');
-  const hasTableBlock = layoutResult.blocks.some((b) => b.block_type === 'comparison-table' || b.block_type === 'specs-table');
-
-  if (wantsTable && hasComparison && !hasTableBlock) {
-    // Replace comparison-cards with comparison-table, or add comparison-table after hero
-    const cardsIndex = layoutResult.blocks.findIndex((b) => b.block_type === 'comparison-cards');
-    const tableBlock = {
-      block_type: 'comparison-table',
-      atom_mappings: { items: 'comparison.items' },
-    };
-    if (cardsIndex >= 0) {
-      // Replace cards with table
-      layoutResult.blocks[cardsIndex] = tableBlock;
-      console.log('Replaced comparison-cards with comparison-table (user requested table)');
-    } else {
-      // Insert table after hero-banner
-      const heroIndex = layoutResult.blocks.findIndex((b) => b.block_type === 'hero-banner');
-      layoutResult.blocks.splice(heroIndex + 1, 0, tableBlock);
-      console.log('Added comparison-table block (user requested table)');
-    }
+  if (experiment) {
+    console.log(`Layout experiment ${experiment.experiment_id}: variant ${experiment.variant}`);
   }
+  const layoutResult = await selectLayout({
+    contentAtoms, contentType, metadata, query, layoutBlocks, experiment, env,
+  });
 
   // Prepare page data for database
   let pageData = {
@@ -652,6 +650,11 @@ async function generatePageFlexible(query, sessionId, supabase, env, ctx) {
     images_ready: false,
     rag_enabled: sourceIds.length > 0,
     rag_source_ids: sourceIds.length > 0 ? sourceIds : null,
+    brand_id: brandPack.id,
+    validation_errors: validationErrors.length > 0 ? validationErrors : null,
+    grounding,
+    experiment,
+    parent_page_id: parentPage?.id || null,
   };
 
   // Step 3: Hybrid image strategy - use RAG images where possible, generate the rest
@@ -665,7 +668,13 @@ async function generatePageFlexible(query, sessionId, supabase, env, ctx) {
     console.log(`Image strategy: hero=${imageStrategy.hero}, features=${imageStrategy.features}`);
 
     // Find matching images from RAG using semantic search
-    const matchedImages = await findMatchingImages(contentAtoms, metadata, classification, env);
+    const matchedImages = await findMatchingImages(
+      contentAtoms,
+      metadata,
+      classification,
+      env,
+      brandPack,
+    );
     ragImageCount = [
       matchedImages.hero,
       ...matchedImages.features,
@@ -696,15 +705,16 @@ async function generatePageFlexible(query, sessionId, supabase, env, ctx) {
   timing.startPhase('database_save');
   const page = await supabase.insertPage(pageData);
 
-  // Add to search history
-  await supabase.addHistory(sessionId, query, page.id);
+  // Add to search history (follow-ups join their parent's thread)
+  await supabase.addHistory(sessionId, query, page.id, pageData.parent_page_id);
+  ctx.waitUntil(indexCachedPage(page, env));
 
   // Generate remaining images with Imagen 3 (if any)
   timing.startPhase('image_generation_queue');
   let imagesToGenerate = 0;
   if (remainingPrompts.length > 0) {
     imagesToGenerate = remainingPrompts.length;
-    ctx.waitUntil(generateImagesBackgroundFlexible(page.id, remainingPrompts, env));
+    ctx.waitUntil(generateImagesBackgroundFlexible(page.id, remainingPrompts, env, brandPack));
     console.log(`Queued ${remainingPrompts.length} images for Imagen 3 generation`);
   }
 
@@ -730,14 +740,16 @@ async function generatePageFlexible(query, sessionId, supabase, env, ctx) {
  * Generate page using legacy fixed-layout pipeline
  * Claude → Imagen (original behavior)
  */
-async function generatePageLegacy(query, sessionId, supabase, env, ctx) {
-  console.log('Using legacy fixed-layout pipeline');
+async function generatePageLegacy(query, sessionId, supabase, env, ctx, brandPack) {
+  console.log(`Using legacy fixed-layout pipeline (brand: ${brandPack.id})`);
 
   // Generate content with Claude (with RAG using Workers AI for embeddings)
   const ragOptions = env.AI
-    ? { supabase, ai: env.AI, env }
-    : { env };
-  const { content, sourceIds, sourceImages } = await generateContent(query, env.ANTHROPIC_API_KEY, ragOptions);
+    ? {
+      supabase, ai: env.AI, env, brandPack,
+    }
+    : { env, brandPack };
+  const { content, sourceIds, sourceImages } = await generateContent(query, getLLMProvider(env), ragOptions);
 
   // Prepare page data for database
   const pageData = {
@@ -754,6 +766,7 @@ async function generatePageLegacy(query, sessionId, supabase, env, ctx) {
     images_ready: false,
     rag_enabled: sourceIds.length > 0,
     rag_source_ids: sourceIds.length > 0 ? sourceIds : null,
+    brand_id: brandPack.id,
   };
 
   // Save to database
@@ -761,11 +774,12 @@ async function generatePageLegacy(query, sessionId, supabase, env, ctx) {
 
   // Add to search history
   await supabase.addHistory(sessionId, query, page.id);
+  ctx.waitUntil(indexCachedPage(page, env));
 
   // Always generate images with Imagen 3 (AI-generated images are better quality)
   const imagePrompts = extractImagePrompts(content);
   if (imagePrompts.length > 0) {
-    ctx.waitUntil(generateImagesBackground(page.id, imagePrompts, env));
+    ctx.waitUntil(generateImagesBackground(page.id, imagePrompts, env, brandPack));
     console.log(`Queued ${imagePrompts.length} images for Imagen 3 generation`);
   }
 
@@ -777,13 +791,20 @@ async function generatePageLegacy(query, sessionId, supabase, env, ctx) {
 
 /**
  * Generate page handler
- * @param {object} body - Request body with query, session_id, and optional pipeline flag
+ * @param {object} body - Request body with query, session_id, optional pipeline flag and
+ *   optional parent_page_id (follow-up refinement of that page)
  * @param {object} env - Worker environment
  * @param {object} ctx - Execution context
+ * @param {object} brandPack - Brand pack resolved for this request
+ * @param {object} options - { skipCache: generate a new page even when a cached one matches }
+ * @returns {Promise<object>} Generated or cached page, or { error, status } when the parent page
+ *   does not exist (404) or belongs to another brand (400)
  */
-export async function generatePage(body, env, ctx) {
+export async function generatePage(body, env, ctx, brandPack = DEFAULT_BRAND_PACK, options = {}) {
   const startTime = Date.now();
-  const { query, session_id: sessionId, pipeline } = body;
+  const {
+    query, session_id: sessionId, pipeline, parent_page_id: parentPageId,
+  } = body;
 
   if (!query || typeof query !== 'string') {
     throw new Error('Query is required');
@@ -794,19 +815,37 @@ export async function generatePage(body, env, ctx) {
   }
 
   const supabase = getDbClient(env);
-  const normalizedQuery = normalizeQuery(query);
 
-  // Check for cached page (24-hour TTL)
+  // Follow-up refinement of an earlier page: its content is context, so skip the query cache
+  if (parentPageId) {
+    const parentPage = await supabase.getPage(parentPageId);
+    if (!parentPage) {
+      return { error: 'Parent page not found', status: 404 };
+    }
+    // A follow-up stays with the brand of its thread
+    if ((parentPage.brand_id || DEFAULT_BRAND_PACK.id) !== brandPack.id) {
+      return { error: `Parent page belongs to brand ${parentPage.brand_id}`, status: 400 };
+    }
+    return generatePageFlexible(query, sessionId, supabase, env, ctx, brandPack, parentPage);
+  }
+
+  // Check for cached page: same or semantically similar query (24-hour TTL)
   const cacheCheckStart = Date.now();
-  const cachedPage = await getCachedPage(normalizedQuery, supabase);
+  const cached = options.skipCache
+    ? null
+    : await getCachedPage(query, supabase, env, brandPack);
   const cacheCheckTime = Date.now() - cacheCheckStart;
 
-  if (cachedPage) {
+  // Pages of a layout experiment are only served to sessions assigned to their variant
+  if (cached && !(await isPageForSession(cached.page, sessionId, supabase))) {
+    console.log(`Page cache: skipping page ${cached.page.id} (other experiment variant)`);
+  } else if (cached) {
     // Add to search history even for cached pages
-    await supabase.addHistory(sessionId, query, cachedPage.id);
+    await supabase.addHistory(sessionId, query, cached.page.id);
     return {
-      ...cachedPage,
+      ...cached.page,
       cached: true,
+      cache: cached.cache,
       timings: {
         total_ms: Date.now() - startTime,
         phases: {
@@ -824,7 +863,7 @@ export async function generatePage(body, env, ctx) {
   const useFlexible = pipeline === 'flexible' || (env.GEMINI_API_KEY && pipeline !== 'legacy');
 
   if (useFlexible) {
-    return generatePageFlexible(query, sessionId, supabase, env, ctx);
+    return generatePageFlexible(query, sessionId, supabase, env, ctx, brandPack);
   }
-  return generatePageLegacy(query, sessionId, supabase, env, ctx);
+  return generatePageLegacy(query, sessionId, supabase, env, ctx, brandPack);
 }
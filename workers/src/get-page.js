@@ -23,9 +23,16 @@ function getDbClient(env) {
  * Get page handler
  * @param {string} pageId - UUID of the page
  * @param {object} env - Worker environment
+ * @param {number|null} revision - Optional revision number (default: current content)
  */
-export async function getPage(pageId, env) {
+export async function getPage(pageId, env, revision = null) {
   const client = getDbClient(env);
+  if (revision !== null) {
+    if (!client.getPageRevision) {
+      throw new Error('Page revisions require the Cloudflare D1 backend');
+    }
+    return client.getPageRevision(pageId, revision);
+  }
   const page = await client.getPage(pageId);
   return page;
 }
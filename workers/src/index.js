@@ -8,11 +8,20 @@ import { generatePageStream } from './generate-page-stream.js';
 import { generateImages } from './generate-images.js';
 import { getPage } from './get-page.js';
 import { getHistory } from './get-history.js';
+import { regenerateBlock } from './regenerate-block.js';
+import {
+  getPageRevisions, diffPageRevisions, rollbackPage, editPage,
+} from './page-revisions.js';
+import { submitFeedback, getReviewQueue, reviewPage } from './page-feedback.js';
 import { reindexVectors } from './reindex-vectors.js';
 import { generateEmbeddings } from './lib/embeddings.js';
 import { searchImages, batchIndexImages } from './lib/image-search.js';
 import { retrieveContext } from './lib/rag.js';
+import { getLLMProvider } from './lib/llm-provider.js';
 import { createClient as createCloudflareClient } from './lib/cloudflare-db.js';
+import { getExperimentResults } from './lib/experiments.js';
+import { MAX_EVENTS, recordEvents, getBlockUsage } from './lib/page-events.js';
+import { resolveBrandPack, getRequestHostname } from './lib/brand-pack.js';
 import { captionImages } from './caption-images.js';
 
 /**
@@ -59,7 +68,7 @@ async function reindexProductImages(env) {
 const corsHeaders = {
   'Access-Control-Allow-Origin': '*',
   'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
-  'Access-Control-Allow-Headers': 'Content-Type',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
 };
 
 /**
@@ -92,6 +101,23 @@ function errorResponse(message, status = 500) {
   return jsonResponse({ error: true, message }, status);
 }
 
+/**
+ * Check the admin API key of a request (admin endpoints are disabled without ADMIN_API_KEY)
+ */
+function isAdminRequest(request, env) {
+  return Boolean(env.ADMIN_API_KEY)
+    && request.headers.get('Authorization') === `Bearer ${env.ADMIN_API_KEY}`;
+}
+
+/**
+ * Parse a revision number query parameter
+ * @returns {number|null|undefined} Revision, null if absent, undefined if invalid
+ */
+function parseRevisionParam(value) {
+  if (value === null) return null;
+  return /^\d+$/.test(value) ? parseInt(value, 10) : undefined;
+}
+
 /**
  * Main request handler
  */
@@ -113,7 +139,17 @@ export default {
             return errorResponse('Method not allowed', 405);
           }
           const body = await request.json();
-          const result = await generatePage(body, env, ctx);
+          const brandPack = await resolveBrandPack(env, {
+            brand: body.brand,
+            hostname: getRequestHostname(request),
+          });
+          if (!brandPack) {
+            return errorResponse(`Unknown brand: ${body.brand}`, 404);
+          }
+          const result = await generatePage(body, env, ctx, brandPack);
+          if (result.error) {
+            return errorResponse(result.error, result.status);
+          }
           return jsonResponse(result);
         }
 
@@ -123,7 +159,14 @@ export default {
             return errorResponse('Method not allowed', 405);
           }
           const body = await request.json();
-          return generatePageStream(body, env, ctx);
+          const brandPack = await resolveBrandPack(env, {
+            brand: body.brand,
+            hostname: getRequestHostname(request),
+          });
+          if (!brandPack) {
+            return errorResponse(`Unknown brand: ${body.brand}`, 404);
+          }
+          return generatePageStream(body, env, ctx, brandPack);
         }
 
         case '/api/generate-images': {
@@ -143,13 +186,254 @@ export default {
           if (!pageId) {
             return errorResponse('Missing page ID', 400);
           }
-          const result = await getPage(pageId, env);
+          const revision = parseRevisionParam(url.searchParams.get('rev'));
+          if (revision === undefined) {
+            return errorResponse('rev must be a revision number', 400);
+          }
+          const result = await getPage(pageId, env, revision);
+          if (!result) {
+            return errorResponse(revision === null ? 'Page not found' : 'Revision not found', 404);
+          }
+          return jsonResponse(result);
+        }
+
+        case '/api/page-revisions': {
+          if (request.method !== 'GET') {
+            return errorResponse('Method not allowed', 405);
+          }
+          const pageId = url.searchParams.get('id');
+          if (!pageId) {
+            return errorResponse('Missing page ID', 400);
+          }
+          const result = await getPageRevisions(pageId, env);
+          if (!result) {
+            return errorResponse('Page not found', 404);
+          }
+          return jsonResponse(result);
+        }
+
+        case '/api/page-diff': {
+          // Diff two revisions (to defaults to the current revision)
+          if (request.method !== 'GET') {
+            return errorResponse('Method not allowed', 405);
+          }
+          const pageId = url.searchParams.get('id');
+          if (!pageId) {
+            return errorResponse('Missing page ID', 400);
+          }
+          const from = parseRevisionParam(url.searchParams.get('from'));
+          const to = parseRevisionParam(url.searchParams.get('to'));
+          if (from === null || from === undefined || to === undefined) {
+            return errorResponse('from (and optional to) must be revision numbers', 400);
+          }
+          const result = await diffPageRevisions(pageId, from, to, env);
+          if (!result) {
+            return errorResponse('Revision not found', 404);
+          }
+          return jsonResponse(result);
+        }
+
+        case '/api/rollback-page': {
+          if (request.method !== 'POST') {
+            return errorResponse('Method not allowed', 405);
+          }
+          if (!isAdminRequest(request, env)) {
+            return errorResponse('Unauthorized', 401);
+          }
+          const body = await request.json();
+          if (!body.page_id) {
+            return errorResponse('Missing page ID', 400);
+          }
+          if (!Number.isInteger(body.revision) || body.revision < 1) {
+            return errorResponse('revision must be a positive integer', 400);
+          }
+          const result = await rollbackPage(body, env);
+          if (!result) {
+            return errorResponse('Revision not found', 404);
+          }
+          return jsonResponse(result);
+        }
+
+        case '/api/edit-page': {
+          if (request.method !== 'POST') {
+            return errorResponse('Method not allowed', 405);
+          }
+          if (!isAdminRequest(request, env)) {
+            return errorResponse('Unauthorized', 401);
+          }
+          const body = await request.json();
+          if (!body.page_id) {
+            return errorResponse('Missing page ID', 400);
+          }
+          const result = await editPage(body, env);
+          if (!result) {
+            return errorResponse('Page not found', 404);
+          }
+          if (result.error) {
+            return errorResponse(result.error, result.status);
+          }
+          return jsonResponse(result);
+        }
+
+        case '/api/regenerate-block': {
+          // Rewrites the shared page every later visitor and cache hit is served: operators only
+          if (request.method !== 'POST') {
+            return errorResponse('Method not allowed', 405);
+          }
+          if (!isAdminRequest(request, env)) {
+            return errorResponse('Unauthorized', 401);
+          }
+          const body = await request.json();
+          if (!body.page_id) {
+            return errorResponse('Missing page ID', 400);
+          }
+          if (!Number.isInteger(body.block_index) || body.block_index < 0) {
+            return errorResponse('block_index must be a non-negative integer', 400);
+          }
+          const result = await regenerateBlock(body, env);
+          if (!result) {
+            return errorResponse('Page not found', 404);
+          }
+          if (result.error) {
+            return errorResponse(result.error, result.status);
+          }
+          return jsonResponse(result);
+        }
+
+        case '/api/events': {
+          // POST: batch of engagement events of rendered pages (sent with sendBeacon, so the body
+          // is text/plain); GET (admin): block usage of the brand's pages over the last days
+          const db = createCloudflareClient(env);
+          if (request.method === 'POST') {
+            let body;
+            try {
+              body = JSON.parse(await request.text());
+            } catch (error) {
+              return errorResponse('Invalid JSON body', 400);
+            }
+            if (!body?.session_id || !Array.isArray(body.events)) {
+              return errorResponse('Missing session ID or events', 400);
+            }
+            if (body.events.length > MAX_EVENTS) {
+              return errorResponse(`At most ${MAX_EVENTS} events per request`, 400);
+            }
+            const stored = await recordEvents(db, body.session_id, body.events);
+            return jsonResponse({ success: true, stored });
+          }
+          if (request.method !== 'GET') {
+            return errorResponse('Method not allowed', 405);
+          }
+          if (!isAdminRequest(request, env)) {
+            return errorResponse('Unauthorized', 401);
+          }
+          const brandPack = await resolveBrandPack(env, {
+            brand: url.searchParams.get('brand'),
+            hostname: getRequestHostname(request),
+          });
+          if (!brandPack) {
+            return errorResponse(`Unknown brand: ${url.searchParams.get('brand')}`, 404);
+          }
+          const days = Math.min(90, Math.max(1, parseInt(url.searchParams.get('days'), 10) || 7));
+          const blocks = await getBlockUsage(db, { brandId: brandPack.id, days });
+          return jsonResponse({ brand: brandPack.id, days, blocks });
+        }
+
+        case '/api/feedback': {
+          // Reader feedback on a page, or on one of its blocks (block_index)
+          if (request.method !== 'POST') {
+            return errorResponse('Method not allowed', 405);
+          }
+          const body = await request.json();
+          if (!body.page_id || !body.session_id) {
+            return errorResponse('Missing page ID or session ID', 400);
+          }
+          if (body.block_index != null
+            && (!Number.isInteger(body.block_index) || body.block_index < 0)) {
+            return errorResponse('block_index must be a non-negative integer', 400);
+          }
+          if (!['up', 'down'].includes(body.rating) && !body.comment?.trim?.()) {
+            return errorResponse('rating must be "up" or "down", or a comment is required', 400);
+          }
+          const result = await submitFeedback(body, env);
+          if (!result) {
+            return errorResponse('Page or block not found', 404);
+          }
+          return jsonResponse(result);
+        }
+
+        case '/api/review-queue': {
+          // GET: low-rated and reported pages of a brand; POST: invalidate, regenerate or
+          // dismiss a page (or one of its blocks)
+          if (!isAdminRequest(request, env)) {
+            return errorResponse('Unauthorized', 401);
+          }
+          if (request.method === 'GET') {
+            const brandPack = await resolveBrandPack(env, {
+              brand: url.searchParams.get('brand'),
+              hostname: getRequestHostname(request),
+            });
+            if (!brandPack) {
+              return errorResponse(`Unknown brand: ${url.searchParams.get('brand')}`, 404);
+            }
+            const days = Math.min(90, Math.max(1, parseInt(url.searchParams.get('days'), 10) || 30));
+            const limit = Math.min(200, Math.max(1, parseInt(url.searchParams.get('limit'), 10) || 50));
+            const pages = await getReviewQueue({ brandId: brandPack.id, days, limit }, env);
+            return jsonResponse({ brand: brandPack.id, days, pages });
+          }
+          if (request.method !== 'POST') {
+            return errorResponse('Method not allowed', 405);
+          }
+          const body = await request.json();
+          if (!body.page_id) {
+            return errorResponse('Missing page ID', 400);
+          }
+          if (!['invalidate', 'regenerate', 'dismiss'].includes(body.action)) {
+            return errorResponse('action must be invalidate, regenerate or dismiss', 400);
+          }
+          if (body.block_index !== undefined
+            && (!Number.isInteger(body.block_index) || body.block_index < 0)) {
+            return errorResponse('block_index must be a non-negative integer', 400);
+          }
+          const result = await reviewPage(body, env, ctx);
           if (!result) {
             return errorResponse('Page not found', 404);
           }
+          if (result.error) {
+            return errorResponse(result.error, result.status);
+          }
           return jsonResponse(result);
         }
 
+        case '/api/experiment-results': {
+          // Per variant results of one layout experiment (id), or of all experiments of a brand
+          if (request.method !== 'GET') {
+            return errorResponse('Method not allowed', 405);
+          }
+          if (!isAdminRequest(request, env)) {
+            return errorResponse('Unauthorized', 401);
+          }
+          const db = createCloudflareClient(env);
+          const experimentId = url.searchParams.get('id');
+          if (experimentId) {
+            const result = await getExperimentResults(db, experimentId);
+            if (!result) {
+              return errorResponse('Experiment not found', 404);
+            }
+            return jsonResponse(result);
+          }
+          const brandPack = await resolveBrandPack(env, {
+            brand: url.searchParams.get('brand'),
+            hostname: getRequestHostname(request),
+          });
+          if (!brandPack) {
+            return errorResponse(`Unknown brand: ${url.searchParams.get('brand')}`, 404);
+          }
+          const experiments = await db.getLayoutExperiments(brandPack.id);
+          const results = await Promise.all(experiments
+            .map((experiment) => getExperimentResults(db, experiment.id)));
+          return jsonResponse({ brand: brandPack.id, experiments: results });
+        }
+
         case '/api/get-history': {
           if (request.method !== 'GET') {
             return errorResponse('Method not allowed', 405);
@@ -199,11 +483,24 @@ export default {
           if (!vectors || !Array.isArray(vectors)) {
             return errorResponse('Missing vectors array', 400);
           }
-          // Upsert to Vectorize
+          // Upsert to Vectorize (one index shared by every crawled site, see scripts/sites/)
           await env.VECTORIZE.upsert(vectors);
           return jsonResponse({ success: true, count: vectors.length });
         }
 
+        case '/api/delete-vectors': {
+          // Vectorize delete endpoint for crawler (removed pages and chunks)
+          if (request.method !== 'POST') {
+            return errorResponse('Method not allowed', 405);
+          }
+          const { ids } = await request.json();
+          if (!ids || !Array.isArray(ids)) {
+            return errorResponse('Missing ids array', 400);
+          }
+          await env.VECTORIZE.deleteByIds(ids);
+          return jsonResponse({ success: true, count: ids.length });
+        }
+
         case '/api/search-images': {
           // Semantic image search endpoint
           if (request.method !== 'GET') {
@@ -321,7 +618,9 @@ export default {
 
           const supabase = createCloudflareClient(env);
           const startTime = Date.now();
-          const result = await retrieveContext(query, env.AI, supabase, {}, env);
+          const result = await retrieveContext(query, env.AI, supabase, {
+            provider: getLLMProvider(env),
+          }, env);
           const duration = Date.now() - startTime;
 
           return jsonResponse({
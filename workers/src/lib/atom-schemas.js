@@ -0,0 +1,307 @@
+/**
+ * Content Atom Schemas
+ * JSON Schema (draft-07 subset) for every content atom type the renderer understands
+ * Checked by atom-validation.js before a page is saved
+ *
+ * Supported keywords: type, enum, required, properties, items, minItems, minLength,
+ * minimum, maximum, default
+ */
+
+const text = { type: 'string', minLength: 1 };
+const optionalText = { type: ['string', 'null'] };
+const textList = { type: 'array', items: { type: 'string' } };
+const price = { type: ['string', 'number', 'null'] };
+// Citation labels from the model ("S1"), resolved to { source_id, title, url } before saving
+const sources = { type: 'array' };
+// Claims the grounding check could not confirm (set by grounding.js, not by the model)
+const unverified = { type: 'boolean' };
+const unverifiedFields = textList;
+
+// Suggested follow-up item (related products / recipes)
+const followUp = (nameKey) => ({
+  type: 'object',
+  required: [nameKey],
+  properties: {
+    [nameKey]: text,
+    price,
+    description: optionalText,
+    query: optionalText,
+    image_prompt: optionalText,
+    image_url: optionalText,
+  },
+});
+
+// eslint-disable-next-line import/prefer-default-export
+export const ATOM_SCHEMAS = {
+  heading: {
+    type: 'object',
+    required: ['text'],
+    properties: {
+      level: {
+        type: 'integer', minimum: 1, maximum: 6, default: 1,
+      },
+      text,
+    },
+  },
+
+  paragraph: {
+    type: 'object',
+    required: ['text'],
+    properties: { text, sources },
+  },
+
+  faq_set: {
+    type: 'object',
+    required: ['items'],
+    properties: {
+      items: {
+        type: 'array',
+        minItems: 1,
+        items: {
+          type: 'object',
+          required: ['question', 'answer'],
+          properties: {
+            question: text, answer: text, sources, unverified,
+          },
+        },
+      },
+    },
+  },
+
+  feature_set: {
+    type: 'object',
+    required: ['items'],
+    properties: {
+      items: {
+        type: 'array',
+        minItems: 1,
+        items: {
+          type: 'object',
+          required: ['title'],
+          properties: {
+            title: text,
+            description: optionalText,
+            image_prompt: optionalText,
+            image_url: optionalText,
+            cta_text: optionalText,
+          },
+        },
+      },
+    },
+  },
+
+  related: {
+    type: 'object',
+    required: ['items'],
+    properties: {
+      items: {
+        type: 'array',
+        minItems: 1,
+        items: {
+          type: 'object',
+          required: ['title'],
+          properties: { title: text, description: optionalText },
+        },
+      },
+    },
+  },
+
+  cta: {
+    type: 'object',
+    required: ['title'],
+    properties: {
+      title: text,
+      description: optionalText,
+      buttons: {
+        type: 'array',
+        default: [],
+        items: {
+          type: 'object',
+          required: ['text'],
+          properties: {
+            text,
+            style: { enum: ['primary', 'secondary'], default: 'primary' },
+          },
+        },
+      },
+    },
+  },
+
+  steps: {
+    type: 'object',
+    required: ['items'],
+    properties: {
+      items: {
+        type: 'array',
+        minItems: 1,
+        items: {
+          type: 'object',
+          required: ['number', 'instruction'],
+          properties: {
+            number: { type: 'integer', minimum: 1 },
+            instruction: text,
+            tip: optionalText,
+          },
+        },
+      },
+    },
+  },
+
+  table: {
+    type: 'object',
+    required: ['rows'],
+    properties: {
+      title: optionalText,
+      headers: textList,
+      rows: {
+        type: 'array',
+        minItems: 1,
+        items: { type: 'array', minItems: 2, items: { type: 'string' } },
+      },
+      // One citation list and one unverified flag per row
+      row_sources: { type: 'array', items: sources },
+      unverified_rows: { type: 'array', items: unverified },
+    },
+  },
+
+  list: {
+    type: 'object',
+    required: ['items'],
+    properties: {
+      style: { enum: ['bullet', 'numbered'], default: 'bullet' },
+      items: { type: 'array', minItems: 1, items: text },
+    },
+  },
+
+  comparison: {
+    type: 'object',
+    required: ['items'],
+    properties: {
+      items: {
+        type: 'array',
+        minItems: 1,
+        items: {
+          type: 'object',
+          required: ['name'],
+          properties: {
+            name: text,
+            series: optionalText,
+            price,
+            rating: { type: ['number', 'null'], minimum: 0, maximum: 5 },
+            description: optionalText,
+            image_url: optionalText,
+            image_prompt: optionalText,
+            specs: { type: 'object', default: {} },
+            pros: textList,
+            cons: textList,
+            unverified_fields: unverifiedFields,
+          },
+        },
+      },
+    },
+  },
+
+  interactive_guide: {
+    type: 'object',
+    required: ['picks'],
+    properties: {
+      title: optionalText,
+      subtitle: optionalText,
+      picks: {
+        type: 'array',
+        minItems: 1,
+        items: {
+          type: 'object',
+          required: ['tab_label', 'product'],
+          properties: {
+            tab_label: text,
+            tab_icon: { enum: ['dollar', 'wifi', 'star', 'heart', null] },
+            badge: optionalText,
+            badge_style: optionalText,
+            product: {
+              type: 'object',
+              required: ['name'],
+              properties: {
+                name: text,
+                series: optionalText,
+                price,
+                rating: { type: ['number', 'null'], minimum: 0, maximum: 5 },
+                description: optionalText,
+                image_url: optionalText,
+                specs: { type: 'object', default: {} },
+                url: optionalText,
+              },
+            },
+            pros: textList,
+            cons: textList,
+          },
+        },
+      },
+    },
+  },
+
+  product_detail: {
+    type: 'object',
+    required: ['name'],
+    properties: {
+      name: text,
+      series: optionalText,
+      tagline: optionalText,
+      price,
+      url: optionalText,
+      image_url: optionalText,
+      warranty: optionalText,
+      unverified_fields: unverifiedFields,
+      highlights: textList,
+      description: optionalText,
+      features: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['title'],
+          properties: { title: text, description: optionalText },
+        },
+      },
+      specs: { type: 'object', default: {} },
+      whats_included: textList,
+      related_products: { type: 'array', items: followUp('name') },
+    },
+  },
+
+  recipe_detail: {
+    type: 'object',
+    required: ['name', 'ingredients', 'steps'],
+    properties: {
+      name: text,
+      description: optionalText,
+      image_url: optionalText,
+      prep_time: optionalText,
+      total_time: optionalText,
+      servings: optionalText,
+      difficulty: optionalText,
+      ingredients: {
+        type: 'array',
+        minItems: 1,
+        items: {
+          type: 'object',
+          required: ['name'],
+          properties: { amount: optionalText, name: text },
+        },
+      },
+      steps: {
+        type: 'array',
+        minItems: 1,
+        items: {
+          type: 'object',
+          required: ['instruction'],
+          properties: { instruction: text, tip: optionalText },
+        },
+      },
+      chef_notes: optionalText,
+      nutrition: { type: ['object', 'null'] },
+      equipment: textList,
+      tags: textList,
+      related_recipes: { type: 'array', items: followUp('name') },
+    },
+  },
+};
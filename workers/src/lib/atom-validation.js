@@ -0,0 +1,347 @@
+/**
+ * Content Atom Validation & Repair
+ * Checks generated atoms against ATOM_SCHEMAS and repairs the ones that drift:
+ * 1. Coerce fields deterministically (numeric strings, single values to arrays, defaults)
+ * 2. Re-prompt the LLM for just the broken atom
+ * 3. Drop the atom if it is still invalid
+ *
+ * Uses a small built-in validator instead of a JSON Schema library:
+ * code-generating validators (ajv) are blocked in Workers (no eval / new Function)
+ */
+
+import { ATOM_SCHEMAS } from './atom-schemas.js';
+import { generateJSON } from './llm-provider.js';
+
+// Maximum LLM repair calls per page (the rest of the broken atoms are dropped)
+const MAX_REPAIRS = 3;
+
+const REPAIR_SYSTEM_PROMPT = `You repair malformed content atoms for a generated web page.
+You receive one atom, the JSON Schema it must satisfy, and the validation errors.
+Return ONLY the corrected atom as JSON. Keep all valid content unchanged.
+Fill missing required fields with content consistent with the rest of the atom and the user's query.`;
+
+/**
+ * Get the JSON type name of a value
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+/**
+ * Check a value against a JSON Schema type name
+ */
+function matchesType(value, type) {
+  if (type === 'integer') return Number.isInteger(value);
+  if (type === 'number') return typeof value === 'number' && Number.isFinite(value);
+  return typeOf(value) === type;
+}
+
+/**
+ * Validate a value against a schema
+ * @param {*} value - Value to check
+ * @param {object} schema - JSON Schema (supported subset)
+ * @param {string} path - Path of the value, for error messages
+ * @param {Array} errors - Collected errors ({ path, message })
+ * @returns {Array} errors
+ */
+function validateValue(value, schema, path, errors = []) {
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some((type) => matchesType(value, type))) {
+      errors.push({ path, message: `expected ${types.join(' or ')}, got ${typeOf(value)}` });
+      return errors;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path, message: `must be one of ${schema.enum.join(', ')}` });
+  }
+
+  if (typeof value === 'string' && schema.minLength && value.trim().length < schema.minLength) {
+    errors.push({ path, message: 'must not be empty' });
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ path, message: `must be >= ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ path, message: `must be <= ${schema.maximum}` });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems && value.length < schema.minItems) {
+      errors.push({ path, message: `must have at least ${schema.minItems} item(s)` });
+    }
+    if (schema.items) {
+      value.forEach((item, i) => validateValue(item, schema.items, `${path}[${i}]`, errors));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    (schema.required || []).forEach((key) => {
+      if (value[key] === undefined || value[key] === null) {
+        errors.push({ path: `${path}.${key}`, message: 'is required' });
+      }
+    });
+    Object.entries(schema.properties || {}).forEach(([key, propSchema]) => {
+      // Missing required keys are reported above; null is checked like any other value
+      const reported = value[key] === null && (schema.required || []).includes(key);
+      if (value[key] !== undefined && !reported) {
+        validateValue(value[key], propSchema, `${path}.${key}`, errors);
+      }
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Convert a value to a schema type when that is safe
+ * @returns {*} Converted value, or undefined if no conversion applies
+ */
+function convertTo(value, type) {
+  if (type === 'string' && (typeof value === 'number' || typeof value === 'boolean')) {
+    return String(value);
+  }
+  if ((type === 'number' || type === 'integer') && typeof value === 'string') {
+    const trimmed = value.trim();
+    const number = Number(trimmed);
+    if (/^-?\d+(\.\d+)?$/.test(trimmed) && (type === 'number' || Number.isInteger(number))) {
+      return number;
+    }
+  }
+  if (type === 'integer' && typeof value === 'number' && Number.isFinite(value)) {
+    return Math.round(value);
+  }
+  if (type === 'boolean' && typeof value === 'string' && /^(true|false)$/i.test(value.trim())) {
+    return value.trim().toLowerCase() === 'true';
+  }
+  if (type === 'array' && value !== null && !Array.isArray(value)) {
+    return [value];
+  }
+  if (type === 'null' && value === '') {
+    return null;
+  }
+  return undefined;
+}
+
+/**
+ * Convert a value to the first schema type it can be safely converted to
+ * @returns {*} Converted value, or the original value if no conversion applies
+ */
+function convertType(value, types) {
+  const converted = types
+    .map((type) => convertTo(value, type))
+    .find((result) => result !== undefined);
+  return converted === undefined ? value : converted;
+}
+
+/**
+ * Deterministically coerce a value towards its schema (never adds content)
+ * @param {*} value - Value to coerce
+ * @param {object} schema - JSON Schema (supported subset)
+ * @returns {*} Coerced value
+ */
+function coerceValue(value, schema) {
+  if (value === undefined || value === null) {
+    return schema.default !== undefined ? structuredClone(schema.default) : value;
+  }
+
+  let coerced = value;
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some((type) => matchesType(coerced, type))) {
+      coerced = convertType(coerced, types);
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(coerced)) {
+    if (typeof coerced === 'string' && schema.enum.includes(coerced.trim().toLowerCase())) {
+      coerced = coerced.trim().toLowerCase();
+    } else if (schema.default !== undefined) {
+      coerced = schema.default;
+    } else if (schema.enum.includes(null)) {
+      coerced = null;
+    }
+  }
+
+  if (Array.isArray(coerced) && schema.items) {
+    coerced = coerced
+      .filter((item) => item !== null && item !== undefined)
+      .map((item) => coerceValue(item, schema.items));
+  }
+
+  if (typeOf(coerced) === 'object' && schema.properties) {
+    coerced = { ...coerced };
+    Object.entries(schema.properties).forEach(([key, propSchema]) => {
+      const propValue = coerceValue(coerced[key], propSchema);
+      const nullable = !propSchema.type || [].concat(propSchema.type).includes('null');
+      if (propValue === null && !nullable && !(schema.required || []).includes(key)) {
+        // Optional field the model set to null: leave it out
+        delete coerced[key];
+      } else if (propValue !== undefined) {
+        coerced[key] = propValue;
+      }
+    });
+  }
+
+  return coerced;
+}
+
+// Atom-specific fixes that need more context than a single field
+const ATOM_FIXUPS = {
+  // Step numbers follow item order
+  steps: (atom) => ({
+    ...atom,
+    items: Array.isArray(atom.items)
+      ? atom.items.map((item, i) => (typeOf(item) === 'object' ? { ...item, number: i + 1 } : item))
+      : atom.items,
+  }),
+};
+
+/**
+ * Validate a single content atom
+ * @param {object} atom - Content atom
+ * @returns {Array<{path: string, message: string}>} Validation errors (empty if valid)
+ */
+export function validateAtom(atom) {
+  if (typeOf(atom) !== 'object') {
+    return [{ path: 'atom', message: `expected object, got ${typeOf(atom)}` }];
+  }
+  const schema = ATOM_SCHEMAS[atom.type];
+  if (!schema) {
+    return [{ path: 'atom.type', message: `unknown atom type "${atom.type}"` }];
+  }
+  return validateValue(atom, schema, atom.type);
+}
+
+/**
+ * Coerce an atom towards its schema
+ * @param {object} atom - Content atom with a known type
+ * @returns {object} Coerced atom
+ */
+export function coerceAtom(atom) {
+  const coerced = coerceValue(atom, ATOM_SCHEMAS[atom.type]);
+  const fixup = ATOM_FIXUPS[atom.type];
+  return fixup ? fixup(coerced) : coerced;
+}
+
+/**
+ * Ask the LLM to repair a single invalid atom
+ * @param {object} atom - Invalid atom
+ * @param {Array} errors - Validation errors
+ * @param {object} provider - LLM provider
+ * @param {string} query - Original user query
+ * @returns {Promise<object|null>} Repaired atom, or null if the repair failed
+ */
+async function repairAtom(atom, errors, provider, query) {
+  const prompt = `User query: "${query}"
+
+Atom type: ${atom.type}
+
+JSON Schema:
+${JSON.stringify(ATOM_SCHEMAS[atom.type])}
+
+Invalid atom:
+${JSON.stringify(atom)}
+
+Validation errors:
+${errors.map((e) => `- ${e.path}: ${e.message}`).join('\n')}
+
+Respond with ONLY the corrected atom as JSON.`;
+
+  try {
+    const repaired = await generateJSON(provider, {
+      task: 'repair_atom',
+      query,
+      atom,
+      system: REPAIR_SYSTEM_PROMPT,
+      prompt,
+      maxTokens: 2048,
+      temperature: 0,
+    });
+    // Never let a repair change the atom type
+    return coerceAtom({ ...repaired, type: atom.type });
+  } catch (error) {
+    console.error(`Atom repair failed for ${atom.type}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Format errors for the page row
+ */
+function formatErrors(errors) {
+  return errors.map((e) => `${e.path}: ${e.message}`);
+}
+
+/**
+ * Validate content atoms and repair the invalid ones
+ * @param {Array} contentAtoms - Atoms returned by the LLM
+ * @param {object} provider - LLM provider used for repair re-prompts
+ * @param {object} options - { query, maxRepairs }
+ * @returns {Promise<{atoms: Array, validationErrors: Array}>} Valid atoms and a per-atom report
+ *   (each entry: { index, type, errors, resolution: 'coerced' | 'repaired' | 'dropped' })
+ */
+export async function validateContentAtoms(contentAtoms, provider, options = {}) {
+  const { query = '', maxRepairs = MAX_REPAIRS } = options;
+  const atoms = Array.isArray(contentAtoms) ? contentAtoms : [];
+  const validationErrors = [];
+  const results = [...atoms];
+  const needsRepair = [];
+
+  // Pass 1: validate and coerce
+  atoms.forEach((atom, index) => {
+    const errors = validateAtom(atom);
+    if (errors.length === 0) return;
+
+    const type = atom?.type || null;
+    const report = { index, type, errors: formatErrors(errors) };
+    validationErrors.push(report);
+
+    if (!ATOM_SCHEMAS[type]) {
+      report.resolution = 'dropped';
+      results[index] = null;
+      return;
+    }
+
+    const coerced = coerceAtom(atom);
+    const remaining = validateAtom(coerced);
+    if (remaining.length === 0) {
+      report.resolution = 'coerced';
+      results[index] = coerced;
+    } else {
+      needsRepair.push({
+        index, atom: coerced, errors: remaining, report,
+      });
+    }
+  });
+
+  // Pass 2: targeted LLM repair for atoms coercion could not fix
+  await Promise.all(needsRepair.map(async ({
+    index, atom, errors, report,
+  }, i) => {
+    const repaired = i < maxRepairs ? await repairAtom(atom, errors, provider, query) : null;
+    if (repaired && validateAtom(repaired).length === 0) {
+      report.resolution = 'repaired';
+      results[index] = repaired;
+    } else {
+      report.resolution = 'dropped';
+      results[index] = null;
+    }
+  }));
+
+  if (validationErrors.length > 0) {
+    const summary = validationErrors.map((e) => `${e.type}:${e.resolution}`).join(', ');
+    console.log(`Atom validation: ${validationErrors.length}/${atoms.length} invalid (${summary})`);
+  }
+
+  return {
+    atoms: results.filter(Boolean),
+    validationErrors,
+  };
+}
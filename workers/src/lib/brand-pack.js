@@ -0,0 +1,158 @@
+/**
+ * Brand Packs
+ * Selects the brand pack (catalog, voice, product URLs, classifier vocabulary,
+ * image style) that drives prompts, classification and image generation
+ *
+ * Resolution order: explicit brand id -> request hostname -> built-in default (Vitamix)
+ * Packs beyond the built-in one live as JSON in the D1 brand_packs table
+ */
+
+import { VITAMIX_BRAND_PACK } from './vitamix-brand-pack.js';
+
+export const DEFAULT_BRAND_PACK = VITAMIX_BRAND_PACK;
+
+// Packs that ship with the worker, keyed by id
+const BUILTIN_BRAND_PACKS = {
+  [VITAMIX_BRAND_PACK.id]: VITAMIX_BRAND_PACK,
+};
+
+// Brand-neutral values for sections a stored pack leaves out
+const EMPTY_BRAND_PACK = {
+  description: '',
+  hostnames: [],
+  catalog: {
+    product_lines: [],
+    key_features: [],
+    models: [],
+    comparison_models: [],
+    comparison_spec_keys: ['series', 'price', 'motor', 'container', 'warranty', 'programs', 'smart', 'interface'],
+    program_names: [],
+    image_prompt_format: 'Modern [product] with [finish], professional product shot',
+    recommendation_phrases: ['help me choose', 'which one should I buy', 'what is best for [use case]'],
+  },
+  voice: {
+    traits: ['Helpful, expert, approachable'],
+    guidelines: [],
+  },
+  product_urls: {
+    models: [],
+    example: null,
+    invalid_patterns: [],
+  },
+  classifier: {
+    product_terms: [],
+    commercial_terms: [],
+    strong_indicators: {},
+    spelling: {},
+  },
+  image_style: {
+    strip_terms: [],
+    food: 'High-quality, appetizing composition with beautiful lighting. Clean modern presentation. Shallow depth of field.',
+    product: 'Clean white or light gray studio background, professional lighting with soft shadows, high-resolution shot. No text or watermarks.',
+    fallback_prompts: {
+      hero: 'Professional lifestyle photography: bright, clean modern kitchen counter with natural light. No text.',
+      comparison: 'Professional product photography: clean white studio background, soft shadows. No text.',
+      default: 'Professional photography: clean modern composition with soft natural lighting and vibrant colors. No text.',
+    },
+  },
+};
+
+/**
+ * Fill in missing sections of a stored brand pack
+ * @param {object} pack - Brand pack as stored (partial sections allowed)
+ * @returns {object} Complete brand pack
+ */
+export function normalizeBrandPack(pack) {
+  if (!pack?.id || !pack?.name) {
+    throw new Error('Brand pack requires an id and a name');
+  }
+
+  return {
+    ...EMPTY_BRAND_PACK,
+    ...pack,
+    catalog: { ...EMPTY_BRAND_PACK.catalog, ...pack.catalog },
+    voice: { ...EMPTY_BRAND_PACK.voice, ...pack.voice },
+    product_urls: { ...EMPTY_BRAND_PACK.product_urls, ...pack.product_urls },
+    classifier: { ...EMPTY_BRAND_PACK.classifier, ...pack.classifier },
+    image_style: {
+      ...EMPTY_BRAND_PACK.image_style,
+      ...pack.image_style,
+      fallback_prompts: {
+        ...EMPTY_BRAND_PACK.image_style.fallback_prompts,
+        ...pack.image_style?.fallback_prompts,
+      },
+    },
+  };
+}
+
+/**
+ * Parse a brand_packs row into a brand pack
+ * Columns (id, name, hostnames) take precedence over the same keys in the config JSON
+ */
+function parseBrandPackRow(row) {
+  const config = JSON.parse(row.config || '{}');
+  return normalizeBrandPack({
+    ...config,
+    id: row.id,
+    name: row.name,
+    hostnames: row.hostnames ? JSON.parse(row.hostnames) : config.hostnames,
+  });
+}
+
+/**
+ * Get the hostname of the site that made a request
+ * The frontend calls the API cross-origin, so prefer Origin/Referer over the worker URL
+ * @param {Request} request - Incoming request
+ * @returns {string|null} Hostname
+ */
+export function getRequestHostname(request) {
+  const source = request.headers.get('Origin') || request.headers.get('Referer') || request.url;
+  try {
+    return new URL(source).hostname;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Resolve the brand pack for a request
+ * @param {object} env - Worker environment (DB binding for stored packs)
+ * @param {object} selector - { brand: explicit brand id, hostname: requesting site }
+ * @returns {Promise<object|null>} Brand pack (the default one for an unknown hostname), or null
+ *   if the explicit brand is unknown
+ */
+export async function resolveBrandPack(env, { brand, hostname } = {}) {
+  if (brand && BUILTIN_BRAND_PACKS[brand]) {
+    return BUILTIN_BRAND_PACKS[brand];
+  }
+
+  if (env.DB && (brand || hostname)) {
+    try {
+      const row = brand
+        ? await env.DB.prepare(`
+            SELECT id, name, hostnames, config FROM brand_packs
+            WHERE id = ? AND active = 1
+          `).bind(brand).first()
+        : await env.DB.prepare(`
+            SELECT id, name, hostnames, config FROM brand_packs
+            WHERE active = 1
+              AND EXISTS (SELECT 1 FROM json_each(brand_packs.hostnames) WHERE value = ?)
+            LIMIT 1
+          `).bind(hostname).first();
+
+      if (row) {
+        return parseBrandPackRow(row);
+      }
+    } catch (error) {
+      console.error('Brand pack lookup failed:', error);
+    }
+  }
+
+  if (brand) {
+    return null;
+  }
+
+  const hostMatch = Object.values(BUILTIN_BRAND_PACKS)
+    .find((pack) => hostname && pack.hostnames.includes(hostname));
+  return hostMatch || DEFAULT_BRAND_PACK;
+}
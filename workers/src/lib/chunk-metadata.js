@@ -0,0 +1,127 @@
+/**
+ * Chunk Vector Metadata
+ * Filterable metadata written with every RAG chunk vector, shared by the crawler
+ * (scripts/crawl-vitamix.js) and /api/reindex-vectors so both index the same fields
+ *
+ * Vectorize only filters on properties that have a metadata index, and only indexes
+ * vectors upserted after the index exists (run /api/reindex-vectors afterwards):
+ *   wrangler vectorize create-metadata-index adaptive-web-vectors \
+ *     --property-name=content_type --type=string
+ *   (repeat for page_type, series and model)
+ */
+
+import { DEFAULT_BRAND_PACK } from './brand-pack.js';
+
+// Characters of chunk text stored in vector metadata (returned as chunk_text by vector search)
+const METADATA_CONTENT_LENGTH = 500;
+
+// URL path fragments of each content type, in order of precedence (crawler site configs
+// can define their own, see scripts/sites/)
+export const DEFAULT_CONTENT_TYPE_PATTERNS = {
+  recipe: ['/recipes/'],
+  product: ['/products/'],
+  shop: ['/shop/'],
+  blog: ['/blog/', '/articles/'],
+  support: ['/support/', '/faq/'],
+  commercial: ['/commercial/'],
+};
+
+/**
+ * Determine the content type of a source from its URL
+ * @param {string} url - Source URL
+ * @param {object} patterns - URL path fragments by content type
+ * @returns {string} 'recipe' | 'product' | 'shop' | 'blog' | 'support' | 'commercial' | 'page'
+ *   (or another type of the given patterns)
+ */
+export function getContentType(url, patterns = DEFAULT_CONTENT_TYPE_PATTERNS) {
+  const match = Object.entries(patterns)
+    .find(([, fragments]) => fragments.some((fragment) => url.includes(fragment)));
+  return match ? match[0] : 'page';
+}
+
+/**
+ * Determine the page type of a source: the content type, split further for support pages
+ * @param {string} url - Source URL
+ * @param {string} contentType - Content type (default: derived from the URL)
+ * @returns {string} Content type, or 'manual' | 'faq' for support and generic pages
+ */
+export function getPageType(url, contentType = getContentType(url)) {
+  if (contentType !== 'support' && contentType !== 'page') return contentType;
+  const path = (url || '').toLowerCase();
+  if (/manual|owners?-guide|user-guide|instructions/.test(path)) return 'manual';
+  if (/faq|frequently-asked/.test(path)) return 'faq';
+  return contentType;
+}
+
+/**
+ * Get the product series names and model numbers a brand pack knows about
+ * Series come from catalog product lines ("Ascent Series: ...") and catalog models, models
+ * from catalog models, product URLs and comparison models
+ * @param {object} brandPack - Brand pack
+ * @returns {{series: string[], models: string[]}} Series names and model numbers (uppercase)
+ */
+export function getProductVocabulary(brandPack) {
+  const catalogModels = brandPack.catalog.models || [];
+  const series = [...new Set([
+    ...brandPack.catalog.product_lines.map((line) => line.match(/^([\w ]+?) Series:/)?.[1]),
+    ...catalogModels.map((model) => model.series),
+  ].filter(Boolean))];
+  const models = [
+    ...catalogModels.map(({ id }) => id),
+    ...brandPack.product_urls.models.map(({ model }) => model),
+    ...brandPack.catalog.comparison_models,
+  ]
+    .map((model) => model.toUpperCase())
+    .filter((model) => !series.some((name) => name.toUpperCase() === model));
+  return { series, models: [...new Set(models)] };
+}
+
+/**
+ * Find the first of a list of terms that appears as a whole word in a text
+ */
+function findTerm(terms, text) {
+  return terms.find((term) => new RegExp(`\\b${term}\\b`, 'i').test(text)) || null;
+}
+
+/**
+ * Detect the product series and model a chunk is about
+ * The source title wins over the chunk text, which often mentions several models
+ * @param {string} title - Source title
+ * @param {string} content - Chunk text
+ * @param {object} brandPack - Brand pack (catalog vocabulary)
+ * @returns {{series: string|null, model: string|null}}
+ */
+export function detectProductFacets(title, content, brandPack = DEFAULT_BRAND_PACK) {
+  const { series, models } = getProductVocabulary(brandPack);
+  return {
+    series: findTerm(series, title || '') || findTerm(series, content || ''),
+    model: findTerm(models, title || '') || findTerm(models, content || ''),
+  };
+}
+
+/**
+ * Build the metadata stored with a chunk vector
+ * Empty facets are left out (Vectorize metadata values cannot be null)
+ * @param {object} chunk - { sourceId, content, chunkIndex, headingPath, contentType, pageType,
+ *   title }
+ * @param {object} brandPack - Brand pack used to detect series and model
+ * @returns {object} Vector metadata
+ */
+export function buildChunkMetadata({
+  sourceId, content, chunkIndex = 0, headingPath = [], contentType, pageType, title,
+}, brandPack = DEFAULT_BRAND_PACK) {
+  const { series, model } = detectProductFacets(title, content, brandPack);
+  const metadata = {
+    source_id: sourceId,
+    content: (content || '').substring(0, METADATA_CONTENT_LENGTH),
+    chunk_index: chunkIndex,
+    heading: headingPath?.length ? headingPath.join(' > ') : null,
+    content_type: contentType,
+    page_type: pageType || contentType,
+    series,
+    model,
+  };
+  return Object.fromEntries(
+    Object.entries(metadata).filter(([, value]) => value !== null && value !== undefined),
+  );
+}
@@ -0,0 +1,326 @@
+/**
+ * Content Chunking
+ * Splits crawled pages into RAG chunks along their structure instead of character counts:
+ * 1. extractBlocks walks the page DOM into headings, text, lists and tables
+ * 2. chunkBlocks groups the blocks into sections under their h1-h3 headings (FAQ questions
+ *    in <details> and h4 headings are sections of their own)
+ * 3. A section is one chunk; small sibling sections share a chunk, oversized ones are split
+ *    between blocks, list items or table rows, and only a single oversized paragraph falls
+ *    back to the sentence splitter (chunkText)
+ *
+ * Every chunk keeps its heading path, which also heads its text so the embedding and the
+ * keyword index see the section it came from
+ */
+
+const NODE_ELEMENT = 1;
+const NODE_TEXT = 3;
+
+// Elements whose text flows into the surrounding paragraph
+const INLINE_TAGS = new Set([
+  'a', 'abbr', 'b', 'br', 'button', 'code', 'em', 'i', 'label', 'mark', 's', 'small', 'span',
+  'strong', 'sub', 'sup', 'time', 'u',
+]);
+
+// Elements that never hold page content
+const SKIPPED_TAGS = new Set(['script', 'style', 'noscript', 'template', 'svg', 'img', 'picture']);
+
+// Headings that start a section; deeper headings stay in their section's text
+const SECTION_LEVEL = 4;
+
+// Level of a <details> summary (FAQ question), below any h1-h3 it sits under
+const SUMMARY_LEVEL = 4;
+
+// Sections shorter than this are packed with their small siblings
+const MIN_SECTION_LENGTH = 200;
+
+// Chunks (without their heading line, but with the headings of packed sections) shorter than
+// this are dropped
+const MIN_CHUNK_LENGTH = 30;
+
+/**
+ * Collapse the whitespace of DOM text
+ */
+function collapseWhitespace(text) {
+  return (text || '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Find sentence boundary in text segment
+ * @param {string} segment - Text segment
+ * @param {number} maxPos - Maximum position to search
+ * @returns {number} Position of sentence end, or -1
+ */
+function findSentenceEnd(segment, maxPos) {
+  const sentenceEnders = ['. ', '! ', '? ', '.\n', '!\n', '?\n'];
+
+  return sentenceEnders.reduce((lastBoundary, ender) => {
+    const pos = segment.lastIndexOf(ender, maxPos);
+    return pos > lastBoundary ? pos + 1 : lastBoundary; // Include the punctuation
+  }, -1);
+}
+
+/**
+ * Chunk text into smaller pieces for embedding
+ * Used for text without structure, and for paragraphs too long for one chunk
+ * @param {string} text - Full text content
+ * @param {object} options - Chunking options
+ * @returns {Array<{text: string, index: number}>} Array of chunks
+ */
+export function chunkText(text, options = {}) {
+  const { chunkSize = 500, overlap = 100 } = options;
+
+  const chunks = [];
+  const cleanText = text.replace(/\s+/g, ' ').trim();
+
+  let startIndex = 0;
+  let chunkIndex = 0;
+
+  while (startIndex < cleanText.length) {
+    let endIndex = Math.min(startIndex + chunkSize, cleanText.length);
+
+    // Try to break at sentence boundary
+    if (endIndex < cleanText.length) {
+      const segment = cleanText.slice(startIndex, endIndex + 50);
+      const sentenceEnd = findSentenceEnd(segment, chunkSize);
+      if (sentenceEnd > 0) {
+        endIndex = startIndex + sentenceEnd;
+      }
+    }
+
+    const chunkTextContent = cleanText.slice(startIndex, endIndex).trim();
+
+    if (chunkTextContent.length >= 50) { // Minimum chunk size
+      chunks.push({
+        text: chunkTextContent,
+        index: chunkIndex,
+      });
+      chunkIndex += 1;
+    }
+
+    // Move start with overlap (always forward, and done once the end is reached)
+    if (endIndex >= cleanText.length) break;
+    startIndex = Math.max(endIndex - overlap, startIndex + 1);
+  }
+
+  return chunks;
+}
+
+/**
+ * Extract the content blocks of a page, in document order
+ * @param {Element} root - Main content element (DOM or JSDOM)
+ * @returns {Array<object>} Blocks: { type: 'heading', level, text } | { type: 'text', text }
+ *   | { type: 'list', items } | { type: 'table', rows }
+ */
+export function extractBlocks(root) {
+  const blocks = [];
+  let run = '';
+
+  const flush = () => {
+    const text = collapseWhitespace(run);
+    if (text) blocks.push({ type: 'text', text });
+    run = '';
+  };
+
+  const walk = (node) => {
+    Array.from(node.childNodes || []).forEach((child) => {
+      if (child.nodeType === NODE_TEXT) {
+        run += child.textContent;
+        return;
+      }
+      if (child.nodeType !== NODE_ELEMENT) return;
+
+      const tag = child.tagName.toLowerCase();
+      if (SKIPPED_TAGS.has(tag)) return;
+      if (INLINE_TAGS.has(tag)) {
+        run += ` ${child.textContent} `;
+        return;
+      }
+
+      flush();
+      const heading = tag.match(/^h([1-6])$/);
+      if (heading) {
+        const text = collapseWhitespace(child.textContent);
+        if (text) blocks.push({ type: 'heading', level: Number(heading[1]), text });
+      } else if (tag === 'ul' || tag === 'ol') {
+        const items = Array.from(child.children)
+          .filter((item) => item.tagName.toLowerCase() === 'li')
+          .map((item) => collapseWhitespace(item.textContent))
+          .filter(Boolean);
+        if (items.length > 0) blocks.push({ type: 'list', items });
+      } else if (tag === 'dl') {
+        const items = Array.from(child.querySelectorAll('dt')).map((term) => {
+          const definition = term.nextElementSibling?.tagName.toLowerCase() === 'dd'
+            ? collapseWhitespace(term.nextElementSibling.textContent)
+            : '';
+          return [collapseWhitespace(term.textContent), definition].filter(Boolean).join(': ');
+        }).filter(Boolean);
+        if (items.length > 0) blocks.push({ type: 'list', items });
+      } else if (tag === 'table') {
+        const rows = Array.from(child.querySelectorAll('tr'))
+          .map((row) => Array.from(row.children)
+            .map((cell) => collapseWhitespace(cell.textContent)))
+          .filter((cells) => cells.some(Boolean));
+        if (rows.length > 0) blocks.push({ type: 'table', rows });
+      } else if (tag === 'summary') {
+        const text = collapseWhitespace(child.textContent);
+        if (text) blocks.push({ type: 'heading', level: SUMMARY_LEVEL, text });
+      } else {
+        walk(child);
+      }
+      flush();
+    });
+  };
+
+  walk(root);
+  flush();
+  return blocks;
+}
+
+/**
+ * Text of a block as it appears in a chunk
+ */
+function renderBlock(block) {
+  if (block.type === 'list') return block.items.map((item) => `- ${item}`).join('\n');
+  if (block.type === 'table') return block.rows.map((cells) => cells.join(' | ')).join('\n');
+  return block.text;
+}
+
+/**
+ * Group blocks into sections under their heading paths
+ * @returns {Array<{path: string[], level: number, blocks: Array}>} Sections, in document order
+ */
+function toSections(blocks) {
+  const sections = [];
+  const headings = [];
+  let current = { path: [], level: 0, blocks: [] };
+
+  blocks.forEach((block) => {
+    if (block.type === 'heading' && block.level <= SECTION_LEVEL) {
+      sections.push(current);
+      while (headings.length > 0 && headings[headings.length - 1].level >= block.level) {
+        headings.pop();
+      }
+      headings.push(block);
+      current = { path: headings.map((heading) => heading.text), level: block.level, blocks: [] };
+    } else {
+      current.blocks.push(block);
+    }
+  });
+  sections.push(current);
+
+  return sections.filter((section) => section.blocks.length > 0);
+}
+
+/**
+ * Split an oversized list or table into pieces of at most chunkSize characters
+ * Table pieces repeat the header row
+ */
+function splitBlock(block, chunkSize) {
+  const lines = block.type === 'list'
+    ? block.items.map((item) => `- ${item}`)
+    : block.rows.map((cells) => cells.join(' | '));
+  const header = block.type === 'table' && block.rows.length > 1 ? lines.shift() : null;
+
+  const pieces = [];
+  let piece = [];
+  lines.forEach((line) => {
+    const size = [header, ...piece, line].filter(Boolean).join('\n').length;
+    if (piece.length > 0 && size > chunkSize) {
+      pieces.push([header, ...piece].filter(Boolean).join('\n'));
+      piece = [];
+    }
+    piece.push(line);
+  });
+  if (piece.length > 0) pieces.push([header, ...piece].filter(Boolean).join('\n'));
+  return pieces;
+}
+
+/**
+ * Split a section that does not fit in one chunk, between its blocks where possible
+ * @returns {string[]} Chunk texts
+ */
+function splitSection(section, chunkSize, overlap) {
+  const pieces = [];
+  let piece = '';
+
+  section.blocks.forEach((block) => {
+    const text = renderBlock(block);
+    if (piece && `${piece}\n${text}`.length > chunkSize) {
+      pieces.push(piece);
+      piece = '';
+    }
+    if (text.length <= chunkSize) {
+      piece = piece ? `${piece}\n${text}` : text;
+    } else if (block.type === 'text' || block.type === 'heading') {
+      pieces.push(...chunkText(text, { chunkSize, overlap }).map((chunk) => chunk.text));
+    } else {
+      pieces.push(...splitBlock(block, chunkSize));
+    }
+  });
+  if (piece) pieces.push(piece);
+  return pieces;
+}
+
+/**
+ * Chunk the blocks of a page along its sections
+ * @param {Array} blocks - Blocks from extractBlocks
+ * @param {object} options - { title, description (prepended to the page's first chunk),
+ *   chunkSize, overlap (sentence-splitter overlap, for oversized paragraphs) }
+ * @returns {Array<{text: string, body: string, index: number, heading_path: string[]}>} Chunks;
+ *   text is body headed by the page title and heading path
+ */
+export function chunkBlocks(blocks, options = {}) {
+  const {
+    title = '', description = '', chunkSize = 800, overlap = 150,
+  } = options;
+  const sections = toSections(blocks);
+  if (description && sections.length > 0) {
+    sections[0].blocks.unshift({ type: 'text', text: description });
+  }
+
+  // Pack small sibling sections (e.g. short FAQ answers) together, each under its heading
+  const units = [];
+  sections.forEach((section) => {
+    const body = section.blocks.map(renderBlock).join('\n');
+    const last = units[units.length - 1];
+    const parentPath = section.path.slice(0, -1);
+    const heading = section.path[section.path.length - 1];
+    const packed = heading ? `${heading}\n${body}` : body;
+    if (
+      last?.packable
+      && body.length < MIN_SECTION_LENGTH
+      && last.path.join('\n') === parentPath.join('\n')
+      && `${last.text}\n${packed}`.length <= chunkSize
+    ) {
+      last.text = `${last.text}\n${packed}`;
+      delete last.single;
+      return;
+    }
+    if (body.length < MIN_SECTION_LENGTH && heading) {
+      // Kept as a section of its own unless a sibling is packed with it
+      units.push({
+        path: parentPath, text: packed, packable: true, single: { path: section.path, text: body },
+      });
+    } else if (body.length <= chunkSize) {
+      units.push({ path: section.path, text: body, packable: false });
+    } else {
+      splitSection(section, chunkSize, overlap)
+        .forEach((text) => units.push({ path: section.path, text, packable: false }));
+    }
+  });
+
+  // The page title heads the path, unless the page's h1 already repeats it
+  const withTitle = (path) => (
+    title && !(path[0] && title.includes(path[0])) ? [title, ...path] : path
+  );
+
+  return units
+    .filter((unit) => unit.text.length >= MIN_CHUNK_LENGTH)
+    .map((unit) => unit.single || unit)
+    .map((unit, index) => ({
+      text: [withTitle(unit.path).join(' > '), unit.text].filter(Boolean).join('\n'),
+      body: unit.text,
+      index,
+      heading_path: unit.path,
+    }));
+}
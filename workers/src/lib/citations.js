@@ -0,0 +1,81 @@
+/**
+ * Source Citations
+ * RAG chunks are labeled S1, S2, ... in the prompt context; the model tags atoms with the
+ * labels it relied on, and resolveAtomCitations swaps them for the source title and URL
+ *
+ * Tagged fields: atom.sources (any atom), items[].sources (e.g. FAQ answers)
+ * and table row_sources (one list per row)
+ */
+
+/**
+ * Citation label of the chunk at a position in the RAG context
+ * @param {number} index - Chunk position (0-based)
+ * @returns {string} Label, e.g. "S1"
+ */
+export function citationLabel(index) {
+  return `S${index + 1}`;
+}
+
+/**
+ * Map citation labels to the chunks (and their vitamix_sources rows) they stand for
+ * @param {Array} chunks - Retrieved chunks, in context order
+ * @returns {object} { S1: { chunk_id, source_id, title, url }, ... }
+ */
+export function buildCitationRefs(chunks) {
+  return Object.fromEntries(chunks.map((chunk, idx) => [citationLabel(idx), {
+    chunk_id: chunk.id,
+    source_id: chunk.source_id,
+    title: chunk.title,
+    url: chunk.url || null,
+  }]));
+}
+
+/**
+ * Resolve a list of citation labels (one entry per source)
+ * Unknown labels are dropped; citations resolved earlier (e.g. echoed back when a block
+ * is regenerated) are kept
+ */
+function resolveLabels(labels, refs) {
+  if (!Array.isArray(labels)) return [];
+  const resolved = labels
+    .map((label) => (typeof label === 'string' ? refs[label.trim()] : label))
+    .filter((ref) => ref?.source_id);
+  return resolved.filter((ref, i) => (
+    resolved.findIndex((r) => r.source_id === ref.source_id) === i
+  ));
+}
+
+/**
+ * Replace a `sources` label list on an object with resolved citations
+ */
+function withResolvedSources(target, refs) {
+  if (!target || typeof target !== 'object' || !('sources' in target)) return target;
+  const { sources, ...rest } = target;
+  const resolved = resolveLabels(sources, refs);
+  return resolved.length > 0 ? { ...rest, sources: resolved } : rest;
+}
+
+/**
+ * Resolve the citation labels in content atoms to source titles and URLs
+ * Without RAG context (no refs) any labels the model produced are removed
+ * @param {Array} atoms - Content atoms with citation labels
+ * @param {object} refs - Citation refs from buildCitationRefs
+ * @returns {Array} Atoms with resolved citations
+ */
+export function resolveAtomCitations(atoms, refs = {}) {
+  return atoms.map((atom) => {
+    const resolved = { ...withResolvedSources(atom, refs) };
+    if (Array.isArray(resolved.items)) {
+      resolved.items = resolved.items.map((item) => withResolvedSources(item, refs));
+    }
+    if (Array.isArray(resolved.row_sources)) {
+      const rowSources = resolved.row_sources.map((labels) => resolveLabels(labels, refs));
+      if (rowSources.some((sources) => sources.length > 0)) {
+        resolved.row_sources = rowSources;
+      } else {
+        delete resolved.row_sources;
+      }
+    }
+    return resolved;
+  });
+}
@@ -1,36 +1,91 @@
 /**
  * Claude API Integration
  * Generates structured content atoms AND layout blocks for AdaptiveWeb pages
+ * Requests go through the LLM provider layer (Claude by default, see llm-provider.js)
  * Content atoms are layout-agnostic content units, layout_blocks defines how to arrange them
  */
 
 import { retrieveContext } from './rag.js';
+import { generateJSON } from './llm-provider.js';
+import { DEFAULT_BRAND_PACK } from './brand-pack.js';
+import { validateContentAtoms } from './atom-validation.js';
+import { ATOM_SCHEMAS } from './atom-schemas.js';
+import { resolveAtomCitations } from './citations.js';
+import { checkGrounding } from './grounding.js';
+import { applyCatalogFacts, formatCatalogContext, loadCatalog } from './product-catalog.js';
+import { extractEntities } from './entities.js';
 
-const CLAUDE_API_URL = 'https://api.anthropic.com/v1/messages';
-const MODEL = 'claude-haiku-4-5-20251001';
+/**
+ * Format lines as a markdown bullet list
+ */
+function bulletList(items) {
+  return items.map((item) => `- ${item}`).join('\n');
+}
+
+/**
+ * Brand knowledge section shared by the content prompts
+ * @param {object} brand - Brand pack
+ * @returns {string} Product knowledge, key features and brand voice
+ */
+function buildBrandKnowledge(brand) {
+  return `${brand.name.toUpperCase()} PRODUCT KNOWLEDGE:
+${bulletList(brand.catalog.product_lines)}
+
+KEY FEATURES:
+${bulletList(brand.catalog.key_features)}
+
+BRAND VOICE:
+${bulletList(brand.voice.traits)}`;
+}
+
+/**
+ * Citation rules shared by the content prompts (labels are resolved by citations.js)
+ */
+const CITATION_GUIDELINES = `CITATIONS:
+- Reference data chunks are labeled [S1], [S2], ...
+- Add "sources": ["S1", ...] to every paragraph atom and every faq_set item, listing the chunks its text relies on
+- Add "row_sources": [["S2"], [], ...] to table atoms, one list per row
+- Use only labels that appear in the reference data; use [] for content from general knowledge`;
+
+/**
+ * Example products of the content prompt: the brand pack's comparison models with their shop
+ * URLs (see product_urls), or neutral placeholders for packs that list fewer models
+ * @param {object} brand - Brand pack
+ * @returns {Array<{name: string, model: string, query: string, url: string}>} Three products
+ */
+function getExampleProducts(brand) {
+  const models = brand.catalog.comparison_models.length > 0
+    ? brand.catalog.comparison_models
+    : brand.product_urls.models.map(({ model }) => model.toUpperCase());
+  return ['A', 'B', 'C'].map((placeholder, i) => {
+    const model = models[i] || `Model ${placeholder}`;
+    const name = `${brand.name} ${model}`;
+    const shop = brand.product_urls.models
+      .find((entry) => entry.model.toLowerCase() === model.toLowerCase());
+    return {
+      name,
+      model: model.toLowerCase(),
+      query: name.toLowerCase(),
+      url: shop?.url || brand.product_urls.example || 'https://www.example.com/shop/product',
+    };
+  });
+}
 
 /**
  * System prompt for content atoms generation
  * Generates pure content without layout decisions - Gemini will handle layout
+ * @param {object} brand - Brand pack
+ * @returns {string} System prompt
  */
-const CONTENT_ATOMS_PROMPT = `You are a content generator for Vitamix, the premium blender company. Generate comprehensive content atoms (structured content units) that will be arranged into page layouts by a separate system.
+function buildContentAtomsPrompt(brand) {
+  const specKeys = brand.catalog.comparison_spec_keys.join(', ');
+  const [first, second, third] = getExampleProducts(brand);
+  const recommendationQuery = brand.catalog.recommendation_phrases
+    .find((phrase) => phrase !== 'help me choose') || 'which one should I buy';
 
-VITAMIX PRODUCT KNOWLEDGE:
-- Ascent Series: A2300 ($449), A2500 ($549), A3300 ($549), A3500 ($629) - Self-Detect technology, wireless connectivity, touchscreen on A3500
-- Explorian Series: E310 ($349), E320 ($449) - great value, professional-grade power
-- Propel Series: Entry-level, powerful 2.2 HP motor
-- Professional Series: 750 ($529), 300 - commercial-grade, NSF certified
-- Container sizes: 64oz standard, 48oz wet/dry, 20oz personal cup
+  return `You are a content generator for ${brand.name}, ${brand.description}. Generate comprehensive content atoms (structured content units) that will be arranged into page layouts by a separate system.
 
-KEY FEATURES:
-- 10-year full warranty (industry leading)
-- Aircraft-grade stainless steel blades
-- Hot soup in 6 minutes (friction heating)
-- Self-cleaning in 60 seconds
-- Variable speed control (1-10) plus Pulse
-- Programs: Smoothies, Hot Soups, Frozen Desserts, Dips & Spreads, Self-Cleaning
-
-BRAND VOICE: Helpful, expert, approachable. Focus on whole-food nutrition. Emphasize versatility.
+${buildBrandKnowledge(brand)}
 
 IMPORTANT: Respond with ONLY valid JSON matching this schema:
 
@@ -86,14 +141,14 @@ IMPORTANT: Respond with ONLY valid JSON matching this schema:
     // For "comparison" - include ALL relevant products with STANDARDIZED specs:
     { "type": "comparison", "items": [
       {
-        "name": "Vitamix A3500",
-        "series": "Ascent",
+        "name": "${first.name}",
+        "series": "Series name",
         "price": "$629",
         "rating": 4.8,
         "description": "Brief description of product features",
         "image_url": "COPY THE EXACT Product Image URL FROM RAG CONTEXT for this product",
         "specs": {
-          "series": "Ascent",
+          "series": "Series name",
           "price": "$629",
           "motor": "2.2 HP",
           "container": "64 oz",
@@ -106,15 +161,15 @@ IMPORTANT: Respond with ONLY valid JSON matching this schema:
         "cons": ["Con 1"]
       }
     ]},
-    // IMPORTANT for comparison: Include ALL Vitamix models in the relevant category
-    // For "show all models" type queries, include at minimum: A3500, A2500, A2300, E320, E310, 750, Propel
-    // Always use consistent spec keys: series, price, motor, container, warranty, programs, smart, interface
+    // IMPORTANT for comparison: Include ALL ${brand.name} models in the relevant category
+    // For "show all models" type queries, include at minimum: ${brand.catalog.comparison_models.join(', ')}
+    // Always use consistent spec keys: ${specKeys}
     // CRITICAL: Each comparison item MUST include an image_url with the EXACT URL from RAG context
     // Look for "Product Image URL:" in the RAG data and copy that URL exactly
     // DO NOT use image_prompt for comparison items - use actual image URLs from the PRODUCT IMAGES section
 
     // For "guide" or "comparison" when user needs help choosing - include interactive_guide:
-    // Use this for queries like "best blender for smoothies", "which vitamix should I buy", "help me choose"
+    // Use this for queries like "best blender for smoothies", "${recommendationQuery}", "help me choose"
     { "type": "interactive_guide", "title": "Find Your Perfect Match", "subtitle": "Select your priority to see our top pick", "picks": [
       {
         "tab_label": "Best Value & Features",
@@ -122,14 +177,14 @@ IMPORTANT: Respond with ONLY valid JSON matching this schema:
         "badge": "BEST VALUE",
         "badge_style": "best-value",
         "product": {
-          "name": "Vitamix A2500",
-          "series": "Ascent Series",
+          "name": "${second.name}",
+          "series": "Series name",
           "price": "$549",
           "rating": 4.8,
           "description": "The perfect balance of features and price...",
           "image_url": "COPY THE EXACT Product Image URL FROM RAG CONTEXT for this product",
           "specs": { "Container": "64 oz", "Warranty": "10 Years", "Motor": "2.2 HP", "Programs": "3 presets" },
-          "url": "https://www.vitamix.com/us/en_us/shop/a2500"
+          "url": "${second.url}"
         },
         "pros": ["Great value for features", "Self-Detect technology", "10-year warranty"],
         "cons": ["No touchscreen", "No Bluetooth connectivity"]
@@ -150,14 +205,14 @@ IMPORTANT: Respond with ONLY valid JSON matching this schema:
     { "type": "list", "style": "bullet", "items": ["Item 1", "Item 2", "Item 3"] },
 
     // SINGLE PRODUCT DETAIL PAGE (content_type: "single_product"):
-    // Use this for specific product queries like "vitamix a3500", "tell me about the e310"
+    // Use this for specific product queries like "${first.query}", "tell me about the ${second.model}"
     { "type": "product_detail",
-      "name": "Vitamix A3500",
-      "series": "Ascent Series",
+      "name": "${first.name}",
+      "series": "Series name",
       "tagline": "The ultimate blending machine with touchscreen control",
       "price": "$629",
-      "url": "https://www.vitamix.com/vr/en_us/shop/blenders/a3500i",
-      "image_url": "Modern Vitamix A3500 blender with touchscreen display, sleek black finish, 64oz container, professional product shot on white background",
+      "url": "${first.url}",
+      "image_url": "Modern ${first.name} with touchscreen display, sleek black finish, 64oz container, professional product shot on white background",
       "warranty": "10-Year Full Warranty",
       "highlights": [
         "Touchscreen controls with 5 program settings",
@@ -180,8 +235,8 @@ IMPORTANT: Respond with ONLY valid JSON matching this schema:
       },
       "whats_included": ["Motor Base", "64-oz Container", "Tamper", "Getting Started Guide"],
       "related_products": [
-        { "name": "Vitamix A2500", "price": "$549", "description": "Ascent Series with programmable settings", "query": "vitamix a2500", "image_prompt": "Modern Vitamix A2500 blender with dial controls, sleek design, 64oz container, professional product shot" },
-        { "name": "Vitamix E320", "price": "$449", "description": "Explorian Series entry-level professional", "query": "vitamix e320", "image_prompt": "Vitamix E320 Explorian blender with dial speed control, compact design, professional product photography" }
+        { "name": "${second.name}", "price": "$549", "description": "Mid-range model with programmable settings", "query": "${second.query}", "image_prompt": "Modern ${second.name} with dial controls, sleek design, professional product shot" },
+        { "name": "${third.name}", "price": "$449", "description": "Entry-level model", "query": "${third.query}", "image_prompt": "${third.name} with dial speed control, compact design, professional product photography" }
       ]
     },
 
@@ -202,7 +257,7 @@ IMPORTANT: Respond with ONLY valid JSON matching this schema:
         { "amount": "1 tbsp", "name": "honey (optional)" }
       ],
       "steps": [
-        { "instruction": "Add all ingredients to your Vitamix container in the order listed.", "tip": "Liquid first helps create a smoother blend" },
+        { "instruction": "Add all ingredients to your ${brand.name} container in the order listed.", "tip": "Liquid first helps create a smoother blend" },
         { "instruction": "Secure the lid and select Variable 1.", "tip": null },
         { "instruction": "Turn the machine on and quickly increase to Variable 10.", "tip": null },
         { "instruction": "Blend for 45-60 seconds until smooth.", "tip": "Use the tamper if needed to press ingredients toward the blades" },
@@ -218,7 +273,7 @@ IMPORTANT: Respond with ONLY valid JSON matching this schema:
         "fiber": "3g",
         "sugar": "25g"
       },
-      "equipment": ["Vitamix Blender", "64-oz Container"],
+      "equipment": ["${brand.name} Blender", "64-oz Container"],
       "tags": ["Smoothie", "Tropical", "Vegan", "Dairy-Free", "Quick"],
       "related_recipes": [
         { "name": "Pineapple Paradise Smoothie", "description": "Another tropical favorite", "query": "pineapple smoothie recipe", "image_prompt": "A vibrant pineapple smoothie in a glass with pineapple chunks, bright yellow color, tropical setting" },
@@ -291,17 +346,17 @@ ATOM MAPPINGS (use these in atom_mappings):
 
 GUIDELINES:
 - Determine content_type based on query intent:
-  - "single_product" for SPECIFIC product queries like "vitamix a3500", "tell me about the e310", "a2500 specs"
+  - "single_product" for SPECIFIC product queries like "${first.query}", "tell me about the ${second.model}", "${third.model} specs"
     * MUST include a product_detail atom with comprehensive information
     * Pull data from RAG context when available
-    * CRITICAL: Extract the product's shop URL from RAG sources (e.g., https://www.vitamix.com/vr/en_us/shop/blenders/a3500i)
+    * CRITICAL: Extract the product's shop URL from RAG sources (e.g., ${brand.product_urls.example})
   - "single_recipe" for SPECIFIC recipe queries like "mango smoothie recipe", "how to make tomato soup"
     * MUST include a recipe_detail atom with ingredients, steps, nutrition
     * Can augment RAG data with generated content
   - "recipe" for GENERIC food/recipe category queries like "smoothies", "breakfast ideas", "healthy recipes"
   - "comparison" for "show all", "compare models", "vs", explicit product comparisons
   - "product" for general product category queries (not specific models)
-  - "guide" for how-to queries OR personalized recommendation queries like "which vitamix should I buy", "help me choose", "recommend", "best for me", "what should I get"
+  - "guide" for how-to queries OR personalized recommendation queries like "${recommendationQuery}", "help me choose", "recommend", "best for me", "what should I get"
 - For single_product: include ONLY product_detail atom (it's comprehensive)
 - For single_recipe: include ONLY recipe_detail atom (it's comprehensive)
 - For other types: include heading, intro paragraph, faq_set (3), feature_set (3), related (4), cta
@@ -323,18 +378,18 @@ CRITICAL - RECIPE QUERY HANDLING:
 
 CRITICAL - INTERACTIVE GUIDE ATOM:
 - For "guide" content_type when user asks for help choosing, YOU MUST include an interactive_guide atom
-- Trigger phrases: "which vitamix should I buy", "help me choose", "recommend a vitamix", "best blender for [use case]", "what vitamix is best", "which one should I get"
+- Trigger phrases: ${brand.catalog.recommendation_phrases.map((phrase) => `"${phrase}"`).join(', ')}
 - The interactive_guide atom provides 2-4 curated product recommendations organized by user priority tabs
 - This is REQUIRED for personalized recommendation queries - do NOT skip it
 
 - For recipes: include steps with numbered instructions and tips
 - For products: include table with specifications
 - For comparisons (content_type: comparison): include comparison atom with ALL relevant products (6-10 products)
-  - Use comparison atom for "show all models", "compare A vs B", "all vitamix blenders"
+  - Use comparison atom for "show all models", "compare A vs B", "all ${brand.name.toLowerCase()} models"
   - Each product must have: name, series, price, rating, description, image_prompt, specs object
   - REQUIRED: Each comparison item MUST include an image_prompt for AI product photography
-  - image_prompt format: "Modern Vitamix [model] blender with [finish], [container size] container, professional product shot"
-  - Specs must use consistent keys: series, price, motor, container, warranty, programs, smart, interface
+  - image_prompt format: "${brand.catalog.image_prompt_format}"
+  - Specs must use consistent keys: ${specKeys}
 - For guide with interactive_guide atom (content_type: guide): include 2-4 curated picks
   - Use this instead of comparison when user wants personalized help: "which should I buy", "recommend", "best for smoothies"
   - Each pick has tab_label (user priority), tab_icon, badge, badge_style, product details, pros, and cons
@@ -344,50 +399,24 @@ CRITICAL - INTERACTIVE GUIDE ATOM:
 - Use RAG context data when available for accurate specs/prices
 - CRITICAL URL RULE: For product_detail.url field, you MUST copy the EXACT URL from RAG context
   - Look for "Product Page:" in the RAG data and use that URL EXACTLY
-  - Correct format: https://www.vitamix.com/vr/en_us/shop/blenders/a2500i
+  - Correct format: ${brand.product_urls.example}
   - NEVER use /products/ URLs - these are WRONG and will 404
   - NEVER make up URLs - only use URLs from RAG context
   - If no RAG URL available, set url to null
-- Image prompts should be detailed and appetizing for food, or professional for products`;
-
-// URL mapping for products without RAG (fallback)
-const VITAMIX_PRODUCT_URLS = {
-  'a3500': 'https://www.vitamix.com/vr/en_us/shop/blenders/a3500i',
-  'a2500': 'https://www.vitamix.com/vr/en_us/shop/blenders/a2500i',
-  'a2300': 'https://www.vitamix.com/vr/en_us/shop/blenders/a2300i',
-  'e310': 'https://www.vitamix.com/vr/en_us/shop/blenders/e310',
-  'e320': 'https://www.vitamix.com/vr/en_us/shop/blenders/e320',
-  'v1200': 'https://www.vitamix.com/vr/en_us/shop/blenders/venturist-v1200i',
-  '750': 'https://www.vitamix.com/us/en_us/shop/professional-series-750',
-};
+- Image prompts should be detailed and appetizing for food, or professional for products
+
+${CITATION_GUIDELINES}`;
+}
 
 /**
  * Legacy system prompt for backward compatibility
+ * @param {object} brand - Brand pack
+ * @returns {string} System prompt
  */
-const LEGACY_SYSTEM_PROMPT = `You are a content generator for Vitamix, the premium blender company. Create engaging, helpful content about blenders, recipes, and cooking techniques.
-
-VITAMIX PRODUCT KNOWLEDGE:
-- Ascent Series: A2300, A2500, A3300, A3500 (Self-Detect technology, wireless connectivity, touchscreen on A3500)
-- Explorian Series: E310, E320 (great value, professional-grade power)
-- Propel Series: Entry-level, powerful 2.2 HP motor
-- Professional Series: 750, 300 (commercial-grade, NSF certified)
-- Personal Cup Adapters: 20oz cups for single servings
-- Container sizes: 64oz standard, 48oz wet/dry, 20oz personal cup
-
-KEY FEATURES TO HIGHLIGHT:
-- 10-year full warranty (industry leading)
-- Aircraft-grade stainless steel blades that never need replacing
-- Hot soup in 6 minutes from raw ingredients (friction heating)
-- Self-cleaning in 60 seconds with warm water and dish soap
-- Variable speed control (1-10) plus Pulse
-- Built-in programs: Smoothies, Hot Soups, Frozen Desserts, Dips & Spreads, Self-Cleaning
+function buildLegacySystemPrompt(brand) {
+  return `You are a content generator for ${brand.name}, ${brand.description}. Create engaging, helpful content about ${brand.name} products, recipes, and techniques.
 
-BRAND VOICE:
-- Helpful, expert, approachable
-- Focus on whole-food nutrition and health benefits
-- Emphasize "blend vitamins IN, not out" (no straining needed)
-- Highlight versatility (one machine replaces 10 appliances)
-- American craftsmanship and durability
+${buildBrandKnowledge(brand)}
 
 IMPORTANT: You must respond with ONLY valid JSON matching this exact schema. Do not include any text before or after the JSON.
 
@@ -441,119 +470,52 @@ Guidelines:
 - Generate 3 features (recipes or products depending on query)
 - Generate 3 FAQs relevant to the topic
 - Generate 4 related topics for continued exploration
-- Always recommend specific Vitamix models when relevant
-- Include container size recommendations when discussing recipes
+${bulletList(brand.voice.guidelines)}
 - Image prompts should describe appetizing food photography with good lighting
-- Keep content focused on the user's query while naturally connecting to Vitamix products`;
+- Keep content focused on the user's query while naturally connecting to ${brand.name} products`;
+}
 
 /**
- * Helper to call Claude API with a given prompt
+ * Helper to request page content from the LLM provider with a given prompt
  * @private
  */
-async function callClaudeAPI(query, apiKey, systemPrompt, ragContext) {
-  const userMessage = `Generate content for this Vitamix-related query: "${query}"
+async function callContentProvider(query, provider, systemPrompt, ragContext, task, brand) {
+  const userMessage = `Generate content for this ${brand.name}-related query: "${query}"
 ${ragContext}
 Remember to respond with ONLY valid JSON matching the schema. No explanations or markdown.`;
 
-  const response = await fetch(CLAUDE_API_URL, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'x-api-key': apiKey,
-      'anthropic-version': '2023-06-01',
-      'anthropic-beta': 'prompt-caching-2024-07-31',
-    },
-    body: JSON.stringify({
-      model: MODEL,
-      max_tokens: 8192,
-      system: [
-        {
-          type: 'text',
-          text: systemPrompt,
-          cache_control: { type: 'ephemeral' },
-        },
-      ],
-      messages: [
-        {
-          role: 'user',
-          content: userMessage,
-        },
-      ],
-    }),
+  return generateJSON(provider, {
+    task,
+    query,
+    system: systemPrompt,
+    prompt: userMessage,
+    maxTokens: 8192,
   });
-
-  if (!response.ok) {
-    const error = await response.text();
-    throw new Error(`Claude API error: ${response.status} - ${error}`);
-  }
-
-  const data = await response.json();
-
-  // Extract text content from response
-  const textContent = data.content.find((block) => block.type === 'text');
-  if (!textContent) {
-    throw new Error('No text content in Claude response');
-  }
-
-  // Parse JSON response
-  let jsonText = textContent.text.trim();
-  if (jsonText.startsWith('```json')) {
-    jsonText = jsonText.slice(7);
-  }
-  if (jsonText.startsWith('```')) {
-    jsonText = jsonText.slice(3);
-  }
-  if (jsonText.endsWith('```')) {
-    jsonText = jsonText.slice(0, -3);
-  }
-  jsonText = jsonText.trim();
-
-  try {
-    return JSON.parse(jsonText);
-  } catch (parseError) {
-    console.error('JSON parse error. Raw response (first 1000 chars):', jsonText.slice(0, 1000));
-    console.error('Response length:', jsonText.length);
-    throw parseError;
-  }
 }
 
 /**
- * Fix incorrect Vitamix product URLs in content atoms
- * Replaces /products/ URLs with correct /vr/en_us/shop/blenders/ URLs
+ * Fix incorrect product URLs in content atoms
+ * Rewrites URLs matching the brand's invalid patterns to the canonical shop URL for that model
  * @param {Array} contentAtoms - Content atoms array
+ * @param {object} brand - Brand pack
  * @returns {Array} Fixed content atoms
  */
-function fixProductUrls(contentAtoms) {
+function fixProductUrls(contentAtoms, brand) {
   if (!Array.isArray(contentAtoms)) return contentAtoms;
 
+  const { models, invalid_patterns: invalidPatterns } = brand.product_urls;
+
   return contentAtoms.map((atom) => {
     if (atom.type === 'product_detail' && atom.url) {
-      // Check if URL uses incorrect /products/ format
-      if (atom.url.includes('/products/') || atom.url.includes('/us/en_us/shop/')) {
-        // Extract model from URL
+      // Check if URL uses a known-bad format
+      if (invalidPatterns.some((pattern) => atom.url.includes(pattern))) {
+        // Match known product models in the URL
         const urlLower = atom.url.toLowerCase();
-        let fixedUrl = null;
-
-        // Match known product models
-        if (urlLower.includes('a3500')) {
-          fixedUrl = VITAMIX_PRODUCT_URLS['a3500'];
-        } else if (urlLower.includes('a2500')) {
-          fixedUrl = VITAMIX_PRODUCT_URLS['a2500'];
-        } else if (urlLower.includes('a2300')) {
-          fixedUrl = VITAMIX_PRODUCT_URLS['a2300'];
-        } else if (urlLower.includes('e310')) {
-          fixedUrl = VITAMIX_PRODUCT_URLS['e310'];
-        } else if (urlLower.includes('e320')) {
-          fixedUrl = VITAMIX_PRODUCT_URLS['e320'];
-        } else if (urlLower.includes('v1200')) {
-          fixedUrl = VITAMIX_PRODUCT_URLS['v1200'];
-        } else if (urlLower.includes('750')) {
-          fixedUrl = VITAMIX_PRODUCT_URLS['750'];
-        }
+        const match = models.find(({ model }) => urlLower.includes(model));
 
-        if (fixedUrl) {
-          console.log(`Fixed product URL: ${atom.url} -> ${fixedUrl}`);
-          return { ...atom, url: fixedUrl };
+        if (match) {
+          console.log(`Fixed product URL: ${atom.url} -> ${match.url}`);
+          return { ...atom, url: match.url };
         }
       }
     }
@@ -561,34 +523,107 @@ function fixProductUrls(contentAtoms) {
   });
 }
 
+// Parent page atoms are cut to this many characters in follow-up prompts
+const MAX_PARENT_ATOMS_CHARS = 12000;
+
+/**
+ * Prompt context for a follow-up query that refines an earlier page
+ * @param {object} parentPage - Page being refined
+ * @param {Array} sourceChunks - Stored chunks of the parent page's RAG sources
+ * @returns {string} Context section for the user message
+ */
+function buildFollowUpContext(parentPage, sourceChunks = []) {
+  let atomsJson = JSON.stringify(parentPage.content_atoms || []);
+  if (atomsJson.length > MAX_PARENT_ATOMS_CHARS) {
+    atomsJson = `${atomsJson.slice(0, MAX_PARENT_ATOMS_CHARS)}... (truncated)`;
+  }
+
+  const sources = sourceChunks
+    .map((chunk, idx) => `[${idx + 1}] ${(chunk.content_type || 'page').toUpperCase()}: ${chunk.title}
+${chunk.content}${chunk.url ? `\nSource: ${chunk.url}` : ''}`)
+    .join('\n\n');
+
+  return `
+
+FOLLOW-UP REQUEST: the query refines a page the user is already looking at. Generate a complete new page that applies the refinement to the previous page's topic, and keep everything the user did not ask to change.
+
+PREVIOUS PAGE QUERY: "${parentPage.query}"
+PREVIOUS PAGE TITLE: ${parentPage.metadata?.title || parentPage.query}
+
+PREVIOUS PAGE CONTENT ATOMS:
+${atomsJson}
+${sources ? `\nSOURCES USED FOR THE PREVIOUS PAGE:\n\n${sources}\n` : ''}`;
+}
+
+/**
+ * Prompt context for the entities a query names (see entities.js): the models comparison and
+ * product atoms cover, and the dietary constraints and container size recipes respect
+ * @param {object} entities - Query entities
+ * @returns {string} Context section (empty when the query names none of them)
+ */
+function buildEntityContext(entities) {
+  const lines = [];
+  if (entities?.models.length > 1) {
+    lines.push(`- Models: ${entities.models.join(', ')}. Comparison atoms compare exactly these models, unless the query also asks for alternatives`);
+  } else if (entities?.models.length === 1) {
+    lines.push(`- Model: ${entities.models[0]}. product_detail and comparison atoms are about this model`);
+  }
+  if (entities?.diets.length > 0) {
+    lines.push(`- Dietary constraints: ${entities.diets.join(', ')}. Every recipe must satisfy all of them`);
+  }
+  if (entities?.containers.length > 0) {
+    lines.push(`- Container size: ${entities.containers.join(', ')}. Recipe yields must fit it`);
+  }
+  return lines.length > 0 ? `\n\nNAMED IN THE QUERY:\n${lines.join('\n')}\n` : '';
+}
+
+/**
+ * Build the prompt section of a layout experiment: the atoms its preferred blocks need
+ * @param {object|null} experiment - Layout experiment assignment (see experiments.js)
+ * @returns {string} Prompt section (empty outside experiments)
+ */
+function buildExperimentContext(experiment) {
+  if (!experiment || experiment.atoms.length === 0) return '';
+  return `\n\nLAYOUT:\nThis page is shown with the ${experiment.prefer.join(', ')} block(s). Include these atoms when the query allows: ${experiment.atoms.join(', ')}\n`;
+}
+
 /**
  * Generate content atoms for flexible layout system (NEW)
  * Used with Gemini layout selection for dynamic page layouts
  * @param {string} query - User's search query
- * @param {string} apiKey - Anthropic API key
- * @param {object} options - Optional RAG options
- * @returns {Promise<{contentAtoms: Array, contentType: string, metadata: object, sourceIds: string[], sourceImages: Array, timings: object}>}
+ * @param {object} provider - LLM provider (see llm-provider.js)
+ * @param {object} options - Optional RAG options, brand pack (options.brandPack), the page
+ *   a follow-up query refines (options.parentPage) and the layout experiment assignment of the
+ *   query's classification (options.assignExperiment: async classification => assignment|null)
+ *   Claims are checked against the RAG context unless env.GROUNDING_CHECK is "false"
+ * @returns {Promise<{contentAtoms: Array, contentType: string, metadata: object, sourceIds: string[], sourceImages: Array, validationErrors: Array, grounding: object|null, experiment: object|null, timings: object}>}
  */
-export async function generateContentAtoms(query, apiKey, options = {}) {
-  const { supabase, ai, env } = options;
+export async function generateContentAtoms(query, provider, options = {}) {
+  const {
+    supabase, ai, env, brandPack = DEFAULT_BRAND_PACK, parentPage = null, assignExperiment = null,
+  } = options;
   const timings = {};
 
   // RAG: Retrieve relevant context if configured
   let ragContext = '';
   let sourceIds = [];
   let sourceImages = [];
+  let citationRefs = {};
   let classification = null;
   let ragCached = false;
 
   if (supabase && ai) {
     try {
       const ragStart = Date.now();
-      const ragResult = await retrieveContext(query, ai, supabase, {}, env);
+      // A follow-up like "now only vegan" retrieves poorly on its own
+      const ragQuery = parentPage ? `${parentPage.query} ${query}` : query;
+      const ragResult = await retrieveContext(ragQuery, ai, supabase, { brandPack, provider }, env);
       timings.rag_retrieval = Date.now() - ragStart;
 
       ragContext = ragResult.context;
       sourceIds = ragResult.sourceIds;
       sourceImages = ragResult.sourceImages || [];
+      citationRefs = ragResult.citationRefs || {};
       classification = ragResult.classification || null;
       ragCached = ragResult.cached || false;
       timings.rag_cached = ragCached;
@@ -600,16 +635,78 @@ export async function generateContentAtoms(query, apiKey, options = {}) {
     }
   }
 
+  // Catalog facts override model recall for prices and specs
+  const products = await loadCatalog(supabase, brandPack);
+  const catalogContext = formatCatalogContext(products);
+  const entityContext = buildEntityContext(
+    classification?.entities || extractEntities(query, brandPack),
+  );
+
+  // Layout experiment of the query's classification bucket
+  let experiment = null;
+  if (classification && assignExperiment) {
+    try {
+      experiment = await assignExperiment(classification);
+    } catch (experimentError) {
+      console.error('Layout experiment assignment failed:', experimentError);
+    }
+  }
+
+  // Follow-up: the parent page and the sources it was built from are context for the refinement
+  let followUpContext = '';
+  if (parentPage) {
+    let parentSources = [];
+    if (supabase?.getSourceChunks && parentPage.rag_source_ids?.length > 0) {
+      try {
+        parentSources = await supabase.getSourceChunks(parentPage.rag_source_ids);
+        sourceIds = [...new Set([...sourceIds, ...parentSources.map((c) => c.source_id)])];
+      } catch (sourceError) {
+        console.error('Failed to load parent page sources:', sourceError);
+      }
+    }
+    followUpContext = buildFollowUpContext(parentPage, parentSources);
+  }
+
   try {
     const claudeStart = Date.now();
-    const content = await callClaudeAPI(query, apiKey, CONTENT_ATOMS_PROMPT, ragContext);
+    const systemPrompt = buildContentAtomsPrompt(brandPack);
+    const content = await callContentProvider(
+      query,
+      provider,
+      systemPrompt,
+      followUpContext + ragContext + catalogContext + entityContext
+        + buildExperimentContext(experiment),
+      'content_atoms',
+      brandPack,
+    );
     timings.claude_api = Date.now() - claudeStart;
 
     // Post-process content atoms to fix any incorrect URLs
-    const fixedAtoms = fixProductUrls(content.content_atoms || []);
+    const fixedAtoms = fixProductUrls(content.content_atoms || [], brandPack);
+
+    // Check atoms against their schemas; coerce, re-prompt or drop the invalid ones
+    const validationStart = Date.now();
+    const { atoms: validAtoms, validationErrors } = await validateContentAtoms(
+      fixedAtoms,
+      provider,
+      { query },
+    );
+    timings.atom_validation = Date.now() - validationStart;
+    const atoms = applyCatalogFacts(validAtoms, products, brandPack);
+
+    // Verify prices, specs and FAQ answers against the reference data
+    let groundedAtoms = atoms;
+    let grounding = null;
+    if (env?.GROUNDING_CHECK !== 'false') {
+      const groundingStart = Date.now();
+      ({ atoms: groundedAtoms, grounding } = await checkGrounding(atoms, provider, {
+        query, referenceData: ragContext + catalogContext, brandPack,
+      }));
+      timings.grounding = Date.now() - groundingStart;
+    }
 
     return {
-      contentAtoms: fixedAtoms,
+      contentAtoms: resolveAtomCitations(groundedAtoms, citationRefs),
       contentType: content.content_type || 'guide',
       metadata: content.metadata || { title: query, description: '', primary_image_prompt: '' },
       keywords: content.keywords || [],
@@ -617,26 +714,141 @@ export async function generateContentAtoms(query, apiKey, options = {}) {
       sourceIds,
       sourceImages,
       classification, // Query classification from RAG
+      validationErrors, // Schema errors per invalid atom and how each was resolved
+      grounding, // Grounding report: score and the claims that were not supported
+      experiment, // Layout experiment assignment (null outside experiments)
       timings, // Timing breakdown for this function
     };
-  } catch (parseError) {
-    console.error('Failed to parse Claude content atoms response:', parseError);
-    throw new Error('Invalid JSON response from Claude');
+  } catch (error) {
+    // Parse, atom validation and provider errors alike: keep the original as the cause
+    console.error('Failed to generate content atoms:', error);
+    throw new Error(`Content atoms generation failed: ${error.message}`, { cause: error });
   }
 }
 
+/**
+ * System prompt for regenerating selected atoms of an existing page
+ * @param {object} brand - Brand pack
+ * @param {Array<string>} types - Atom types being regenerated
+ * @returns {string} System prompt
+ */
+function buildRegenerateAtomsPrompt(brand, types) {
+  const schemas = types
+    .map((type) => `"${type}": ${JSON.stringify(ATOM_SCHEMAS[type])}`)
+    .join('\n');
+
+  return `You are a content generator for ${brand.name}, ${brand.description}. You rewrite individual content atoms (structured content units) of an existing page.
+
+${buildBrandKnowledge(brand)}
+
+Rewrite every atom you are given. Keep its type, stay on the topic of the page, and follow the user's instruction when there is one.
+
+${CITATION_GUIDELINES}
+
+JSON Schema per atom type:
+${schemas}
+
+IMPORTANT: Respond with ONLY valid JSON: { "content_atoms": [ ...one rewritten atom per input atom, in the same order... ] }`;
+}
+
+/**
+ * Regenerate selected content atoms of an existing page
+ * Used by per-block regeneration; the rest of the page is left untouched
+ * @param {string} query - Query the page was generated for
+ * @param {Array} atoms - Current atoms to rewrite
+ * @param {object} provider - LLM provider (see llm-provider.js)
+ * @param {object} options - { instruction, brandPack, supabase, ai, env }
+ *   (RAG runs when supabase and ai are set; product facts come from the supabase catalog)
+ * @returns {Promise<{contentAtoms: Array, validationErrors: Array, timings: object}>}
+ *   Rewritten atoms in input order (null where the model gave no usable atom)
+ */
+export async function regenerateAtoms(query, atoms, provider, options = {}) {
+  const {
+    instruction = '', supabase, ai, env, brandPack = DEFAULT_BRAND_PACK,
+  } = options;
+  const timings = {};
+
+  let ragContext = '';
+  let citationRefs = {};
+  const products = await loadCatalog(supabase, brandPack);
+  if (supabase && ai) {
+    try {
+      const ragStart = Date.now();
+      const ragQuery = instruction ? `${query} ${instruction}` : query;
+      const ragResult = await retrieveContext(ragQuery, ai, supabase, { brandPack, provider }, env);
+      timings.rag_retrieval = Date.now() - ragStart;
+      ragContext = ragResult.context;
+      citationRefs = ragResult.citationRefs || {};
+    } catch (ragError) {
+      console.error('RAG retrieval failed, continuing without context:', ragError);
+    }
+  }
+
+  const types = [...new Set(atoms.map((atom) => atom.type))];
+  const userMessage = `Page query: "${query}"
+${instruction ? `Instruction: ${instruction}\n` : ''}${ragContext}${formatCatalogContext(products)}
+Current atoms:
+${JSON.stringify(atoms)}
+
+Remember to respond with ONLY valid JSON. No explanations or markdown.`;
+
+  const llmStart = Date.now();
+  const content = await generateJSON(provider, {
+    task: 'regenerate_atoms',
+    query,
+    atoms,
+    instruction,
+    system: buildRegenerateAtomsPrompt(brandPack, types),
+    prompt: userMessage,
+    maxTokens: 4096,
+  });
+  timings.claude_api = Date.now() - llmStart;
+
+  // Pair rewritten atoms with the originals by position; a type change means no usable atom
+  const returned = Array.isArray(content.content_atoms) ? content.content_atoms : [];
+  const paired = atoms
+    .map((atom, i) => ({ i, atom: returned[i] }))
+    .filter(({ i, atom }) => atom?.type === atoms[i].type);
+
+  const validationStart = Date.now();
+  const { atoms: validAtoms, validationErrors } = await validateContentAtoms(
+    fixProductUrls(paired.map(({ atom }) => atom), brandPack),
+    provider,
+    { query },
+  );
+  timings.atom_validation = Date.now() - validationStart;
+
+  // Dropped atoms are removed from validAtoms; map the survivors back to their input positions
+  const dropped = new Set(validationErrors
+    .filter((e) => e.resolution === 'dropped')
+    .map((e) => e.index));
+  const resolvedAtoms = resolveAtomCitations(
+    applyCatalogFacts(validAtoms, products, brandPack),
+    citationRefs,
+  );
+  const contentAtoms = atoms.map(() => null);
+  paired
+    .filter((_, k) => !dropped.has(k))
+    .forEach(({ i }, k) => { contentAtoms[i] = resolvedAtoms[k]; });
+
+  return { contentAtoms, validationErrors, timings };
+}
+
 /**
  * Generate page content using Claude API (LEGACY - for backward compatibility)
  * Uses the old fixed layout schema
  * @param {string} query - User's search query
- * @param {string} apiKey - Anthropic API key
+ * @param {object} provider - LLM provider (see llm-provider.js)
  * @param {object} options - Optional RAG options
  * @param {object} options.supabase - Supabase client for RAG
  * @param {string} options.openaiApiKey - OpenAI API key for embeddings
+ * @param {object} options.brandPack - Brand pack (defaults to the built-in Vitamix pack)
  * @returns {Promise<{content: object, sourceIds: string[], sourceImages: Array}>} Parsed content, source IDs, and images
  */
-export async function generateContent(query, apiKey, options = {}) {
-  const { supabase, ai, env } = options;
+export async function generateContent(query, provider, options = {}) {
+  const {
+    supabase, ai, env, brandPack = DEFAULT_BRAND_PACK,
+  } = options;
 
   // RAG: Retrieve relevant context if configured
   let ragContext = '';
@@ -645,7 +857,7 @@ export async function generateContent(query, apiKey, options = {}) {
 
   if (supabase && ai) {
     try {
-      const ragResult = await retrieveContext(query, ai, supabase, {}, env);
+      const ragResult = await retrieveContext(query, ai, supabase, { brandPack, provider }, env);
       ragContext = ragResult.context;
       sourceIds = ragResult.sourceIds;
       sourceImages = ragResult.sourceImages || [];
@@ -658,10 +870,18 @@ export async function generateContent(query, apiKey, options = {}) {
   }
 
   try {
-    const content = await callClaudeAPI(query, apiKey, LEGACY_SYSTEM_PROMPT, ragContext);
+    const systemPrompt = buildLegacySystemPrompt(brandPack);
+    const content = await callContentProvider(
+      query,
+      provider,
+      systemPrompt,
+      ragContext,
+      'legacy_content',
+      brandPack,
+    );
     return { content, sourceIds, sourceImages };
-  } catch (parseError) {
-    console.error('Failed to parse Claude response:', parseError);
-    throw new Error('Invalid JSON response from Claude');
+  } catch (error) {
+    console.error('Failed to generate legacy content:', error);
+    throw new Error(`Content generation failed: ${error.message}`, { cause: error });
   }
 }
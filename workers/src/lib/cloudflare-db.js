@@ -4,6 +4,89 @@
  * Drop-in replacement for supabase.js
  */
 
+// Page columns snapshotted in every page revision
+export const REVISION_FIELDS = ['metadata', 'content_atoms', 'layout_blocks', 'hero', 'features'];
+
+// Words too common in queries to be useful as keyword matches
+const FTS_STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'best', 'can', 'do', 'for', 'how', 'i', 'in', 'is', 'it', 'me', 'my',
+  'of', 'on', 'or', 'should', 'the', 'to', 'what', 'which', 'with', 'vs',
+]);
+
+/**
+ * Build an FTS5 MATCH expression from a free-text query
+ * Terms are quoted (no FTS syntax from user input) and OR-ed; bm25 ranks chunks matching more terms
+ * @param {string} query - User query
+ * @returns {string|null} MATCH expression, or null if the query has no usable terms
+ */
+function toFTSQuery(query) {
+  const terms = [...new Set(query.toLowerCase().split(/[^a-z0-9]+/))]
+    .filter((term) => term.length > 1 && !FTS_STOPWORDS.has(term));
+  return terms.length > 0 ? terms.map((term) => `"${term}"`).join(' OR ') : null;
+}
+
+// Vector metadata filter keys that are also vitamix_sources columns
+const SOURCE_FILTER_COLUMNS = ['content_type', 'page_type'];
+
+/**
+ * Translate a Vectorize metadata filter into SQL conditions on vitamix_sources (alias s)
+ * Supports equality ("recipe" or { $eq: "recipe" }) and { $in: [...] }; other keys are ignored
+ * @param {object|null} filter - Vectorize metadata filter
+ * @returns {{clauses: string[], values: string[]}}
+ */
+function toSourceFilterSQL(filter) {
+  const conditions = Object.entries(filter || {})
+    .filter(([key]) => SOURCE_FILTER_COLUMNS.includes(key))
+    .map(([key, condition]) => {
+      const allowed = [].concat(condition?.$in ?? condition?.$eq ?? condition);
+      return {
+        clause: `s.${key} IN (${allowed.map(() => '?').join(',')})`,
+        values: allowed,
+      };
+    });
+  return {
+    clauses: conditions.map(({ clause }) => clause),
+    values: conditions.flatMap((condition) => condition.values),
+  };
+}
+
+/**
+ * Parse a products row from D1
+ */
+function parseProductRow(row) {
+  return {
+    model: row.model,
+    name: row.name,
+    series: row.series,
+    sku: row.sku,
+    price: row.price,
+    currency: row.currency,
+    motor: row.motor,
+    container_sizes: JSON.parse(row.container_sizes || '[]'),
+    warranty: row.warranty,
+    programs: JSON.parse(row.programs || '[]'),
+    image_ids: JSON.parse(row.image_ids || '[]'),
+    url: row.url,
+    source_id: row.source_id,
+    updated_at: row.updated_at,
+  };
+}
+
+/**
+ * Parse a layout experiment row from D1
+ */
+function parseExperimentRow(row) {
+  return {
+    id: row.id,
+    brand_id: row.brand_id,
+    bucket: row.bucket,
+    description: row.description,
+    variants: JSON.parse(row.variants || '[]'),
+    status: row.status,
+    created_at: row.created_at,
+  };
+}
+
 /**
  * Create Cloudflare DB client
  * @param {object} env - Worker environment with DB, VECTORIZE, AI bindings
@@ -34,6 +117,60 @@ export function createClient(env) {
     return result.data[0];
   }
 
+  /**
+   * Fetch source rows (title, content_type, url) by id
+   * @param {string[]} sourceIds - Source ids (duplicates and empty values are ignored)
+   * @returns {Promise<object>} Sources keyed by id
+   */
+  async function getSourcesById(sourceIds) {
+    const ids = [...new Set(sourceIds.filter(Boolean))];
+    if (ids.length === 0) {
+      return {};
+    }
+    const placeholders = ids.map(() => '?').join(',');
+    const stmt = db.prepare(`
+      SELECT id, title, content_type, url, metadata
+      FROM vitamix_sources
+      WHERE id IN (${placeholders})
+    `);
+    const result = await stmt.bind(...ids).all();
+    return Object.fromEntries((result.results || []).map((source) => [source.id, source]));
+  }
+
+  /**
+   * Format a chunk like the Supabase RPC function output
+   * Required fields: id, source_id, chunk_text, content_type, title, url, similarity
+   */
+  function toChunkResult({
+    id, sourceId, text, source = {}, similarity,
+  }) {
+    let sourceMetadata = {};
+    try {
+      sourceMetadata = JSON.parse(source.metadata || '{}') || {};
+    } catch (error) {
+      // Keep the chunk without the source's structured data
+    }
+    return {
+      id,
+      source_id: sourceId,
+      chunk_text: text, // Supabase uses chunk_text
+      content_type: source.content_type || 'product',
+      title: source.title || 'Vitamix',
+      url: source.url || null,
+      similarity,
+      // Include metadata for compatibility
+      metadata: {
+        price: sourceMetadata.product?.price ?? null,
+        model: null,
+        series: null,
+        image_url: null,
+        // Normalized schema.org data of the source page (see structured-data.js)
+        recipe: sourceMetadata.recipe || null,
+        product: sourceMetadata.product || null,
+      },
+    };
+  }
+
   return {
     /**
      * Insert a new generated page
@@ -51,8 +188,10 @@ export function createClient(env) {
         INSERT INTO generated_pages (
           id, query, content_type, metadata, keywords, hero, faqs, features,
           related_topics, content_atoms, layout_blocks, rag_source_ids,
-          rag_source_images, images_ready, created_at, updated_at
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+          rag_source_images, images_ready, brand_id, validation_errors, parent_page_id,
+          grounding, grounding_score, experiment, experiment_id, experiment_variant,
+          created_at, updated_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
       `);
 
       await stmt.bind(
@@ -70,17 +209,45 @@ export function createClient(env) {
         JSON.stringify(cleanData.rag_source_ids || null),
         JSON.stringify(cleanData.rag_source_images || null),
         cleanData.images_ready ? 1 : 0,
+        cleanData.brand_id || 'vitamix',
+        JSON.stringify(cleanData.validation_errors || null),
+        cleanData.parent_page_id || null,
+        JSON.stringify(cleanData.grounding || null),
+        cleanData.grounding?.score ?? null,
+        JSON.stringify(cleanData.experiment || null),
+        cleanData.experiment?.experiment_id || null,
+        cleanData.experiment?.variant || null,
         now,
         now,
       ).run();
 
-      return { ...cleanData, id, created_at: now, updated_at: now };
+      const page = {
+        ...cleanData, id, revision: 1, created_at: now, updated_at: now,
+      };
+      await this.addPageRevision(page, 'initial_generation');
+      return page;
     },
 
     /**
-     * Update a page (e.g., with image URLs)
+     * Update a page (e.g., with image URLs) and record the change as a new revision
+     * @param {string} pageId - Page UUID
+     * @param {object} updates - Columns to update
+     * @param {object} change - Why the page changed, for the revision log:
+     *   { reason: 'image_fill' | 'block_regeneration' | 'admin_edit' | 'rollback', details,
+     *   revision: only update the page while it is at this revision (read-modify-write) }
+     * @returns {Promise<object|null>} Updated page, null if the page does not exist or is no
+     *   longer at the expected revision
      */
-    async updatePage(pageId, updates) {
+    async updatePage(pageId, updates, { reason = 'update', details = null, revision } = {}) {
+      // Pages saved before revisions were recorded get their current content as a baseline
+      // (a concurrent first update may have stored it already, or moved the page past it)
+      if (await this.countPageRevisions(pageId) === 0) {
+        const current = await this.getPage(pageId);
+        if (current && (current.revision || 1) === 1) {
+          await this.addPageRevision(current, 'initial_generation', null, { ignoreExisting: true });
+        }
+      }
+
       const now = new Date().toISOString();
       const setClauses = [];
       const values = [];
@@ -102,17 +269,26 @@ export function createClient(env) {
       setClauses.push('updated_at = ?');
       values.push(now);
       values.push(pageId);
+      if (revision !== undefined) {
+        values.push(revision);
+      }
 
+      // Incremented in SQL so concurrent updates (e.g. image fill during a regeneration)
+      // never claim the same revision number
       const stmt = db.prepare(`
         UPDATE generated_pages
-        SET ${setClauses.join(', ')}
-        WHERE id = ?
+        SET ${setClauses.join(', ')}, revision = COALESCE(revision, 1) + 1
+        WHERE id = ?${revision !== undefined ? ' AND COALESCE(revision, 1) = ?' : ''}
+        RETURNING *
       `);
 
-      await stmt.bind(...values).run();
+      const row = await stmt.bind(...values).first();
+      if (!row) return null;
 
       // Return updated page
-      return this.getPage(pageId);
+      const page = parsePageRow(row);
+      await this.addPageRevision(page, reason, details);
+      return page;
     },
 
     /**
@@ -131,16 +307,20 @@ export function createClient(env) {
      * Find a cached page by query
      * @param {string} normalizedQuery - Lowercase trimmed query
      * @param {string} minCreatedAt - ISO date string for TTL cutoff
+     * @param {string} brandId - Brand pack id the page was generated for
      */
-    async findPageByQuery(normalizedQuery, minCreatedAt) {
+    async findPageByQuery(normalizedQuery, minCreatedAt, brandId = 'vitamix') {
       const stmt = db.prepare(`
         SELECT * FROM generated_pages
         WHERE LOWER(query) = LOWER(?)
           AND created_at >= ?
+          AND brand_id = ?
+          AND parent_page_id IS NULL
+          AND cache_invalidated_at IS NULL
         ORDER BY created_at DESC
         LIMIT 1
       `);
-      const result = await stmt.bind(normalizedQuery, minCreatedAt).first();
+      const result = await stmt.bind(normalizedQuery, minCreatedAt, brandId).first();
       if (!result) return null;
 
       return parsePageRow(result);
@@ -149,9 +329,10 @@ export function createClient(env) {
     /**
      * Get a cached page by query (no TTL, uses 24h default)
      * @param {string} query - Query string
+     * @param {string} brandId - Brand pack id the page was generated for
      * @returns {Promise<object|null>} Cached page or null
      */
-    async getPageByQuery(query) {
+    async getPageByQuery(query, brandId = 'vitamix') {
       // Default TTL: 24 hours
       const ttlHours = 24;
       const minCreatedAt = new Date(Date.now() - ttlHours * 60 * 60 * 1000).toISOString();
@@ -160,27 +341,113 @@ export function createClient(env) {
         SELECT * FROM generated_pages
         WHERE LOWER(query) = LOWER(?)
           AND created_at >= ?
+          AND brand_id = ?
+          AND parent_page_id IS NULL
+          AND cache_invalidated_at IS NULL
         ORDER BY created_at DESC
         LIMIT 1
       `);
-      const result = await stmt.bind(query.toLowerCase().trim(), minCreatedAt).first();
+      const result = await stmt.bind(query.toLowerCase().trim(), minCreatedAt, brandId).first();
       if (!result) return null;
 
       return parsePageRow(result);
     },
 
+    /**
+     * Snapshot a page's content as a numbered revision
+     * @param {object} page - Page with id, revision and the REVISION_FIELDS columns
+     * @param {string} reason - Why the revision was made (e.g. 'block_regeneration')
+     * @param {object} details - Optional reason-specific details
+     * @param {object} options - { ignoreExisting: skip, rather than fail, when the page already
+     *   has a revision with this number }
+     */
+    async addPageRevision(page, reason, details = null, { ignoreExisting = false } = {}) {
+      const now = new Date().toISOString();
+
+      const stmt = db.prepare(`
+        INSERT ${ignoreExisting ? 'OR IGNORE ' : ''}INTO page_revisions (
+          id, page_id, revision, reason, details, ${REVISION_FIELDS.join(', ')}, created_at
+        ) VALUES (?, ?, ?, ?, ?, ${REVISION_FIELDS.map(() => '?').join(', ')}, ?)
+      `);
+      await stmt.bind(
+        crypto.randomUUID(),
+        page.id,
+        page.revision || 1,
+        reason,
+        JSON.stringify(details),
+        ...REVISION_FIELDS.map((field) => JSON.stringify(page[field] || null)),
+        now,
+      ).run();
+    },
+
+    /**
+     * Count the stored revisions of a page
+     */
+    async countPageRevisions(pageId) {
+      const stmt = db.prepare('SELECT COUNT(*) as count FROM page_revisions WHERE page_id = ?');
+      const result = await stmt.bind(pageId).first();
+      return result?.count || 0;
+    },
+
+    /**
+     * List the revisions of a page (without content), oldest first
+     */
+    async listPageRevisions(pageId) {
+      const stmt = db.prepare(`
+        SELECT revision, reason, details, created_at
+        FROM page_revisions
+        WHERE page_id = ?
+        ORDER BY revision
+      `);
+      const result = await stmt.bind(pageId).all();
+      return (result.results || []).map((row) => ({
+        ...row,
+        details: JSON.parse(row.details || 'null'),
+      }));
+    },
+
+    /**
+     * Get a page as it was at a revision
+     * @returns {Promise<object|null>} Page with the revision's content (null if either is missing)
+     */
+    async getPageRevision(pageId, revision) {
+      const page = await this.getPage(pageId);
+      if (!page) return null;
+
+      const stmt = db.prepare('SELECT * FROM page_revisions WHERE page_id = ? AND revision = ?');
+      const row = await stmt.bind(pageId, revision).first();
+      if (!row) {
+        // Pages that were never updated have no stored revisions yet
+        return revision === page.revision ? page : null;
+      }
+
+      const snapshot = Object.fromEntries(
+        REVISION_FIELDS.map((field) => [field, JSON.parse(row[field] || 'null')]),
+      );
+      return {
+        ...page,
+        ...snapshot,
+        revision: row.revision,
+        revision_reason: row.reason,
+        revision_details: JSON.parse(row.details || 'null'),
+        revision_created_at: row.created_at,
+        current_revision: page.revision,
+      };
+    },
+
     /**
      * Add search history entry
+     * @param {string} parentPageId - Page a follow-up query refined (null for a new thread)
      */
-    async addHistory(sessionId, query, pageId) {
+    async addHistory(sessionId, query, pageId, parentPageId = null) {
       const id = crypto.randomUUID();
       const now = new Date().toISOString();
 
       const stmt = db.prepare(`
-        INSERT INTO search_history (id, session_id, query, page_id, created_at)
-        VALUES (?, ?, ?, ?, ?)
+        INSERT INTO search_history (id, session_id, query, page_id, parent_page_id, created_at)
+        VALUES (?, ?, ?, ?, ?, ?)
       `);
-      await stmt.bind(id, sessionId, query, pageId, now).run();
+      await stmt.bind(id, sessionId, query, pageId, parentPageId, now).run();
     },
 
     /**
@@ -188,7 +455,7 @@ export function createClient(env) {
      */
     async getHistory(sessionId, limit = 20) {
       const stmt = db.prepare(`
-        SELECT id, query, page_id, created_at
+        SELECT id, query, page_id, parent_page_id, created_at
         FROM search_history
         WHERE session_id = ?
         ORDER BY created_at DESC
@@ -215,7 +482,8 @@ export function createClient(env) {
      * Search Vitamix content using Vectorize (RAG)
      * Returns data in same format as Supabase RPC function (joined with sources)
      * @param {number[]} embedding - Query embedding vector
-     * @param {object} options - Search options
+     * @param {object} options - Search options (threshold, limit, filter: Vectorize metadata
+     *   filter, see lib/chunk-metadata.js)
      * @returns {Promise<Array>} Matching content chunks with source data
      */
     async searchVitamixContent(embedding, options = {}) {
@@ -224,12 +492,13 @@ export function createClient(env) {
         return [];
       }
 
-      const { threshold = 0.7, limit = 5 } = options;
+      const { threshold = 0.7, limit = 5, filter = null } = options;
 
-      // Query Vectorize
+      // Query Vectorize (metadata filter on content_type, page_type, series, model)
       const results = await vectorize.query(embedding, {
         topK: limit,
         returnMetadata: 'all',
+        ...(filter && { filter }),
       });
 
       // Filter by threshold
@@ -239,47 +508,56 @@ export function createClient(env) {
         return [];
       }
 
-      // Get unique source IDs to fetch source data
-      const sourceIds = [...new Set(matches.map((m) => m.metadata?.source_id).filter(Boolean))];
-
-      // Fetch source data from D1 to get title, content_type, url
-      let sourcesMap = {};
-      if (sourceIds.length > 0) {
-        const placeholders = sourceIds.map(() => '?').join(',');
-        const sourcesStmt = db.prepare(`
-          SELECT id, title, content_type, url
-          FROM vitamix_sources
-          WHERE id IN (${placeholders})
-        `);
-        const sourcesResult = await sourcesStmt.bind(...sourceIds).all();
-        for (const source of sourcesResult.results || []) {
-          sourcesMap[source.id] = source;
-        }
+      const sourcesMap = await getSourcesById(matches.map((m) => m.metadata?.source_id));
+      return matches.map((m) => toChunkResult({
+        id: m.id,
+        sourceId: m.metadata?.source_id,
+        text: m.metadata?.content,
+        source: sourcesMap[m.metadata?.source_id],
+        similarity: m.score,
+      }));
+    },
+
+    /**
+     * Search Vitamix content by keywords (D1 FTS5 index, see migrations/0008_chunks_fts.sql)
+     * Same result format as searchVitamixContent; similarity is null and keyword_rank is set
+     * @param {string} query - User query
+     * @param {object} options - Search options (limit, filter: same metadata filter as
+     *   searchVitamixContent; only content_type and page_type apply, as source columns)
+     * @returns {Promise<Array>} Matching content chunks with source data, best first
+     */
+    async searchVitamixKeywords(query, options = {}) {
+      const { limit = 10, filter = null } = options;
+      const matchQuery = toFTSQuery(query);
+      if (!matchQuery) {
+        return [];
       }
 
-      // Format results to match Supabase RPC function output
-      // Required fields: id, source_id, chunk_text, content_type, title, url, similarity
-      const formattedResults = matches.map((m) => {
-        const source = sourcesMap[m.metadata?.source_id] || {};
-        return {
-          id: m.id,
-          source_id: m.metadata?.source_id,
-          chunk_text: m.metadata?.content, // Supabase uses chunk_text
-          content_type: source.content_type || 'product',
-          title: source.title || 'Vitamix',
-          url: source.url || null,
-          similarity: m.score,
-          // Include metadata for compatibility
-          metadata: {
-            price: null,
-            model: null,
-            series: null,
-            image_url: null,
-          },
-        };
-      });
+      const { clauses, values } = toSourceFilterSQL(filter);
+      const stmt = db.prepare(`
+        SELECT c.id, c.source_id, c.content
+        FROM vitamix_chunks_fts f
+        JOIN vitamix_chunks c ON c.rowid = f.rowid
+        ${clauses.length > 0 ? 'JOIN vitamix_sources s ON s.id = c.source_id' : ''}
+        WHERE vitamix_chunks_fts MATCH ?
+          ${clauses.map((clause) => `AND ${clause}`).join(' ')}
+        ORDER BY bm25(vitamix_chunks_fts)
+        LIMIT ?
+      `);
+      const result = await stmt.bind(matchQuery, ...values, limit).all();
+      const rows = result.results || [];
 
-      return formattedResults;
+      const sourcesMap = await getSourcesById(rows.map((row) => row.source_id));
+      return rows.map((row, i) => ({
+        ...toChunkResult({
+          id: row.id,
+          sourceId: row.source_id,
+          text: row.content,
+          source: sourcesMap[row.source_id],
+          similarity: null,
+        }),
+        keyword_rank: i + 1,
+      }));
     },
 
     /**
@@ -338,8 +616,8 @@ export function createClient(env) {
         // Insert into D1
         const stmt = db.prepare(`
           INSERT INTO vitamix_chunks (
-            id, source_id, content, chunk_index, created_at
-          ) VALUES (?, ?, ?, ?, ?)
+            id, source_id, content, chunk_index, heading_path, created_at
+          ) VALUES (?, ?, ?, ?, ?, ?)
         `);
 
         await stmt.bind(
@@ -347,6 +625,7 @@ export function createClient(env) {
           chunk.source_id,
           chunk.content,
           chunk.chunk_index || 0,
+          chunk.heading_path ? JSON.stringify(chunk.heading_path) : null,
           now,
         ).run();
 
@@ -374,6 +653,30 @@ export function createClient(env) {
       return results;
     },
 
+    /**
+     * Get the stored text chunks of sources, e.g. the RAG sources of an earlier page
+     * @param {string[]} sourceIds - Array of source UUIDs
+     * @param {number} limit - Maximum number of chunks
+     * @returns {Promise<Array>} Chunks with source title, content_type and url, in source order
+     */
+    async getSourceChunks(sourceIds, limit = 8) {
+      if (!sourceIds || sourceIds.length === 0) return [];
+
+      const placeholders = sourceIds.map(() => '?').join(',');
+      const stmt = db.prepare(`
+        SELECT c.source_id, c.content, c.chunk_index, s.title, s.content_type, s.url
+        FROM vitamix_chunks c
+        JOIN vitamix_sources s ON s.id = c.source_id
+        WHERE c.source_id IN (${placeholders})
+        ORDER BY c.chunk_index
+        LIMIT ?
+      `);
+      const result = await stmt.bind(...sourceIds, limit).all();
+      const order = new Map(sourceIds.map((id, i) => [id, i]));
+      return (result.results || [])
+        .sort((a, b) => order.get(a.source_id) - order.get(b.source_id));
+    },
+
     /**
      * Get source images by source IDs
      * Fetches from both vitamix_sources (legacy) and vitamix_images (new) tables
@@ -461,6 +764,291 @@ export function createClient(env) {
         return Array.isArray(imgs) && imgs.length > 0;
       });
     },
+
+    /**
+     * Get the product catalog of a brand (filled by the crawler, see product-catalog.js)
+     * @param {string} brandId - Brand pack id
+     * @returns {Promise<Array>} Products, by series and model
+     */
+    async getProducts(brandId = 'vitamix') {
+      const stmt = db.prepare(`
+        SELECT * FROM products
+        WHERE brand_id = ?
+        ORDER BY series, model
+      `);
+      const result = await stmt.bind(brandId).all();
+      return (result.results || []).map(parseProductRow);
+    },
+
+    /**
+     * Get the labelled prototype queries of a brand (see query-classifier.js)
+     * @param {string} brandId - Brand pack id
+     * @returns {Promise<Array<{id: string, query: string, labels: string[],
+     *   embedding: number[]|null}>>} Prototypes
+     */
+    async getQueryPrototypes(brandId = 'vitamix') {
+      const stmt = db.prepare(`
+        SELECT id, query, labels, embedding FROM query_prototypes
+        WHERE brand_id = ?
+      `);
+      const result = await stmt.bind(brandId).all();
+      return (result.results || []).map((row) => ({
+        id: row.id,
+        query: row.query,
+        labels: JSON.parse(row.labels || '[]'),
+        embedding: JSON.parse(row.embedding || 'null'),
+      }));
+    },
+
+    /**
+     * Store the embeddings of prototype queries
+     * @param {Array<{id: string, embedding: number[]}>} prototypes - Embedded prototypes
+     */
+    async setQueryPrototypeEmbeddings(prototypes) {
+      if (prototypes.length === 0) return;
+      const stmt = db.prepare('UPDATE query_prototypes SET embedding = ? WHERE id = ?');
+      await db.batch(prototypes
+        .map(({ id, embedding }) => stmt.bind(JSON.stringify(embedding), id)));
+    },
+
+    /**
+     * Get the layout experiments of a brand (see experiments.js)
+     * @param {string} brandId - Brand pack id
+     * @returns {Promise<Array<{id: string, bucket: string, description: string,
+     *   variants: Array, status: string}>>} Experiments, newest first
+     */
+    async getLayoutExperiments(brandId = 'vitamix') {
+      const stmt = db.prepare(`
+        SELECT * FROM layout_experiments
+        WHERE brand_id = ?
+        ORDER BY created_at DESC
+      `);
+      const result = await stmt.bind(brandId).all();
+      return (result.results || []).map(parseExperimentRow);
+    },
+
+    /**
+     * Get a layout experiment by id
+     * @param {string} experimentId - Experiment id
+     * @returns {Promise<object|null>} Experiment
+     */
+    async getLayoutExperiment(experimentId) {
+      const stmt = db.prepare('SELECT * FROM layout_experiments WHERE id = ?');
+      const row = await stmt.bind(experimentId).first();
+      return row ? parseExperimentRow(row) : null;
+    },
+
+    /**
+     * Get the layout experiment assignments of pages, for stamping their engagement events
+     * @param {string[]} pageIds - Page UUIDs
+     * @returns {Promise<Object<string, object|null>>} Assignment per existing page id (null
+     *   outside experiments); unknown ids are left out
+     */
+    async getPageExperiments(pageIds) {
+      if (pageIds.length === 0) return {};
+      const stmt = db.prepare(`
+        SELECT id, experiment FROM generated_pages
+        WHERE id IN (${pageIds.map(() => '?').join(', ')})
+      `);
+      const result = await stmt.bind(...pageIds).all();
+      return Object.fromEntries((result.results || [])
+        .map((row) => [row.id, JSON.parse(row.experiment || 'null')]));
+    },
+
+    /**
+     * Store engagement events of pages
+     * @param {Array<{page_id: string, session_id: string, type: string, value: number|null,
+     *   detail: string|null, block_type: string|null, block_index: number|null,
+     *   experiment_id: string|null, variant: string|null}>} events - Events
+     */
+    async insertPageEvents(events) {
+      if (events.length === 0) return;
+      const stmt = db.prepare(`
+        INSERT INTO page_events (page_id, session_id, type, value, detail, block_type, block_index,
+          experiment_id, variant)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `);
+      await db.batch(events.map((event) => stmt.bind(
+        event.page_id,
+        event.session_id,
+        event.type,
+        event.value ?? null,
+        event.detail ?? null,
+        event.block_type ?? null,
+        event.block_index ?? null,
+        event.experiment_id ?? null,
+        event.variant ?? null,
+      )));
+    },
+
+    /**
+     * Count the block events of a brand's pages per block type and event type
+     * @param {string} brandId - Brand pack id
+     * @param {number} days - Days to look back
+     * @returns {Promise<Array<{block_type: string, type: string, events: number, sessions: number,
+     *   pages: number}>>} Counts
+     */
+    async getBlockEventCounts(brandId = 'vitamix', days = 7) {
+      const stmt = db.prepare(`
+        SELECT e.block_type, e.type,
+          COUNT(*) AS events,
+          COUNT(DISTINCT e.session_id) AS sessions,
+          COUNT(DISTINCT e.page_id) AS pages
+        FROM page_events e
+        JOIN generated_pages p ON p.id = e.page_id
+        WHERE p.brand_id = ? AND e.block_type IS NOT NULL AND e.created_at >= datetime('now', ?)
+        GROUP BY e.block_type, e.type
+      `);
+      const result = await stmt.bind(brandId, `-${days} days`).all();
+      return result.results || [];
+    },
+
+    /**
+     * Store reader feedback on a page or one of its blocks
+     * A new rating replaces the session's open rating of the same page or block
+     * @param {{page_id: string, block_index: number|null, block_type: string|null,
+     *   session_id: string, rating: number|null, comment: string|null}} feedback - Feedback
+     */
+    async insertPageFeedback(feedback) {
+      const statements = [];
+      if (feedback.rating !== null) {
+        statements.push(db.prepare(`
+          UPDATE page_feedback SET rating = NULL
+          WHERE page_id = ? AND block_index IS ? AND session_id = ? AND status = 'open'
+        `).bind(feedback.page_id, feedback.block_index, feedback.session_id));
+        statements.push(db.prepare(`
+          DELETE FROM page_feedback
+          WHERE page_id = ? AND session_id = ? AND rating IS NULL AND comment IS NULL
+        `).bind(feedback.page_id, feedback.session_id));
+      }
+      statements.push(db.prepare(`
+        INSERT INTO page_feedback (page_id, block_index, block_type, session_id, rating, comment)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `).bind(
+        feedback.page_id,
+        feedback.block_index,
+        feedback.block_type,
+        feedback.session_id,
+        feedback.rating,
+        feedback.comment,
+      ));
+      await db.batch(statements);
+    },
+
+    /**
+     * Summarize the open feedback of a brand's pages that are rated low (more thumbs down than
+     * up) or reported
+     * @param {string} brandId - Brand pack id
+     * @param {number} days - Days to look back
+     * @param {number} limit - Maximum pages
+     * @returns {Promise<Array<{page_id: string, query: string, content_type: string,
+     *   page_created_at: string, cache_invalidated_at: string|null, thumbs_up: number,
+     *   thumbs_down: number, reports: number, last_feedback_at: string}>>} Worst first
+     */
+    async getFeedbackQueue(brandId = 'vitamix', days = 30, limit = 50) {
+      const stmt = db.prepare(`
+        SELECT f.page_id, p.query, p.content_type, p.created_at AS page_created_at,
+          p.cache_invalidated_at,
+          SUM(CASE WHEN f.rating = 1 THEN 1 ELSE 0 END) AS thumbs_up,
+          SUM(CASE WHEN f.rating = -1 THEN 1 ELSE 0 END) AS thumbs_down,
+          SUM(CASE WHEN f.comment IS NOT NULL THEN 1 ELSE 0 END) AS reports,
+          MAX(f.created_at) AS last_feedback_at
+        FROM page_feedback f
+        JOIN generated_pages p ON p.id = f.page_id
+        WHERE p.brand_id = ? AND f.status = 'open' AND f.created_at >= datetime('now', ?)
+        GROUP BY f.page_id
+        HAVING reports > 0 OR thumbs_down > thumbs_up
+        ORDER BY reports + thumbs_down - thumbs_up DESC, last_feedback_at DESC
+        LIMIT ?
+      `);
+      const result = await stmt.bind(brandId, `-${days} days`, limit).all();
+      return result.results || [];
+    },
+
+    /**
+     * Get the open feedback of pages
+     * @param {string[]} pageIds - Page UUIDs
+     * @returns {Promise<Array<{id: number, page_id: string, block_index: number|null,
+     *   block_type: string|null, rating: number|null, comment: string|null,
+     *   created_at: string}>>} Feedback, newest first
+     */
+    async getOpenFeedback(pageIds) {
+      if (pageIds.length === 0) return [];
+      const stmt = db.prepare(`
+        SELECT id, page_id, block_index, block_type, rating, comment, created_at
+        FROM page_feedback
+        WHERE status = 'open' AND page_id IN (${pageIds.map(() => '?').join(', ')})
+        ORDER BY created_at DESC
+      `);
+      const result = await stmt.bind(...pageIds).all();
+      return result.results || [];
+    },
+
+    /**
+     * Close the open feedback of a page, or of one of its blocks
+     * @param {string} pageId - Page UUID
+     * @param {string} resolution - 'invalidated', 'regenerated' or 'dismissed'
+     * @param {number} [blockIndex] - Block index; all of the page's feedback when omitted
+     * @returns {Promise<number>} Feedback closed
+     */
+    async resolvePageFeedback(pageId, resolution, blockIndex) {
+      const blockFilter = blockIndex === undefined ? '' : 'AND block_index IS ?';
+      const stmt = db.prepare(`
+        UPDATE page_feedback SET status = 'resolved', resolution = ?, resolved_at = ?
+        WHERE page_id = ? AND status = 'open' ${blockFilter}
+      `);
+      const params = [resolution, new Date().toISOString(), pageId];
+      if (blockIndex !== undefined) params.push(blockIndex);
+      const result = await stmt.bind(...params).run();
+      return result.meta?.changes || 0;
+    },
+
+    /**
+     * Take a page out of the query cache (it stays readable by id)
+     * @param {string} pageId - Page UUID
+     * @returns {Promise<boolean>} Whether the page exists
+     */
+    async invalidatePageCache(pageId) {
+      const stmt = db.prepare(`
+        UPDATE generated_pages SET cache_invalidated_at = ?
+        WHERE id = ?
+      `);
+      const result = await stmt.bind(new Date().toISOString(), pageId).run();
+      return (result.meta?.changes || 0) > 0;
+    },
+
+    /**
+     * Aggregate the engagement of an experiment per variant
+     * A view is a page seen by a session, i.e. one with a view event (other events alone, like a
+     * follow-up recorded by the worker, do not make one); its scroll depth is the deepest reported
+     * @param {string} experimentId - Experiment id
+     * @returns {Promise<Array<{variant: string, views: number, sessions: number, pages: number,
+     *   scroll_depth: number, cta_click_rate: number, follow_up_rate: number}>>} Per variant
+     */
+    async getExperimentEngagement(experimentId) {
+      const stmt = db.prepare(`
+        SELECT variant,
+          COUNT(*) AS views,
+          COUNT(DISTINCT session_id) AS sessions,
+          COUNT(DISTINCT page_id) AS pages,
+          AVG(scroll_depth) AS scroll_depth,
+          AVG(cta_clicked) AS cta_click_rate,
+          AVG(followed_up) AS follow_up_rate
+        FROM (
+          SELECT page_id, session_id, variant,
+            MAX(CASE WHEN type = 'scroll_depth' THEN value ELSE 0 END) AS scroll_depth,
+            MAX(CASE WHEN type = 'cta_click' THEN 1 ELSE 0 END) AS cta_clicked,
+            MAX(CASE WHEN type = 'follow_up' THEN 1 ELSE 0 END) AS followed_up
+          FROM page_events
+          WHERE experiment_id = ?
+          GROUP BY page_id, session_id, variant
+          HAVING MAX(CASE WHEN type = 'view' THEN 1 ELSE 0 END) = 1
+        )
+        GROUP BY variant
+      `);
+      const result = await stmt.bind(experimentId).all();
+      return result.results || [];
+    },
   };
 }
 
@@ -483,6 +1071,13 @@ function parsePageRow(row) {
     rag_source_ids: JSON.parse(row.rag_source_ids || 'null'),
     rag_source_images: JSON.parse(row.rag_source_images || 'null'),
     images_ready: row.images_ready === 1,
+    brand_id: row.brand_id,
+    validation_errors: JSON.parse(row.validation_errors || 'null'),
+    revision: row.revision || 1,
+    parent_page_id: row.parent_page_id || null,
+    grounding: JSON.parse(row.grounding || 'null'),
+    experiment: JSON.parse(row.experiment || 'null'),
+    cache_invalidated_at: row.cache_invalidated_at || null,
     created_at: row.created_at,
     updated_at: row.updated_at,
   };
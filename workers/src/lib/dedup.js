@@ -0,0 +1,201 @@
+/**
+ * Ingest Deduplication
+ * Keeps boilerplate (promo banners, footer copy) and duplicate text out of the RAG index while
+ * a site is crawled:
+ * 1. Boilerplate blocks: a text or list block found on several pages of the run is dropped
+ *    from every later page before chunking (tables are kept, variant pages share real specs)
+ * 2. Exact duplicates: chunks whose normalized text was already indexed in the run are
+ *    collapsed into the first copy
+ * 3. Near duplicates: chunks whose MinHash signature estimates a Jaccard similarity (over
+ *    word shingles) above the threshold with an indexed chunk are dropped; LSH banding keeps
+ *    the candidate lookup cheap
+ *
+ * The index lives for one crawl run; pages skipped by an incremental crawl are not in it, and
+ * the first pages that carry a boilerplate block keep it
+ */
+
+/* eslint-disable no-bitwise -- 32-bit hashing for shingles and MinHash */
+
+// Word shingle size for MinHash
+const SHINGLE_SIZE = 5;
+
+// MinHash signature = BANDS x ROWS hashes; LSH candidates share all rows of one band
+const BANDS = 16;
+const ROWS = 4;
+
+// Blocks shorter than this (normalized) are too generic to call boilerplate
+const MIN_BLOCK_LENGTH = 20;
+
+/**
+ * Normalize text for comparison: lowercase words without punctuation
+ */
+function normalize(text) {
+  return (text || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+}
+
+/**
+ * 32-bit FNV-1a hash of a string
+ */
+function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i += 1) {
+    hash = Math.imul(hash ^ text.charCodeAt(i), 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Murmur3 finalizer, used to derive the MinHash functions from one shingle hash
+ */
+function mix(value) {
+  let h = value;
+  h = Math.imul(h ^ (h >>> 16), 0x85ebca6b);
+  h = Math.imul(h ^ (h >>> 13), 0xc2b2ae35);
+  return (h ^ (h >>> 16)) >>> 0;
+}
+
+// One seed per MinHash function
+const SEEDS = Array.from({ length: BANDS * ROWS }, (_, i) => mix(i + 1));
+
+/**
+ * MinHash signature of a text over its word shingles
+ * @param {string} text - Normalized text
+ * @returns {number[]} Signature (BANDS x ROWS values)
+ */
+export function minHashSignature(text) {
+  const words = text.split(' ').filter(Boolean);
+  const count = Math.max(1, words.length - SHINGLE_SIZE + 1);
+  const shingles = new Set(Array.from(
+    { length: count },
+    (_, i) => hashString(words.slice(i, i + SHINGLE_SIZE).join(' ')),
+  ));
+
+  const signature = SEEDS.map(() => 0xffffffff);
+  shingles.forEach((shingle) => {
+    SEEDS.forEach((seed, i) => {
+      const value = mix(shingle ^ seed);
+      if (value < signature[i]) signature[i] = value;
+    });
+  });
+  return signature;
+}
+
+/**
+ * Estimate the Jaccard similarity of two texts from their MinHash signatures
+ */
+export function estimateSimilarity(a, b) {
+  return a.filter((value, i) => value === b[i]).length / a.length;
+}
+
+/**
+ * Create a deduplicator for one crawl run
+ * @param {object} options - { boilerplateMinPages: pages a block must appear on to count as
+ *   boilerplate (default 3), nearDuplicateThreshold: estimated Jaccard similarity above which
+ *   chunks are near duplicates (default 0.85) }
+ * @returns {object} Deduplicator: filterBlocks, filterChunks, getStats
+ */
+export function createDeduplicator(options = {}) {
+  const { boilerplateMinPages = 3, nearDuplicateThreshold = 0.85 } = options;
+
+  const blockPages = new Map(); // Block hash -> { pages: Set of page URLs, text }
+  const chunkHashes = new Map(); // Normalized chunk hash -> chunk id
+  const bands = new Map(); // Band key -> chunk ids
+  const signatures = new Map(); // Chunk id -> MinHash signature
+  const stats = {
+    boilerplateBlocks: 0,
+    exactDuplicates: 0,
+    nearDuplicates: 0,
+    removedCharacters: 0,
+  };
+
+  return {
+    /**
+     * Drop a page's boilerplate blocks, and count its blocks towards boilerplate detection
+     * @param {Array} blocks - Page blocks (see chunking.js extractBlocks)
+     * @param {string} pageUrl - Page URL
+     * @returns {Array} Blocks without boilerplate
+     */
+    filterBlocks(blocks, pageUrl) {
+      return blocks.filter((block) => {
+        if (block.type !== 'text' && block.type !== 'list') return true;
+        const text = normalize(block.type === 'list' ? block.items.join(' ') : block.text);
+        if (text.length < MIN_BLOCK_LENGTH) return true;
+
+        const key = hashString(text);
+        const entry = blockPages.get(key)
+          || { pages: new Set(), text: block.text || block.items[0] };
+        entry.pages.add(pageUrl);
+        blockPages.set(key, entry);
+
+        if (entry.pages.size < boilerplateMinPages) return true;
+        stats.boilerplateBlocks += 1;
+        stats.removedCharacters += text.length;
+        return false;
+      });
+    },
+
+    /**
+     * Drop the chunks of a page that duplicate (exactly or nearly) chunks indexed earlier
+     * @param {Array<{text: string, body: string, index: number}>} chunks - Page chunks
+     *   (body: chunk text without its heading line)
+     * @param {string} sourceId - Source id (chunk ids are `${sourceId}-${index}`)
+     * @returns {Array} Kept chunks, renumbered from 0
+     */
+    filterChunks(chunks, sourceId) {
+      return chunks
+        .filter((chunk) => {
+          const id = `${sourceId}-${chunk.index}`;
+          const text = normalize(chunk.body ?? chunk.text);
+
+          const key = hashString(text);
+          const original = chunkHashes.get(key);
+          if (original && !original.startsWith(`${sourceId}-`)) {
+            stats.exactDuplicates += 1;
+            stats.removedCharacters += text.length;
+            return false;
+          }
+
+          const signature = minHashSignature(text);
+          const bandKeys = Array.from({ length: BANDS }, (_, b) => (
+            `${b}:${signature.slice(b * ROWS, (b + 1) * ROWS).join(',')}`
+          ));
+          const candidates = new Set(bandKeys.flatMap((bandKey) => bands.get(bandKey) || []));
+          const isNearDuplicate = [...candidates].some((candidate) => (
+            !candidate.startsWith(`${sourceId}-`)
+            && estimateSimilarity(signature, signatures.get(candidate)) >= nearDuplicateThreshold
+          ));
+          if (isNearDuplicate) {
+            stats.nearDuplicates += 1;
+            stats.removedCharacters += text.length;
+            return false;
+          }
+
+          chunkHashes.set(key, id);
+          signatures.set(id, signature);
+          bandKeys.forEach((bandKey) => {
+            if (bands.has(bandKey)) bands.get(bandKey).push(id);
+            else bands.set(bandKey, [id]);
+          });
+          return true;
+        })
+        .map((chunk, index) => ({ ...chunk, index }));
+    },
+
+    /**
+     * Dedup stats of the run
+     * @param {number} sampleCount - Boilerplate samples to include
+     * @returns {object} Counts, and the most repeated boilerplate blocks ({ text, pages })
+     */
+    getStats(sampleCount = 5) {
+      const boilerplate = [...blockPages.values()]
+        .filter((entry) => entry.pages.size >= boilerplateMinPages)
+        .sort((a, b) => b.pages.size - a.pages.size);
+      return {
+        ...stats,
+        boilerplateTexts: boilerplate.length,
+        samples: boilerplate.slice(0, sampleCount)
+          .map((entry) => ({ text: entry.text.slice(0, 80), pages: entry.pages.size })),
+      };
+    },
+  };
+}
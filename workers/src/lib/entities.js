@@ -0,0 +1,163 @@
+/**
+ * Entity Extraction
+ * Recognizes the named entities of a query or product name and normalizes them:
+ * - models: catalog ids (products.model), from the brand pack's models, their aliases
+ *   ("a3500i", "Propel510") and the model numbers of its product URLs and comparison models
+ * - series: product series names ("Ascent")
+ * - containers: container sizes ("64 oz")
+ * - ingredients: singular ingredient names
+ * - diets: canonical diet names ("gluten-free")
+ * - programs: built-in program names of the brand pack ("Hot Soups")
+ *
+ * Shared by the query classifier (retrieval filters), the content prompts (comparison items),
+ * the product catalog and image search, so a model is called the same everywhere
+ */
+
+import { DEFAULT_BRAND_PACK } from './brand-pack.js';
+import { getProductVocabulary } from './chunk-metadata.js';
+
+// Ingredients recognized as entities (singular; plurals match too)
+const INGREDIENTS = [
+  'almond', 'apple', 'avocado', 'banana', 'basil', 'beet', 'blueberry', 'broccoli', 'butternut',
+  'cacao', 'carrot', 'cashew', 'cauliflower', 'celery', 'cherry', 'chia', 'chickpea', 'chocolate',
+  'cinnamon', 'coconut', 'coffee', 'cucumber', 'flax', 'garlic', 'ginger', 'grape', 'hemp',
+  'honey', 'kale', 'lemon', 'lentil', 'lime', 'mango', 'mint', 'oat', 'onion', 'orange', 'peach',
+  'peanut', 'pear', 'pecan', 'pepper', 'pineapple', 'pumpkin', 'quinoa', 'raspberry', 'spinach',
+  'strawberry', 'sweet potato', 'tahini', 'tomato', 'turmeric', 'vanilla', 'walnut', 'watermelon',
+  'yogurt', 'zucchini',
+];
+
+// Diets recognized as entities, by canonical name (regex fragments)
+const DIETS = {
+  vegan: 'vegan|plant.?based',
+  vegetarian: 'vegetarian',
+  'gluten-free': 'gluten.?free',
+  'dairy-free': 'dairy.?free|non.?dairy',
+  'nut-free': 'nut.?free',
+  'sugar-free': 'sugar.?free|no added sugar',
+  keto: 'keto|ketogenic',
+  paleo: 'paleo',
+  'low-carb': 'low.?carb',
+  'high-protein': 'high.?protein|protein.?packed',
+  whole30: 'whole.?30',
+};
+
+// Container sizes: "64 oz", "48-ounce", "20oz"
+const CONTAINER_PATTERN = /\b(\d{1,3})[-\s]?(?:oz|ounces?)\b/gi;
+
+// Model aliases per brand pack (built once per pack)
+const modelAliasCache = new WeakMap();
+
+/**
+ * Escape a string for use in a RegExp
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Build a pattern matching a term as a whole word, plural included ("berry" -> "berries")
+ */
+function termPattern(term) {
+  const escaped = escapeRegExp(term);
+  const plural = escaped.endsWith('y') ? `${escaped.slice(0, -1)}(?:y|ies)` : `${escaped}(?:e?s)?`;
+  return new RegExp(`\\b${plural}\\b`, 'i');
+}
+
+/**
+ * Build a pattern matching a program name, each word's plural optional ("hot soup" for
+ * "Hot Soups", "dips and spreads" for "Dips & Spreads")
+ */
+function programPattern(program) {
+  const words = program.split(/[\s-]+/).map((word) => {
+    if (word === '&') return '(?:&|and)';
+    const escaped = escapeRegExp(word);
+    if (/ies$/i.test(word)) return `${escaped.slice(0, -3)}(?:y|ies)`;
+    return /s$/i.test(word) ? `${escaped}?` : escaped;
+  });
+  return new RegExp(`\\b${words.join('[\\s-]*')}\\b`, 'i');
+}
+
+/**
+ * Build a pattern matching a model alias with flexible spacing ("propel 510", "propel-510")
+ */
+function aliasPattern(alias) {
+  const source = alias.split(/[\s-]+/).map(escapeRegExp).join('[\\s-]?');
+  return new RegExp(`\\b${source}\\b`, 'gi');
+}
+
+/**
+ * Model aliases of a brand pack, longest first: { id, pattern }
+ * Every model id is an alias of itself; ids ending in a digit also match a trailing "i"
+ * ("A3500i"), and catalog.models entries can list more ("Propel510")
+ */
+function getModelAliases(brandPack) {
+  if (modelAliasCache.has(brandPack)) {
+    return modelAliasCache.get(brandPack);
+  }
+
+  const extraAliases = Object.fromEntries((brandPack.catalog.models || [])
+    .map((model) => [model.id.toUpperCase(), model.aliases || []]));
+  const aliases = getProductVocabulary(brandPack).models
+    .flatMap((id) => [id, ...(/\d$/.test(id) ? [`${id}i`] : []), ...(extraAliases[id] || [])]
+      .map((alias) => ({ id, alias })))
+    .sort((a, b) => b.alias.length - a.alias.length)
+    .map(({ id, alias }) => ({ id, pattern: aliasPattern(alias) }));
+
+  modelAliasCache.set(brandPack, aliases);
+  return aliases;
+}
+
+/**
+ * Find the models a text names, as catalog ids in order of appearance
+ * Longer aliases win ("Propel 750" is not also the Professional 750)
+ * @param {string} text - Query or product name
+ * @param {object} brandPack - Brand pack
+ * @returns {string[]} Catalog model ids
+ */
+export function findModels(text, brandPack = DEFAULT_BRAND_PACK) {
+  let remaining = text || '';
+  const found = [];
+  getModelAliases(brandPack).forEach(({ id, pattern }) => {
+    remaining = remaining.replace(pattern, (match, offset) => {
+      found.push({ id, offset });
+      return ' '.repeat(match.length);
+    });
+  });
+  return [...new Set(found.sort((a, b) => a.offset - b.offset).map(({ id }) => id))];
+}
+
+/**
+ * Find the first model a text names
+ * @param {string} text - Query or product name
+ * @param {object} brandPack - Brand pack
+ * @returns {string|null} Catalog model id
+ */
+export function findModel(text, brandPack = DEFAULT_BRAND_PACK) {
+  return findModels(text, brandPack)[0] || null;
+}
+
+/**
+ * Extract the named entities of a text
+ * @param {string} text - Query or product name
+ * @param {object} brandPack - Brand pack (models, series and programs)
+ * @returns {{models: string[], series: string[], containers: string[], ingredients: string[],
+ *   diets: string[], programs: string[]}} Normalized entities
+ */
+export function extractEntities(text, brandPack = DEFAULT_BRAND_PACK) {
+  const query = text || '';
+  const find = (terms) => terms.filter((term) => termPattern(term).test(query));
+
+  return {
+    models: findModels(query, brandPack),
+    series: find(getProductVocabulary(brandPack).series),
+    containers: [...new Set([...query.matchAll(CONTAINER_PATTERN)]
+      .map((match) => `${Number(match[1])} oz`))],
+    ingredients: find(INGREDIENTS),
+    diets: Object.entries(DIETS)
+      .filter(([, pattern]) => new RegExp(`\\b(${pattern})\\b`, 'i').test(query))
+      .map(([diet]) => diet),
+    programs: brandPack.catalog.program_names
+      .filter((program) => programPattern(program).test(query)),
+  };
+}
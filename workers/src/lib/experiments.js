@@ -0,0 +1,142 @@
+/**
+ * Layout Experiments
+ * A/B tests of layouts per query classification bucket ("product", "recipe", ...):
+ * 1. Assignment: a session gets one variant per experiment, picked by a hash of the session and
+ *    experiment ids over the variant weights, so it is stable without storing sessions; the
+ *    assignment is stored on the page (generated_pages.experiment)
+ * 2. Layout: the layout rules add the variant's preferred blocks and drop its avoided blocks
+ *    (see layout-rules.js); the content prompt asks for the atoms the preferred blocks need
+ * 3. Engagement: page events carry the page's assignment (see page-events.js); results use
+ *    the views, scroll depth, CTA clicks and follow-up queries
+ * 4. Results: per variant views, mean scroll depth, CTA click and follow-up rates, and a quality
+ *    score weighing them (/api/experiment-results)
+ *
+ * Experiments live in the layout_experiments table (see migrations/0014_layout_experiments.sql);
+ * a cached page is only served to sessions assigned to its variant
+ */
+
+import { getBlockLibrary } from './gemini.js';
+
+// Quality score weights of the engagement metrics
+const QUALITY_WEIGHTS = {
+  scroll_depth: 0.4,
+  cta_click_rate: 0.4,
+  follow_up_rate: 0.2,
+};
+
+/**
+ * Map a string to a number in [0, 1) with SHA-256
+ */
+async function hashToUnit(text) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return new DataView(digest).getUint32(0) / 2 ** 32;
+}
+
+/**
+ * Pick the variant of an experiment for a session
+ * @param {object} experiment - Experiment ({ id, variants: [{ id, weight }] })
+ * @param {string} sessionId - Session id
+ * @returns {Promise<object|null>} Variant, null for an experiment without variants
+ */
+export async function assignVariant(experiment, sessionId) {
+  const variants = experiment.variants.filter((variant) => (variant.weight ?? 1) > 0);
+  if (variants.length === 0) return null;
+
+  const total = variants.reduce((sum, variant) => sum + (variant.weight ?? 1), 0);
+  const point = (await hashToUnit(`${experiment.id}:${sessionId}`)) * total;
+  let cumulative = 0;
+  return variants.find((variant) => {
+    cumulative += variant.weight ?? 1;
+    return point < cumulative;
+  }) || variants[variants.length - 1];
+}
+
+/**
+ * Assign a session to the running experiment of a classification bucket
+ * @param {object} db - Database client (see cloudflare-db.js)
+ * @param {object} options - { brandId, bucket (query classification type), sessionId }
+ * @returns {Promise<object|null>} Assignment { experiment_id, bucket, variant, prefer, avoid,
+ *   atoms (atom types the preferred blocks need) }, null when no experiment runs for the bucket
+ */
+export async function getExperimentAssignment(db, { brandId, bucket, sessionId }) {
+  if (!sessionId || !bucket || !db?.getLayoutExperiments) return null;
+
+  const experiments = await db.getLayoutExperiments(brandId);
+  const experiment = experiments
+    .find((candidate) => candidate.status === 'running' && candidate.bucket === bucket);
+  if (!experiment) return null;
+
+  const variant = await assignVariant(experiment, sessionId);
+  if (!variant) return null;
+
+  const library = getBlockLibrary();
+  const prefer = (variant.prefer || []).filter((blockType) => library[blockType]);
+  return {
+    experiment_id: experiment.id,
+    bucket,
+    variant: variant.id,
+    prefer,
+    avoid: (variant.avoid || []).filter((blockType) => !prefer.includes(blockType)),
+    atoms: [...new Set(prefer.flatMap((blockType) => library[blockType].required))],
+  };
+}
+
+/**
+ * Check whether a cached page may be served to a session
+ * Pages of a running experiment are only served to the sessions assigned to their variant
+ * @param {object} page - Cached page
+ * @param {string} sessionId - Session id
+ * @param {object} db - Database client
+ * @returns {Promise<boolean>} Whether the session may see the page
+ */
+export async function isPageForSession(page, sessionId, db) {
+  if (!page.experiment || !sessionId || !db.getLayoutExperiment) return true;
+
+  const experiment = await db.getLayoutExperiment(page.experiment.experiment_id);
+  if (!experiment || experiment.status !== 'running') return true;
+
+  const variant = await assignVariant(experiment, sessionId);
+  return variant?.id === page.experiment.variant;
+}
+
+/**
+ * Report the results of an experiment per variant
+ * Lift is the relative difference of a variant's quality score to the first variant's
+ * @param {object} db - Database client
+ * @param {string} experimentId - Experiment id
+ * @returns {Promise<object|null>} { experiment, variants: [{ variant, views, sessions, pages,
+ *   scroll_depth, cta_click_rate, follow_up_rate, score, lift }] }, null for an unknown experiment
+ */
+export async function getExperimentResults(db, experimentId) {
+  const experiment = await db.getLayoutExperiment(experimentId);
+  if (!experiment) return null;
+
+  const engagement = await db.getExperimentEngagement(experimentId);
+  const round = (value) => Math.round((value || 0) * 1000) / 1000;
+  const variants = experiment.variants.map(({ id }) => {
+    const row = engagement.find((candidate) => candidate.variant === id) || {};
+    const metrics = {
+      scroll_depth: round(row.scroll_depth),
+      cta_click_rate: round(row.cta_click_rate),
+      follow_up_rate: round(row.follow_up_rate),
+    };
+    return {
+      variant: id,
+      views: row.views || 0,
+      sessions: row.sessions || 0,
+      pages: row.pages || 0,
+      ...metrics,
+      score: round(Object.entries(QUALITY_WEIGHTS)
+        .reduce((sum, [metric, weight]) => sum + metrics[metric] * weight, 0)),
+    };
+  });
+
+  const baseline = variants[0]?.score || 0;
+  return {
+    experiment,
+    variants: variants.map((variant) => ({
+      ...variant,
+      lift: baseline > 0 ? round((variant.score - baseline) / baseline) : null,
+    })),
+  };
+}
@@ -1,16 +1,25 @@
 /**
  * Gemini Layout Selector
- * Uses Gemini 1.5 Flash to select optimal EDS block layouts based on content atoms
+ * Uses Gemini to select optimal EDS block layouts based on content atoms
+ * Requests go through the LLM provider layer (see llm-provider.js); the selected layout is
+ * validated and repaired by the layout rules (see layout-rules.js)
  */
 
-const GEMINI_API_URL = 'https://generativelanguage.googleapis.com/v1beta/models/gemini-1.5-flash:generateContent';
+import { parseJSONResponse } from './llm-provider.js';
 
 /**
  * Block library with metadata for layout selection
  * Each block defines:
  * - for: content types this block is optimized for
  * - required: atom types needed to populate this block
- * - priority: selection priority (higher = more likely to be selected)
+ * - priority: selection priority (higher = more likely to be selected, and kept when a page
+ *   has too many blocks)
+ * - mappings: default atom_mappings when the block is added by the fallback or the layout rules
+ * - position: 'first' (leads the page), 'after-first' (right after the hero), 'last' (closes
+ *   the page, by priority) or 'standalone' (the only block of its content type's pages)
+ * - max: most instances per page (optional)
+ * - mandatory: must be on the page whenever its required atoms are (optional), unless one of
+ *   its alternatives is
  */
 const BLOCK_LIBRARY = {
   // Universal blocks (used for all content types)
@@ -19,74 +28,117 @@ const BLOCK_LIBRARY = {
     required: ['heading'],
     priority: 100,
     description: 'Full-width hero section with title, subtitle, and optional image',
+    mappings: {
+      title: 'heading.text',
+      subtitle: 'paragraph.text',
+      image: 'metadata.primary_image_prompt',
+    },
+    position: 'first',
+    max: 1,
+    mandatory: true,
   },
   'feature-cards': {
     for: ['all'],
     required: ['feature_set'],
     priority: 80,
     description: 'Grid of 3 feature cards with images, titles, and descriptions',
+    mappings: { items: 'feature_set.items' },
   },
   'faq-accordion': {
     for: ['all'],
     required: ['faq_set'],
     priority: 70,
     description: 'Expandable FAQ section with questions and answers',
+    mappings: { items: 'faq_set.items' },
   },
   'cta-section': {
     for: ['all'],
     required: ['cta'],
     priority: 60,
     description: 'Call-to-action section with headline, description, and buttons',
+    mappings: {
+      title: 'cta.title',
+      description: 'cta.description',
+      buttons: 'cta.buttons',
+    },
+    position: 'last',
+    max: 1,
   },
   'related-topics': {
     for: ['all'],
     required: ['related'],
     priority: 50,
     description: 'Grid of related topic cards for continued exploration',
+    mappings: { items: 'related.items' },
+    position: 'last',
+    max: 1,
   },
 
   // Content-specific blocks
   'text-section': {
-    for: ['guide', 'recipe', 'product'],
+    for: ['guide', 'recipe', 'product', 'comparison'],
     required: ['paragraph'],
     priority: 75,
     description: 'Large text section for detailed explanations or descriptions',
+    mappings: { paragraphs: 'paragraph' },
   },
   'comparison-table': {
-    for: ['comparison'],
+    for: ['comparison', 'product'],
     required: ['comparison'],
     priority: 70,
     description: 'Simple horizontal table for quick spec comparison of 2-3 products',
+    mappings: { items: 'comparison.items' },
   },
   'comparison-cards': {
     for: ['comparison', 'product'],
     required: ['comparison'],
     priority: 95,
     description: 'Interactive card grid with product images, prices, and ratings. Users can select multiple products and compare side-by-side in overlay modal. Best for browsing and comparing 3+ products.',
+    mappings: { items: 'comparison.items' },
   },
   'specs-table': {
     for: ['product'],
     required: ['table'],
     priority: 90,
     description: 'Structured specification table for product details',
+    mappings: {
+      title: 'table.title',
+      headers: 'table.headers',
+      rows: 'table.rows',
+    },
+    mandatory: true,
+    alternatives: ['comparison-table'],
   },
   'step-by-step': {
     for: ['recipe', 'guide'],
     required: ['steps'],
     priority: 90,
     description: 'Numbered step-by-step instructions with optional tips',
+    mappings: { items: 'steps.items' },
   },
   'bullet-list': {
-    for: ['guide', 'product'],
+    for: ['guide', 'product', 'recipe', 'comparison'],
     required: ['list'],
     priority: 65,
     description: 'Bulleted or numbered list for key points',
+    mappings: {
+      items: 'list.items',
+      style: 'list.style',
+    },
   },
   'interactive-guide': {
     for: ['comparison', 'guide'],
     required: ['interactive_guide'],
     priority: 95,
     description: 'Tab-based product selection guide with top 2-4 product picks organized by user intent (e.g., Best Value, High-Tech, Proven Classic). Each tab shows a detailed product card with specs, pros/cons, and actions. Includes a "Compare All" button that opens a comparison table overlay. Best for helping users choose between a few curated options.',
+    mappings: {
+      title: 'interactive_guide.title',
+      subtitle: 'interactive_guide.subtitle',
+      picks: 'interactive_guide.picks',
+    },
+    position: 'after-first',
+    max: 1,
+    mandatory: true,
   },
 
   // Single item detail pages (comprehensive standalone blocks)
@@ -95,12 +147,18 @@ const BLOCK_LIBRARY = {
     required: ['product_detail'],
     priority: 100,
     description: 'Comprehensive single product page with hero gallery, specs accordion, features grid, what\'s included list, and related products. Use ONLY for single_product content type. This is a standalone comprehensive block.',
+    mappings: { product: 'product_detail' },
+    position: 'standalone',
+    max: 1,
   },
   'recipe-detail': {
     for: ['single_recipe'],
     required: ['recipe_detail'],
     priority: 100,
     description: 'Comprehensive single recipe page with hero image, ingredients list, step-by-step directions, nutrition sidebar, equipment list, tags, and related recipes. Use ONLY for single_recipe content type. This is a standalone comprehensive block.',
+    mappings: { recipe: 'recipe_detail' },
+    position: 'standalone',
+    max: 1,
   },
 };
 
@@ -166,11 +224,12 @@ Common mappings:
  * @param {Array} contentAtoms - Array of content atoms from Claude
  * @param {string} contentType - Content type (recipe, product, comparison, guide)
  * @param {object} metadata - Page metadata from Claude
- * @param {string} apiKey - Gemini API key
+ * @param {object} provider - LLM provider (see llm-provider.js), typically Gemini
  * @param {string} originalQuery - Original user query (optional, for keyword detection)
- * @returns {Promise<{blocks: Array, rationale: string}>} Selected layout
+ * @returns {Promise<{blocks: Array, rationale: string, source: string}>} Selected layout;
+ *   source is the provider name, or "fallback" when the provider failed
  */
-export async function selectBlockLayout(contentAtoms, contentType, metadata, apiKey, originalQuery = '') {
+export async function selectBlockLayout(contentAtoms, contentType, metadata, provider, originalQuery = '') {
   // Build content summary for Gemini
   const atomSummary = summarizeAtoms(contentAtoms);
 
@@ -192,58 +251,25 @@ Select blocks that best present this content. Remember to:
 - Only include blocks that have matching content atoms
 - If the user query contains "table", "chart", or "specs", you MUST include a table block`;
 
-  const response = await fetch(`${GEMINI_API_URL}?key=${apiKey}`, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-    },
-    body: JSON.stringify({
-      contents: [
-        {
-          role: 'user',
-          parts: [{ text: userPrompt }],
-        },
-      ],
-      systemInstruction: {
-        parts: [{ text: LAYOUT_SYSTEM_PROMPT }],
-      },
-      generationConfig: {
-        temperature: 0.3, // Low temperature for consistent layouts
-        maxOutputTokens: 2048,
-        responseMimeType: 'application/json',
-      },
-    }),
-  });
-
-  if (!response.ok) {
-    const error = await response.text();
-    throw new Error(`Gemini API error: ${response.status} - ${error}`);
-  }
-
-  const data = await response.json();
-
-  // Extract text content from response
-  const textContent = data.candidates?.[0]?.content?.parts?.[0]?.text;
-  if (!textContent) {
-    console.error('No text content in Gemini response, using fallback layout');
+  let textContent;
+  try {
+    textContent = await provider.complete({
+      task: 'layout',
+      query: originalQuery,
+      system: LAYOUT_SYSTEM_PROMPT,
+      prompt: userPrompt,
+      temperature: 0.3, // Low temperature for consistent layouts
+      maxTokens: 2048,
+      json: true,
+    });
+  } catch (error) {
+    console.error('Layout provider request failed, using fallback layout:', error);
     return getFallbackLayout(contentType, contentAtoms);
   }
 
   try {
     // Parse JSON response
-    let jsonText = textContent.trim();
-    if (jsonText.startsWith('```json')) {
-      jsonText = jsonText.slice(7);
-    }
-    if (jsonText.startsWith('```')) {
-      jsonText = jsonText.slice(3);
-    }
-    if (jsonText.endsWith('```')) {
-      jsonText = jsonText.slice(0, -3);
-    }
-    jsonText = jsonText.trim();
-
-    const layout = JSON.parse(jsonText);
+    const layout = parseJSONResponse(textContent);
 
     // Validate and return
     if (!layout.blocks || !Array.isArray(layout.blocks)) {
@@ -251,29 +277,12 @@ Select blocks that best present this content. Remember to:
       return getFallbackLayout(contentType, contentAtoms);
     }
 
-    console.log(`Gemini selected ${layout.blocks.length} blocks: ${layout.blocks.map((b) => b.block_type).join(', ')}`);
-
-    // Post-process: Ensure interactive-guide block is included if atom exists
-    const hasInteractiveGuideAtom = contentAtoms.some((a) => a.type === 'interactive_guide');
-    const hasInteractiveGuideBlock = layout.blocks.some((b) => b.block_type === 'interactive-guide');
-
-    if (hasInteractiveGuideAtom && !hasInteractiveGuideBlock) {
-      console.log('Adding missing interactive-guide block (atom exists but Gemini did not select it)');
-      // Insert after hero-banner (position 1)
-      const interactiveGuideBlock = {
-        block_type: 'interactive-guide',
-        atom_mappings: {
-          title: 'interactive_guide.title',
-          subtitle: 'interactive_guide.subtitle',
-          picks: 'interactive_guide.picks',
-        },
-      };
-      layout.blocks.splice(1, 0, interactiveGuideBlock);
-    }
+    console.log(`${provider.name} selected ${layout.blocks.length} blocks: ${layout.blocks.map((b) => b.block_type).join(', ')}`);
 
     return {
       blocks: layout.blocks,
-      rationale: layout.layout_rationale || 'Layout selected by Gemini',
+      rationale: layout.layout_rationale || `Layout selected by ${provider.name}`,
+      source: provider.name,
     };
   } catch (parseError) {
     console.error('Failed to parse Gemini layout response:', parseError);
@@ -327,12 +336,24 @@ function summarizeAtoms(atoms) {
   return summary.join('\n');
 }
 
+/**
+ * Create a layout block with the library's default atom mappings
+ * @param {string} blockType - Block type (BLOCK_LIBRARY key)
+ * @returns {{block_type: string, atom_mappings: object}} Layout block
+ */
+export function createLayoutBlock(blockType) {
+  return {
+    block_type: blockType,
+    atom_mappings: { ...BLOCK_LIBRARY[blockType].mappings },
+  };
+}
+
 /**
  * Get fallback layout when Gemini fails
  * Uses rule-based selection based on content type and available atoms
  * @param {string} contentType - Content type
  * @param {Array} atoms - Content atoms
- * @returns {{blocks: Array, rationale: string}} Fallback layout
+ * @returns {{blocks: Array, rationale: string, source: string}} Fallback layout
  */
 export function getFallbackLayout(contentType, atoms) {
   const atomTypes = new Set(atoms.map((a) => a.type));
@@ -341,129 +362,74 @@ export function getFallbackLayout(contentType, atoms) {
   // Handle single product/recipe pages with their comprehensive standalone blocks
   if (contentType === 'single_product' && atomTypes.has('product_detail')) {
     return {
-      blocks: [{
-        block_type: 'product-detail',
-        atom_mappings: { product: 'product_detail' },
-      }],
+      blocks: [createLayoutBlock('product-detail')],
       rationale: 'Single product detail page - using comprehensive product-detail block',
+      source: 'fallback',
     };
   }
 
   if (contentType === 'single_recipe' && atomTypes.has('recipe_detail')) {
     return {
-      blocks: [{
-        block_type: 'recipe-detail',
-        atom_mappings: { recipe: 'recipe_detail' },
-      }],
+      blocks: [createLayoutBlock('recipe-detail')],
       rationale: 'Single recipe detail page - using comprehensive recipe-detail block',
+      source: 'fallback',
     };
   }
 
   // Always start with hero for other page types
-  blocks.push({
-    block_type: 'hero-banner',
-    atom_mappings: {
-      title: 'heading.text',
-      subtitle: 'paragraph.text',
-      image: 'metadata.primary_image_prompt',
-    },
-  });
+  blocks.push(createLayoutBlock('hero-banner'));
+
+  // Interactive guide for personalized recommendations (high priority)
+  if (atomTypes.has('interactive_guide')) {
+    blocks.push(createLayoutBlock('interactive-guide'));
+  }
 
   // Add text section if multiple paragraphs
   const paragraphCount = atoms.filter((a) => a.type === 'paragraph').length;
   if (paragraphCount > 1) {
-    blocks.push({
-      block_type: 'text-section',
-      atom_mappings: { paragraphs: 'paragraph' },
-    });
+    blocks.push(createLayoutBlock('text-section'));
   }
 
   // Content-type specific blocks
   if (contentType === 'comparison' && atomTypes.has('comparison')) {
     // Use comparison-cards for interactive product browsing
-    blocks.push({
-      block_type: 'comparison-cards',
-      atom_mappings: { items: 'comparison.items' },
-    });
+    blocks.push(createLayoutBlock('comparison-cards'));
   }
 
   if (contentType === 'product' && atomTypes.has('table')) {
-    blocks.push({
-      block_type: 'specs-table',
-      atom_mappings: {
-        title: 'table.title',
-        headers: 'table.headers',
-        rows: 'table.rows',
-      },
-    });
+    blocks.push(createLayoutBlock('specs-table'));
   }
 
   if ((contentType === 'recipe' || contentType === 'guide') && atomTypes.has('steps')) {
-    blocks.push({
-      block_type: 'step-by-step',
-      atom_mappings: { items: 'steps.items' },
-    });
-  }
-
-  // Interactive guide for personalized recommendations (high priority)
-  if (atomTypes.has('interactive_guide')) {
-    blocks.push({
-      block_type: 'interactive-guide',
-      atom_mappings: {
-        title: 'interactive_guide.title',
-        subtitle: 'interactive_guide.subtitle',
-        picks: 'interactive_guide.picks',
-      },
-    });
+    blocks.push(createLayoutBlock('step-by-step'));
   }
 
   // Universal blocks
   if (atomTypes.has('feature_set')) {
-    blocks.push({
-      block_type: 'feature-cards',
-      atom_mappings: { items: 'feature_set.items' },
-    });
+    blocks.push(createLayoutBlock('feature-cards'));
   }
 
   if (atomTypes.has('faq_set')) {
-    blocks.push({
-      block_type: 'faq-accordion',
-      atom_mappings: { items: 'faq_set.items' },
-    });
+    blocks.push(createLayoutBlock('faq-accordion'));
   }
 
   if (atomTypes.has('list')) {
-    blocks.push({
-      block_type: 'bullet-list',
-      atom_mappings: {
-        items: 'list.items',
-        style: 'list.style',
-      },
-    });
+    blocks.push(createLayoutBlock('bullet-list'));
   }
 
   // Always end with CTA and related
   if (atomTypes.has('cta')) {
-    blocks.push({
-      block_type: 'cta-section',
-      atom_mappings: {
-        title: 'cta.title',
-        description: 'cta.description',
-        buttons: 'cta.buttons',
-      },
-    });
+    blocks.push(createLayoutBlock('cta-section'));
   }
 
   if (atomTypes.has('related')) {
-    blocks.push({
-      block_type: 'related-topics',
-      atom_mappings: { items: 'related.items' },
-    });
+    blocks.push(createLayoutBlock('related-topics'));
   }
 
   return {
     blocks,
     rationale: `Fallback layout for ${contentType} with ${blocks.length} blocks`,
+    source: 'fallback',
   };
 }
 
@@ -0,0 +1,283 @@
+/**
+ * Grounding Check
+ * Verifies the factual claims of generated atoms against the retrieved RAG chunks and
+ * the brand catalog before a page is saved:
+ * 1. Extract claims (prices, specs, warranty terms, FAQ answers) from comparison, table,
+ *    product_detail and faq_set atoms
+ * 2. Ask the LLM for a verdict per claim: supported | unsupported | contradicted
+ * 3. Correct contradicted claims (or remove them when no correction is given) and mark
+ *    unsupported ones, in the atoms (rendered as markers by page-renderer.js) and in the
+ *    page's grounding report:
+ *    - faq_set items: unverified (true)
+ *    - table atoms: unverified_rows (one flag per row, like row_sources)
+ *    - comparison items and product_detail atoms: unverified_fields ("price", "specs.motor")
+ *
+ * The grounding score is the share of checked claims the reference data supports
+ */
+
+import { generateJSON } from './llm-provider.js';
+import { validateAtom } from './atom-validation.js';
+
+// Claims checked per page (the rest are left as generated and not scored)
+const MAX_CLAIMS = 40;
+
+const GROUNDING_SYSTEM_PROMPT = `You fact-check claims made on a generated product web page.
+You receive reference data (retrieved source documents and the product catalog) and a numbered list of claims.
+For each claim decide:
+- "supported": the reference data states it, or it follows directly from it
+- "contradicted": the reference data states something different (e.g. another price, wattage or warranty term)
+- "unsupported": the reference data neither states nor contradicts it
+For contradicted claims give "correction": the corrected value, in the same format as the original value.
+Judge only what the reference data says, never your own knowledge.
+Respond with ONLY valid JSON: { "claims": [ { "id": "C1", "verdict": "...", "correction": "..." } ] }`;
+
+/**
+ * Format a spec value for a claim
+ */
+function formatValue(value) {
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * Claims of a product (comparison item or product_detail atom): price, warranty and specs
+ * @param {object} product - Product with name, price, warranty and specs
+ * @param {Array} basePath - Path of the product within its atom
+ * @returns {Array<{path: Array, claim: string, value: *}>} Claims
+ */
+function extractProductClaims(product, basePath) {
+  const name = product.name || 'Product';
+  const claims = [];
+  ['price', 'warranty'].forEach((key) => {
+    if (product[key] !== undefined && product[key] !== null && product[key] !== '') {
+      claims.push({ path: [...basePath, key], claim: `${name} ${key}: ${product[key]}`, value: product[key] });
+    }
+  });
+  Object.entries(product.specs || {}).forEach(([key, value]) => {
+    if (value !== null && value !== '') {
+      claims.push({
+        path: [...basePath, 'specs', key],
+        claim: `${name} ${key}: ${formatValue(value)}`,
+        value,
+      });
+    }
+  });
+  return claims;
+}
+
+// Claim extractors per atom type
+const CLAIM_EXTRACTORS = {
+  comparison: (atom) => (atom.items || [])
+    .flatMap((item, i) => extractProductClaims(item, ['items', i])),
+
+  product_detail: (atom) => extractProductClaims(atom, []),
+
+  table: (atom) => (atom.rows || []).map((row, r) => ({
+    path: ['rows', r],
+    claim: `${atom.title ? `${atom.title} - ` : ''}${row[0]}: ${row.slice(1).join(', ')}`,
+    value: row[1],
+  })),
+
+  faq_set: (atom) => (atom.items || []).map((item, i) => ({
+    path: ['items', i, 'answer'],
+    claim: `Q: ${item.question} A: ${item.answer}`,
+    value: item.answer,
+  })),
+};
+
+/**
+ * Extract the checkable claims of content atoms
+ * @param {Array} atoms - Content atoms
+ * @returns {Array<{id: string, index: number, type: string, path: Array, claim: string,
+ *   value: *}>} Claims, labeled C1, C2, ...
+ */
+export function extractClaims(atoms) {
+  return atoms
+    .flatMap((atom, index) => {
+      const extract = CLAIM_EXTRACTORS[atom?.type];
+      return extract ? extract(atom).map((claim) => ({ index, type: atom.type, ...claim })) : [];
+    })
+    .map((claim, i) => ({ id: `C${i + 1}`, ...claim }));
+}
+
+/**
+ * Reference data for the check: retrieved chunks plus the brand catalog
+ */
+function buildReferenceData(referenceData, brand) {
+  const catalog = [...brand.catalog.product_lines, ...brand.catalog.key_features];
+  return `${referenceData || ''}
+
+${brand.name.toUpperCase()} PRODUCT CATALOG:
+${catalog.map((line) => `- ${line}`).join('\n')}`;
+}
+
+/**
+ * Get the object holding the last key of a path, and that key
+ */
+function resolvePath(atom, path) {
+  const parent = path.slice(0, -1).reduce((node, key) => node?.[key], atom);
+  return { parent, key: path[path.length - 1] };
+}
+
+/**
+ * Correct or remove a claim in its (cloned) atom
+ * Removed array entries become null and are compacted by compactAtom
+ */
+function applyResolution(atom, claim, resolution, correction) {
+  // Table claims cover a whole row: correct its value cell, remove the row
+  const path = atom.type === 'table' && resolution === 'corrected' ? [...claim.path, 1] : claim.path;
+  const { parent, key } = resolvePath(atom, path);
+  if (!parent) return;
+
+  if (resolution === 'corrected') {
+    parent[key] = typeof claim.value === 'number' && Number.isFinite(Number(correction))
+      ? Number(correction)
+      : correction;
+  } else if (atom.type === 'faq_set') {
+    // An FAQ item without its answer is removed as a whole
+    atom.items[claim.path[1]] = null;
+  } else if (Array.isArray(parent)) {
+    parent[key] = null;
+  } else {
+    delete parent[key];
+  }
+}
+
+/**
+ * Mark an unsupported claim in its (cloned) atom, on the FAQ item, table row or product it
+ * belongs to, so the page shows it was not confirmed
+ */
+function markUnverified(atom, claim) {
+  if (atom.type === 'faq_set') {
+    const item = atom.items[claim.path[1]];
+    if (item) item.unverified = true;
+    return;
+  }
+  if (atom.type === 'table') {
+    atom.unverified_rows = atom.unverified_rows || atom.rows.map(() => false);
+    atom.unverified_rows[claim.path[1]] = true;
+    return;
+  }
+
+  // Product claims: price, warranty or specs.<key> of a comparison item or product_detail atom
+  const specsIndex = claim.path.indexOf('specs');
+  const productPath = specsIndex >= 0 ? claim.path.slice(0, specsIndex) : claim.path.slice(0, -1);
+  const product = productPath.reduce((node, key) => node?.[key], atom);
+  if (!product) return;
+  product.unverified_fields = [
+    ...(product.unverified_fields || []),
+    claim.path.slice(productPath.length).join('.'),
+  ];
+}
+
+/**
+ * Drop the entries removed from an atom's arrays (keeping table row_sources and
+ * unverified_rows aligned)
+ */
+function compactAtom(atom) {
+  if (atom.type === 'table' && Array.isArray(atom.rows)) {
+    const kept = atom.rows.map((row) => row !== null);
+    atom.rows = atom.rows.filter((_, r) => kept[r]);
+    ['row_sources', 'unverified_rows'].forEach((key) => {
+      if (Array.isArray(atom[key])) {
+        atom[key] = atom[key].filter((_, r) => kept[r]);
+      }
+    });
+  }
+  if (atom.type === 'faq_set' && Array.isArray(atom.items)) {
+    atom.items = atom.items.filter(Boolean);
+  }
+  return atom;
+}
+
+/**
+ * Check generated atoms against the reference data
+ * Failures leave the atoms unchanged (the report then has a null score and the error)
+ * @param {Array} atoms - Validated content atoms
+ * @param {object} provider - LLM provider
+ * @param {object} options - { query, referenceData (RAG context), brandPack, maxClaims }
+ * @returns {Promise<{atoms: Array, grounding: object|null}>} Atoms with corrections applied and
+ *   the grounding report ({ score, checked, supported, corrected, removed, marked, claims }
+ *   where claims lists every claim that was not supported), or null when there is nothing to check
+ */
+export async function checkGrounding(atoms, provider, options = {}) {
+  const {
+    query = '', referenceData = '', brandPack, maxClaims = MAX_CLAIMS,
+  } = options;
+  const claims = extractClaims(atoms).slice(0, maxClaims);
+  if (claims.length === 0) {
+    return { atoms, grounding: null };
+  }
+
+  const prompt = `REFERENCE DATA:
+${buildReferenceData(referenceData, brandPack)}
+
+CLAIMS (page query: "${query}"):
+${claims.map((c) => `${c.id}. ${c.claim}`).join('\n')}
+
+Respond with ONLY valid JSON. No explanations or markdown.`;
+
+  let verdicts;
+  try {
+    const result = await generateJSON(provider, {
+      task: 'grounding',
+      query,
+      claims: claims.map(({ id, claim }) => ({ id, claim })),
+      system: GROUNDING_SYSTEM_PROMPT,
+      prompt,
+      maxTokens: 4096,
+      temperature: 0,
+    });
+    verdicts = new Map((result.claims || []).map((v) => [v.id, v]));
+  } catch (error) {
+    console.error('Grounding check failed, keeping atoms unchanged:', error.message);
+    return {
+      atoms,
+      grounding: {
+        score: null, checked: 0, claims: [], error: error.message,
+      },
+    };
+  }
+
+  const results = structuredClone(atoms);
+  const report = claims.map((claim) => {
+    const verdict = verdicts.get(claim.id)?.verdict;
+    const correction = verdicts.get(claim.id)?.correction;
+    let resolution = 'supported';
+    if (verdict === 'contradicted') {
+      resolution = typeof correction === 'string' && correction.trim() ? 'corrected' : 'removed';
+      applyResolution(results[claim.index], claim, resolution, correction?.trim());
+    } else if (verdict !== 'supported') {
+      // Unsupported (or no verdict): kept on the page, marked there and in the report
+      resolution = 'marked';
+      markUnverified(results[claim.index], claim);
+    }
+    return {
+      atom_index: claim.index,
+      type: claim.type,
+      path: claim.path.join('.'),
+      claim: claim.claim,
+      verdict: verdict || 'unchecked',
+      resolution,
+      ...(resolution === 'corrected' && { correction: correction.trim() }),
+    };
+  });
+
+  // Atoms left invalid by removals (e.g. an FAQ set without answers) are dropped
+  const groundedAtoms = results
+    .map(compactAtom)
+    .filter((atom) => validateAtom(atom).length === 0);
+
+  const count = (resolution) => report.filter((c) => c.resolution === resolution).length;
+  const grounding = {
+    score: Math.round((count('supported') / report.length) * 100) / 100,
+    checked: report.length,
+    supported: count('supported'),
+    corrected: count('corrected'),
+    removed: count('removed'),
+    marked: count('marked'),
+    claims: report.filter((c) => c.resolution !== 'supported'),
+  };
+  console.log(`Grounding: score ${grounding.score} (${grounding.checked} claims, ${grounding.corrected} corrected, ${grounding.removed} removed, ${grounding.marked} marked)`);
+
+  return { atoms: groundedAtoms, grounding };
+}
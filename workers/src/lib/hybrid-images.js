@@ -4,6 +4,8 @@
  */
 
 import { searchImages } from './image-search.js';
+import { findModel } from './entities.js';
+import { DEFAULT_BRAND_PACK } from './brand-pack.js';
 
 /**
  * Determine image strategy based on classification and content
@@ -56,9 +58,16 @@ export function determineImageStrategy(classification, contentAtoms, metadata) {
  * @param {object} metadata - Page metadata
  * @param {object} classification - Query classification
  * @param {object} env - Worker environment
+ * @param {object} brandPack - Brand pack (model names, see entities.js)
  * @returns {Promise<object>} Matched images for each atom type
  */
-export async function findMatchingImages(contentAtoms, metadata, classification, env) {
+export async function findMatchingImages(
+  contentAtoms,
+  metadata,
+  classification,
+  env,
+  brandPack = DEFAULT_BRAND_PACK,
+) {
   const matches = {
     hero: null,
     features: [],
@@ -74,6 +83,7 @@ export async function findMatchingImages(contentAtoms, metadata, classification,
 
   if (metadata?.title && !isRecipe) {
     const heroImages = await searchImages(metadata.title, env, {
+      brandPack,
       limit: 1,
       threshold: 0.6,
     });
@@ -89,6 +99,7 @@ export async function findMatchingImages(contentAtoms, metadata, classification,
       const searchQuery = feature.title || feature.description;
       if (searchQuery) {
         const images = await searchImages(searchQuery, env, {
+          brandPack,
           limit: 1,
           threshold: 0.55,
         });
@@ -105,10 +116,9 @@ export async function findMatchingImages(contentAtoms, metadata, classification,
   const comparison = contentAtoms.find((a) => a.type === 'comparison');
   if (comparison?.items) {
     for (const item of comparison.items) {
-      // Extract model number for more precise search (e.g., "A3500" from "Vitamix A3500")
+      // Model number for more precise search (e.g., "A3500" from "Vitamix A3500")
       const productName = item.name || item.title || '';
-      const modelMatch = productName.match(/([AaEe]?\d{3,4})/);
-      const modelNumber = modelMatch ? modelMatch[1].toUpperCase() : null;
+      const modelNumber = findModel(productName, brandPack);
 
       // Build search query - prioritize model number + series, fall back to full name
       let searchQuery = productName;
@@ -121,6 +131,7 @@ export async function findMatchingImages(contentAtoms, metadata, classification,
       if (searchQuery) {
         // Search without imageType filter to find product images tagged as 'page'
         const images = await searchImages(searchQuery, env, {
+          brandPack,
           limit: 3, // Get multiple results to find best match
           threshold: 0.4, // Lower threshold for product model searches
         });
@@ -148,8 +159,7 @@ export async function findMatchingImages(contentAtoms, metadata, classification,
   if (guide?.picks) {
     for (const pick of guide.picks) {
       const productName = pick.product?.name || pick.tab_label || '';
-      const modelMatch = productName.match(/([AaEe]?\d{3,4})/);
-      const modelNumber = modelMatch ? modelMatch[1].toUpperCase() : null;
+      const modelNumber = findModel(productName, brandPack);
 
       let searchQuery = productName;
       if (modelNumber && pick.product?.series) {
@@ -160,6 +170,7 @@ export async function findMatchingImages(contentAtoms, metadata, classification,
 
       if (searchQuery) {
         const images = await searchImages(searchQuery, env, {
+          brandPack,
           limit: 3,
           threshold: 0.4,
         });
@@ -184,6 +195,7 @@ export async function findMatchingImages(contentAtoms, metadata, classification,
   const recipeDetail = contentAtoms.find((a) => a.type === 'recipe_detail');
   if (recipeDetail?.name) {
     const images = await searchImages(recipeDetail.name, env, {
+      brandPack,
       limit: 1,
       threshold: 0.55,
       imageType: 'recipe',
@@ -198,8 +210,7 @@ export async function findMatchingImages(contentAtoms, metadata, classification,
   const productDetail = contentAtoms.find((a) => a.type === 'product_detail');
   if (productDetail?.name) {
     const productName = productDetail.name || '';
-    const modelMatch = productName.match(/([AaEe]?\d{3,4})/);
-    const modelNumber = modelMatch ? modelMatch[1].toUpperCase() : null;
+    const modelNumber = findModel(productName, brandPack);
 
     let searchQuery = productName;
     if (modelNumber && productDetail.series) {
@@ -209,6 +220,7 @@ export async function findMatchingImages(contentAtoms, metadata, classification,
     }
 
     const images = await searchImages(searchQuery, env, {
+      brandPack,
       limit: 3,
       threshold: 0.4,
     });
@@ -232,8 +244,7 @@ export async function findMatchingImages(contentAtoms, metadata, classification,
       matches.relatedProducts = [];
       for (const relatedProduct of productDetail.related_products) {
         const rpName = relatedProduct.name || '';
-        const rpModelMatch = rpName.match(/([AaEe]?\d{3,4})/);
-        const rpModelNumber = rpModelMatch ? rpModelMatch[1].toUpperCase() : null;
+        const rpModelNumber = findModel(rpName, brandPack);
 
         let rpSearchQuery = rpName;
         if (rpModelNumber) {
@@ -242,6 +253,7 @@ export async function findMatchingImages(contentAtoms, metadata, classification,
 
         if (rpSearchQuery) {
           const rpImages = await searchImages(rpSearchQuery, env, {
+            brandPack,
             limit: 3,
             threshold: 0.4,
           });
@@ -0,0 +1,135 @@
+/**
+ * Hybrid Retrieval
+ * Combines vector search (Vectorize) with keyword search (D1 FTS5) so exact terms
+ * like model numbers ("E320", "A2300") are found even when their embeddings rank low
+ *
+ * 1. Run both searches for more candidates than needed
+ * 2. Fuse the two rankings with reciprocal rank fusion (RRF)
+ * 3. Optionally rerank the fused candidates with a Workers AI cross-encoder
+ */
+
+import { generateEmbedding } from './embeddings.js';
+
+const RERANKER_MODEL = '@cf/baai/bge-reranker-base';
+
+// Candidates fetched per search for every result returned
+const CANDIDATE_MULTIPLIER = 3;
+
+/**
+ * Fuse ranked chunk lists with weighted reciprocal rank fusion
+ * score(chunk) = sum over lists of weight / (k + rank)
+ * @param {Array<{chunks: Array, weight: number}>} rankings - Ranked lists, best first
+ * @param {number} k - RRF constant (higher flattens the rank curve)
+ * @returns {Array} Unique chunks with rrf_score, best first
+ */
+export function fuseRankings(rankings, k = 60) {
+  const fused = new Map();
+  rankings.forEach(({ chunks, weight = 1 }) => {
+    chunks.forEach((chunk, i) => {
+      const existing = fused.get(chunk.id);
+      const score = weight / (k + i + 1);
+      if (existing) {
+        // Keep the vector similarity, the keyword rank and the fuller text (vector metadata
+        // holds a truncated copy) from whichever list has them
+        fused.set(chunk.id, {
+          ...chunk,
+          ...existing,
+          chunk_text: [existing.chunk_text, chunk.chunk_text]
+            .reduce((a, b) => ((b || '').length > (a || '').length ? b : a)),
+          similarity: existing.similarity ?? chunk.similarity,
+          keyword_rank: existing.keyword_rank ?? chunk.keyword_rank,
+          rrf_score: existing.rrf_score + score,
+        });
+      } else {
+        fused.set(chunk.id, { ...chunk, rrf_score: score });
+      }
+    });
+  });
+  return [...fused.values()].sort((a, b) => b.rrf_score - a.rrf_score);
+}
+
+/**
+ * Rerank chunks against the query with a cross-encoder
+ * @param {string} query - User query
+ * @param {Array} chunks - Candidate chunks
+ * @param {object} ai - Workers AI binding (env.AI)
+ * @returns {Promise<Array>} Chunks with rerank_score, best first
+ */
+export async function rerankChunks(query, chunks, ai) {
+  if (chunks.length === 0) return [];
+
+  const result = await ai.run(RERANKER_MODEL, {
+    query,
+    contexts: chunks.map((chunk) => ({ text: `${chunk.title}\n${chunk.chunk_text || ''}` })),
+  });
+
+  return (result.response || [])
+    .map(({ id, score }) => ({ ...chunks[id], rerank_score: score }))
+    .sort((a, b) => b.rerank_score - a.rerank_score);
+}
+
+/**
+ * Retrieve chunks for a query with vector + keyword search, fusion and optional reranking
+ * Falls back to vector-only retrieval when the DB client has no keyword search
+ * @param {string} query - User query
+ * @param {object} ai - Workers AI binding (env.AI)
+ * @param {object} db - DB client (Supabase or Cloudflare)
+ * @param {object} options - { threshold, limit, hybrid, keywordWeight, rrfK, rerank, filter }
+ *   (see getRAGFilterOptions); a filter with no results falls back to an unfiltered search
+ * @returns {Promise<{chunks: Array, timings: object}>} Best chunks and per-step timings (ms)
+ */
+export async function searchChunks(query, ai, db, options = {}) {
+  const {
+    threshold, limit = 5, hybrid = true, keywordWeight = 1, rrfK = 60, rerank = false,
+    filter = null,
+  } = options;
+  const timings = {};
+  const useKeywords = hybrid && typeof db.searchVitamixKeywords === 'function';
+  const candidateLimit = useKeywords || rerank ? limit * CANDIDATE_MULTIPLIER : limit;
+
+  let start = Date.now();
+  const queryEmbedding = await generateEmbedding(query, ai);
+  timings.embedding = Date.now() - start;
+
+  const search = (searchFilter) => Promise.all([
+    db.searchVitamixContent(queryEmbedding, {
+      threshold, limit: candidateLimit, filter: searchFilter,
+    }),
+    useKeywords
+      ? db.searchVitamixKeywords(query, { limit: candidateLimit, filter: searchFilter })
+        .catch((error) => {
+          console.error('RAG: Keyword search failed, using vector results only:', error);
+          return [];
+        })
+      : [],
+  ]);
+
+  start = Date.now();
+  let [vectorChunks, keywordChunks] = await search(filter);
+  if (filter && !vectorChunks?.length && !keywordChunks.length) {
+    // Nothing indexed under the filter (e.g. vectors upserted before the metadata index)
+    console.log(`RAG: No results for filter ${JSON.stringify(filter)}, searching unfiltered`);
+    [vectorChunks, keywordChunks] = await search(null);
+  }
+  timings.search = Date.now() - start;
+
+  let chunks = useKeywords
+    ? fuseRankings([
+      { chunks: vectorChunks || [], weight: 1 },
+      { chunks: keywordChunks, weight: keywordWeight },
+    ], rrfK)
+    : vectorChunks || [];
+  console.log(`RAG: ${vectorChunks?.length || 0} vector + ${keywordChunks.length} keyword candidates -> ${chunks.length} fused`);
+
+  if (rerank && ai && chunks.length > 1) {
+    start = Date.now();
+    try {
+      chunks = await rerankChunks(query, chunks, ai);
+    } catch (error) {
+      console.error('RAG: Rerank failed, keeping fused order:', error);
+    }
+    timings.rerank = Date.now() - start;
+  }
+
+  return { chunks: chunks.slice(0, limit), timings };
+}
@@ -5,22 +5,25 @@
  */
 
 import { generateEmbedding } from './embeddings.js';
+import { findModel } from './entities.js';
 
 /**
  * Search for relevant images by semantic query
  * @param {string} query - Search query (e.g., "green smoothie", "vitamix a3500")
  * @param {object} env - Worker environment with IMAGE_VECTORS, AI, and DB bindings
- * @param {object} options - Search options
+ * @param {object} options - Search options (limit, threshold, imageType, brandPack: models
+ *   recognized for the DB lookup)
  * @returns {Promise<Array>} Matching images with URLs and metadata
  */
 export async function searchImages(query, env, options = {}) {
-  const { limit = 5, threshold = 0.6, imageType = null } = options;
+  const {
+    limit = 5, threshold = 0.6, imageType = null, brandPack,
+  } = options;
 
   // First, try direct DB lookup for product model numbers (faster and more reliable)
-  // Extract model number like A3500, A2500, E310, etc.
-  const modelMatch = query.match(/([AaEe]\d{3,4})/i);
-  if (modelMatch && env.DB) {
-    const modelNumber = modelMatch[1].toUpperCase();
+  // Model names like A3500, E310 or Propel 510, as catalog ids (see entities.js)
+  const modelNumber = findModel(query, brandPack);
+  if (modelNumber && env.DB) {
     const dbImages = await searchImagesByAltText(modelNumber, env.DB, limit);
     if (dbImages.length > 0) {
       console.log(`Image search: Found ${dbImages.length} images for model "${modelNumber}" via DB lookup`);
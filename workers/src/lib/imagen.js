@@ -1,8 +1,11 @@
 /**
  * Imagen 3 API Integration (via Vertex AI)
  * Generates images for AdaptiveWeb pages using Google's Imagen 3 model
+ * Prompt styling and fallback prompts come from the brand pack
  */
 
+import { DEFAULT_BRAND_PACK } from './brand-pack.js';
+
 const VERTEX_AI_REGION = 'us-central1';
 
 /**
@@ -98,23 +101,23 @@ async function getAccessToken(serviceAccountJson) {
  * Enhance prompt for food photography
  * @param {string} prompt - Original prompt
  * @param {string} type - Image type ('hero', 'feature', or 'comparison')
+ * @param {object} imageStyle - Brand pack image style rules
  * @returns {string} Enhanced prompt
  */
-function enhancePrompt(prompt, type) {
-  // Remove any Vitamix or blender references from the prompt
-  const cleanedPrompt = prompt
-    .replace(/vitamix/gi, '')
-    .replace(/blender/gi, '')
+function enhancePrompt(prompt, type, imageStyle) {
+  // Remove brand and appliance references from the prompt
+  const cleanedPrompt = imageStyle.strip_terms
+    .reduce((text, term) => text.replace(new RegExp(term, 'gi'), ''), prompt)
     .replace(/\s+/g, ' ')
     .trim();
 
   // Comparison images are product shots - use product photography style (no appliances)
   if (type === 'comparison') {
-    return `Professional product photography: ${cleanedPrompt}. Clean white or light gray studio background, professional lighting with soft shadows, high-resolution shot. Modern, premium feel. No text, watermarks, or kitchen appliances.`;
+    return `Professional product photography: ${cleanedPrompt}. ${imageStyle.product}`;
   }
 
-  // All images: focus on food, no blenders or appliances
-  return `Professional food photography: ${cleanedPrompt}. High-quality, appetizing composition with beautiful lighting. Fresh ingredients, vibrant colors, clean modern presentation. Shallow depth of field. Do not include any blenders, kitchen appliances, or Vitamix products.`;
+  // All images: focus on food, no appliances
+  return `Professional food photography: ${cleanedPrompt}. ${imageStyle.food}`;
 }
 
 /**
@@ -153,12 +156,12 @@ async function uploadToR2(r2Bucket, imageData, mimeType, pageId, imageType, inde
  * @param {string} projectId - Google Cloud project ID
  * @param {R2Bucket} r2Bucket - Cloudflare R2 bucket binding
  * @param {string} pageId - Page ID for organizing images
- * @param {object} options - Generation options
+ * @param {object} options - Generation options (type, index, imageStyle)
  * @returns {Promise<{type: string, index?: number, url: string}>} Generated image info
  */
 async function generateImage(prompt, accessToken, projectId, r2Bucket, pageId, options = {}) {
-  const { type = 'feature', index } = options;
-  const enhancedPrompt = enhancePrompt(prompt, type);
+  const { type = 'feature', index, imageStyle } = options;
+  const enhancedPrompt = enhancePrompt(prompt, type, imageStyle);
   const aspectRatio = type === 'hero' ? '16:9' : '4:3';
 
   const endpoint = `https://${VERTEX_AI_REGION}-aiplatform.googleapis.com/v1/projects/${projectId}/locations/${VERTEX_AI_REGION}/publishers/google/models/imagen-3.0-generate-002:predict`;
@@ -210,18 +213,11 @@ async function generateImage(prompt, accessToken, projectId, r2Bucket, pageId, o
  * Used when the original prompt is blocked by safety filters
  */
 async function generateFallbackImage(accessToken, projectId, r2Bucket, pageId, options = {}) {
-  const { type = 'feature', index } = options;
+  const { type = 'feature', index, imageStyle } = options;
   const aspectRatio = type === 'hero' ? '16:9' : '4:3';
 
-  // Safe generic prompts that won't trigger content filters - no appliances
-  let fallbackPrompt;
-  if (type === 'hero') {
-    fallbackPrompt = 'Professional food photography: Fresh colorful fruits and vegetables arranged beautifully on a clean white marble counter. Bright natural lighting, appetizing composition. No kitchen appliances.';
-  } else if (type === 'comparison') {
-    fallbackPrompt = 'Professional food photography: Fresh healthy smoothie in a glass with colorful fruits and ingredients around it. Clean white studio background, professional lighting with soft shadows. No kitchen appliances.';
-  } else {
-    fallbackPrompt = 'Professional food photography: Fresh healthy ingredients including berries, leafy greens, and citrus fruits. Clean modern presentation with soft natural lighting. Appetizing and vibrant colors. No kitchen appliances.';
-  }
+  // Safe generic prompts (from the brand pack) that won't trigger content filters
+  const fallbackPrompt = imageStyle.fallback_prompts[type] || imageStyle.fallback_prompts.default;
 
   console.log(`Generating fallback image for ${type}${index !== undefined ? `-${index}` : ''}`);
 
@@ -274,9 +270,18 @@ async function generateFallbackImage(accessToken, projectId, r2Bucket, pageId, o
  * @param {string} projectId - Google Cloud project ID
  * @param {R2Bucket} r2Bucket - Cloudflare R2 bucket binding
  * @param {string} pageId - Page ID for organizing images
+ * @param {object} brandPack - Brand pack supplying the image style rules
  * @returns {Promise<Array<{type: string, index?: number, url: string}>>} Generated images
  */
-export async function generateImages(prompts, serviceAccountJson, projectId, r2Bucket, pageId) {
+export async function generateImages(
+  prompts,
+  serviceAccountJson,
+  projectId,
+  r2Bucket,
+  pageId,
+  brandPack = DEFAULT_BRAND_PACK,
+) {
+  const imageStyle = brandPack.image_style;
   console.log(`Generating ${prompts.length} images with Imagen 3 for page ${pageId}`);
 
   // Get access token once for all images
@@ -290,7 +295,7 @@ export async function generateImages(prompts, serviceAccountJson, projectId, r2B
       projectId,
       r2Bucket,
       pageId,
-      { type: item.type, index: item.index },
+      { type: item.type, index: item.index, imageStyle },
     )),
   );
 
@@ -317,7 +322,7 @@ export async function generateImages(prompts, serviceAccountJson, projectId, r2B
         projectId,
         r2Bucket,
         pageId,
-        { type: item.type, index: item.index },
+        { type: item.type, index: item.index, imageStyle },
       )),
     );
 
@@ -0,0 +1,307 @@
+/**
+ * Layout Rules
+ * The layout stage of the flexible pipeline: selects a layout (Claude's layout_blocks, the
+ * Gemini layout selector or the fallback layout), then validates and repairs it against the
+ * constraints declared on the block library (see gemini.js BLOCK_LIBRARY), in order:
+ * 1. Standalone pages: single_product / single_recipe pages with their detail atom get only
+ *    their detail block
+ * 2. Block constraints: unknown blocks, blocks whose required atoms are missing, blocks not
+ *    made for the page's content type and blocks over their max per page (one hero) are dropped
+ * 3. Layout experiment: the session's variant drops its avoided blocks and puts its preferred
+ *    blocks in their place, when the page has the atoms of one of them (see experiments.js)
+ * 4. User intent: queries that ask for a block ("specs table", "FAQ") add it or swap it in
+ * 5. Mandatory blocks: blocks whose atoms must be shown (hero, interactive guide, tables) are
+ *    added, before the first block of lower priority, unless the experiment variant avoids them
+ * 6. Position: hero first, interactive guide right after it, CTA and related topics last;
+ *    beyond MAX_BLOCKS the lowest priority blocks are dropped
+ *
+ * Select the layout source with env.LAYOUT_SELECTOR ("gemini" | "content" | "rules"),
+ * default "content"
+ */
+
+import {
+  selectBlockLayout, getFallbackLayout, getBlockLibrary, createLayoutBlock,
+} from './gemini.js';
+import { getLLMProvider } from './llm-provider.js';
+
+// Maximum blocks per page
+const MAX_BLOCKS = 8;
+
+// Page order of block positions (blocks without a position go in the middle)
+const POSITION_RANK = {
+  first: 0,
+  'after-first': 1,
+  last: 3,
+};
+
+/**
+ * User intent overrides: a query matching the pattern, with the atom on the page, gets the
+ * block unless one of satisfiedBy is there; the block replaces the first of replaces, or is
+ * added at the top of the content
+ */
+const INTENT_OVERRIDES = [
+  {
+    intent: 'table',
+    pattern: /\b(tables?|charts?|specs?|specifications?)\b/i,
+    atom: 'comparison',
+    block: 'comparison-table',
+    replaces: ['comparison-cards'],
+    satisfiedBy: ['comparison-table', 'specs-table'],
+  },
+  {
+    intent: 'compare',
+    pattern: /\b(compare|comparison|vs\.?|versus)\b/i,
+    atom: 'comparison',
+    block: 'comparison-cards',
+    replaces: [],
+    satisfiedBy: ['comparison-cards', 'comparison-table'],
+  },
+  {
+    intent: 'steps',
+    pattern: /\b(step[\s-]by[\s-]step|steps|instructions)\b/i,
+    atom: 'steps',
+    block: 'step-by-step',
+    replaces: [],
+    satisfiedBy: ['step-by-step'],
+  },
+  {
+    intent: 'faq',
+    pattern: /\b(faqs?|questions)\b/i,
+    atom: 'faq_set',
+    block: 'faq-accordion',
+    replaces: [],
+    satisfiedBy: ['faq-accordion'],
+  },
+];
+
+/**
+ * Block constraints, checked in order against the blocks kept so far
+ * test(block, context, kept) returns true when the block may stay
+ */
+const BLOCK_CONSTRAINTS = [
+  {
+    reason: 'unknown block',
+    test: (block, { library }) => Boolean(library[block.block_type]),
+  },
+  {
+    reason: 'required atoms missing',
+    test: (block, { hasRequiredAtoms }) => hasRequiredAtoms(block.block_type),
+  },
+  {
+    // Mandatory blocks render explicitly requested content, whatever the content type
+    reason: 'not for this content type',
+    test: (block, { library, pageType }) => {
+      const meta = library[block.block_type];
+      return meta.for.includes('all') || meta.for.includes(pageType) || Boolean(meta.mandatory);
+    },
+  },
+  {
+    reason: 'duplicate',
+    test: (block, { library }, kept) => {
+      const same = kept.filter((other) => other.block_type === block.block_type);
+      const mappings = JSON.stringify(block.atom_mappings);
+      return same.length < (library[block.block_type].max || Infinity)
+        && !same.some((other) => JSON.stringify(other.atom_mappings) === mappings);
+    },
+  },
+];
+
+/**
+ * Get the page rank of a block type (see POSITION_RANK)
+ */
+function getRank(library, blockType) {
+  return POSITION_RANK[library[blockType].position] ?? 2;
+}
+
+/**
+ * Insert a block into a layout: middle blocks before the first middle block of lower priority
+ * (or at the top of the middle), other blocks at the end (positioned later)
+ */
+function insertBlock(blocks, block, library, top = false) {
+  if (getRank(library, block.block_type) !== 2) return [...blocks, block];
+  const { priority } = library[block.block_type];
+  let index = blocks.findIndex((other) => getRank(library, other.block_type) === 2
+    && (top || library[other.block_type].priority < priority));
+  if (index < 0) index = blocks.findIndex((other) => getRank(library, other.block_type) > 2);
+  if (index < 0) return [...blocks, block];
+  return [...blocks.slice(0, index), block, ...blocks.slice(index)];
+}
+
+/**
+ * Validate and repair a layout against the block library constraints
+ * @param {Array} blocks - Layout blocks ({ block_type, atom_mappings })
+ * @param {object} context - { contentType, atoms (content atoms), query (user query),
+ *   experiment (layout experiment assignment, optional) }
+ * @returns {{blocks: Array, repairs: string[]}} Repaired layout, and what was repaired
+ */
+export function applyLayoutRules(blocks, context) {
+  const {
+    contentType, atoms, query = '', experiment = null,
+  } = context;
+  const library = getBlockLibrary();
+  const atomTypes = new Set(atoms.map((atom) => atom.type));
+  const hasRequiredAtoms = (blockType) => library[blockType].required
+    .every((type) => atomTypes.has(type));
+  const repairs = [];
+  const has = (layout, types) => layout.some((block) => types.includes(block.block_type));
+
+  // 1. Standalone pages
+  const standalone = Object.keys(library).find((blockType) => (
+    library[blockType].position === 'standalone'
+    && library[blockType].for.includes(contentType)
+    && hasRequiredAtoms(blockType)
+  ));
+  if (standalone) {
+    const types = (blocks || []).map((block) => block?.block_type);
+    if (types.length !== 1 || types[0] !== standalone) {
+      repairs.push(`standalone ${standalone} page (was: ${types.join(', ') || 'empty'})`);
+    }
+    return { blocks: [createLayoutBlock(standalone)], repairs };
+  }
+
+  // 2. Block constraints (single_* pages without their detail atom are laid out as lists)
+  const constraintContext = {
+    library,
+    hasRequiredAtoms,
+    pageType: (contentType || '').replace(/^single_/, ''),
+  };
+  let layout = (blocks || [])
+    .filter((block) => block && typeof block.block_type === 'string')
+    .map((block) => (block.atom_mappings && typeof block.atom_mappings === 'object'
+      ? block
+      : { ...block, atom_mappings: { ...library[block.block_type]?.mappings } }))
+    .reduce((kept, block) => {
+      const failed = BLOCK_CONSTRAINTS
+        .find((constraint) => !constraint.test(block, constraintContext, kept));
+      if (!failed) return [...kept, block];
+      repairs.push(`dropped ${block.block_type} (${failed.reason})`);
+      return kept;
+    }, []);
+
+  // 3. Layout experiment (not applied when the page lacks the atoms of every preferred block)
+  const applicable = experiment?.prefer.some(hasRequiredAtoms) || false;
+  const avoid = applicable ? experiment.avoid : [];
+  if (experiment && !applicable) {
+    repairs.push(`experiment variant ${experiment.variant} not applied (atoms missing)`);
+  } else if (experiment) {
+    const avoided = layout.findIndex((block) => avoid.includes(block.block_type));
+    const preferred = experiment.prefer
+      .filter((blockType) => hasRequiredAtoms(blockType) && !has(layout, [blockType]))
+      .map(createLayoutBlock);
+    layout.filter((block) => avoid.includes(block.block_type)).forEach((block) => {
+      repairs.push(`dropped ${block.block_type} (experiment variant ${experiment.variant})`);
+    });
+    preferred.forEach((block) => {
+      repairs.push(`added ${block.block_type} (experiment variant ${experiment.variant})`);
+    });
+    if (avoided >= 0) {
+      layout = [...layout.slice(0, avoided), ...preferred, ...layout.slice(avoided)]
+        .filter((block) => !avoid.includes(block.block_type));
+    } else {
+      layout = preferred
+        .reduceRight((kept, block) => insertBlock(kept, block, library, true), layout);
+    }
+  }
+
+  // 4. User intent
+  INTENT_OVERRIDES
+    .filter((override) => override.pattern.test(query) && atomTypes.has(override.atom))
+    .filter((override) => !has(layout, override.satisfiedBy))
+    .forEach((override) => {
+      const block = createLayoutBlock(override.block);
+      const replaced = layout.findIndex((other) => override.replaces.includes(other.block_type));
+      if (replaced >= 0) {
+        repairs.push(`replaced ${layout[replaced].block_type} with ${override.block} (asked for ${override.intent})`);
+        layout = layout.map((other, i) => (i === replaced ? block : other));
+      } else {
+        repairs.push(`added ${override.block} (asked for ${override.intent})`);
+        layout = insertBlock(layout, block, library, true);
+      }
+    });
+
+  // 5. Mandatory blocks
+  Object.entries(library)
+    .filter(([blockType, meta]) => meta.mandatory && hasRequiredAtoms(blockType))
+    .filter(([blockType]) => !avoid.includes(blockType))
+    .filter(([blockType, meta]) => !has(layout, [blockType, ...(meta.alternatives || [])]))
+    .forEach(([blockType]) => {
+      repairs.push(`added ${blockType} (mandatory)`);
+      layout = insertBlock(layout, createLayoutBlock(blockType), library);
+    });
+
+  // 6. Position, then the page size limit
+  const order = (block) => getRank(library, block.block_type);
+  const positioned = [...layout].sort((a, b) => order(a) - order(b)
+    || (order(a) === 3 ? library[b.block_type].priority - library[a.block_type].priority : 0));
+  if (positioned.some((block, i) => block !== layout[i])) {
+    repairs.push('reordered blocks by position');
+  }
+
+  while (positioned.length > MAX_BLOCKS) {
+    const lowest = positioned.reduce((min, block, i) => (
+      order(block) > 0 && (min < 0
+        || library[block.block_type].priority <= library[positioned[min].block_type].priority)
+        ? i
+        : min
+    ), -1);
+    repairs.push(`dropped ${positioned[lowest].block_type} (more than ${MAX_BLOCKS} blocks)`);
+    positioned.splice(lowest, 1);
+  }
+
+  return { blocks: positioned, repairs };
+}
+
+/**
+ * Layout stage: select a layout and apply the layout rules
+ * - "gemini": the Gemini layout selector (the mock provider when LLM_PROVIDER = "mock"); if it
+ *   fails, the layout generated with the content, then the fallback layout
+ * - "content": the layout generated with the content (Claude's layout_blocks), else the fallback
+ * - "rules": the fallback layout
+ * A layout the rules leave empty is replaced by the fallback layout
+ * @param {object} options - { contentAtoms, contentType, metadata, query, layoutBlocks
+ *   (generated with the content), experiment (layout experiment assignment), env }
+ * @returns {Promise<{blocks: Array, rationale: string, source: string, repairs: string[]}>}
+ *   Layout; source is the provider name, "content" or "fallback"
+ */
+export async function selectLayout(options) {
+  const {
+    contentAtoms, contentType, metadata, query, layoutBlocks, experiment = null, env,
+  } = options;
+  const selector = env.LAYOUT_SELECTOR || 'content';
+  const contentLayout = Array.isArray(layoutBlocks) && layoutBlocks.length > 0
+    ? { blocks: layoutBlocks, rationale: 'Layout selected with the content', source: 'content' }
+    : null;
+
+  let layout;
+  if (selector === 'gemini') {
+    const provider = getLLMProvider(env, env.LLM_PROVIDER === 'mock' ? 'mock' : 'gemini');
+    layout = await selectBlockLayout(contentAtoms, contentType, metadata || {}, provider, query);
+    if (layout.source === 'fallback' && contentLayout) layout = contentLayout;
+  } else {
+    layout = (selector === 'content' && contentLayout) || getFallbackLayout(contentType, contentAtoms);
+  }
+
+  const context = {
+    contentType, atoms: contentAtoms, query, experiment,
+  };
+  let { blocks, repairs } = applyLayoutRules(layout.blocks, context);
+  if (blocks.length === 0 && layout.source !== 'fallback') {
+    repairs.push(`no valid blocks from ${layout.source}, using fallback layout`);
+    layout = getFallbackLayout(contentType, contentAtoms);
+    const fallback = applyLayoutRules(layout.blocks, context);
+    blocks = fallback.blocks;
+    repairs = [...repairs, ...fallback.repairs];
+  }
+
+  console.log(`Layout (${layout.source}): ${blocks.map((b) => b.block_type).join(', ')}`);
+  if (repairs.length > 0) {
+    console.log(`Layout repairs: ${repairs.join('; ')}`);
+  }
+
+  return {
+    blocks,
+    rationale: layout.rationale,
+    source: layout.source,
+    repairs,
+  };
+}
@@ -0,0 +1,210 @@
+/**
+ * LLM Provider Layer
+ * Routes every text/vision completion through a provider picked per environment
+ *
+ * Providers share one interface:
+ *   provider.complete({ task, system, prompt, images, maxTokens, temperature, json, query })
+ *     -> Promise<string> (raw text returned by the model)
+ * Extra request fields (e.g. the atom being repaired) are ignored by real providers
+ * and passed through to mock fixtures.
+ *
+ * Select with env.LLM_PROVIDER ('anthropic' | 'gemini' | 'mock'), default 'anthropic'.
+ * env.LLM_MODEL overrides the default model of that provider.
+ */
+
+import { createMockProvider } from './mock-provider.js';
+
+const ANTHROPIC_API_URL = 'https://api.anthropic.com/v1/messages';
+const DEFAULT_ANTHROPIC_MODEL = 'claude-haiku-4-5-20251001';
+
+const GEMINI_API_BASE = 'https://generativelanguage.googleapis.com/v1beta/models';
+const DEFAULT_GEMINI_MODEL = 'gemini-1.5-flash';
+
+/**
+ * Strip optional markdown code fences and parse JSON model output
+ * @param {string} text - Raw model output
+ * @returns {object} Parsed JSON
+ */
+export function parseJSONResponse(text) {
+  let jsonText = text.trim();
+  if (jsonText.startsWith('```json')) {
+    jsonText = jsonText.slice(7);
+  }
+  if (jsonText.startsWith('```')) {
+    jsonText = jsonText.slice(3);
+  }
+  if (jsonText.endsWith('```')) {
+    jsonText = jsonText.slice(0, -3);
+  }
+  jsonText = jsonText.trim();
+
+  try {
+    return JSON.parse(jsonText);
+  } catch (parseError) {
+    console.error('JSON parse error. Raw response (first 1000 chars):', jsonText.slice(0, 1000));
+    console.error('Response length:', jsonText.length);
+    throw parseError;
+  }
+}
+
+/**
+ * Run a completion and parse its output as JSON
+ * @param {object} provider - LLM provider
+ * @param {object} request - Completion request (see provider.complete)
+ * @returns {Promise<object>} Parsed JSON response
+ */
+export async function generateJSON(provider, request) {
+  const text = await provider.complete({ ...request, json: true });
+  return parseJSONResponse(text);
+}
+
+/**
+ * Anthropic Messages API provider (Claude)
+ * @param {object} config - { apiKey, model }
+ * @returns {object} Provider
+ */
+export function createAnthropicProvider({ apiKey, model = DEFAULT_ANTHROPIC_MODEL }) {
+  return {
+    name: 'anthropic',
+    model,
+
+    async complete({
+      system, prompt, images = [], maxTokens = 8192, temperature,
+    }) {
+      if (!apiKey) {
+        throw new Error('Missing ANTHROPIC_API_KEY for anthropic provider');
+      }
+
+      const content = images.length > 0
+        ? [
+          ...images.map((img) => ({
+            type: 'image',
+            source: { type: 'base64', media_type: img.mediaType, data: img.data },
+          })),
+          { type: 'text', text: prompt },
+        ]
+        : prompt;
+
+      const headers = {
+        'Content-Type': 'application/json',
+        'x-api-key': apiKey,
+        'anthropic-version': '2023-06-01',
+      };
+      const body = {
+        model,
+        max_tokens: maxTokens,
+        messages: [{ role: 'user', content }],
+      };
+
+      if (system) {
+        // Cache the (large, static) system prompt across requests
+        headers['anthropic-beta'] = 'prompt-caching-2024-07-31';
+        body.system = [{ type: 'text', text: system, cache_control: { type: 'ephemeral' } }];
+      }
+      if (temperature !== undefined) {
+        body.temperature = temperature;
+      }
+
+      const response = await fetch(ANTHROPIC_API_URL, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify(body),
+      });
+
+      if (!response.ok) {
+        const error = await response.text();
+        throw new Error(`Claude API error: ${response.status} - ${error}`);
+      }
+
+      const data = await response.json();
+      const textContent = data.content.find((block) => block.type === 'text');
+      if (!textContent) {
+        throw new Error('No text content in Claude response');
+      }
+      return textContent.text;
+    },
+  };
+}
+
+/**
+ * Google Generative Language API provider (Gemini)
+ * @param {object} config - { apiKey, model }
+ * @returns {object} Provider
+ */
+export function createGeminiProvider({ apiKey, model = DEFAULT_GEMINI_MODEL }) {
+  return {
+    name: 'gemini',
+    model,
+
+    async complete({
+      system, prompt, images = [], maxTokens = 8192, temperature, json = false,
+    }) {
+      if (!apiKey) {
+        throw new Error('Missing GEMINI_API_KEY for gemini provider');
+      }
+
+      const parts = [
+        ...images.map((img) => ({ inlineData: { mimeType: img.mediaType, data: img.data } })),
+        { text: prompt },
+      ];
+
+      const body = {
+        contents: [{ role: 'user', parts }],
+        generationConfig: {
+          maxOutputTokens: maxTokens,
+          ...(temperature !== undefined && { temperature }),
+          ...(json && { responseMimeType: 'application/json' }),
+        },
+      };
+      if (system) {
+        body.systemInstruction = { parts: [{ text: system }] };
+      }
+
+      const response = await fetch(`${GEMINI_API_BASE}/${model}:generateContent?key=${apiKey}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+      });
+
+      if (!response.ok) {
+        const error = await response.text();
+        throw new Error(`Gemini API error: ${response.status} - ${error}`);
+      }
+
+      const data = await response.json();
+      const text = data.candidates?.[0]?.content?.parts?.[0]?.text;
+      if (!text) {
+        throw new Error('No text content in Gemini response');
+      }
+      return text;
+    },
+  };
+}
+
+/**
+ * Get the LLM provider configured for this environment
+ * @param {object} env - Worker environment
+ * @param {string} name - Provider name override (defaults to env.LLM_PROVIDER)
+ * @returns {object} Provider
+ */
+export function getLLMProvider(env, name = env.LLM_PROVIDER || 'anthropic') {
+  // LLM_MODEL only applies to the environment's default provider
+  const modelOverride = name === (env.LLM_PROVIDER || 'anthropic') ? env.LLM_MODEL : null;
+
+  switch (name) {
+    case 'anthropic':
+      return createAnthropicProvider({
+        apiKey: env.ANTHROPIC_API_KEY,
+        model: modelOverride || DEFAULT_ANTHROPIC_MODEL,
+      });
+    case 'gemini':
+      return createGeminiProvider({
+        apiKey: env.GEMINI_API_KEY,
+        model: modelOverride || DEFAULT_GEMINI_MODEL,
+      });
+    case 'mock':
+      return createMockProvider();
+    default:
+      throw new Error(`Unknown LLM provider: ${name}`);
+  }
+}
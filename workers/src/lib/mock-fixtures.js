@@ -0,0 +1,251 @@
+/**
+ * Mock LLM Fixtures
+ * Canned responses for the mock provider, keyed by completion task
+ * Each builder receives the user query and the full request, and returns a JSON-serializable object
+ */
+
+/**
+ * Title-case a query for use in fixture headings
+ * @param {string} query - User query
+ * @returns {string} Title-cased query
+ */
+function toTitle(query) {
+  const text = query.trim() || 'Vitamix';
+  return text.replace(/\b\w/g, (c) => c.toUpperCase()).slice(0, 60);
+}
+
+/**
+ * Content atoms response (flexible pipeline)
+ */
+function contentAtomsFixture(query) {
+  const title = toTitle(query);
+  const isComparison = /\b(compare|comparison|vs|versus|all models)\b/i.test(query);
+
+  const atoms = [
+    { type: 'heading', level: 1, text: title },
+    { type: 'paragraph', text: `Everything you need to know about ${query.trim() || 'Vitamix blending'}, from choosing the right container to getting the smoothest results.` },
+    {
+      type: 'feature_set',
+      items: [
+        {
+          title: 'Variable Speed Control', description: 'Dial in the perfect texture from chunky salsa to silky soup.', image_prompt: 'Fresh vegetables on a wooden board, soft natural light', cta_text: 'Learn More',
+        },
+        {
+          title: 'Hot Soup in Minutes', description: 'Friction heating turns raw ingredients into steaming soup.', image_prompt: 'Bowl of creamy tomato soup with basil garnish', cta_text: 'Learn More',
+        },
+        {
+          title: 'Self-Cleaning', description: 'Warm water, a drop of dish soap, and 60 seconds on high.', image_prompt: 'Sparkling clean glass on a bright kitchen counter', cta_text: 'Learn More',
+        },
+      ],
+    },
+    {
+      type: 'faq_set',
+      items: [
+        { question: 'Which container should I use?', answer: 'The 64 oz low-profile container suits most family recipes. Use a 20 oz cup for single servings.' },
+        { question: 'Can I blend hot ingredients?', answer: 'Yes. Start on low speed and always use the vented lid when blending hot liquids.' },
+        { question: 'How long is the warranty?', answer: 'Full-size Vitamix blenders include a 10-year full warranty covering parts, performance, and two-way shipping.' },
+      ],
+    },
+    {
+      type: 'cta',
+      title: 'Ready to Blend?',
+      description: 'Find the Vitamix that fits your kitchen.',
+      buttons: [
+        { text: 'Compare Blenders', style: 'primary' },
+        { text: 'Browse Recipes', style: 'secondary' },
+      ],
+    },
+    {
+      type: 'related',
+      items: [
+        { title: 'Green Smoothie Recipes', description: 'Nutrient-packed blends for busy mornings' },
+        { title: 'Hot Soup Recipes', description: 'Restaurant-quality soups in minutes' },
+        { title: 'Cleaning Your Vitamix', description: 'Keep your blender in top shape' },
+        { title: 'Compare Vitamix Models', description: 'Find the right series for you' },
+      ],
+    },
+  ];
+
+  if (isComparison) {
+    atoms.push({
+      type: 'comparison',
+      items: [
+        {
+          name: 'Vitamix A3500',
+          series: 'Ascent',
+          price: '$629',
+          rating: 4.8,
+          description: 'Touchscreen controls with five program settings.',
+          image_prompt: 'Modern Vitamix A3500 blender, brushed stainless finish, 64 oz container, professional product shot',
+          specs: {
+            series: 'Ascent', price: '$629', motor: '2.2 HP', container: '64 oz', warranty: '10 years', programs: 5, smart: true, interface: 'Touchscreen',
+          },
+          pros: ['Touchscreen', 'Program timer'],
+          cons: ['Highest price'],
+        },
+        {
+          name: 'Vitamix E310',
+          series: 'Explorian',
+          price: '$349',
+          rating: 4.7,
+          description: 'Professional-grade power at an entry price.',
+          image_prompt: 'Vitamix E310 blender, black finish, 48 oz container, professional product shot',
+          specs: {
+            series: 'Explorian', price: '$349', motor: '2.0 HP', container: '48 oz', warranty: '5 years', programs: 0, smart: false, interface: 'Dial',
+          },
+          pros: ['Great value'],
+          cons: ['No programs'],
+        },
+      ],
+    });
+  }
+
+  return {
+    content_type: isComparison ? 'comparison' : 'guide',
+    keywords: query.toLowerCase().split(/\s+/).filter(Boolean).slice(0, 5),
+    metadata: {
+      title,
+      description: `A Vitamix guide to ${query.trim() || 'blending'}.`,
+      primary_image_prompt: 'Colorful smoothie ingredients on a marble counter, bright natural light',
+    },
+    content_atoms: atoms,
+    layout_blocks: null,
+  };
+}
+
+/**
+ * Legacy fixed-layout content response
+ */
+function legacyContentFixture(query) {
+  const title = toTitle(query);
+  return {
+    type: 'guide',
+    keywords: query.toLowerCase().split(/\s+/).filter(Boolean).slice(0, 5),
+    hero: {
+      title,
+      subtitle: `Tips, recipes, and product advice for ${query.trim() || 'your Vitamix'}.`,
+      cta_text: 'Explore',
+      image_prompt: 'Fresh fruit and vegetables on a marble counter, bright natural light',
+    },
+    body: {
+      paragraphs: [
+        'A Vitamix blends whole foods into smooth, nutrient-rich results in seconds.',
+        'Start with liquids, add soft ingredients next, and finish with frozen items and ice.',
+      ],
+      cta_text: 'View Recipes',
+    },
+    features: [
+      {
+        title: 'Smoothies', description: 'Silky blends in under a minute', image_prompt: 'Berry smoothie in a glass', cta_text: 'Get Recipe',
+      },
+      {
+        title: 'Soups', description: 'Hot soup straight from the container', image_prompt: 'Tomato soup in a bowl', cta_text: 'Get Recipe',
+      },
+      {
+        title: 'Nut Butters', description: 'Fresh, preservative-free spreads', image_prompt: 'Almond butter in a jar', cta_text: 'Get Recipe',
+      },
+    ],
+    faqs: [
+      { question: 'Do I need to peel fruit?', answer: 'Usually not. Most peels blend smoothly and add fiber.' },
+      { question: 'Can I make ice cream?', answer: 'Yes. Frozen fruit and the tamper make soft-serve in about a minute.' },
+      { question: 'How do I clean it?', answer: 'Blend warm water with a drop of dish soap on high for 60 seconds.' },
+    ],
+    cta: {
+      title: 'Ready to Blend?',
+      description: 'Find the Vitamix that fits your kitchen.',
+      buttons: [
+        { text: 'Shop Blenders', style: 'primary' },
+        { text: 'Browse Recipes', style: 'secondary' },
+      ],
+    },
+    related: [
+      { title: 'Breakfast Smoothies', description: 'Start your day with energy' },
+      { title: 'Frozen Desserts', description: 'Guilt-free treats' },
+      { title: 'Cleaning Tips', description: 'Keep your blender spotless' },
+      { title: 'Soup Recipes', description: 'Hot and creamy in minutes' },
+    ],
+  };
+}
+
+/**
+ * Layout selection response
+ */
+function layoutFixture() {
+  return {
+    layout_rationale: 'Mock layout: hero, features, FAQ, CTA, related',
+    blocks: [
+      { block_type: 'hero-banner', atom_mappings: { title: 'heading.text', subtitle: 'paragraph.text', image: 'metadata.primary_image_prompt' } },
+      { block_type: 'feature-cards', atom_mappings: { items: 'feature_set.items' } },
+      { block_type: 'faq-accordion', atom_mappings: { items: 'faq_set.items' } },
+      { block_type: 'cta-section', atom_mappings: { title: 'cta.title', description: 'cta.description', buttons: 'cta.buttons' } },
+      { block_type: 'related-topics', atom_mappings: { items: 'related.items' } },
+    ],
+  };
+}
+
+/**
+ * Image caption response (vision)
+ */
+function imageCaptionFixture() {
+  return {
+    caption: 'Front view of a Vitamix blender with a 64 oz container on a white studio background.',
+    model: 'A3500',
+    series: 'Ascent',
+    view_type: 'front',
+    color: 'black',
+    includes: ['64oz container'],
+    is_hero_shot: true,
+  };
+}
+
+/**
+ * Atom repair response
+ * Echoes the atom back; validation then decides whether it is usable
+ */
+function repairAtomFixture(query, request) {
+  return request.atom || {};
+}
+
+/**
+ * Atom regeneration response
+ * Echoes the current atoms, so block regeneration runs end to end offline
+ */
+function regenerateAtomsFixture(query, request) {
+  return { content_atoms: request.atoms || [] };
+}
+
+/**
+ * Grounding check response
+ * Every claim is supported, so pages keep their fixture content
+ */
+function groundingFixture(query, request) {
+  return {
+    claims: (request.claims || []).map(({ id }) => ({ id, verdict: 'supported' })),
+  };
+}
+
+/**
+ * Query rewrite response
+ * Keeps the rule-based rewrite, so retrieval sees the same queries as in "rules" mode
+ */
+function queryRewriteFixture(query, request) {
+  return {
+    rewritten: request.rules?.rewritten || query,
+    sub_queries: request.rules?.subQueries || [],
+  };
+}
+
+/**
+ * Fixture builders by completion task
+ */
+// eslint-disable-next-line import/prefer-default-export
+export const MOCK_FIXTURES = {
+  content_atoms: contentAtomsFixture,
+  legacy_content: legacyContentFixture,
+  layout: layoutFixture,
+  image_caption: imageCaptionFixture,
+  repair_atom: repairAtomFixture,
+  regenerate_atoms: regenerateAtomsFixture,
+  grounding: groundingFixture,
+  query_rewrite: queryRewriteFixture,
+};
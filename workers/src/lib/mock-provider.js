@@ -0,0 +1,33 @@
+/**
+ * Mock LLM Provider
+ * Deterministic, fixture-backed provider for offline local dev and tests
+ * Enable with LLM_PROVIDER=mock (e.g. in workers/.dev.vars)
+ */
+
+import { MOCK_FIXTURES } from './mock-fixtures.js';
+
+/**
+ * Create the mock provider
+ * Responses depend only on the request task and query, never on the network
+ * @param {object} fixtures - Map of task name -> fixture builder (defaults to MOCK_FIXTURES)
+ * @returns {object} Provider
+ */
+// eslint-disable-next-line import/prefer-default-export
+export function createMockProvider(fixtures = MOCK_FIXTURES) {
+  return {
+    name: 'mock',
+    model: 'mock-fixtures',
+
+    async complete(request) {
+      const { task, query = '' } = request;
+      const buildFixture = fixtures[task];
+
+      if (!buildFixture) {
+        throw new Error(`Mock provider has no fixture for task "${task}"`);
+      }
+
+      console.log(`Mock LLM: serving "${task}" fixture`);
+      return JSON.stringify(buildFixture(query, request));
+    },
+  };
+}
@@ -0,0 +1,176 @@
+/**
+ * Page Cache
+ * Serves an existing page instead of generating a new one:
+ * 1. Exact match on the normalized query (24-hour TTL)
+ * 2. Semantic match: nearest neighbour of the query embedding in the
+ *    PAGE_CACHE_VECTORS index, above PAGE_CACHE_SIMILARITY, whose query names the same models
+ *    and diets (see entities.js)
+ *
+ * Pages are indexed by query after they are saved (follow-up pages are never cached); an
+ * operator can take a page out of the cache from the feedback review queue
+ */
+
+import { generateEmbedding } from './embeddings.js';
+import { extractEntities } from './entities.js';
+
+const CACHE_TTL_MS = 24 * 60 * 60 * 1000;
+
+// Cosine similarity above which a cached page answers a differently worded query
+const DEFAULT_SIMILARITY_THRESHOLD = 0.9;
+
+// Neighbours checked per lookup (expired and other-brand pages are skipped)
+const SEMANTIC_TOP_K = 5;
+
+// Entities a semantic match must share with the query: queries about other models or diets
+// embed just as close ("A3500 vs A2500" and "A3500 vs E310")
+const MATCHED_ENTITIES = ['models', 'diets'];
+
+/**
+ * Normalize query for cache lookup
+ * @param {string} query - User query
+ * @returns {string} Normalized query
+ */
+export function normalizeQuery(query) {
+  return query.toLowerCase().trim().replace(/\s+/g, ' ');
+}
+
+/**
+ * Get the configured similarity threshold
+ */
+function getSimilarityThreshold(env) {
+  const threshold = parseFloat(env.PAGE_CACHE_SIMILARITY);
+  return threshold > 0 && threshold <= 1 ? threshold : DEFAULT_SIMILARITY_THRESHOLD;
+}
+
+/**
+ * Check whether a cached query names the same models and diets as the query
+ * @param {object} entities - Entities of the query (see entities.js)
+ * @param {string} cachedQuery - Query the cached page was generated for
+ * @param {object} brandPack - Brand pack
+ * @returns {boolean} Whether the entities match
+ */
+function hasSameEntities(entities, cachedQuery, brandPack) {
+  const cached = extractEntities(cachedQuery, brandPack);
+  return MATCHED_ENTITIES.every((key) => (
+    [...entities[key]].sort().join('|') === [...cached[key]].sort().join('|')
+  ));
+}
+
+/**
+ * Find a cached page for a semantically similar query
+ * @returns {Promise<object|null>} { page, cache } or null
+ */
+async function findSimilarPage(query, db, env, brandPack) {
+  const threshold = getSimilarityThreshold(env);
+  const entities = extractEntities(query, brandPack);
+  const embedding = await generateEmbedding(query, env.AI);
+  const results = await env.PAGE_CACHE_VECTORS.query(embedding, {
+    topK: SEMANTIC_TOP_K,
+    returnMetadata: 'all',
+  });
+
+  const minCreatedAt = Date.now() - CACHE_TTL_MS;
+  const match = (results.matches || []).find((m) => m.score >= threshold
+    && m.metadata?.brand_id === brandPack.id
+    && m.metadata?.created_at >= minCreatedAt
+    && hasSameEntities(entities, m.metadata?.query || '', brandPack));
+  if (!match) {
+    const best = results.matches?.[0];
+    console.log(`Page cache: no semantic match for "${query}" (best ${best ? best.score.toFixed(3) : 'none'}, threshold ${threshold})`);
+    return null;
+  }
+
+  const page = await db.getPage(match.id);
+  if (!page || page.cache_invalidated_at) {
+    return null;
+  }
+
+  console.log(`Page cache: "${query}" matched "${page.query}" (similarity ${match.score.toFixed(3)})`);
+  return {
+    page,
+    cache: {
+      match: 'semantic',
+      similarity: match.score,
+      threshold,
+      matched_query: page.query,
+    },
+  };
+}
+
+/**
+ * Look up a cached page for a query
+ * Semantic matching needs the PAGE_CACHE_VECTORS and AI bindings; failures fall back to a miss
+ * @param {string} query - User query
+ * @param {object} db - Database client
+ * @param {object} env - Worker environment
+ * @param {object} brandPack - Brand pack the page must have been generated for
+ * @returns {Promise<{page: object, cache: object}|null>} Cached page and why it matched, or null
+ */
+export async function getCachedPage(query, db, env, brandPack) {
+  const normalizedQuery = normalizeQuery(query);
+  const minCreatedAt = new Date(Date.now() - CACHE_TTL_MS).toISOString();
+  const exactPage = await db.findPageByQuery(normalizedQuery, minCreatedAt, brandPack.id);
+  if (exactPage) {
+    return {
+      page: exactPage,
+      cache: { match: 'exact', similarity: 1, matched_query: exactPage.query },
+    };
+  }
+
+  if (!env.PAGE_CACHE_VECTORS || !env.AI) {
+    return null;
+  }
+
+  try {
+    return await findSimilarPage(normalizedQuery, db, env, brandPack);
+  } catch (error) {
+    console.error('Semantic page cache lookup failed:', error);
+    return null;
+  }
+}
+
+/**
+ * Add a saved page to the semantic cache index
+ * @param {object} page - Saved page (id, query, brand_id)
+ * @param {object} env - Worker environment
+ */
+export async function indexCachedPage(page, env) {
+  if (!env.PAGE_CACHE_VECTORS || !env.AI || page.parent_page_id) {
+    return;
+  }
+
+  try {
+    const embedding = await generateEmbedding(normalizeQuery(page.query), env.AI);
+    await env.PAGE_CACHE_VECTORS.upsert([{
+      id: page.id,
+      values: embedding,
+      metadata: {
+        query: page.query,
+        brand_id: page.brand_id,
+        created_at: Date.now(),
+      },
+    }]);
+  } catch (error) {
+    console.error('Failed to index page for semantic cache:', error);
+  }
+}
+
+/**
+ * Take a page out of the cache: exact matches skip it and its semantic index entry is removed
+ * @param {string} pageId - Page UUID
+ * @param {object} db - Database client
+ * @param {object} env - Worker environment
+ * @returns {Promise<boolean>} Whether the page exists
+ */
+export async function invalidateCachedPage(pageId, db, env) {
+  const found = await db.invalidatePageCache(pageId);
+  if (found && env.PAGE_CACHE_VECTORS) {
+    try {
+      await env.PAGE_CACHE_VECTORS.deleteByIds([pageId]);
+    } catch (error) {
+      // Semantic matches of invalidated pages are skipped anyway
+      console.error('Failed to remove page from semantic cache index:', error);
+    }
+  }
+  return found;
+}
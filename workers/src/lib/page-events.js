@@ -0,0 +1,123 @@
+/**
+ * Page Events
+ * First-party engagement events of generated pages, batched by the renderer (see
+ * scripts/engagement.js) and stored in D1 (page_events):
+ * - view, scroll_depth (value: 0-1): the page was shown, and how deep it was scrolled
+ * - block_impression: a block was scrolled into view
+ * - cta_click, faq_expand, comparison_select, guide_tab, generated_query: interactions with a
+ *   block; detail is the link, question, product, tab or query
+ * - follow_up: a refinement of the page was generated (recorded by the worker)
+ *
+ * Events carry the page's layout experiment assignment, for the experiment results
+ * (see experiments.js), and the block they happened in, for the block usage report
+ */
+
+import { getBlockLibrary } from './gemini.js';
+
+// Event types reported by the renderer and the worker
+const EVENT_TYPES = [
+  'view', 'scroll_depth', 'block_impression', 'cta_click', 'faq_expand', 'comparison_select',
+  'guide_tab', 'generated_query', 'follow_up',
+];
+
+// Block interaction event types (block impressions excluded)
+const INTERACTION_TYPES = [
+  'cta_click', 'faq_expand', 'comparison_select', 'guide_tab', 'generated_query',
+];
+
+// Events accepted per request (larger batches are rejected by /api/events)
+export const MAX_EVENTS = 50;
+
+// Longest detail stored
+const MAX_DETAIL_LENGTH = 200;
+
+/**
+ * Validate a reported event
+ * @returns {object|null} Event fields, null for an unknown type or a scroll depth without value
+ */
+function normalizeEvent(event) {
+  if (!event?.page_id || !EVENT_TYPES.includes(event.type)) return null;
+
+  const value = Number(event.value);
+  const normalized = {
+    page_id: String(event.page_id),
+    type: event.type,
+    value: event.value != null && Number.isFinite(value) ? Math.min(1, Math.max(0, value)) : null,
+    detail: typeof event.detail === 'string' ? event.detail.slice(0, MAX_DETAIL_LENGTH) : null,
+    block_type: getBlockLibrary()[event.block_type] ? event.block_type : null,
+    block_index: Number.isInteger(event.block_index) && event.block_index >= 0
+      ? event.block_index : null,
+  };
+  if (normalized.type === 'scroll_depth' && normalized.value === null) return null;
+  return normalized;
+}
+
+/**
+ * Validate and store a batch of engagement events
+ * @param {object} db - Database client (see cloudflare-db.js)
+ * @param {string} sessionId - Session id
+ * @param {Array<{page_id: string, type: string, value?: number, detail?: string,
+ *   block_type?: string, block_index?: number}>} events - Reported events
+ * @returns {Promise<number>} Events stored (unknown types, invalid values and events of unknown
+ *   pages are skipped)
+ */
+export async function recordEvents(db, sessionId, events) {
+  if (!db.insertPageEvents || !sessionId) return 0;
+
+  const valid = (Array.isArray(events) ? events : [])
+    .slice(0, MAX_EVENTS)
+    .map(normalizeEvent)
+    .filter(Boolean);
+  const experiments = await db.getPageExperiments([...new Set(valid.map((e) => e.page_id))]);
+  const stored = valid
+    .filter((event) => Object.hasOwn(experiments, event.page_id))
+    .map((event) => ({
+      ...event,
+      session_id: sessionId,
+      experiment_id: experiments[event.page_id]?.experiment_id || null,
+      variant: experiments[event.page_id]?.variant || null,
+    }));
+
+  await db.insertPageEvents(stored);
+  return stored.length;
+}
+
+/**
+ * Report how the blocks of generated pages are used
+ * Interaction rate is the block's interactions per impression
+ * @param {object} db - Database client
+ * @param {object} options - { brandId, days (look back, default 7) }
+ * @returns {Promise<Array<{block_type: string, impressions: number, pages: number,
+ *   interactions: object, interaction_rate: number|null}>>} Per block type, most seen first
+ */
+export async function getBlockUsage(db, { brandId, days = 7 }) {
+  const counts = await db.getBlockEventCounts(brandId, days);
+
+  const blocks = {};
+  counts.forEach((row) => {
+    blocks[row.block_type] = blocks[row.block_type] || {
+      block_type: row.block_type,
+      impressions: 0,
+      pages: 0,
+      interactions: {},
+    };
+    const block = blocks[row.block_type];
+    if (row.type === 'block_impression') {
+      block.impressions = row.events;
+      block.pages = row.pages;
+    } else if (INTERACTION_TYPES.includes(row.type)) {
+      block.interactions[row.type] = row.events;
+    }
+  });
+
+  return Object.values(blocks)
+    .map((block) => {
+      const interactions = Object.values(block.interactions).reduce((sum, n) => sum + n, 0);
+      return {
+        ...block,
+        interaction_rate: block.impressions > 0
+          ? Math.round((interactions / block.impressions) * 1000) / 1000 : null,
+      };
+    })
+    .sort((a, b) => b.impressions - a.impressions);
+}
@@ -0,0 +1,230 @@
+/**
+ * Product Catalog
+ * Structured product facts (price, motor, container sizes, warranty, programs) kept in the
+ * D1 products table, which scripts/crawl-vitamix.js fills from product pages and their JSON-LD
+ *
+ * comparison, table (specs-table) and product_detail atoms take these facts from the catalog
+ * instead of from model recall
+ */
+
+import { DEFAULT_BRAND_PACK } from './brand-pack.js';
+import { detectProductFacets } from './chunk-metadata.js';
+import { findModel } from './entities.js';
+import { findJsonLdEntity, normalizeProduct } from './structured-data.js';
+
+// Catalog products listed in the prompt context
+const MAX_CONTEXT_PRODUCTS = 30;
+
+/**
+ * Extract the structured facts of a crawled product page
+ * @param {object} page - { url, title, content, jsonLd (parsed JSON-LD blocks) }
+ * @param {object} brandPack - Brand pack (model, series and program vocabulary)
+ * @returns {object|null} Product row fields, or null if the page is not about a known model
+ */
+export function extractProductFacts({
+  url, title, content = '', jsonLd = [],
+}, brandPack = DEFAULT_BRAND_PACK) {
+  const entity = findJsonLdEntity(jsonLd, 'Product');
+  const ld = entity ? normalizeProduct(entity) : null;
+  const name = ld?.name || title;
+  const { series, model } = detectProductFacets(name, content, brandPack);
+  if (!model) return null;
+
+  const text = `${ld?.description || ''} ${content}`;
+  const motor = text.match(/(\d(?:\.\d)?)[-\s]*(?:peak[-\s]+)?(?:HP|horsepower)\b/i);
+  const warranty = text.match(/(\d{1,2})[-\s]year\s+(?:full\s+)?warranty/i);
+  const containerSizes = [...text.matchAll(/\b(\d{2})[-\s]?(?:oz|ounce)\b/gi)]
+    .map((match) => Number(match[1]));
+
+  return {
+    model,
+    name,
+    series,
+    sku: ld?.sku || null,
+    price: ld?.price ?? null,
+    currency: ld?.currency || (ld?.price ? 'USD' : null),
+    motor: motor ? `${motor[1]} HP` : null,
+    container_sizes: [...new Set(containerSizes)].sort((a, b) => b - a).map((oz) => `${oz} oz`),
+    warranty: warranty ? `${warranty[1]} years` : null,
+    programs: brandPack.catalog.program_names
+      .filter((program) => text.toLowerCase().includes(program.toLowerCase())),
+    url: ld?.url || url,
+  };
+}
+
+/**
+ * Format a catalog price for display
+ * @param {object} product - Catalog product
+ * @returns {string|null} e.g. "$629" or "$629.95"
+ */
+export function formatPrice(product) {
+  if (typeof product.price !== 'number') return null;
+  const amount = Number.isInteger(product.price) ? product.price : product.price.toFixed(2);
+  return !product.currency || product.currency === 'USD'
+    ? `$${amount}`
+    : `${amount} ${product.currency}`;
+}
+
+/**
+ * Catalog facts of a product as spec values, leaving out the unknown ones
+ * @param {object} product - Catalog product
+ * @returns {object} { series, price, motor, container, warranty, programs }
+ */
+function getCatalogSpecs(product) {
+  const specs = {
+    series: product.series,
+    price: formatPrice(product),
+    motor: product.motor,
+    container: product.container_sizes?.[0] || null,
+    warranty: product.warranty,
+    programs: product.programs?.length ? product.programs.length : null,
+  };
+  return Object.fromEntries(Object.entries(specs).filter(([, value]) => value !== null));
+}
+
+/**
+ * Find the catalog product a name refers to (by model, see entities.js; products crawled
+ * under a model the brand pack does not know are matched by their model number)
+ */
+function findProduct(name, products, brandPack) {
+  if (!name) return null;
+  const model = findModel(name, brandPack);
+  return products.find((product) => product.model.toUpperCase() === model)
+    || products.find((product) => new RegExp(`\\b${product.model}\\b`, 'i').test(name))
+    || null;
+}
+
+// Table row labels mapped to catalog specs
+const ROW_SPECS = [
+  [/price|msrp/i, 'price'],
+  [/motor|power|horsepower/i, 'motor'],
+  [/container/i, 'container'],
+  [/warranty/i, 'warranty'],
+  [/program/i, 'programs'],
+  [/series/i, 'series'],
+];
+
+/**
+ * Fill the rows of a specs table from a catalog product
+ */
+function fillTable(table, product) {
+  const specs = getCatalogSpecs(product);
+  if (product.programs?.length) {
+    specs.programs = `${product.programs.length} (${product.programs.join(', ')})`;
+  }
+  return {
+    ...table,
+    rows: table.rows.map((row) => {
+      const spec = ROW_SPECS.find(([pattern]) => pattern.test(row[0]))?.[1];
+      return spec && specs[spec] ? [row[0], String(specs[spec]), ...row.slice(2)] : row;
+    }),
+  };
+}
+
+/**
+ * Fill product facts in content atoms from the catalog
+ * Comparison items and product_detail atoms are matched by model number in their name,
+ * specs tables by their title or else the page's product_detail product
+ * @param {Array} atoms - Content atoms
+ * @param {Array} products - Catalog products (see getProducts)
+ * @param {object} brandPack - Brand pack (model names)
+ * @returns {Array} Atoms with catalog facts
+ */
+export function applyCatalogFacts(atoms, products, brandPack = DEFAULT_BRAND_PACK) {
+  if (!products?.length) return atoms;
+
+  const detail = atoms.find((atom) => atom.type === 'product_detail');
+  const detailProduct = findProduct(detail?.name, products, brandPack);
+  let filled = 0;
+
+  const result = atoms.map((atom) => {
+    if (atom.type === 'comparison' && Array.isArray(atom.items)) {
+      return {
+        ...atom,
+        items: atom.items.map((item) => {
+          const product = findProduct(item.name, products, brandPack);
+          if (!product) return item;
+          filled += 1;
+          const specs = getCatalogSpecs(product);
+          return {
+            ...item,
+            ...(specs.series && { series: specs.series }),
+            ...(specs.price && { price: specs.price }),
+            specs: { ...item.specs, ...specs },
+          };
+        }),
+      };
+    }
+
+    if (atom.type === 'product_detail' && detailProduct) {
+      filled += 1;
+      const { series, price, ...specs } = getCatalogSpecs(detailProduct);
+      if (detailProduct.programs?.length) {
+        specs.programs = `${detailProduct.programs.length} (${detailProduct.programs.join(', ')})`;
+      }
+      return {
+        ...atom,
+        ...(series && { series }),
+        ...(price && { price }),
+        ...(specs.warranty && { warranty: specs.warranty }),
+        ...(detailProduct.url && { url: detailProduct.url }),
+        specs: { ...atom.specs, ...specs },
+      };
+    }
+
+    if (atom.type === 'table' && Array.isArray(atom.rows)) {
+      const product = findProduct(atom.title, products, brandPack) || detailProduct;
+      if (!product) return atom;
+      filled += 1;
+      return fillTable(atom, product);
+    }
+
+    return atom;
+  });
+
+  if (filled > 0) {
+    console.log(`Product catalog: filled facts in ${filled} atom(s)/item(s)`);
+  }
+  return result;
+}
+
+/**
+ * Describe catalog products as prompt context
+ * @param {Array} products - Catalog products
+ * @returns {string} Context section (empty without products)
+ */
+export function formatCatalogContext(products) {
+  if (!products?.length) return '';
+
+  const lines = products.slice(0, MAX_CONTEXT_PRODUCTS).map((product) => {
+    const facts = Object.entries(getCatalogSpecs(product))
+      .filter(([key]) => key !== 'programs')
+      .map(([key, value]) => `${key} ${value}`);
+    if (product.programs?.length) facts.push(`programs ${product.programs.join(', ')}`);
+    if (product.url) facts.push(product.url);
+    return `- ${product.model}${product.name ? ` (${product.name})` : ''}: ${facts.join('; ')}`;
+  });
+
+  return `
+
+PRODUCT CATALOG (authoritative prices and specs, use these exact values):
+${lines.join('\n')}
+`;
+}
+
+/**
+ * Load the catalog products of a brand
+ * DB clients without a products table (Supabase) yield an empty catalog
+ * @param {object} db - DB client
+ * @param {object} brandPack - Brand pack
+ * @returns {Promise<Array>} Catalog products
+ */
+export async function loadCatalog(db, brandPack = DEFAULT_BRAND_PACK) {
+  if (typeof db?.getProducts !== 'function') return [];
+  try {
+    return await db.getProducts(brandPack.id);
+  } catch (error) {
+    console.error('Product catalog lookup failed:', error);
+    return [];
+  }
+}
@@ -1,11 +1,22 @@
 /**
  * Query Classifier
- * Classifies user queries to optimize RAG retrieval and image selection
+ * Classifies user queries to optimize RAG retrieval and image selection:
+ * 1. Embedding classifier (classifyQueryByEmbedding): the query embedding is compared against
+ *    labelled prototype queries stored in D1 (query_prototypes), giving a score per type
+ * 2. Regex rules (classifyQuery): fallback when prototypes, embeddings or the D1 client are
+ *    unavailable, or no prototype is similar enough
+ * Both return the named entities of the query (see entities.js)
+ * Brand vocabulary (product names, commercial lines, strong indicators) comes from the brand pack
  */
 
+import { DEFAULT_BRAND_PACK } from './brand-pack.js';
+import { generateEmbedding, generateEmbeddings } from './embeddings.js';
+import { extractEntities } from './entities.js';
+
 /**
  * Query classification types
- * @typedef {'product' | 'recipe' | 'blog' | 'support' | 'commercial' | 'general'} QueryType
+ * @typedef {'product' | 'single_product' | 'recipe' | 'single_recipe' | 'blog' | 'support'
+ *   | 'commercial' | 'general'} QueryType
  */
 
 /**
@@ -13,16 +24,35 @@
  * @typedef {Object} ClassificationResult
  * @property {QueryType} type - Primary query type
  * @property {number} confidence - Confidence score 0-1
+ * @property {QueryType[]} labels - Types that apply to the query, best first
+ * @property {Object<string, number>} scores - Score 0-1 per type
+ * @property {object} entities - Named entities in the query (see extractEntities in entities.js)
+ * @property {'embedding' | 'rules'} method - Classifier that produced the result
  * @property {string[]} keywords - Extracted keywords
  * @property {boolean} needsProductImages - Whether real product images are needed
  * @property {boolean} needsRecipeImages - Whether real recipe images are needed
  */
 
-// Pattern-based classification rules
+// Embedding classifier: best prototype similarity below which the regex rules decide
+const MIN_PROTOTYPE_SIMILARITY = 0.6;
+
+// Types scoring within this margin of the best type are labels of the query too
+const LABEL_MARGIN = 0.04;
+
+// Prototypes are reloaded from D1 after this long (per worker isolate)
+const PROTOTYPE_CACHE_TTL_MS = 10 * 60 * 1000;
+
+// Prototype queries embedded per Workers AI call
+const PROTOTYPE_EMBEDDING_BATCH = 50;
+
+// Query types that call for real product or recipe images
+const PRODUCT_TYPES = ['product', 'single_product', 'commercial'];
+const RECIPE_TYPES = ['recipe', 'single_recipe'];
+
+// Pattern-based classification rules (brand-neutral; brand terms are added per pack)
 const CLASSIFICATION_RULES = {
   product: {
     patterns: [
-      /\b(blender|vitamix|ascent|explorian|propel|professional|a2[35]00|a3[35]00|e3[12]0|750|container|blade|tamper|cup|pitcher)\b/i,
       /\b(buy|price|cost|compare|vs|versus|best|which|review|model|series)\b/i,
       /\b(warranty|features?|specs?|specifications?|motor|watt|hp|horsepower)\b/i,
       /\b(gift|holiday|sale|deal|discount|bundle)\b/i,
@@ -59,37 +89,83 @@ const CLASSIFICATION_RULES = {
   commercial: {
     patterns: [
       /\b(commercial|restaurant|business|foodservice|cafe|bar|hotel)\b/i,
-      /\b(quiet one|drink machine|vita.?prep|blending station)\b/i,
       /\b(nsf|certified|volume|industrial)\b/i,
     ],
     weight: 0.9,
   },
 };
 
-// Keywords that strongly indicate specific types
-const STRONG_INDICATORS = {
-  product: ['vitamix', 'ascent', 'explorian', 'propel', 'a2300', 'a2500', 'a3300', 'a3500', 'e310', 'e320', '750'],
-  recipe: ['recipe', 'smoothie', 'soup', 'sauce', 'ingredients'],
-  support: ['warranty', 'repair', 'troubleshoot', 'manual'],
-  commercial: ['commercial', 'restaurant', 'quiet one'],
-};
+// Classification rules per brand vocabulary (built once per pack)
+const brandRulesCache = new WeakMap();
+
+/**
+ * Build a word-boundary pattern from regex fragments
+ * @param {string[]} terms - Regex fragments
+ * @returns {RegExp|null} Pattern, or null when there are no terms
+ */
+function termsPattern(terms) {
+  return terms.length > 0 ? new RegExp(`\\b(${terms.join('|')})\\b`, 'i') : null;
+}
 
 /**
- * Classify a user query
+ * Get classification rules with the brand's product and commercial terms added
+ * @param {object} vocabulary - Brand pack classifier section
+ * @returns {object} Classification rules
+ */
+function getClassificationRules(vocabulary) {
+  if (brandRulesCache.has(vocabulary)) {
+    return brandRulesCache.get(vocabulary);
+  }
+
+  const productPattern = termsPattern(vocabulary.product_terms || []);
+  const commercialPattern = termsPattern(vocabulary.commercial_terms || []);
+  const rules = {
+    ...CLASSIFICATION_RULES,
+    product: {
+      ...CLASSIFICATION_RULES.product,
+      patterns: [productPattern, ...CLASSIFICATION_RULES.product.patterns].filter(Boolean),
+    },
+    commercial: {
+      ...CLASSIFICATION_RULES.commercial,
+      patterns: [...CLASSIFICATION_RULES.commercial.patterns, commercialPattern].filter(Boolean),
+    },
+  };
+
+  brandRulesCache.set(vocabulary, rules);
+  return rules;
+}
+
+/**
+ * Whether a query type needs real product or recipe images
+ */
+function getImageNeeds(type, labels) {
+  return {
+    needsProductImages: PRODUCT_TYPES.includes(type)
+      || (type === 'general' && labels.some((label) => PRODUCT_TYPES.includes(label))),
+    needsRecipeImages: RECIPE_TYPES.includes(type)
+      || (type === 'blog' && labels.some((label) => RECIPE_TYPES.includes(label))),
+  };
+}
+
+/**
+ * Classify a user query with the regex rules
  * @param {string} query - User's search query
+ * @param {object} brandPack - Brand pack supplying the classifier vocabulary
  * @returns {ClassificationResult} Classification result
  */
-export function classifyQuery(query) {
+export function classifyQuery(query, brandPack = DEFAULT_BRAND_PACK) {
   const queryLower = query.toLowerCase();
   const scores = {};
+  const vocabulary = brandPack.classifier;
+  const rules = getClassificationRules(vocabulary);
 
   // Initialize scores
-  for (const type of Object.keys(CLASSIFICATION_RULES)) {
+  for (const type of Object.keys(rules)) {
     scores[type] = 0;
   }
 
   // Check strong indicators first
-  for (const [type, indicators] of Object.entries(STRONG_INDICATORS)) {
+  for (const [type, indicators] of Object.entries(vocabulary.strong_indicators || {})) {
     for (const indicator of indicators) {
       if (queryLower.includes(indicator)) {
         scores[type] += 2.0; // Strong boost
@@ -98,10 +174,10 @@ export function classifyQuery(query) {
   }
 
   // Apply pattern matching
-  for (const [type, rules] of Object.entries(CLASSIFICATION_RULES)) {
-    for (const pattern of rules.patterns) {
+  for (const [type, rule] of Object.entries(rules)) {
+    for (const pattern of rule.patterns) {
       if (pattern.test(query)) {
-        scores[type] += rules.weight;
+        scores[type] += rule.weight;
       }
     }
   }
@@ -123,6 +199,11 @@ export function classifyQuery(query) {
   // Extract keywords from query
   const keywords = extractKeywords(query);
 
+  // Types scoring close to the best one apply too
+  const labels = Object.keys(scores)
+    .filter((type) => scores[type] > 0 && scores[type] >= maxScore * 0.75)
+    .sort((a, b) => scores[b] - scores[a]);
+
   // Determine image needs
   const needsProductImages = primaryType === 'product' ||
     (primaryType === 'general' && scores.product > 0) ||
@@ -131,9 +212,19 @@ export function classifyQuery(query) {
   const needsRecipeImages = primaryType === 'recipe' ||
     (primaryType === 'blog' && scores.recipe > 0);
 
+  // A product query naming one model (and not comparing it) is about that product
+  const entities = extractEntities(query, brandPack);
+  const isSingleProduct = primaryType === 'product' && entities.models.length === 1
+    && !/\b(vs|versus|compare|comparison|alternatives?)\b/i.test(query);
+
   return {
-    type: primaryType,
+    type: isSingleProduct ? 'single_product' : primaryType,
     confidence,
+    labels: labels.length > 0 ? labels : ['general'],
+    scores: Object.fromEntries(Object.entries(scores)
+      .map(([type, score]) => [type, Math.min(score / 5.0, 1.0)])),
+    entities,
+    method: 'rules',
     keywords,
     needsProductImages,
     needsRecipeImages,
@@ -177,6 +268,101 @@ function extractKeywords(query) {
   return [...new Set(words)];
 }
 
+// Embedded prototypes per brand id: { prototypes, loadedAt }
+const prototypeCache = new Map();
+
+/**
+ * Cosine similarity of two embeddings
+ */
+function cosineSimilarity(a, b) {
+  const dot = a.reduce((sum, value, i) => sum + value * b[i], 0);
+  const norm = (v) => Math.sqrt(v.reduce((sum, value) => sum + value * value, 0));
+  return dot / (norm(a) * norm(b) || 1);
+}
+
+/**
+ * Load the prototypes of a brand, embedding (and storing) those without an embedding yet
+ * @returns {Promise<Array>} Embedded prototypes
+ */
+async function loadPrototypes(db, ai, brandId) {
+  const cached = prototypeCache.get(brandId);
+  if (cached && Date.now() - cached.loadedAt < PROTOTYPE_CACHE_TTL_MS) {
+    return cached.prototypes;
+  }
+
+  const prototypes = await db.getQueryPrototypes(brandId);
+  const missing = prototypes.filter((prototype) => !prototype.embedding);
+  if (missing.length > 0) {
+    const batches = Array.from(
+      { length: Math.ceil(missing.length / PROTOTYPE_EMBEDDING_BATCH) },
+      (_, i) => missing.slice(i * PROTOTYPE_EMBEDDING_BATCH, (i + 1) * PROTOTYPE_EMBEDDING_BATCH),
+    );
+    const embeddings = (await Promise.all(batches
+      .map((batch) => generateEmbeddings(batch.map((prototype) => prototype.query), ai)))).flat();
+    missing.forEach((prototype, i) => { prototype.embedding = embeddings[i]; });
+    await db.setQueryPrototypeEmbeddings(missing);
+    console.log(`Query classifier: embedded ${missing.length} prototype queries for ${brandId}`);
+  }
+
+  prototypeCache.set(brandId, { prototypes, loadedAt: Date.now() });
+  return prototypes;
+}
+
+/**
+ * Classify a user query against the labelled prototype queries of its brand
+ * Each type scores the similarity of its closest prototype; types within LABEL_MARGIN of the
+ * best are labels of the query. Falls back to the regex rules (classifyQuery) without AI or
+ * prototypes, when the lookup fails, or when no prototype reaches MIN_PROTOTYPE_SIMILARITY
+ * @param {string} query - User's search query
+ * @param {object} options - { ai (Workers AI binding), db (DB client with
+ *   getQueryPrototypes), brandPack, mode ("embedding" | "rules", default "embedding") }
+ * @returns {Promise<ClassificationResult>} Classification result
+ */
+export async function classifyQueryByEmbedding(query, options = {}) {
+  const {
+    ai, db, brandPack = DEFAULT_BRAND_PACK, mode = 'embedding',
+  } = options;
+  if (mode === 'rules' || !ai || typeof db?.getQueryPrototypes !== 'function') {
+    return classifyQuery(query, brandPack);
+  }
+
+  try {
+    const prototypes = await loadPrototypes(db, ai, brandPack.id);
+    if (prototypes.length === 0) return classifyQuery(query, brandPack);
+
+    const embedding = await generateEmbedding(query, ai);
+    const scores = {};
+    prototypes.forEach((prototype) => {
+      const similarity = cosineSimilarity(embedding, prototype.embedding);
+      prototype.labels.forEach((label) => {
+        scores[label] = Math.max(scores[label] ?? 0, similarity);
+      });
+    });
+
+    const labels = Object.keys(scores).sort((a, b) => scores[b] - scores[a]);
+    const [type] = labels;
+    if (scores[type] < MIN_PROTOTYPE_SIMILARITY) {
+      console.log(`Query classifier: best prototype similarity ${scores[type].toFixed(3)}, using rules`);
+      return classifyQuery(query, brandPack);
+    }
+
+    const matching = labels.filter((label) => scores[label] >= scores[type] - LABEL_MARGIN);
+    return {
+      type,
+      confidence: scores[type],
+      labels: matching,
+      scores: Object.fromEntries(labels.map((label) => [label, Number(scores[label].toFixed(3))])),
+      entities: extractEntities(query, brandPack),
+      method: 'embedding',
+      keywords: extractKeywords(query),
+      ...getImageNeeds(type, matching),
+    };
+  } catch (error) {
+    console.error('Query classifier: embedding classification failed, using rules:', error);
+    return classifyQuery(query, brandPack);
+  }
+}
+
 /**
  * Get RAG filter options based on classification
  * @param {ClassificationResult} classification - Query classification
@@ -187,6 +373,14 @@ export function getRAGFilterOptions(classification) {
     // Base options
     threshold: 0.65,
     limit: 5,
+    // Hybrid retrieval: fuse vector and keyword (FTS5) rankings with RRF
+    hybrid: true,
+    rrfK: 60,
+    keywordWeight: 1,
+    // Cross-encoder rerank of the fused candidates (one extra Workers AI call)
+    rerank: false,
+    // Vectorize metadata filter (content_type, page_type, series, model; see chunk-metadata.js)
+    filter: null,
   };
 
   // Adjust based on type
@@ -195,12 +389,38 @@ export function getRAGFilterOptions(classification) {
       options.limit = 8; // More results for product comparisons
       options.preferredTypes = ['product', 'shop'];
       options.threshold = 0.6; // Slightly lower threshold to catch more products
+      options.keywordWeight = 1.5; // Model numbers ("E320") are exact keyword matches
+      options.rerank = true;
+      // One series named and no model: that series' chunks only
+      if (classification.entities?.series.length === 1 && !classification.entities.models.length) {
+        options.filter = { series: classification.entities.series[0] };
+      }
+      break;
+
+    case 'single_product': {
+      options.limit = 6;
+      options.preferredTypes = ['product', 'shop'];
+      options.threshold = 0.6;
+      options.keywordWeight = 1.5;
+      options.rerank = true;
+      // One model named: its own chunks only (falls back to unfiltered without results)
+      const models = classification.entities?.models || [];
+      if (models.length === 1) options.filter = { model: models[0] };
+      break;
+    }
+
+    case 'single_recipe':
+      options.limit = 4; // One recipe: its page, plus close variations
+      options.preferredTypes = ['recipe'];
+      options.threshold = 0.65;
+      options.filter = { content_type: 'recipe' };
       break;
 
     case 'recipe':
       options.limit = 6;
       options.preferredTypes = ['recipe'];
       options.threshold = 0.65;
+      options.filter = { content_type: 'recipe' }; // Recipe sources only
       break;
 
     case 'blog':
@@ -212,11 +432,14 @@ export function getRAGFilterOptions(classification) {
       options.limit = 5;
       options.preferredTypes = ['support', 'page'];
       options.threshold = 0.6; // Lower threshold for support to catch edge cases
+      options.rerank = true; // Troubleshooting answers hinge on precise wording
+      options.filter = { page_type: { $in: ['manual', 'faq'] } }; // Manuals and FAQ pages
       break;
 
     case 'commercial':
       options.limit = 6;
       options.preferredTypes = ['commercial', 'product'];
+      options.keywordWeight = 1.5;
       break;
 
     default:
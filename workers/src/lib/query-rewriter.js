@@ -0,0 +1,198 @@
+/**
+ * Query Rewriting
+ * Rewrites the user query before retrieval, since the raw query embeds and keyword-matches
+ * poorly when it is misspelled, uses model shorthand or asks several things at once:
+ * 1. Spelling: the brand pack's corrections (classifier.spelling), then brand vocabulary
+ *    words one typo away ("explorain" -> "explorian")
+ * 2. Model shorthand: a letter and 2-3 digits that start exactly one known model ("a35" -> A3500)
+ * 3. Compound questions: split into sub-queries at "?", ";" and "and" followed by a new
+ *    question ("which blender is quietest and how long is the warranty")
+ *
+ * The rules step is cheap and always runs; in "llm" mode the LLM refines its result (and can
+ * carry the subject over into sub-queries, e.g. "does it make soup" -> "does the A3500 make
+ * soup"). Select with env.QUERY_REWRITE ("rules" | "llm" | "false"), default "rules"
+ */
+
+import { generateJSON } from './llm-provider.js';
+
+// Sub-queries searched per query (besides the full rewritten query)
+const MAX_SUB_QUERIES = 3;
+
+// Shortest word the typo correction touches
+const MIN_TYPO_LENGTH = 5;
+
+// Words that start a new question after "and"
+const QUESTION_STARTS = [
+  'how', 'what', 'what\'s', 'which', 'why', 'when', 'where', 'who', 'is', 'are', 'can', 'does',
+  'do', 'should', 'will',
+];
+
+const REWRITE_SYSTEM_PROMPT = `You rewrite search queries for a product and recipe knowledge base before retrieval.
+You receive the user's query and a rule-based rewrite of it.
+- Fix spelling mistakes and expand product model shorthand into full model names
+- Keep the user's intent; never add facts, products or constraints the user did not ask for
+- If the query asks several distinct questions, list each as a self-contained sub-query (repeat the subject, e.g. the product, in each); otherwise return no sub-queries
+Respond with ONLY valid JSON: { "rewritten": "...", "sub_queries": ["..."] }`;
+
+/**
+ * Escape a string for use in a RegExp
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Whether two words are one edit (insertion, deletion, substitution or transposition) apart
+ */
+function isOneEditApart(a, b) {
+  if (a === b || Math.abs(a.length - b.length) > 1) return false;
+  let start = 0;
+  while (start < a.length && a[start] === b[start]) start += 1;
+  const restA = a.slice(start + 1);
+  const restB = b.slice(start + 1);
+  if (a.length === b.length) {
+    const transposed = a[start] === b[start + 1] && a[start + 1] === b[start];
+    return restA === restB || (transposed && a.slice(start + 2) === b.slice(start + 2));
+  }
+  return a.length > b.length ? restA === b.slice(start) : a.slice(start) === restB;
+}
+
+/**
+ * Model names a brand pack knows (product URLs and comparison models), lowercased
+ */
+function getModelNames(brandPack) {
+  const names = [
+    ...(brandPack?.product_urls?.models || []).map((entry) => entry.model),
+    ...(brandPack?.catalog?.comparison_models || []),
+  ];
+  return [...new Set(names.map((name) => String(name).toLowerCase()))];
+}
+
+/**
+ * Words the typo correction may correct towards: strong indicators, program names and the
+ * spelling corrections of the brand pack
+ */
+function getVocabulary(brandPack) {
+  const classifier = brandPack?.classifier || {};
+  const phrases = [
+    ...Object.values(classifier.strong_indicators || {}).flat(),
+    ...(brandPack?.catalog?.program_names || []),
+    ...Object.values(classifier.spelling || {}),
+  ];
+  const words = phrases.flatMap((phrase) => phrase.toLowerCase().split(/[^a-z]+/));
+  return [...new Set(words.filter((word) => word.length >= MIN_TYPO_LENGTH))];
+}
+
+/**
+ * Fix spelling: brand pack corrections, then single typos of brand vocabulary words
+ * Inflections are left as they are: words that start or are started by a vocabulary word
+ * ("smoothies"), and words that differ only in their last letter ("blended", "blender")
+ */
+function fixSpelling(query, brandPack) {
+  const corrected = Object.entries(brandPack?.classifier?.spelling || {})
+    .reduce((text, [wrong, right]) => text
+      .replace(new RegExp(`\\b${escapeRegExp(wrong)}\\b`, 'gi'), right), query);
+
+  const vocabulary = getVocabulary(brandPack);
+  return corrected.replace(/[a-z]+/gi, (word) => {
+    const lower = word.toLowerCase();
+    if (lower.length < MIN_TYPO_LENGTH || vocabulary.includes(lower)) return word;
+    const matches = vocabulary
+      .filter((term) => !lower.startsWith(term) && !term.startsWith(lower))
+      .filter((term) => lower.slice(0, -1) !== term.slice(0, -1))
+      .filter((term) => isOneEditApart(lower, term));
+    return matches.length === 1 ? matches[0] : word;
+  });
+}
+
+/**
+ * Expand model shorthand: a letter and 2-3 digits that start exactly one known model
+ */
+function expandModels(query, brandPack) {
+  const models = getModelNames(brandPack).filter((model) => /^[a-z]\d+[a-z]?$/.test(model));
+  return query.replace(/\b([a-z])-?(\d{2,3})\b/gi, (token, letter, digits) => {
+    const prefix = `${letter}${digits}`.toLowerCase();
+    const matches = models.filter((model) => model.startsWith(prefix));
+    return matches.length === 1 && matches[0] !== prefix ? matches[0].toUpperCase() : token;
+  });
+}
+
+/**
+ * Split a compound question into sub-queries
+ * @returns {string[]} Sub-queries (empty for a single question)
+ */
+function splitQuestions(query) {
+  const andQuestion = new RegExp(`\\s+(?:and|also)\\s+(?=(?:${QUESTION_STARTS.join('|')})\\b)`, 'i');
+  const parts = query
+    .split(/[?;]+/)
+    .flatMap((part) => part.split(andQuestion))
+    .map((part) => part.replace(/^[\s,]*(?:and|also)\s+/i, '').replace(/[\s,.]+$/, '').trim())
+    .filter((part) => part.split(/\s+/).length >= 2);
+  return parts.length > 1 ? parts.slice(0, MAX_SUB_QUERIES) : [];
+}
+
+/**
+ * Rule-based rewrite
+ * @param {string} query - User query
+ * @param {object} brandPack - Brand pack (spelling corrections, vocabulary and models)
+ * @returns {{query: string, rewritten: string, subQueries: string[], method: string}} Rewrite
+ */
+export function rewriteQueryRules(query, brandPack) {
+  const rewritten = expandModels(fixSpelling(query.trim(), brandPack), brandPack);
+  return {
+    query,
+    rewritten,
+    subQueries: splitQuestions(rewritten),
+    method: 'rules',
+  };
+}
+
+/**
+ * Rewrite a query for retrieval
+ * The LLM refines the rules rewrite in "llm" mode; if it fails the rules rewrite is used
+ * @param {string} query - User query
+ * @param {object} options - { mode ("rules" | "llm" | "false"), provider (LLM provider, for
+ *   "llm"), brandPack }
+ * @returns {Promise<{query: string, rewritten: string, subQueries: string[], method: string}>}
+ *   Rewrite; method is "none" when rewriting is disabled
+ */
+export async function rewriteQuery(query, options = {}) {
+  const { mode = 'rules', provider = null, brandPack = null } = options;
+  if (mode === 'false') {
+    return {
+      query, rewritten: query, subQueries: [], method: 'none',
+    };
+  }
+
+  const rules = rewriteQueryRules(query, brandPack);
+  if (mode !== 'llm' || !provider) return rules;
+
+  try {
+    const models = getModelNames(brandPack).map((model) => model.toUpperCase());
+    const result = await generateJSON(provider, {
+      task: 'query_rewrite',
+      query,
+      rules,
+      system: REWRITE_SYSTEM_PROMPT,
+      prompt: `Query: ${query}
+Rule-based rewrite: ${rules.rewritten}${models.length > 0 ? `\nKnown models: ${models.join(', ')}` : ''}`,
+      maxTokens: 512,
+      temperature: 0,
+    });
+    const rewritten = typeof result.rewritten === 'string' && result.rewritten.trim()
+      ? result.rewritten.trim()
+      : rules.rewritten;
+    const subQueries = (Array.isArray(result.sub_queries) ? result.sub_queries : [])
+      .filter((subQuery) => typeof subQuery === 'string' && subQuery.trim())
+      .map((subQuery) => subQuery.trim());
+    return {
+      query,
+      rewritten,
+      subQueries: subQueries.length > 1 ? subQueries.slice(0, MAX_SUB_QUERIES) : [],
+      method: 'llm',
+    };
+  } catch (error) {
+    console.error('Query rewrite: LLM rewrite failed, using rules:', error);
+    return rules;
+  }
+}
@@ -1,6 +1,7 @@
 /**
  * RAG Caching Layer
  * Caches RAG results in KV to reduce latency and API costs
+ * Keys are scoped by brand: the same query is rewritten and answered with each brand's pack
  */
 
 // Cache TTL: 1 hour (queries may return different results as more content is crawled)
@@ -15,8 +16,8 @@ function normalizeQuery(query) {
     .replace(/[^\w\s]/g, '');
 }
 
-// Generate cache key from query
-function getCacheKey(query) {
+// Generate cache key from brand and query
+function getCacheKey(query, brandId) {
   const normalized = normalizeQuery(query);
   // Simple hash for shorter keys
   let hash = 0;
@@ -25,22 +26,23 @@ function getCacheKey(query) {
     hash = ((hash << 5) - hash) + char;
     hash = hash & hash; // Convert to 32-bit integer
   }
-  return `rag:${Math.abs(hash).toString(36)}:${normalized.slice(0, 30)}`;
+  return `rag:${brandId}:${Math.abs(hash).toString(36)}:${normalized.slice(0, 30)}`;
 }
 
 /**
  * Get cached RAG result
  * @param {string} query - User query
+ * @param {string} brandId - Brand pack id
  * @param {object} env - Worker environment with RAG_CACHE binding
  * @returns {Promise<object|null>} Cached result or null
  */
-export async function getCachedRAG(query, env) {
+export async function getCachedRAG(query, brandId, env) {
   if (!env.RAG_CACHE) {
     return null;
   }
 
   try {
-    const key = getCacheKey(query);
+    const key = getCacheKey(query, brandId);
     const cached = await env.RAG_CACHE.get(key, { type: 'json' });
 
     if (cached) {
@@ -59,17 +61,18 @@ export async function getCachedRAG(query, env) {
 /**
  * Cache RAG result
  * @param {string} query - User query
+ * @param {string} brandId - Brand pack id
  * @param {object} result - RAG result to cache
  * @param {object} env - Worker environment with RAG_CACHE binding
  * @returns {Promise<void>}
  */
-export async function setCachedRAG(query, result, env) {
+export async function setCachedRAG(query, brandId, result, env) {
   if (!env.RAG_CACHE) {
     return;
   }
 
   try {
-    const key = getCacheKey(query);
+    const key = getCacheKey(query, brandId);
 
     // Only cache if we have meaningful results
     if (!result.context && result.sourceIds.length === 0) {
@@ -89,15 +92,16 @@ export async function setCachedRAG(query, result, env) {
 /**
  * Invalidate cache for a specific query
  * @param {string} query - Query to invalidate
+ * @param {string} brandId - Brand pack id
  * @param {object} env - Worker environment
  */
-export async function invalidateCache(query, env) {
+export async function invalidateCache(query, brandId, env) {
   if (!env.RAG_CACHE) {
     return;
   }
 
   try {
-    const key = getCacheKey(query);
+    const key = getCacheKey(query, brandId);
     await env.RAG_CACHE.delete(key);
     console.log(`RAG Cache INVALIDATED: "${query.slice(0, 50)}..."`);
   } catch (error) {
@@ -3,50 +3,109 @@
  * Retrieves relevant Vitamix content to ground AI responses
  */
 
-import { generateEmbedding } from './embeddings.js';
-import { classifyQuery, getRAGFilterOptions } from './query-classifier.js';
+import { DEFAULT_BRAND_PACK } from './brand-pack.js';
+import { fuseRankings, searchChunks } from './hybrid-retrieval.js';
+import { buildCitationRefs, citationLabel } from './citations.js';
+import { classifyQueryByEmbedding, getRAGFilterOptions } from './query-classifier.js';
 import { getCachedRAG, setCachedRAG } from './rag-cache.js';
+import { rewriteQuery } from './query-rewriter.js';
+
+// Results each sub-query of a compound question adds to the merged context
+const SUB_QUERY_RESULTS = 2;
+
+/**
+ * Search the rewritten query and its sub-queries, and fuse their rankings
+ * @param {object} rewrite - Query rewrite (see query-rewriter.js)
+ * @returns {Promise<{chunks: Array, timings: object}>} Best chunks and per-query timings
+ */
+async function searchRewrite(rewrite, ai, db, searchOptions) {
+  if (rewrite.subQueries.length === 0) {
+    return searchChunks(rewrite.rewritten, ai, db, searchOptions);
+  }
+
+  const queries = [rewrite.rewritten, ...rewrite.subQueries];
+  const searches = await Promise.all(queries.map((q) => searchChunks(q, ai, db, searchOptions)));
+  const limit = (searchOptions.limit || 5) + rewrite.subQueries.length * SUB_QUERY_RESULTS;
+  const chunks = fuseRankings(
+    searches.map((search) => ({ chunks: search.chunks, weight: 1 })),
+    searchOptions.rrfK,
+  );
+  console.log(`RAG: Fused ${queries.length} queries -> ${Math.min(chunks.length, limit)} chunks`);
+  return {
+    chunks: chunks.slice(0, limit),
+    timings: Object.fromEntries(searches.map((search, i) => [`query_${i}`, search.timings])),
+  };
+}
 
 /**
  * Retrieve relevant context for a query
+ * The query is rewritten first (spelling, model shorthand, compound questions; see
+ * query-rewriter.js), and each sub-query of a compound question is searched on its own
  * @param {string} query - User query
  * @param {object} ai - Workers AI binding (env.AI)
  * @param {object} supabase - DB client (Supabase or Cloudflare)
- * @param {object} options - Retrieval options
+ * @param {object} options - Retrieval options (threshold, limit, hybrid, rerank, filter,
+ *   skipCache, brandPack, provider (LLM provider for "llm" rewriting), rewrite (rewrite mode,
+ *   defaults to env.QUERY_REWRITE)); unset search options come from getRAGFilterOptions
  * @param {object} env - Worker environment (for caching)
- * @returns {Promise<{context: string, sourceIds: string[], sourceImages: [], classification: object, cached: boolean}>}
+ * @returns {Promise<{context: string, sourceIds: string[], sourceImages: [], citationRefs: object,
+ *   classification: object, cached: boolean}>} citationRefs maps the context's chunk labels
+ *   (S1, S2, ...) to their sources (see citations.js); classification.rewrite holds the
+ *   query rewrite
  */
+// eslint-disable-next-line import/prefer-default-export
 export async function retrieveContext(query, ai, supabase, options = {}, env = {}) {
-  // Classify the query to optimize retrieval
-  const classification = classifyQuery(query);
-  console.log(`RAG: Query classified as "${classification.type}" (confidence: ${(classification.confidence * 100).toFixed(0)}%)`);
-
-  // Check cache first (skip if explicitly disabled)
-  if (!options.skipCache && env.RAG_CACHE) {
-    const cached = await getCachedRAG(query, env);
-    if (cached) {
-      // Re-attach classification (not cached since it's fast to compute)
-      return { ...cached, classification, cached: true };
-    }
+  // Check cache first (skip if explicitly disabled); cached results keep their rewrite
+  const brandId = (options.brandPack || DEFAULT_BRAND_PACK).id;
+  const cached = !options.skipCache && env.RAG_CACHE
+    ? await getCachedRAG(query, brandId, env)
+    : null;
+
+  const rewrite = cached?.rewrite || await rewriteQuery(query, {
+    mode: options.rewrite || env.QUERY_REWRITE || 'rules',
+    provider: options.provider,
+    brandPack: options.brandPack,
+  });
+  if (rewrite.rewritten !== query || rewrite.subQueries.length > 0) {
+    console.log(`RAG: Query rewritten (${rewrite.method}) to "${rewrite.rewritten}"${rewrite.subQueries.length > 0 ? ` + ${rewrite.subQueries.length} sub-queries` : ''}`);
   }
 
-  // Get optimized RAG options based on classification
+  // Classify the rewritten query to optimize retrieval
+  const classification = {
+    ...await classifyQueryByEmbedding(rewrite.rewritten, {
+      ai, db: supabase, brandPack: options.brandPack, mode: env.QUERY_CLASSIFIER,
+    }),
+    rewrite,
+  };
+  console.log(`RAG: Query classified as "${classification.type}" by ${classification.method} (confidence: ${(classification.confidence * 100).toFixed(0)}%, labels: ${classification.labels.join(', ')})`);
+
+  if (cached) {
+    // Re-attach classification (not cached: prototypes change, and it is one embedding away)
+    return { ...cached, classification, cached: true };
+  }
+
+  // Get optimized RAG options based on classification (explicit options take precedence)
   const ragOptions = getRAGFilterOptions(classification);
-  const { threshold = ragOptions.threshold, limit = ragOptions.limit } = options;
+  const searchOptions = {
+    ...ragOptions,
+    ...Object.fromEntries(
+      ['threshold', 'limit', 'hybrid', 'rerank', 'filter']
+        .filter((key) => options[key] !== undefined)
+        .map((key) => [key, options[key]]),
+    ),
+  };
 
   try {
-    // Generate embedding for the query using Workers AI
-    const queryEmbedding = await generateEmbedding(query, ai);
-
-    // Search for relevant content
-    const chunks = await supabase.searchVitamixContent(queryEmbedding, {
-      threshold,
-      limit,
-    });
+    // Hybrid vector + keyword search, fused and optionally reranked (per sub-query)
+    const search = await searchRewrite(rewrite, ai, supabase, searchOptions);
+    const { chunks } = search;
+    console.log(`RAG: Search timings ${JSON.stringify(search.timings)}`);
 
     if (!chunks || chunks.length === 0) {
       console.log('RAG: No relevant sources found for query:', query);
-      return { context: '', sourceIds: [], sourceImages: [], classification, cached: false };
+      return {
+        context: '', sourceIds: [], sourceImages: [], citationRefs: {}, classification, cached: false,
+      };
     }
 
     console.log(`RAG: Found ${chunks.length} relevant sources for query:`, query);
@@ -93,19 +152,50 @@ export async function retrieveContext(query, ai, supabase, options = {}, env = {
     // Build context string for Claude (include source images for product URLs)
     const context = formatContextForClaude(chunks, sourceImages);
 
-    const result = { context, sourceIds, sourceImages };
+    const result = {
+      context, sourceIds, sourceImages, citationRefs: buildCitationRefs(chunks), rewrite,
+    };
 
     // Cache the result (don't include classification - it's computed fresh each time)
     if (env.RAG_CACHE) {
-      await setCachedRAG(query, result, env);
+      await setCachedRAG(query, brandId, result, env);
     }
 
     return { ...result, classification, cached: false };
   } catch (error) {
     console.error('RAG retrieval error:', error);
     // Return empty context on error to allow generation to proceed
-    return { context: '', sourceIds: [], sourceImages: [], classification, cached: false };
+    return {
+      context: '', sourceIds: [], sourceImages: [], citationRefs: {}, classification, cached: false,
+    };
+  }
+}
+
+/**
+ * Format a source's structured recipe (schema.org Recipe, see structured-data.js) as context
+ * @param {object} recipe - Normalized recipe
+ * @returns {string} Recipe data lines
+ */
+function formatRecipeData(recipe) {
+  const facts = [
+    recipe.servings && `Servings: ${recipe.servings}`,
+    recipe.prep_time && `Prep: ${recipe.prep_time}`,
+    recipe.cook_time && `Cook: ${recipe.cook_time}`,
+    recipe.total_time && `Total: ${recipe.total_time}`,
+  ].filter(Boolean);
+
+  let data = `Recipe data${facts.length > 0 ? ` (${facts.join(', ')})` : ''}:\n`;
+  if (recipe.ingredients?.length) {
+    data += `Ingredients:\n${recipe.ingredients.map((item) => `- ${item}`).join('\n')}\n`;
   }
+  if (recipe.steps?.length) {
+    data += `Steps:\n${recipe.steps.map((step, i) => `${i + 1}. ${step}`).join('\n')}\n`;
+  }
+  if (recipe.nutrition) {
+    const nutrition = Object.entries(recipe.nutrition).map(([key, value]) => `${key} ${value}`);
+    data += `Nutrition (per serving): ${nutrition.join(', ')}\n`;
+  }
+  return data;
 }
 
 /**
@@ -131,9 +221,12 @@ function formatContextForClaude(chunks, sourceImages = []) {
 
   let context = '\n\nVITAMIX REFERENCE DATA (use for accurate information):\n\n';
 
+  // Structured recipe data is listed once per source, with its first chunk
+  const recipeSources = new Set();
+
   chunks.forEach((chunk, idx) => {
     const typeLabel = chunk.content_type.toUpperCase();
-    context += `[${idx + 1}] ${typeLabel}: ${chunk.title}\n`;
+    context += `[${citationLabel(idx)}] ${typeLabel}: ${chunk.title}\n`;
     context += `${chunk.chunk_text}\n`;
 
     // Include relevant metadata
@@ -151,6 +244,10 @@ function formatContextForClaude(chunks, sourceImages = []) {
       if (chunk.metadata.image_url) {
         context += `Product Image URL: ${chunk.metadata.image_url}\n`;
       }
+      if (chunk.metadata.recipe && !recipeSources.has(chunk.source_id)) {
+        recipeSources.add(chunk.source_id);
+        context += formatRecipeData(chunk.metadata.recipe);
+      }
     }
 
     // If no image_url in metadata, try to find from sourceImages by title
@@ -167,7 +264,11 @@ function formatContextForClaude(chunks, sourceImages = []) {
       context += `Product Page: ${chunk.url}\n`;
     }
 
-    context += `(Relevance: ${(chunk.similarity * 100).toFixed(0)}%)\n\n`;
+    // Keyword-only matches have no similarity score
+    if (typeof chunk.similarity === 'number') {
+      context += `(Relevance: ${(chunk.similarity * 100).toFixed(0)}%)\n`;
+    }
+    context += '\n';
   });
 
   // Add a dedicated product images section for easy reference
@@ -185,72 +286,10 @@ function formatContextForClaude(chunks, sourceImages = []) {
   }
 
   context += 'IMPORTANT: Prioritize the above reference data for product specs, prices, and features.\n';
+  if (recipeSources.size > 0) {
+    context += 'IMPORTANT: For recipe_detail atoms of a recipe above, copy its ingredients, times, servings and nutrition from its Recipe data.\n';
+  }
   context += 'CRITICAL: For comparison items, use the exact Product Image URLs from above - do NOT use image_prompt for products.\n';
 
   return context;
 }
-
-/**
- * Chunk text into smaller pieces for embedding
- * @param {string} text - Full text content
- * @param {object} options - Chunking options
- * @returns {Array<{text: string, index: number}>} Array of chunks
- */
-export function chunkText(text, options = {}) {
-  const { chunkSize = 500, overlap = 100 } = options;
-
-  const chunks = [];
-  const cleanText = text.replace(/\s+/g, ' ').trim();
-
-  let startIndex = 0;
-  let chunkIndex = 0;
-
-  while (startIndex < cleanText.length) {
-    let endIndex = Math.min(startIndex + chunkSize, cleanText.length);
-
-    // Try to break at sentence boundary
-    if (endIndex < cleanText.length) {
-      const segment = cleanText.slice(startIndex, endIndex + 50);
-      const sentenceEnd = findSentenceEnd(segment, chunkSize);
-      if (sentenceEnd > 0) {
-        endIndex = startIndex + sentenceEnd;
-      }
-    }
-
-    const chunkTextContent = cleanText.slice(startIndex, endIndex).trim();
-
-    if (chunkTextContent.length >= 50) { // Minimum chunk size
-      chunks.push({
-        text: chunkTextContent,
-        index: chunkIndex,
-      });
-      chunkIndex += 1;
-    }
-
-    // Move start with overlap
-    startIndex = endIndex - overlap;
-    if (startIndex >= cleanText.length) break;
-  }
-
-  return chunks;
-}
-
-/**
- * Find sentence boundary in text segment
- * @param {string} segment - Text segment
- * @param {number} maxPos - Maximum position to search
- * @returns {number} Position of sentence end, or -1
- */
-function findSentenceEnd(segment, maxPos) {
-  const sentenceEnders = ['. ', '! ', '? ', '.\n', '!\n', '?\n'];
-
-  let lastBoundary = -1;
-  for (const ender of sentenceEnders) {
-    const pos = segment.lastIndexOf(ender, maxPos);
-    if (pos > lastBoundary) {
-      lastBoundary = pos + 1; // Include the punctuation
-    }
-  }
-
-  return lastBoundary;
-}
@@ -0,0 +1,101 @@
+/**
+ * robots.txt
+ * Parses robots.txt files and answers whether a crawler may fetch a URL, following
+ * RFC 9309 (user-agent groups, longest-match Allow/Disallow with * and $ wildcards)
+ * plus the non-standard Crawl-delay directive
+ *
+ * Used by scripts/crawl-vitamix.js before every page and image request
+ */
+
+/**
+ * Parse a robots.txt file
+ * @param {string} text - robots.txt content
+ * @returns {{groups: Array<{agents: string[], rules: Array<{allow: boolean, path: string}>,
+ *   crawlDelay: number|null}>, sitemaps: string[]}} Parsed groups, in file order
+ */
+export function parseRobots(text) {
+  const groups = [];
+  const sitemaps = [];
+  let group = null;
+  let lastField = null;
+
+  (text || '').split(/\r?\n/).forEach((rawLine) => {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const separator = line.indexOf(':');
+    if (separator < 0) return;
+    const field = line.slice(0, separator).trim().toLowerCase();
+    const value = line.slice(separator + 1).trim();
+
+    if (field === 'user-agent') {
+      // Consecutive user-agent lines share one group
+      if (!group || lastField !== 'user-agent') {
+        group = { agents: [], rules: [], crawlDelay: null };
+        groups.push(group);
+      }
+      group.agents.push(value.toLowerCase());
+    } else if ((field === 'allow' || field === 'disallow') && group) {
+      // An empty Disallow allows everything and adds no rule
+      if (value) group.rules.push({ allow: field === 'allow', path: value });
+    } else if (field === 'crawl-delay' && group) {
+      const delay = parseFloat(value);
+      if (Number.isFinite(delay) && delay >= 0) group.crawlDelay = delay;
+    } else if (field === 'sitemap') {
+      sitemaps.push(value);
+    }
+    lastField = field;
+  });
+
+  return { groups, sitemaps };
+}
+
+/**
+ * Get the rules that apply to a crawler
+ * Groups naming the crawler's product token win over the * group; several matching groups
+ * are merged
+ * @param {object} robots - Parsed robots.txt (see parseRobots)
+ * @param {string} userAgent - Crawler product token, e.g. "VitamixCrawler"
+ * @returns {{rules: Array, crawlDelay: number|null}} Rules and crawl delay (seconds)
+ */
+export function getRobotsRules(robots, userAgent) {
+  const token = userAgent.toLowerCase();
+  const named = robots.groups
+    .filter((g) => g.agents.some((agent) => agent !== '*' && token.includes(agent)));
+  const matching = named.length > 0
+    ? named
+    : robots.groups.filter((g) => g.agents.includes('*'));
+  const delays = matching.map((g) => g.crawlDelay).filter((delay) => delay !== null);
+  return {
+    rules: matching.flatMap((g) => g.rules),
+    crawlDelay: delays.length > 0 ? Math.max(...delays) : null,
+  };
+}
+
+/**
+ * Compile a robots.txt path pattern (* matches any characters, a trailing $ anchors the end)
+ */
+function toPathRegExp(pattern) {
+  const anchored = pattern.endsWith('$');
+  const source = (anchored ? pattern.slice(0, -1) : pattern)
+    .split('*')
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${source}${anchored ? '$' : ''}`);
+}
+
+/**
+ * Check whether rules allow a URL
+ * The longest matching rule wins; on a tie Allow wins; no matching rule allows the URL
+ * @param {Array} rules - Rules from getRobotsRules
+ * @param {string} url - Absolute URL
+ * @returns {boolean} Whether the URL may be fetched
+ */
+export function isAllowed(rules, url) {
+  const { pathname, search } = new URL(url);
+  if (pathname === '/robots.txt') return true;
+  const target = `${pathname}${search}`;
+
+  const match = rules
+    .filter((rule) => toPathRegExp(rule.path).test(target))
+    .sort((a, b) => b.path.length - a.path.length || Number(b.allow) - Number(a.allow))[0];
+  return match ? match.allow : true;
+}
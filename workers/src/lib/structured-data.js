@@ -0,0 +1,163 @@
+/**
+ * Structured Data (schema.org JSON-LD)
+ * Normalizes the Recipe and Product objects vitamix.com publishes as application/ld+json,
+ * so ingredients, times, yields, nutrition and offers survive crawling
+ *
+ * scripts/crawl-vitamix.js stores the result in vitamix_sources.metadata
+ * ({ recipe, product }); RAG passes it to the content prompts
+ */
+
+// schema.org NutritionInformation properties, by normalized key
+const NUTRITION_FIELDS = {
+  calories: 'calories',
+  fat: 'fatContent',
+  saturated_fat: 'saturatedFatContent',
+  cholesterol: 'cholesterolContent',
+  sodium: 'sodiumContent',
+  carbohydrates: 'carbohydrateContent',
+  fiber: 'fiberContent',
+  sugar: 'sugarContent',
+  protein: 'proteinContent',
+  serving_size: 'servingSize',
+};
+
+/**
+ * Find the first entity of a schema.org type among a page's JSON-LD blocks
+ * Handles arrays, @graph containers and multi-valued @type
+ * @param {Array} blocks - Parsed JSON-LD blocks
+ * @param {string} type - schema.org type, e.g. 'Recipe'
+ * @returns {object|null} Entity
+ */
+export function findJsonLdEntity(blocks, type) {
+  const entities = (blocks || [])
+    .flatMap((block) => (Array.isArray(block) ? block : [block]))
+    .flatMap((entity) => [entity, ...(entity?.['@graph'] || [])]);
+  return entities.find((entity) => [].concat(entity?.['@type']).includes(type)) || null;
+}
+
+/**
+ * Plain text of a JSON-LD value (strips HTML and collapses whitespace)
+ */
+function toText(value) {
+  if (value === undefined || value === null) return null;
+  const text = String(value).replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ').trim();
+  return text || null;
+}
+
+/**
+ * Format an ISO 8601 duration ("PT1H15M") for display ("1 hr 15 min")
+ * @param {string} duration - ISO 8601 duration
+ * @returns {string|null} Readable duration (the input if it is not ISO 8601)
+ */
+export function formatDuration(duration) {
+  const match = typeof duration === 'string'
+    && duration.match(/^P(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:\d+S)?)?$/i);
+  if (!match) return toText(duration);
+  const [, days, hours, minutes] = match.map((n) => Number(n) || 0);
+  const parts = [
+    (days * 24 + hours) > 0 && `${days * 24 + hours} hr`,
+    minutes > 0 && `${minutes} min`,
+  ].filter(Boolean);
+  return parts.length > 0 ? parts.join(' ') : null;
+}
+
+/**
+ * URL of a JSON-LD image (string, ImageObject or a list of either)
+ */
+function toImageUrl(image) {
+  const first = [].concat(image || [])[0];
+  return (typeof first === 'string' ? first : first?.url) || null;
+}
+
+/**
+ * Flatten recipeInstructions (text, HowToStep, HowToSection) into step texts
+ */
+function toSteps(instructions) {
+  if (typeof instructions === 'string') {
+    return instructions.split(/\n+/).map(toText).filter(Boolean);
+  }
+  return [].concat(instructions || []).flatMap((step) => {
+    if (typeof step === 'string') return [toText(step)];
+    if (step?.itemListElement) return toSteps(step.itemListElement);
+    return [toText(step?.text || step?.name)];
+  }).filter(Boolean);
+}
+
+/**
+ * Normalize schema.org NutritionInformation
+ */
+function toNutrition(nutrition) {
+  if (!nutrition || typeof nutrition !== 'object') return null;
+  const values = Object.entries(NUTRITION_FIELDS)
+    .map(([key, field]) => [key, toText(nutrition[field])])
+    .filter(([, value]) => value);
+  return values.length > 0 ? Object.fromEntries(values) : null;
+}
+
+/**
+ * Normalize a schema.org Recipe
+ * @param {object} entity - Recipe JSON-LD entity
+ * @returns {object} { name, description, image_url, prep_time, cook_time, total_time, servings,
+ *   ingredients, steps, nutrition, category, cuisine, keywords }
+ */
+export function normalizeRecipe(entity) {
+  return {
+    name: toText(entity.name),
+    description: toText(entity.description),
+    image_url: toImageUrl(entity.image),
+    prep_time: formatDuration(entity.prepTime),
+    cook_time: formatDuration(entity.cookTime),
+    total_time: formatDuration(entity.totalTime),
+    servings: toText([].concat(entity.recipeYield || [])[0]),
+    ingredients: [].concat(entity.recipeIngredient || entity.ingredients || [])
+      .map(toText)
+      .filter(Boolean),
+    steps: toSteps(entity.recipeInstructions),
+    nutrition: toNutrition(entity.nutrition),
+    category: toText([].concat(entity.recipeCategory || [])[0]),
+    cuisine: toText([].concat(entity.recipeCuisine || [])[0]),
+    keywords: (Array.isArray(entity.keywords) ? entity.keywords : (entity.keywords || '').split(','))
+      .map(toText)
+      .filter(Boolean),
+  };
+}
+
+/**
+ * Normalize a schema.org Product
+ * @param {object} entity - Product JSON-LD entity
+ * @returns {object} { name, description, sku, brand, image_url, price, currency, availability,
+ *   url, rating, review_count }
+ */
+export function normalizeProduct(entity) {
+  const offer = [].concat(entity.offers || [])[0];
+  const offerPrice = offer?.price ?? offer?.lowPrice;
+  const price = parseFloat(offerPrice);
+  const rating = parseFloat(entity.aggregateRating?.ratingValue);
+  return {
+    name: toText(entity.name),
+    description: toText(entity.description),
+    sku: toText(entity.sku),
+    brand: toText(entity.brand?.name || entity.brand),
+    image_url: toImageUrl(entity.image),
+    price: Number.isFinite(price) ? price : null,
+    currency: offer?.priceCurrency || null,
+    availability: toText(offer?.availability)?.replace(/^https?:\/\/schema\.org\//, '') || null,
+    url: entity.url || offer?.url || null,
+    rating: Number.isFinite(rating) ? rating : null,
+    review_count: parseInt(entity.aggregateRating?.reviewCount, 10) || null,
+  };
+}
+
+/**
+ * Extract the normalized Recipe and Product of a page's JSON-LD blocks
+ * @param {Array} blocks - Parsed JSON-LD blocks
+ * @returns {object} { recipe, product }, each only when the page publishes one
+ */
+export function extractStructuredData(blocks) {
+  const recipe = findJsonLdEntity(blocks, 'Recipe');
+  const product = findJsonLdEntity(blocks, 'Product');
+  return {
+    ...(recipe && { recipe: normalizeRecipe(recipe) }),
+    ...(product && { product: normalizeProduct(product) }),
+  };
+}
@@ -0,0 +1,138 @@
+/**
+ * Vitamix Brand Pack (built-in default)
+ * Everything brand-specific the pipeline needs: catalog, voice, product URLs,
+ * classifier vocabulary and image style rules
+ *
+ * Other brands use the same JSON shape, stored in the D1 brand_packs table
+ * (see migrations/0003_brand_packs.sql)
+ */
+
+// eslint-disable-next-line import/prefer-default-export
+export const VITAMIX_BRAND_PACK = {
+  id: 'vitamix',
+  name: 'Vitamix',
+  description: 'the premium blender company',
+  // Hostnames that select this pack (the default pack also serves unmatched hosts)
+  hostnames: ['www.vitamix.com', 'vitamix.com'],
+
+  catalog: {
+    // Product lines, one line each, injected into the content prompts
+    product_lines: [
+      'Ascent Series: A2300 ($449), A2500 ($549), A3300 ($549), A3500 ($629) - Self-Detect technology, wireless connectivity, touchscreen on A3500',
+      'Explorian Series: E310 ($349), E320 ($449) - great value, professional-grade power',
+      'Propel Series: Entry-level, powerful 2.2 HP motor',
+      'Professional Series: 750 ($529), 300 - commercial-grade, NSF certified',
+      'Personal Cup Adapters: 20oz cups for single servings',
+      'Container sizes: 64oz standard, 48oz wet/dry, 20oz personal cup',
+    ],
+    key_features: [
+      '10-year full warranty (industry leading)',
+      'Aircraft-grade stainless steel blades that never need replacing',
+      'Hot soup in 6 minutes from raw ingredients (friction heating)',
+      'Self-cleaning in 60 seconds with warm water and dish soap',
+      'Variable speed control (1-10) plus Pulse',
+      'Built-in programs: Smoothies, Hot Soups, Frozen Desserts, Dips & Spreads, Self-Cleaning',
+    ],
+    // Models by catalog id (products.model), with their series and other names they go by
+    // (see entities.js); ids ending in a digit also match with a trailing "i" ("A3500i")
+    models: [
+      { id: 'A3500', series: 'Ascent' },
+      { id: 'A3300', series: 'Ascent' },
+      { id: 'A2500', series: 'Ascent' },
+      { id: 'A2300', series: 'Ascent' },
+      { id: 'E310', series: 'Explorian' },
+      { id: 'E320', series: 'Explorian' },
+      { id: 'PROPEL 510', series: 'Propel', aliases: ['P510'] },
+      { id: 'PROPEL 750', series: 'Propel', aliases: ['P750'] },
+      { id: '750', series: 'Professional', aliases: ['Pro 750'] },
+      { id: 'V1200', series: 'Venturist' },
+      { id: 'S55', series: 'S-Series', aliases: ['S 55'] },
+    ],
+    // Models a "show all models" comparison must cover at minimum
+    comparison_models: ['A3500', 'A2500', 'A2300', 'E320', 'E310', '750', 'Propel'],
+    // Spec keys every comparison item must use
+    comparison_spec_keys: ['series', 'price', 'motor', 'container', 'warranty', 'programs', 'smart', 'interface'],
+    // Built-in program names, detected on crawled product pages (see product-catalog.js)
+    program_names: ['Smoothies', 'Hot Soups', 'Frozen Desserts', 'Dips & Spreads', 'Self-Cleaning'],
+    image_prompt_format: 'Modern Vitamix [model] blender with [finish], [container size] container, professional product shot',
+    recommendation_phrases: [
+      'which vitamix should I buy',
+      'help me choose',
+      'recommend a vitamix',
+      'best blender for [use case]',
+      'what vitamix is best',
+      'which one should I get',
+    ],
+  },
+
+  voice: {
+    traits: [
+      'Helpful, expert, approachable',
+      'Focus on whole-food nutrition and health benefits',
+      'Emphasize "blend vitamins IN, not out" (no straining needed)',
+      'Highlight versatility (one machine replaces 10 appliances)',
+      'American craftsmanship and durability',
+    ],
+    guidelines: [
+      'Always recommend specific Vitamix models when relevant',
+      'Include container size recommendations when discussing recipes',
+    ],
+  },
+
+  product_urls: {
+    // Canonical shop URLs, checked in order: a bad URL containing the model key is rewritten
+    models: [
+      { model: 'a3500', url: 'https://www.vitamix.com/vr/en_us/shop/blenders/a3500i' },
+      { model: 'a2500', url: 'https://www.vitamix.com/vr/en_us/shop/blenders/a2500i' },
+      { model: 'a2300', url: 'https://www.vitamix.com/vr/en_us/shop/blenders/a2300i' },
+      { model: 'e310', url: 'https://www.vitamix.com/vr/en_us/shop/blenders/e310' },
+      { model: 'e320', url: 'https://www.vitamix.com/vr/en_us/shop/blenders/e320' },
+      { model: 'v1200', url: 'https://www.vitamix.com/vr/en_us/shop/blenders/venturist-v1200i' },
+      { model: '750', url: 'https://www.vitamix.com/us/en_us/shop/professional-series-750' },
+    ],
+    example: 'https://www.vitamix.com/vr/en_us/shop/blenders/a2500i',
+    // URL fragments the model tends to invent; URLs containing them get rewritten
+    invalid_patterns: ['/products/', '/us/en_us/shop/'],
+  },
+
+  classifier: {
+    // Regex fragments, joined into word-boundary patterns
+    product_terms: [
+      'blender', 'vitamix', 'ascent', 'explorian', 'propel', 'professional',
+      'a2[35]00', 'a3[35]00', 'e3[12]0', '750', 'container', 'blade', 'tamper', 'cup', 'pitcher',
+    ],
+    commercial_terms: ['quiet one', 'drink machine', 'vita.?prep', 'blending station'],
+    // Plain substrings that strongly indicate a query type
+    strong_indicators: {
+      product: ['vitamix', 'ascent', 'explorian', 'propel', 'a2300', 'a2500', 'a3300', 'a3500', 'e310', 'e320', '750'],
+      recipe: ['recipe', 'smoothie', 'soup', 'sauce', 'ingredients'],
+      support: ['warranty', 'repair', 'troubleshoot', 'manual'],
+      commercial: ['commercial', 'restaurant', 'quiet one'],
+    },
+    // Misspellings corrected before retrieval (see query-rewriter.js), matched as whole words
+    spelling: {
+      'vita mix': 'vitamix',
+      vitamixx: 'vitamix',
+      vitamx: 'vitamix',
+      vitamex: 'vitamix',
+      blendr: 'blender',
+      smoothy: 'smoothie',
+      smoothys: 'smoothies',
+      smoothes: 'smoothies',
+      recipies: 'recipes',
+      acent: 'ascent',
+    },
+  },
+
+  image_style: {
+    // Terms removed from prompts before image generation (regex fragments)
+    strip_terms: ['vitamix', 'blender'],
+    food: 'High-quality, appetizing composition with beautiful lighting. Fresh ingredients, vibrant colors, clean modern presentation. Shallow depth of field. Do not include any blenders, kitchen appliances, or Vitamix products.',
+    product: 'Clean white or light gray studio background, professional lighting with soft shadows, high-resolution shot. Modern, premium feel. No text, watermarks, or kitchen appliances.',
+    fallback_prompts: {
+      hero: 'Professional food photography: Fresh colorful fruits and vegetables arranged beautifully on a clean white marble counter. Bright natural lighting, appetizing composition. No kitchen appliances.',
+      comparison: 'Professional food photography: Fresh healthy smoothie in a glass with colorful fruits and ingredients around it. Clean white studio background, professional lighting with soft shadows. No kitchen appliances.',
+      default: 'Professional food photography: Fresh healthy ingredients including berries, leafy greens, and citrus fruits. Clean modern presentation with soft natural lighting. Appetizing and vibrant colors. No kitchen appliances.',
+    },
+  },
+};
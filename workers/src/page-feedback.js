@@ -0,0 +1,171 @@
+/**
+ * Page Feedback API Endpoints
+ * Stores reader feedback (thumbs up/down, free-text reports) on a page or one of its blocks,
+ * lists the low-rated and reported pages for review, and applies an operator's decision:
+ * - invalidate: take the page out of the query cache, so the next request generates a new one
+ * - regenerate: rewrite the reported block with the reports as instruction (a new revision),
+ *   or invalidate the page and generate it again
+ * - dismiss: close the feedback without changes
+ */
+
+import { createClient as createCloudflareClient } from './lib/cloudflare-db.js';
+import { resolveBrandPack } from './lib/brand-pack.js';
+import { invalidateCachedPage } from './lib/page-cache.js';
+import { regenerateBlock } from './regenerate-block.js';
+import { generatePage } from './generate-page.js';
+
+// Ratings accepted from readers
+const RATINGS = { up: 1, down: -1 };
+
+// Longest report stored
+const MAX_COMMENT_LENGTH = 1000;
+
+// Reports passed on as the instruction of a block regeneration
+const MAX_INSTRUCTION_REPORTS = 5;
+
+// Session the pages generated from the review queue are recorded for
+const REVIEW_SESSION_ID = 'review-queue';
+
+/**
+ * Store reader feedback on a page or one of its blocks
+ * @param {object} body - Request body: page_id, session_id, optional block_index, rating
+ *   ('up' | 'down') and/or comment
+ * @param {object} env - Worker environment
+ * @returns {Promise<object|null>} Stored feedback (null if no such page or block)
+ */
+export async function submitFeedback(body, env) {
+  const db = createCloudflareClient(env);
+  const page = await db.getPage(body.page_id);
+  if (!page) {
+    return null;
+  }
+
+  const blockIndex = body.block_index ?? null;
+  const block = blockIndex === null ? null : (page.layout_blocks || [])[blockIndex];
+  if (blockIndex !== null && !block) {
+    return null;
+  }
+
+  const comment = typeof body.comment === 'string' ? body.comment.trim() : '';
+  const feedback = {
+    page_id: page.id,
+    block_index: blockIndex,
+    block_type: block?.block_type || null,
+    session_id: body.session_id,
+    rating: RATINGS[body.rating] ?? null,
+    comment: comment ? comment.slice(0, MAX_COMMENT_LENGTH) : null,
+  };
+  await db.insertPageFeedback(feedback);
+
+  return { success: true, feedback };
+}
+
+/**
+ * List the pages to review: low rated (more thumbs down than up) or reported, worst first
+ * @param {object} options - { brandId, days (look back), limit (maximum pages) }
+ * @param {object} env - Worker environment
+ * @returns {Promise<Array>} Pages with their rating counts and open feedback per block
+ *   (block_index null for the page itself)
+ */
+export async function getReviewQueue({ brandId, days, limit }, env) {
+  const db = createCloudflareClient(env);
+  const pages = await db.getFeedbackQueue(brandId, days, limit);
+  const feedback = await db.getOpenFeedback(pages.map((page) => page.page_id));
+
+  return pages.map((page) => {
+    const blocks = {};
+    feedback.filter((item) => item.page_id === page.page_id).forEach((item) => {
+      const key = item.block_index ?? 'page';
+      blocks[key] = blocks[key] || {
+        block_index: item.block_index,
+        block_type: item.block_type,
+        thumbs_up: 0,
+        thumbs_down: 0,
+        reports: [],
+      };
+      if (item.rating === 1) blocks[key].thumbs_up += 1;
+      if (item.rating === -1) blocks[key].thumbs_down += 1;
+      if (item.comment) {
+        blocks[key].reports.push({ comment: item.comment, created_at: item.created_at });
+      }
+    });
+    return { ...page, feedback: Object.values(blocks) };
+  });
+}
+
+/**
+ * Apply an operator's decision on a page in the review queue
+ * @param {object} body - Request body: page_id, action ('invalidate' | 'regenerate' |
+ *   'dismiss'), optional block_index (regenerate that block; dismiss only its feedback)
+ * @param {object} env - Worker environment
+ * @param {object} ctx - Execution context (background work of a page regeneration)
+ * @returns {Promise<object|null>} Result of the action, { error, status } when a block cannot be
+ *   regenerated (see regenerate-block.js), the page's brand is unknown or no new page was
+ *   generated, or null if no such page (also when it disappears while its block is regenerated)
+ */
+export async function reviewPage(body, env, ctx) {
+  const { page_id: pageId, action, block_index: blockIndex } = body;
+  const db = createCloudflareClient(env);
+  const page = await db.getPage(pageId);
+  if (!page) {
+    return null;
+  }
+
+  if (action === 'dismiss') {
+    const resolved = await db.resolvePageFeedback(pageId, 'dismissed', blockIndex);
+    return { success: true, action, resolved };
+  }
+
+  if (action === 'invalidate') {
+    await invalidateCachedPage(pageId, db, env);
+    const resolved = await db.resolvePageFeedback(pageId, 'invalidated');
+    return { success: true, action, resolved };
+  }
+
+  if (action !== 'regenerate') {
+    throw new Error(`Unknown review action: ${action}`);
+  }
+
+  // One block: rewrite it in place, with what readers reported as the instruction
+  if (blockIndex !== undefined) {
+    const feedback = await db.getOpenFeedback([pageId]);
+    const reports = feedback
+      .filter((item) => item.block_index === blockIndex && item.comment)
+      .slice(0, MAX_INSTRUCTION_REPORTS)
+      .map((item) => item.comment);
+    const instruction = reports.length > 0
+      ? `Fix what readers reported: ${reports.join('; ')}`
+      : '';
+    const result = await regenerateBlock({
+      page_id: pageId, block_index: blockIndex, instruction,
+    }, env);
+    if (!result || result.error) {
+      return result;
+    }
+    const resolved = await db.resolvePageFeedback(pageId, 'regenerated', blockIndex);
+    return {
+      ...result, action, instruction: instruction || null, resolved,
+    };
+  }
+
+  // Whole page: out of the cache, then generated again with the pipeline it was made with (not
+  // answered from the cache: another page cached for the same or a similar query would come back)
+  const brandPack = await resolveBrandPack(env, { brand: page.brand_id });
+  if (!brandPack) {
+    return { error: `Unknown brand: ${page.brand_id}`, status: 404 };
+  }
+  await invalidateCachedPage(pageId, db, env);
+  const regenerated = await generatePage({
+    query: page.query,
+    session_id: REVIEW_SESSION_ID,
+    pipeline: page.content_atoms ? 'flexible' : 'legacy',
+  }, env, ctx, brandPack, { skipCache: true });
+  if (regenerated.cached) {
+    return { error: `Page ${pageId} was answered from the cache, not regenerated`, status: 409 };
+  }
+  const resolved = await db.resolvePageFeedback(pageId, 'regenerated');
+
+  return {
+    success: true, action, resolved, page_id: regenerated.id, replaced_page_id: pageId,
+  };
+}
@@ -0,0 +1,193 @@
+/**
+ * Page Revisions API Endpoints
+ * Lists, diffs and restores the revisions recorded for a generated page,
+ * and applies admin edits as new revisions
+ */
+
+import { validateAtom } from './lib/atom-validation.js';
+import { createClient as createCloudflareClient, REVISION_FIELDS } from './lib/cloudflare-db.js';
+
+/**
+ * Check whether a value is a plain object
+ */
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Collect the differences between two JSON values
+ * Objects are compared by key and arrays by index
+ * @param {*} before - Value at the older revision
+ * @param {*} after - Value at the newer revision
+ * @param {string} path - Path of the value (e.g. "content_atoms[2].text")
+ * @param {Array} changes - Collected changes ({ path, op, before, after })
+ * @returns {Array} changes
+ */
+function diffJSON(before, after, path, changes = []) {
+  if (JSON.stringify(before) === JSON.stringify(after)) {
+    return changes;
+  }
+
+  if (before === undefined || before === null) {
+    changes.push({ path, op: 'added', after });
+  } else if (after === undefined || after === null) {
+    changes.push({ path, op: 'removed', before });
+  } else if (Array.isArray(before) && Array.isArray(after)) {
+    const length = Math.max(before.length, after.length);
+    Array.from({ length }).forEach((_, i) => {
+      diffJSON(before[i], after[i], `${path}[${i}]`, changes);
+    });
+  } else if (isObject(before) && isObject(after)) {
+    const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+    keys.forEach((key) => diffJSON(before[key], after[key], `${path}.${key}`, changes));
+  } else {
+    changes.push({
+      path, op: 'changed', before, after,
+    });
+  }
+
+  return changes;
+}
+
+/**
+ * List the revisions of a page
+ * @param {string} pageId - UUID of the page
+ * @param {object} env - Worker environment
+ * @returns {Promise<object|null>} Current revision and revision list (null if no such page)
+ */
+export async function getPageRevisions(pageId, env) {
+  const db = createCloudflareClient(env);
+  const page = await db.getPage(pageId);
+  if (!page) {
+    return null;
+  }
+
+  const revisions = await db.listPageRevisions(pageId);
+  return {
+    page_id: pageId,
+    current_revision: page.revision || 1,
+    // Pages that were never updated have no stored revisions yet
+    revisions: revisions.length > 0
+      ? revisions
+      : [{ revision: page.revision || 1, reason: 'initial_generation', created_at: page.created_at }],
+  };
+}
+
+/**
+ * Diff two revisions of a page
+ * @param {string} pageId - UUID of the page
+ * @param {number} from - Older revision
+ * @param {number|null} to - Newer revision (default: current revision)
+ * @param {object} env - Worker environment
+ * @returns {Promise<object|null>} Changes per revision field, or null if a revision does not exist
+ */
+export async function diffPageRevisions(pageId, from, to, env) {
+  const db = createCloudflareClient(env);
+  const before = await db.getPageRevision(pageId, from);
+  if (!before) {
+    return null;
+  }
+  const after = await db.getPageRevision(pageId, to ?? before.current_revision ?? before.revision);
+  if (!after) {
+    return null;
+  }
+
+  const changes = Object.fromEntries(
+    REVISION_FIELDS
+      .map((field) => [field, diffJSON(before[field], after[field], field)])
+      .filter(([, fieldChanges]) => fieldChanges.length > 0),
+  );
+
+  return {
+    page_id: pageId,
+    from: before.revision,
+    to: after.revision,
+    changed_fields: Object.keys(changes),
+    changes,
+  };
+}
+
+/**
+ * Restore the content of an earlier revision (recorded as a new revision)
+ * @param {object} body - Request body: page_id, revision
+ * @param {object} env - Worker environment
+ * @returns {Promise<object|null>} Updated page, or null if the page or revision does not exist
+ */
+export async function rollbackPage(body, env) {
+  const { page_id: pageId, revision } = body;
+
+  const db = createCloudflareClient(env);
+  const target = await db.getPageRevision(pageId, revision);
+  if (!target) {
+    return null;
+  }
+
+  const restored = Object.fromEntries(REVISION_FIELDS.map((field) => [field, target[field]]));
+  const page = await db.updatePage(pageId, restored, {
+    reason: 'rollback',
+    details: { to_revision: target.revision },
+  });
+  if (!page) {
+    return null;
+  }
+  console.log(`Rolled back page ${pageId} to revision ${target.revision} (now ${page.revision})`);
+
+  return { success: true, page, revision: page.revision };
+}
+
+/**
+ * Apply an admin edit to a page (recorded as a new revision)
+ * Only revision fields can be edited; edited content atoms must pass validation
+ * @param {object} body - Request body: page_id, updates, optional note
+ * @param {object} env - Worker environment
+ * @returns {Promise<object|null>} Updated page, { error, status } when the edit is invalid (400),
+ *   or null if the page does not exist
+ */
+export async function editPage(body, env) {
+  const { page_id: pageId, updates = {}, note = null } = body;
+
+  if (!isObject(updates)) {
+    return { error: 'updates must be an object', status: 400 };
+  }
+  const unknownFields = Object.keys(updates).filter((field) => !REVISION_FIELDS.includes(field));
+  if (unknownFields.length > 0) {
+    return { error: `Fields cannot be edited: ${unknownFields.join(', ')}`, status: 400 };
+  }
+  if (Object.keys(updates).length === 0) {
+    return {
+      error: `No updates given (editable fields: ${REVISION_FIELDS.join(', ')})`,
+      status: 400,
+    };
+  }
+
+  if (updates.content_atoms !== undefined) {
+    if (!Array.isArray(updates.content_atoms)) {
+      return { error: 'content_atoms must be an array', status: 400 };
+    }
+    const invalid = updates.content_atoms
+      .map((atom, index) => ({ index, errors: validateAtom(atom) }))
+      .filter(({ errors }) => errors.length > 0);
+    if (invalid.length > 0) {
+      const { index, errors } = invalid[0];
+      return {
+        error: `Invalid content atom ${index}: ${errors[0].path} ${errors[0].message}`,
+        status: 400,
+      };
+    }
+  }
+
+  const db = createCloudflareClient(env);
+  if (!await db.getPage(pageId)) {
+    return null;
+  }
+
+  const page = await db.updatePage(pageId, updates, {
+    reason: 'admin_edit',
+    details: { fields: Object.keys(updates), note },
+  });
+  if (!page) {
+    return null;
+  }
+
+  return { success: true, page, revision: page.revision };
+}
@@ -0,0 +1,217 @@
+/**
+ * Regenerate Block API Endpoint
+ * Rewrites the content atoms behind one layout block of an existing page
+ * and saves the result as a new page revision
+ *
+ * Only the regenerated atoms are written, on top of the page's current revision: an image
+ * fill or another edit landing during the regeneration is kept (the save is retried)
+ */
+
+import { regenerateAtoms } from './lib/claude.js';
+import { getBlockLibrary } from './lib/gemini.js';
+import { getLLMProvider } from './lib/llm-provider.js';
+import { resolveBrandPack } from './lib/brand-pack.js';
+import { classifyQuery } from './lib/query-classifier.js';
+import { createClient as createCloudflareClient } from './lib/cloudflare-db.js';
+import { determineImageStrategy, findMatchingImages, applyMatchedImages } from './lib/hybrid-images.js';
+
+// Blocks that render every atom of a type (all other blocks render the first one)
+const ALL_ATOMS_BLOCKS = {
+  'text-section': ['paragraph'],
+};
+
+// Saves attempted when the page changes between reading and writing it
+const MAX_SAVE_ATTEMPTS = 3;
+
+/**
+ * Get the atom types a layout block is built from
+ * Reads atom_mappings (e.g. "faq_set.items"), falling back to the block library
+ * @param {object} block - Layout block
+ * @returns {Array<string>} Atom types
+ */
+function getBlockAtomTypes(block) {
+  const mapped = Object.values(block.atom_mappings || {})
+    .filter((source) => typeof source === 'string' && !source.startsWith('metadata.'))
+    .map((source) => source.split('.')[0]);
+  const types = mapped.length > 0 ? mapped : getBlockLibrary()[block.block_type]?.required || [];
+  return [...new Set(types)];
+}
+
+/**
+ * Get the indexes in content_atoms of the atoms a block renders
+ * @param {object} block - Layout block
+ * @param {Array} atoms - Page content atoms
+ * @returns {Array<number>} Atom indexes
+ */
+function getBlockAtomIndexes(block, atoms) {
+  const allAtomTypes = ALL_ATOMS_BLOCKS[block.block_type] || [];
+  return getBlockAtomTypes(block).flatMap((type) => {
+    const indexes = atoms
+      .map((atom, i) => (atom.type === type ? i : -1))
+      .filter((i) => i >= 0);
+    return allAtomTypes.includes(type) ? indexes : indexes.slice(0, 1);
+  });
+}
+
+/**
+ * Check whether an image_url is a real image (not an image prompt)
+ */
+function isImageUrl(url) {
+  return typeof url === 'string' && url.startsWith('http');
+}
+
+/**
+ * Copy the previous image onto an item that has none
+ */
+function withPreviousImage(item, previous) {
+  if (!item || isImageUrl(item.image_url) || !isImageUrl(previous?.image_url)) {
+    return item;
+  }
+  return { ...item, image_url: previous.image_url };
+}
+
+/**
+ * Keep the previous images of a regenerated atom, by position, where it has no image of its own
+ * @param {object} previous - Atom before regeneration
+ * @param {object} atom - Regenerated atom
+ * @returns {object} Atom with images
+ */
+function carryOverImages(previous, atom) {
+  const updated = { ...withPreviousImage(atom, previous) };
+  if (Array.isArray(atom.items)) {
+    updated.items = atom.items.map((item, i) => withPreviousImage(item, previous.items?.[i]));
+  }
+  if (Array.isArray(atom.picks)) {
+    updated.picks = atom.picks.map((pick, i) => (pick?.product
+      ? { ...pick, product: withPreviousImage(pick.product, previous.picks?.[i]?.product) }
+      : pick));
+  }
+  return updated;
+}
+
+/**
+ * Find RAG images for regenerated atoms
+ * The hero image is left alone: metadata is not regenerated
+ * @returns {Promise<Array>} Atoms with matched images
+ */
+async function matchImages(atoms, query, brandPack, env) {
+  const classification = classifyQuery(query, brandPack);
+  const strategy = determineImageStrategy(classification, atoms, null);
+  const matches = await findMatchingImages(atoms, null, classification, env, brandPack);
+  const { pageData } = applyMatchedImages(
+    { content_atoms: atoms, metadata: null },
+    matches,
+    strategy,
+  );
+  return pageData.content_atoms;
+}
+
+/**
+ * Regenerate block handler
+ * @param {object} body - Request body: page_id, block_index, optional instruction
+ * @param {object} env - Worker environment
+ * @returns {Promise<object|null>} Updated page and revision, { error, status } when the block
+ *   cannot be regenerated (400, 404: also for a page of an unknown brand) or the page kept
+ *   changing (409), or null if the page does not exist
+ */
+// eslint-disable-next-line import/prefer-default-export
+export async function regenerateBlock(body, env) {
+  const { page_id: pageId, block_index: blockIndex, instruction = '' } = body;
+
+  const db = createCloudflareClient(env);
+  const page = await db.getPage(pageId);
+  if (!page) {
+    return null;
+  }
+
+  if (!page.content_atoms || !page.layout_blocks) {
+    return {
+      error: 'Block regeneration requires a page with content atoms and layout blocks',
+      status: 400,
+    };
+  }
+
+  const { content_atoms: atoms, layout_blocks: blocks } = page;
+  if (blockIndex >= blocks.length) {
+    return {
+      error: `Block index ${blockIndex} out of range (page has ${blocks.length} blocks)`,
+      status: 404,
+    };
+  }
+
+  const block = blocks[blockIndex];
+  const atomIndexes = getBlockAtomIndexes(block, atoms);
+  if (atomIndexes.length === 0) {
+    return {
+      error: `Block ${blockIndex} (${block.block_type}) has no content atoms to regenerate`,
+      status: 400,
+    };
+  }
+  console.log(`Regenerating block ${blockIndex} (${block.block_type}): atoms ${atomIndexes.join(', ')}`);
+
+  // Content follows the brand the page was generated for
+  const brandPack = await resolveBrandPack(env, { brand: page.brand_id });
+  if (!brandPack) {
+    return { error: `Unknown brand: ${page.brand_id}`, status: 404 };
+  }
+  const ragOptions = env.AI
+    ? {
+      supabase: db, ai: env.AI, env, brandPack, instruction,
+    }
+    : { env, brandPack, instruction };
+
+  const previousAtoms = atomIndexes.map((i) => atoms[i]);
+  const { contentAtoms, validationErrors } = await regenerateAtoms(
+    page.query,
+    previousAtoms,
+    getLLMProvider(env),
+    ragOptions,
+  );
+
+  // Atoms the model could not rewrite keep their current content
+  let regenerated = contentAtoms.map((atom, i) => atom || previousAtoms[i]);
+  if (env.IMAGE_VECTORS) {
+    try {
+      regenerated = await matchImages(regenerated, page.query, brandPack, env);
+    } catch (imageError) {
+      console.error('Image matching failed, keeping previous images:', imageError);
+    }
+  }
+
+  // Write the regenerated atoms into the page as it is now, while it stays at that revision
+  const save = async (current, attempt) => {
+    const updatedAtoms = [...current.content_atoms];
+    atomIndexes.forEach((atomIndex, i) => {
+      updatedAtoms[atomIndex] = carryOverImages(current.content_atoms[atomIndex], regenerated[i]);
+    });
+    const updated = await db.updatePage(pageId, { content_atoms: updatedAtoms }, {
+      reason: 'block_regeneration',
+      details: {
+        block_index: blockIndex,
+        block_type: block.block_type,
+        instruction: instruction || null,
+      },
+      revision: current.revision,
+    });
+    if (updated || attempt >= MAX_SAVE_ATTEMPTS) return updated;
+
+    // Retry only while the block's atoms are where they were (a rollback may have moved them)
+    const latest = await db.getPage(pageId);
+    const unchanged = atomIndexes
+      .every((atomIndex, i) => latest?.content_atoms?.[atomIndex]?.type === previousAtoms[i].type);
+    return unchanged ? save(latest, attempt + 1) : null;
+  };
+
+  const updatedPage = await save(page, 1);
+  if (!updatedPage) {
+    return { error: 'Page changed during block regeneration, try again', status: 409 };
+  }
+
+  return {
+    success: true,
+    page: updatedPage,
+    block_index: blockIndex,
+    revision: updatedPage.revision,
+    validation_errors: validationErrors.length > 0 ? validationErrors : null,
+  };
+}
@@ -1,10 +1,22 @@
 /**
  * Reindex Vitamix content vectors using Workers AI
  * Generates new embeddings with bge-base-en-v1.5 (768 dims)
- * and upserts to Vectorize
+ * and upserts to Vectorize with filterable metadata (content_type, page_type, series, model)
  */
 
 import { generateEmbeddings } from './lib/embeddings.js';
+import { buildChunkMetadata, getContentType, getPageType } from './lib/chunk-metadata.js';
+
+/**
+ * Parse the stored heading path of a chunk (NULL for chunks crawled before section chunking)
+ */
+function parseHeadingPath(value) {
+  try {
+    return JSON.parse(value || '[]');
+  } catch (error) {
+    return [];
+  }
+}
 
 /**
  * Reindex all Vitamix chunks with Workers AI embeddings
@@ -22,9 +34,14 @@ export async function reindexVectors(env) {
 
   console.log('Starting vector reindexing with Workers AI...');
 
-  // Fetch all chunks from D1
+  // Fetch all chunks from D1, with the source fields used for vector metadata
   const chunksResult = await db
-    .prepare('SELECT id, source_id, content FROM vitamix_chunks')
+    .prepare(`
+      SELECT c.id, c.source_id, c.content, c.chunk_index, c.heading_path,
+             s.url, s.title, s.content_type, s.page_type
+      FROM vitamix_chunks c
+      LEFT JOIN vitamix_sources s ON s.id = c.source_id
+    `)
     .all();
 
   const chunks = chunksResult.results || [];
@@ -34,6 +51,22 @@ export async function reindexVectors(env) {
     return { success: true, message: 'No chunks to reindex', count: 0 };
   }
 
+  // Sources crawled before page types were split (manual, faq) get them from their URL
+  const pageTypeUpdates = new Map();
+  chunks.forEach((chunk) => {
+    const contentType = chunk.content_type || getContentType(chunk.url || '');
+    const pageType = getPageType(chunk.url || '', contentType);
+    if (pageType !== chunk.page_type) {
+      pageTypeUpdates.set(chunk.source_id, pageType);
+    }
+    Object.assign(chunk, { content_type: contentType, page_type: pageType });
+  });
+  if (pageTypeUpdates.size > 0) {
+    const updateStmt = db.prepare('UPDATE vitamix_sources SET page_type = ? WHERE id = ?');
+    await db.batch([...pageTypeUpdates].map(([id, pageType]) => updateStmt.bind(pageType, id)));
+    console.log(`Updated page_type of ${pageTypeUpdates.size} sources`);
+  }
+
   // Process in batches (Workers AI supports batch embedding)
   const BATCH_SIZE = 10;
   const vectors = [];
@@ -54,11 +87,15 @@ export async function reindexVectors(env) {
         vectors.push({
           id: chunk.id,
           values: embeddings[j],
-          metadata: {
-            source_id: chunk.source_id,
-            content: chunk.content.substring(0, 500),
-            chunk_index: 0,
-          },
+          metadata: buildChunkMetadata({
+            sourceId: chunk.source_id,
+            content: chunk.content,
+            chunkIndex: chunk.chunk_index || 0,
+            headingPath: parseHeadingPath(chunk.heading_path),
+            contentType: chunk.content_type,
+            pageType: chunk.page_type,
+            title: chunk.title,
+          }),
         });
       }
 